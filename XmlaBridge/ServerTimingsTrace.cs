@@ -0,0 +1,287 @@
+using System;
+using System.Collections.Generic;
+using System.Data;
+using System.Globalization;
+using System.Security;
+using System.Text;
+using System.Threading;
+using System.Threading.Tasks;
+using Microsoft.AnalysisServices.AdomdClient;
+
+// Records the server timing events of one session through an Analysis Services trace, like
+// DAX Studio's Server Timings: a trace filtered on the query's session ID is created, a second
+// connection subscribes to it and collects the events until the query's QueryEnd has arrived.
+// Creating a trace needs administrator rights, so the trace connections never use a role.
+// With includeQueryPlan the logical and physical query plans (DAX Query Plan events) are recorded too.
+public sealed class ServerTimingsTrace : IDisposable
+{
+    private const string EngineNamespace = "http://schemas.microsoft.com/analysisservices/2003/engine";
+
+    // Trace event classes
+    private const int QueryEnd = 10;
+    private const int VertiPaqSEQueryEnd = 83;
+    private const int VertiPaqSEQueryCacheMatch = 85;
+    private const int DirectQueryEnd = 99;
+    private const int DaxQueryPlan = 112;
+
+    // Trace columns
+    private const int EventClassColumn = 0;
+    private const int EventSubclassColumn = 1;
+    private const int CurrentTimeColumn = 2;
+    private const int StartTimeColumn = 3;
+    private const int EndTimeColumn = 4;
+    private const int DurationColumn = 5;
+    private const int CpuTimeColumn = 6;
+    private const int SessionIdColumn = 39;
+    private const int TextDataColumn = 42;
+
+    // Columns recorded per event (each event only accepts the columns it has)
+    private static readonly Dictionary<int, int[]> EventColumns = new Dictionary<int, int[]>
+    {
+        { QueryEnd, new[] { EventClassColumn, EventSubclassColumn, CurrentTimeColumn, StartTimeColumn, EndTimeColumn, DurationColumn, CpuTimeColumn, SessionIdColumn, TextDataColumn } },
+        { VertiPaqSEQueryEnd, new[] { EventClassColumn, EventSubclassColumn, CurrentTimeColumn, StartTimeColumn, EndTimeColumn, DurationColumn, CpuTimeColumn, SessionIdColumn, TextDataColumn } },
+        { VertiPaqSEQueryCacheMatch, new[] { EventClassColumn, EventSubclassColumn, CurrentTimeColumn, SessionIdColumn, TextDataColumn } },
+        { DirectQueryEnd, new[] { EventClassColumn, CurrentTimeColumn, StartTimeColumn, EndTimeColumn, DurationColumn, CpuTimeColumn, SessionIdColumn, TextDataColumn } }
+    };
+
+    private static readonly int[] QueryPlanColumns = { EventClassColumn, EventSubclassColumn, CurrentTimeColumn, SessionIdColumn, TextDataColumn };
+
+    // Names of the subscription rowset columns in the events passed to JavaScript
+    private static readonly Dictionary<string, string> EventFieldNames = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase)
+    {
+        { "EventClass", "eventClass" },
+        { "EventSubclass", "eventSubclass" },
+        { "CurrentTime", "currentTime" },
+        { "StartTime", "startTime" },
+        { "EndTime", "endTime" },
+        { "Duration", "duration" },
+        { "CPUTime", "cpuTime" },
+        { "TextData", "textData" }
+    };
+
+    // Query run until the subscription delivers events (it starts asynchronously)
+    private const string PingQuery = "EVALUATE { 1 }";
+    private const int PingInterval = 250; // milliseconds
+
+    private readonly string traceId = "PowerBIChat_" + Guid.NewGuid().ToString("N");
+    private readonly List<Dictionary<string, object>> events = new List<Dictionary<string, object>>();
+    private readonly object sync = new object();
+    private AdomdConnection traceConnection;
+    private AdomdConnection subscribeConnection;
+    private AdomdCommand subscribeCommand;
+    private Task readTask;
+    private int queryEndCount;
+    private bool includeQueryPlan;
+    private bool started;
+
+    private ServerTimingsTrace()
+    {
+    }
+
+    // Creates the trace for the session of queryConnection and waits until it delivers events
+    public static ServerTimingsTrace Start(string traceConnectionString, AdomdConnection queryConnection, int timeoutSeconds, bool includeQueryPlan)
+    {
+        var trace = new ServerTimingsTrace { includeQueryPlan = includeQueryPlan };
+        try
+        {
+            trace.traceConnection = new AdomdConnection(traceConnectionString);
+            trace.traceConnection.Open();
+            Execute(trace.traceConnection, trace.CreateTraceCommand(queryConnection.SessionID));
+
+            trace.subscribeConnection = new AdomdConnection(traceConnectionString);
+            trace.subscribeConnection.Open();
+            trace.subscribeCommand = new AdomdCommand(trace.SubscribeCommand(), trace.subscribeConnection);
+            trace.readTask = Task.Run(() => trace.ReadEvents());
+
+            DateTime deadline = DateTime.UtcNow.AddSeconds(timeoutSeconds);
+            lock (trace.sync)
+            {
+                while (trace.queryEndCount == 0)
+                {
+                    if (trace.readTask.IsCompleted)
+                    {
+                        throw new InvalidOperationException("The server timings trace ended: " +
+                            (trace.readTask.Exception != null ? trace.readTask.Exception.InnerException.Message : "no events"));
+                    }
+                    if (DateTime.UtcNow > deadline)
+                    {
+                        throw new TimeoutException("The server timings trace did not start in time");
+                    }
+
+                    using (var ping = new AdomdCommand(PingQuery, queryConnection))
+                    {
+                        ping.ExecuteNonQuery();
+                    }
+                    Monitor.Wait(trace.sync, PingInterval);
+                }
+
+                // Forget the ping queries; events of pings that arrive later are dropped in ReadEvents()
+                trace.events.Clear();
+                trace.queryEndCount = 0;
+                trace.started = true;
+            }
+
+            Console.WriteLine($"[ADOMD.NET] Server timings trace {trace.traceId} started");
+            return trace;
+        }
+        catch
+        {
+            trace.Dispose();
+            throw;
+        }
+    }
+
+    // Waits for the QueryEnd event of the profiled query and returns the recorded events
+    public List<Dictionary<string, object>> Stop(int timeoutSeconds)
+    {
+        DateTime deadline = DateTime.UtcNow.AddSeconds(timeoutSeconds);
+        lock (sync)
+        {
+            while (queryEndCount == 0 && !readTask.IsCompleted)
+            {
+                int remaining = (int)(deadline - DateTime.UtcNow).TotalMilliseconds;
+                if (remaining <= 0)
+                {
+                    Console.WriteLine("[ADOMD.NET] Server timings trace: QueryEnd did not arrive, returning partial events");
+                    break;
+                }
+                Monitor.Wait(sync, remaining);
+            }
+
+            Console.WriteLine($"[ADOMD.NET] Server timings trace recorded {events.Count} events");
+            return new List<Dictionary<string, object>>(events);
+        }
+    }
+
+    // Deleting the trace also ends the subscription
+    public void Dispose()
+    {
+        if (traceConnection != null && traceConnection.State == ConnectionState.Open)
+        {
+            try
+            {
+                Execute(traceConnection, DeleteTraceCommand());
+            }
+            catch (Exception ex)
+            {
+                Console.WriteLine($"[ADOMD.NET] Could not delete trace {traceId}: {ex.Message}");
+            }
+        }
+
+        try
+        {
+            if (readTask != null && !readTask.Wait(2000))
+            {
+                subscribeCommand.Cancel();
+            }
+        }
+        catch (Exception)
+        {
+            // The subscription ends with an error when its trace is deleted
+        }
+
+        if (subscribeCommand != null) subscribeCommand.Dispose();
+        if (subscribeConnection != null) subscribeConnection.Dispose();
+        if (traceConnection != null) traceConnection.Dispose();
+    }
+
+    private void ReadEvents()
+    {
+        using (AdomdDataReader reader = subscribeCommand.ExecuteReader())
+        {
+            while (reader.Read())
+            {
+                var traceEvent = new Dictionary<string, object>();
+                for (int i = 0; i < reader.FieldCount; i++)
+                {
+                    string name;
+                    if (!EventFieldNames.TryGetValue(reader.GetName(i), out name) || reader.IsDBNull(i))
+                    {
+                        continue;
+                    }
+
+                    object value = reader.GetValue(i);
+                    traceEvent[name] = value is DateTime dateTime
+                        ? dateTime.ToString("yyyy-MM-dd'T'HH:mm:ss.fff", CultureInfo.InvariantCulture)
+                        : value;
+                }
+
+                lock (sync)
+                {
+                    if (started && IsPingEvent(traceEvent))
+                    {
+                        continue;
+                    }
+
+                    events.Add(traceEvent);
+                    if (traceEvent.TryGetValue("eventClass", out object eventClass) && Convert.ToInt32(eventClass) == QueryEnd)
+                    {
+                        queryEndCount++;
+                    }
+                    Monitor.PulseAll(sync);
+                }
+            }
+        }
+    }
+
+    // Whether an event belongs to one of the ping queries of Start() (their QueryEnd can arrive late)
+    private static bool IsPingEvent(Dictionary<string, object> traceEvent)
+    {
+        return traceEvent.TryGetValue("textData", out object textData) &&
+            string.Equals(Convert.ToString(textData, CultureInfo.InvariantCulture).Trim(), PingQuery, StringComparison.OrdinalIgnoreCase);
+    }
+
+    private string CreateTraceCommand(string sessionId)
+    {
+        var traceEvents = new Dictionary<int, int[]>(EventColumns);
+        if (includeQueryPlan)
+        {
+            traceEvents[DaxQueryPlan] = QueryPlanColumns;
+        }
+
+        var eventList = new StringBuilder();
+        foreach (var entry in traceEvents)
+        {
+            eventList.Append($"<Event><EventID>{entry.Key}</EventID><Columns>");
+            foreach (int column in entry.Value)
+            {
+                eventList.Append($"<ColumnID>{column}</ColumnID>");
+            }
+            eventList.Append("</Columns></Event>");
+        }
+
+        return $@"<Create xmlns=""{EngineNamespace}"">
+  <ObjectDefinition>
+    <Trace>
+      <ID>{traceId}</ID>
+      <Name>{traceId}</Name>
+      <Events>{eventList}</Events>
+      <Filter>
+        <Equal>
+          <ColumnID>{SessionIdColumn}</ColumnID>
+          <Value>{SecurityElement.Escape(sessionId)}</Value>
+        </Equal>
+      </Filter>
+    </Trace>
+  </ObjectDefinition>
+</Create>";
+    }
+
+    private string SubscribeCommand()
+    {
+        return $@"<Subscribe xmlns=""{EngineNamespace}""><Object><TraceID>{traceId}</TraceID></Object></Subscribe>";
+    }
+
+    private string DeleteTraceCommand()
+    {
+        return $@"<Delete xmlns=""{EngineNamespace}""><Object><TraceID>{traceId}</TraceID></Object></Delete>";
+    }
+
+    private static void Execute(AdomdConnection connection, string command)
+    {
+        using (var cmd = new AdomdCommand(command, connection))
+        {
+            cmd.ExecuteNonQuery();
+        }
+    }
+}
@@ -1,15 +1,35 @@
 using System;
 using System.Data;
+using System.Globalization;
 using System.Threading.Tasks;
 using System.Collections.Generic;
+using System.Collections.Concurrent;
 using Microsoft.AnalysisServices.AdomdClient;
 
 public class Startup
 {
+    // Commands that are running, by the request ID the app gave the query, so Cancel() can stop them
+    private static readonly ConcurrentDictionary<string, AdomdCommand> RunningCommands = new ConcurrentDictionary<string, AdomdCommand>();
+
+    // Requests from the start of Invoke() until it returns; only these can be cancelled
+    private static readonly ConcurrentDictionary<string, bool> PendingRequests = new ConcurrentDictionary<string, bool>();
+
+    // Requests cancelled before their command was created (e.g. while signing in)
+    private static readonly ConcurrentDictionary<string, bool> CancelledRequests = new ConcurrentDictionary<string, bool>();
+
+    // Seconds to wait for the server timings trace to start, and for its last events
+    private const int TraceTimeout = 10;
+
     public async Task<object> Invoke(dynamic input)
     {
+        string requestId = null;
         try
         {
+            requestId = input.requestId != null ? (string)input.requestId : null;
+            if (requestId != null)
+            {
+                PendingRequests[requestId] = true;
+            }
             string server = (string)input.server;
             string database = (string)input.database;
             string query = (string)input.query;
@@ -21,65 +41,246 @@ public class Startup
                 timeout = (int)input.timeout;
             }
 
-            // Build connection string
-            string connectionString = $"Data Source={server};Initial Catalog={database};Integrated Security=SSPI;";
+            // Optional row-level security context ("view as role")
+            string roles = input.roles != null ? (string)input.roles : null;
+            string effectiveUserName = input.effectiveUserName != null ? (string)input.effectiveUserName : null;
+
+            // Authentication: "windows" (local Power BI Desktop, on-premises servers), "interactive"
+            // (Azure AD sign-in for powerbi:// and asazure:// servers) or "servicePrincipal"
+            string authentication = input.authentication != null ? (string)input.authentication : "windows";
+            string userId = input.userId != null ? (string)input.userId : null;
+            string password = input.password != null ? (string)input.password : null;
+
+            // Profile mode records the server timings of the query, queryPlan its logical and physical plans
+            bool profile = input.profile != null && (bool)input.profile;
+            bool queryPlan = input.queryPlan != null && (bool)input.queryPlan;
+
+            // Build connection string; the data source may be a workspace URL such as powerbi://api.powerbi.com/v1.0/myorg/Sales
+            string connectionString = $"Data Source={QuoteConnectionStringValue(server)};";
+            if (!string.IsNullOrEmpty(database))
+            {
+                connectionString += $"Initial Catalog={QuoteConnectionStringValue(database)};";
+            }
+            switch (authentication)
+            {
+                case "servicePrincipal":
+                    connectionString += $"User ID={QuoteConnectionStringValue(userId ?? "")};Password={QuoteConnectionStringValue(password ?? "")};";
+                    break;
+                case "interactive":
+                    // No credentials: ADOMD.NET shows the Azure AD sign-in and caches the token
+                    break;
+                default:
+                    connectionString += "Integrated Security=SSPI;";
+                    break;
+            }
+
+            // The trace connections need administrator rights, so they use no role
+            string traceConnectionString = connectionString;
+
+            if (!string.IsNullOrEmpty(roles))
+            {
+                connectionString += $"Roles={QuoteConnectionStringValue(roles)};";
+            }
+            if (!string.IsNullOrEmpty(effectiveUserName))
+            {
+                connectionString += $"EffectiveUserName={QuoteConnectionStringValue(effectiveUserName)};";
+            }
 
             Console.WriteLine($"[ADOMD.NET] Connecting to: {server}");
             Console.WriteLine($"[ADOMD.NET] Database: {database}");
+            Console.WriteLine($"[ADOMD.NET] Authentication: {authentication}");
             Console.WriteLine($"[ADOMD.NET] Query: {query.Substring(0, Math.Min(200, query.Length))}...");
             Console.WriteLine($"[ADOMD.NET] Timeout: {timeout} seconds");
-
-            using (AdomdConnection conn = new AdomdConnection(connectionString))
+            if (!string.IsNullOrEmpty(roles) || !string.IsNullOrEmpty(effectiveUserName))
             {
-                conn.Open();
-                Console.WriteLine("[ADOMD.NET] Connection opened successfully");
+                Console.WriteLine($"[ADOMD.NET] Roles: {roles ?? "(none)"}, EffectiveUserName: {effectiveUserName ?? "(none)"}");
+            }
 
-                using (AdomdCommand cmd = new AdomdCommand(query, conn))
+            // Run on a worker thread, so the Node.js thread stays free (e.g. for Cancel)
+            return await Task.Run(() =>
+            {
+                using (AdomdConnection conn = new AdomdConnection(connectionString))
                 {
-                    cmd.CommandTimeout = timeout;
+                    conn.Open();
+                    Console.WriteLine("[ADOMD.NET] Connection opened successfully");
 
-                    using (AdomdDataReader reader = cmd.ExecuteReader())
+                    using (ServerTimingsTrace trace = profile || queryPlan ? ServerTimingsTrace.Start(traceConnectionString, conn, TraceTimeout, queryPlan) : null)
+                    using (AdomdCommand cmd = new AdomdCommand(query, conn))
                     {
-                        var results = new List<Dictionary<string, object>>();
+                        cmd.CommandTimeout = timeout;
 
-                        while (reader.Read())
+                        if (requestId != null)
                         {
-                            var row = new Dictionary<string, object>();
+                            RunningCommands[requestId] = cmd;
+                        }
+                        ThrowIfCancelled(requestId);
+
+                        // Column descriptors keep the original names (e.g. "Sales[Amount]") and data types
+                        var columns = new List<Dictionary<string, object>>();
+                        var rows = new List<object[]>();
+
+                        using (AdomdDataReader reader = cmd.ExecuteReader())
+                        {
+                            // A cancel that arrived after the check above but before ExecuteReader() started
+                            // the query found nothing to cancel on the command, so look again here and per row
+                            ThrowIfCancelled(requestId);
+
+                            var dataTypes = new string[reader.FieldCount];
 
                             for (int i = 0; i < reader.FieldCount; i++)
                             {
-                                string columnName = reader.GetName(i);
-                                object value = reader.IsDBNull(i) ? null : reader.GetValue(i);
-                                row[columnName] = value;
+                                Type fieldType = reader.GetFieldType(i);
+                                dataTypes[i] = GetDataTypeName(fieldType);
+                                columns.Add(new Dictionary<string, object>
+                                {
+                                    { "name", reader.GetName(i) },
+                                    { "dataType", dataTypes[i] },
+                                    { "clrType", fieldType != null ? fieldType.Name : null }
+                                });
                             }
 
-                            results.Add(row);
+                            while (reader.Read())
+                            {
+                                ThrowIfCancelled(requestId);
+                                var row = new object[reader.FieldCount];
+
+                                for (int i = 0; i < reader.FieldCount; i++)
+                                {
+                                    row[i] = reader.IsDBNull(i) ? null : ToTransportValue(reader.GetValue(i));
+                                }
+
+                                rows.Add(row);
+                            }
                         }
 
-                        Console.WriteLine($"[ADOMD.NET] Query returned {results.Count} rows");
+                        Console.WriteLine($"[ADOMD.NET] Query returned {rows.Count} rows");
 
+                        // The query ends (QueryEnd event) once its reader is closed
                         return new
                         {
                             success = true,
-                            rowCount = results.Count,
-                            data = results
+                            rowCount = rows.Count,
+                            columns = columns,
+                            rows = rows,
+                            trace = trace != null ? trace.Stop(TraceTimeout) : null
                         };
                     }
                 }
-            }
+            });
         }
         catch (Exception ex)
         {
-            Console.WriteLine($"[ADOMD.NET] Error: {ex.Message}");
-            Console.WriteLine($"[ADOMD.NET] Stack: {ex.StackTrace}");
+            bool cancelled = requestId != null && CancelledRequests.ContainsKey(requestId);
+            Console.WriteLine(cancelled ? "[ADOMD.NET] Query cancelled" : $"[ADOMD.NET] Error: {ex.Message}");
+            if (!cancelled)
+            {
+                Console.WriteLine($"[ADOMD.NET] Stack: {ex.StackTrace}");
+            }
 
             return new
             {
                 success = false,
-                error = ex.Message,
+                cancelled = cancelled,
+                error = cancelled ? "The query was cancelled" : ex.Message,
                 errorType = ex.GetType().Name,
                 stackTrace = ex.StackTrace
             };
         }
+        finally
+        {
+            if (requestId != null)
+            {
+                PendingRequests.TryRemove(requestId, out _);
+                RunningCommands.TryRemove(requestId, out _);
+                CancelledRequests.TryRemove(requestId, out _);
+            }
+        }
+    }
+
+    // Cancels a running query by its request ID; the query's Invoke() then returns cancelled = true
+    // Requests that have finished or are unknown are ignored, so nothing is left behind for them
+    public async Task<object> Cancel(dynamic input)
+    {
+        string requestId = (string)input.requestId;
+        if (!PendingRequests.ContainsKey(requestId))
+        {
+            return new { success = true, running = false };
+        }
+
+        CancelledRequests[requestId] = true;
+        if (!PendingRequests.ContainsKey(requestId))
+        {
+            // The query finished meanwhile and has already cleaned up after itself
+            CancelledRequests.TryRemove(requestId, out _);
+            return new { success = true, running = false };
+        }
+
+        AdomdCommand cmd;
+        bool running = RunningCommands.TryGetValue(requestId, out cmd);
+        if (running)
+        {
+            Console.WriteLine($"[ADOMD.NET] Cancelling query {requestId}");
+            await Task.Run(() => cmd.Cancel());
+        }
+
+        return new { success = true, running = running };
+    }
+
+    // Stops a query whose request has been cancelled
+    private static void ThrowIfCancelled(string requestId)
+    {
+        if (requestId != null && CancelledRequests.ContainsKey(requestId))
+        {
+            throw new OperationCanceledException("The query was cancelled");
+        }
+    }
+
+    // Map a CLR field type to the TOM data type name used on the JavaScript side
+    private static string GetDataTypeName(Type type)
+    {
+        if (type == null) return "Variant";
+        if (type == typeof(string)) return "String";
+        if (type == typeof(bool)) return "Boolean";
+        if (type == typeof(DateTime)) return "DateTime";
+        if (type == typeof(decimal)) return "Decimal";
+        if (type == typeof(double) || type == typeof(float)) return "Double";
+        if (type == typeof(long) || type == typeof(int) || type == typeof(short) || type == typeof(byte)
+            || type == typeof(ulong) || type == typeof(uint) || type == typeof(ushort) || type == typeof(sbyte))
+        {
+            return "Int64";
+        }
+        if (type == typeof(byte[])) return "Binary";
+        return "Variant";
+    }
+
+    // Convert a cell value to something electron-edge-js marshals without loss of meaning:
+    // dates become ISO 8601 strings (no time zone), decimals become doubles
+    private static object ToTransportValue(object value)
+    {
+        switch (value)
+        {
+            case DateTime dateTime:
+                return dateTime.ToString("yyyy-MM-dd'T'HH:mm:ss.fff", CultureInfo.InvariantCulture);
+            case decimal number:
+                return (double)number;
+            case byte[] bytes:
+                return Convert.ToBase64String(bytes);
+            case Guid guid:
+                return guid.ToString();
+            case TimeSpan timeSpan:
+                return timeSpan.ToString();
+            default:
+                return value;
+        }
+    }
+
+    // Quote a connection string value that contains separators or quotes
+    private static string QuoteConnectionStringValue(string value)
+    {
+        if (value.IndexOfAny(new[] { ';', '"', '\'', '=' }) < 0)
+        {
+            return value;
+        }
+        return "\"" + value.Replace("\"", "\"\"") + "\"";
     }
 }
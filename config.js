@@ -18,17 +18,18 @@ const CONFIG = {
 
   // Query settings
   QUERY: {
-    COMMAND_TIMEOUT: 30, // seconds
+    COMMAND_TIMEOUT: 30, // seconds; a DAX: command can set its own with timeout=<seconds>
+    MAX_COMMAND_TIMEOUT: 3600, // Longest timeout a query may ask for (seconds)
     LOG_PREVIEW_LENGTH: 200, // characters
     DEFAULT_SAMPLE_ROWS: 3,
     MAX_SAMPLE_ROWS: 5,
     MAX_DAX_RESULT_ROWS: 10000, // Maximum rows to return from DAX queries
     DAX_WARNING_THRESHOLD: 1000, // Warn if query returns more than this
     BLOCKED_PATTERNS: [
-      // Patterns that might cause performance issues
-      /CROSSJOIN\s*\(\s*ALL/gi,
-      /GENERATE\s*\(\s*GENERATE/gi,
-      /ADDCOLUMNS\s*\(\s*ADDCOLUMNS/gi
+      // Function calls whose first argument is one of the `inner` calls - these might cause performance issues
+      { outer: 'CROSSJOIN', inner: ['ALL', 'ALLNOBLANKROW', 'ALLSELECTED'] },
+      { outer: 'GENERATE', inner: ['GENERATE'] },
+      { outer: 'ADDCOLUMNS', inner: ['ADDCOLUMNS'] }
     ],
     DANGEROUS_FUNCTIONS: [
       'UNION',
@@ -40,15 +41,149 @@ const CONFIG = {
 
   // API settings
   API: {
+    DEFAULT_PROVIDER: 'openai',
     DEFAULT_URL: 'https://api.openai.com/v1/chat/completions',
-    DEFAULT_MODEL: 'gpt-4'
+    DEFAULT_MODEL: 'gpt-4',
+    ANTHROPIC_VERSION: '2023-06-01',
+    MAX_OUTPUT_TOKENS: 4096, // Required by the Anthropic Messages API
+    MOCK_STREAM_DELAY: 15, // ms between words streamed by the mock provider
+    CREDENTIALS_FILE: 'credentials.json', // Encrypted API token, in the app's user data folder
+    NETWORK: {
+      SESSION_PARTITION: 'llm-requests', // Electron session that carries only the LLM requests
+      PROXY_BYPASS: '<local>', // Hosts that never use the configured proxy
+      TIMEOUT_SECONDS: 60, // Seconds without a response or new data before a request fails
+      MAX_RETRIES: 3, // Retries after network errors, timeouts, 429 and 5xx responses
+      RETRY_BASE_DELAY: 1000, // ms before the first retry; doubles with every retry
+      RETRY_MAX_DELAY: 30000, // Longest backoff between retries (ms)
+      MAX_RETRY_AFTER: 60000 // A longer Retry-After (ms) is not waited for; the error is shown instead
+    },
+    PROVIDERS: {
+      openai: {
+        LABEL: 'OpenAI (or compatible)',
+        DEFAULT_URL: 'https://api.openai.com/v1/chat/completions',
+        DEFAULT_MODEL: 'gpt-4',
+        REQUIRES_URL: true,
+        REQUIRES_TOKEN: true
+      },
+      azure: {
+        LABEL: 'Azure OpenAI',
+        DEFAULT_URL: '',
+        URL_PLACEHOLDER: 'https://your-resource.openai.azure.com/openai/deployments/your-deployment/chat/completions?api-version=2024-06-01',
+        DEFAULT_MODEL: 'gpt-4',
+        REQUIRES_URL: true,
+        REQUIRES_TOKEN: true
+      },
+      anthropic: {
+        LABEL: 'Anthropic',
+        DEFAULT_URL: 'https://api.anthropic.com/v1/messages',
+        DEFAULT_MODEL: 'claude-3-5-sonnet-latest',
+        REQUIRES_URL: true,
+        REQUIRES_TOKEN: true
+      },
+      ollama: {
+        LABEL: 'Ollama (local)',
+        DEFAULT_URL: 'http://localhost:11434/api/chat',
+        DEFAULT_MODEL: 'llama3.1',
+        REQUIRES_URL: true,
+        REQUIRES_TOKEN: false
+      },
+      mock: {
+        LABEL: 'Mock (offline, deterministic)',
+        DEFAULT_URL: '',
+        DEFAULT_MODEL: 'mock',
+        REQUIRES_URL: false,
+        REQUIRES_TOKEN: false
+      }
+    }
+  },
+
+  // Model context (system prompt) settings
+  CONTEXT: {
+    TOKEN_BUDGET: 12000, // Default token budget for the model description
+    CHARS_PER_TOKEN: 4, // Rough estimate for English text and code
+    HISTORY_MESSAGES: 6, // Recent messages that count towards relevance
+    MIN_ITEM_TOKENS: 20, // Stop describing objects when less than this is left
+    NAMES_SHARE: 0.15 // Share of the budget kept for listing objects by name only
+  },
+
+  // Saved conversations (stored per model in the app's user data folder)
+  SESSIONS: {
+    DIRECTORY: 'sessions',
+    MAX_SAVED_ROWS: 500, // Result rows kept per query in a saved conversation
+    TITLE_LENGTH: 60, // Characters of the first question used as the title
+    RECENT_OFFERED: 3 // Previous conversations offered when a model is opened
+  },
+
+  // Conversation export
+  EXPORT: {
+    MARKDOWN_MAX_ROWS: 100 // Result rows written per query to Markdown (HTML keeps all rows)
+  },
+
+  // Local search over model objects (sidebar search and context ranking)
+  SEARCH: {
+    RESULT_LIMIT: 30, // Results shown in the sidebar
+    BM25_K1: 1.2, // Term frequency saturation
+    BM25_B: 0.75, // Document length normalization
+    FIELD_WEIGHTS: { name: 3, folder: 1.5, description: 1, table: 0.5, expression: 0.5 },
+    SYNONYM_WEIGHT: 0.6, // Weight of a synonym compared to the word itself
+    TRIGRAM_SIMILARITY: 0.4, // Minimum similarity for a misspelled word to match
+    CONTEXT_WEIGHT: 10, // Score of the best search hit when ranking the model context
+    // Business terms that mean the same thing; each group is expanded as a whole
+    SYNONYMS: [
+      ['revenue', 'sales', 'turnover', 'income', 'amount'],
+      ['customer', 'client', 'buyer', 'account'],
+      ['quantity', 'qty', 'volume'],
+      ['product', 'item', 'article', 'sku'],
+      ['profit', 'margin', 'earnings'],
+      ['cost', 'expense', 'spend', 'cogs'],
+      ['order', 'transaction', 'purchase', 'invoice'],
+      ['date', 'calendar', 'day', 'period', 'time'],
+      ['region', 'territory', 'geography', 'country', 'area'],
+      ['employee', 'staff', 'salesperson', 'rep'],
+      ['price', 'rate', 'tariff'],
+      ['year', 'yr', 'annual', 'fiscal'],
+      ['month', 'mth', 'monthly'],
+      ['average', 'avg', 'mean']
+    ]
+  },
+
+  // Agent (tool calling) settings
+  AGENT: {
+    MAX_STEPS: 8, // Model round-trips per message before a final answer is requested
+    TOOL_RESULT_ROWS: 50, // Rows of each tool result sent back to the model
+    SAMPLE_ROWS: 10 // Default rows for get_table_sample
+  },
+
+  // EXPLAIN: query plans and optimization suggestions
+  EXPLAIN: {
+    MAX_PLAN_CHARACTERS: 6000, // Of each plan sent to the model
+    COMPARE_WARMUP_RUNS: 1 // Runs of each query before the timed run when comparing, so both use a warm cache
+  },
+
+  // COMPARE: result equivalence check of two queries
+  COMPARE: {
+    TOLERANCE: 0.000001, // Largest difference of two numbers that still counts as equal (compare: tolerance=<number>)
+    MAX_DIFF_ROWS: 200 // Differing rows shown in the diff table
   },
 
   // .NET Bridge settings
   BRIDGE: {
     PATH: ['XmlaBridge', 'bin', 'Release', 'net48', 'XmlaBridge.dll'],
     TYPE_NAME: 'Startup',
-    METHOD_NAME: 'Invoke'
+    METHOD_NAME: 'Invoke',
+    CANCEL_METHOD_NAME: 'Cancel'
+  },
+
+  // Discovery of models open in Power BI Desktop on this computer
+  DISCOVERY: {
+    // Workspace folders of Power BI Desktop's local Analysis Services (msmdsrv), by environment variable
+    WORKSPACE_DIRECTORIES: [
+      { BASE: 'LOCALAPPDATA', PATH: ['Microsoft', 'Power BI Desktop', 'AnalysisServicesWorkspaces'] },
+      { BASE: 'USERPROFILE', PATH: ['Microsoft', 'Power BI Desktop Store App', 'AnalysisServicesWorkspaces'] }
+    ],
+    PORT_FILE: ['Data', 'msmdsrv.port.txt'], // Inside each AnalysisServicesWorkspace_* folder
+    PORT_CHECK_TIMEOUT: 1000, // ms to wait for a workspace port to accept connections
+    TITLE_LOOKUP_TIMEOUT: 5000 // ms allowed for reading the Power BI Desktop window titles
   },
 
   // XMLA settings
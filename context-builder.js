@@ -0,0 +1,440 @@
+/**
+ * Model Context Builder
+ * Builds the semantic model part of the system prompt within a token budget.
+ * Tables and measures are ranked by relevance to the question (name matches, search
+ * index hits, recently mentioned objects, relationship neighbours); the most relevant ones are
+ * described in full, the next ones by name only, and the rest are left out.
+ * The returned report says what was left out so the user can be told.
+ */
+
+const contextConfig = typeof module !== 'undefined' && module.exports ? require('./config') : window.CONFIG;
+// Tokenizer shared with the search index: required in Node.js, loaded via <script> in the browser
+const contextSearch = typeof module !== 'undefined' && module.exports ? require('./model-search-index') : window.ModelSearchIndex;
+
+// Words of a question that say nothing about which model objects it is about,
+// on top of the search index's stop words
+const CONTEXT_STOP_WORDS = new Set([
+    'can', 'do', 'does', 'i', 'tell', 'than', 'that', 'this', 'when', 'where', 'who', 'why', 'you', 'give', 'list',
+    'top', 'about', 'table', 'measure', 'column', 'columns', 'tables', 'measures', 'data', 'model', 'dax', 'query',
+    'evaluate'
+]);
+
+class ModelContextBuilder {
+    /**
+     * @param {Object} options
+     * @param {Object} options.model - Semantic model metadata {tables, measures, relationships, roles, sampleData}
+     * @param {Function} options.formatColumn - (column) => prompt text for a column
+     * @param {Function} options.describeRelationship - (relationship) => details text
+     * @param {Function} options.formatHierarchyLevels - (hierarchy) => levels text
+     * @param {Function} options.stringifyRows - (rows) => JSON text for sample rows
+     * @param {ModelSearchIndex} options.searchIndex - Search index over the model objects (optional)
+     */
+    constructor(options) {
+        this.model = options.model;
+        this.formatColumn = options.formatColumn;
+        this.describeRelationship = options.describeRelationship;
+        this.formatHierarchyLevels = options.formatHierarchyLevels;
+        this.stringifyRows = options.stringifyRows;
+        this.searchIndex = options.searchIndex || null;
+        this.charsPerToken = contextConfig.CONTEXT.CHARS_PER_TOKEN;
+    }
+
+    /**
+     * Estimates the number of tokens in a text
+     * @param {string} text - The text
+     * @returns {number} Approximate token count
+     */
+    estimateTokens(text) {
+        return Math.ceil(text.length / this.charsPerToken);
+    }
+
+    /**
+     * Splits text into words with the search index's tokenizer, without the question stop words
+     * @param {string} text - The text
+     * @returns {Array<string>} Words
+     */
+    static words(text) {
+        return contextSearch.tokenize(text, CONTEXT_STOP_WORDS);
+    }
+
+    /**
+     * Scores how strongly a text refers to a name
+     * The whole name in the text scores 10, otherwise each of its words found scores a share of 6
+     */
+    static matchName(name, text, textWords) {
+        const lowerName = name.toLowerCase();
+        if (lowerName.length > 1 && text.includes(lowerName)) return 10;
+
+        const nameWords = ModelContextBuilder.words(name);
+        if (nameWords.length === 0) return 0;
+        const found = nameWords.filter(word => textWords.has(word)).length;
+        return 6 * found / nameWords.length;
+    }
+
+    /**
+     * Ranks tables and measures by relevance to the question and the recent conversation
+     * @param {string} question - The user's question
+     * @param {Array<Object>} history - Earlier chat messages ({role, content}), oldest first
+     * @returns {Object} {tables: [{table, score}], measures: [{measure, score}]} sorted by score
+     */
+    rank(question, history = []) {
+        // The question counts fully, recent messages less the older they are
+        const texts = [{ text: question, weight: 1 }];
+        const recent = history.filter(msg => msg.content && msg.role !== 'system')
+            .slice(-contextConfig.CONTEXT.HISTORY_MESSAGES)
+            .reverse();
+        recent.forEach((msg, index) => {
+            texts.push({ text: msg.content, weight: 0.5 / (index + 1) });
+        });
+        const sources = texts.map(source => ({
+            text: source.text.toLowerCase(),
+            words: new Set(ModelContextBuilder.words(source.text)),
+            weight: source.weight
+        }));
+
+        const score = (name, extraTexts = []) => sources.reduce((total, source) => {
+            let value = ModelContextBuilder.matchName(name, source.text, source.words);
+            extraTexts.forEach(extra => {
+                value += extra.factor * ModelContextBuilder.matchName(extra.text, source.text, source.words) / 10;
+            });
+            return total + value * source.weight;
+        }, 0);
+
+        const tables = this.model.tables || [];
+        const measures = this.model.measures || [];
+
+        const searchScores = this.searchScores(question);
+
+        const tableScores = {};
+        tables.forEach(table => {
+            const columns = (table.columns || []).map(col => ({ text: col.name, factor: 4 }));
+            tableScores[table.name] = score(table.name, columns) + (searchScores.tables[table.name] || 0);
+        });
+
+        // Relationship neighbours of relevant tables are likely needed for joins
+        const neighbourBonus = {};
+        (this.model.relationships || []).forEach(rel => {
+            const from = tableScores[rel.fromTable] || 0;
+            const to = tableScores[rel.toTable] || 0;
+            neighbourBonus[rel.toTable] = Math.max(neighbourBonus[rel.toTable] || 0, from * 0.3);
+            neighbourBonus[rel.fromTable] = Math.max(neighbourBonus[rel.fromTable] || 0, to * 0.3);
+        });
+
+        const rankedTables = tables.map((table, index) => {
+            let value = tableScores[table.name] + (neighbourBonus[table.name] || 0);
+            if (table.isHidden) value *= 0.5;
+            return { table, score: value, index };
+        });
+
+        const rankedMeasures = measures.map((measure, index) => {
+            let value = score(measure.name, measure.displayFolder ? [{ text: measure.displayFolder, factor: 2 }] : []);
+            value += searchScores.measures[measure.name] || 0;
+            // Measures of relevant tables, or referring to them, are relevant too
+            value += 0.3 * (tableScores[measure.table] || 0);
+            const expression = (measure.expression || '').toLowerCase();
+            tables.forEach(table => {
+                if (tableScores[table.name] > 0 && expression.includes(table.name.toLowerCase())) {
+                    value += 0.2 * tableScores[table.name];
+                }
+            });
+            if (measure.isHidden) value *= 0.5;
+            return { measure, score: value, index };
+        });
+
+        // Highest score first; ties keep model order
+        const byScore = (a, b) => (b.score - a.score) || (a.index - b.index);
+        return {
+            tables: rankedTables.sort(byScore).map(({ table, score: value }) => ({ table, score: value })),
+            measures: rankedMeasures.sort(byScore).map(({ measure, score: value }) => ({ measure, score: value }))
+        };
+    }
+
+    /**
+     * Scores tables and measures with the search index, so that synonyms and
+     * descriptions count too; the best hit scores CONFIG.SEARCH.CONTEXT_WEIGHT
+     * @param {string} question - The user's question
+     * @returns {Object} {tables: {name: score}, measures: {name: score}}
+     */
+    searchScores(question) {
+        const scores = { tables: {}, measures: {} };
+        if (!this.searchIndex || !question) return scores;
+
+        const hits = this.searchIndex.search(question, { limit: 0 });
+        if (hits.length === 0) return scores;
+
+        const scale = contextConfig.SEARCH.CONTEXT_WEIGHT / hits[0].score;
+        const raise = (kind, name, value) => {
+            if (name) scores[kind][name] = Math.max(scores[kind][name] || 0, value);
+        };
+        hits.forEach(hit => {
+            const value = hit.score * scale;
+            // Columns and folders point to their table, less strongly than the table itself
+            if (hit.type === 'table') raise('tables', hit.name, value);
+            if (hit.type === 'column') raise('tables', hit.table, value * 0.6);
+            if (hit.type === 'folder') raise('tables', hit.table, value * 0.3);
+            if (hit.type === 'measure') raise('measures', hit.name, value);
+        });
+        return scores;
+    }
+
+    describeTable(table) {
+        let text = `- **${table.name}**`;
+        if (table.description) text += ` - ${table.description}`;
+        text += '\n';
+
+        if (table.columns && table.columns.length > 0) {
+            text += `  Columns: ${table.columns.map(this.formatColumn).join(', ')}\n`;
+            table.columns.filter(col => col.description).forEach(col => {
+                text += `  - ${col.name}: ${col.description}\n`;
+            });
+            table.columns.filter(col => col.expression).forEach(col => {
+                text += `  - ${col.name} = ${col.expression}\n`;
+            });
+        }
+
+        if (table.isCalculated && table.expression) {
+            text += `  Calculated table: ${table.expression}\n`;
+        }
+
+        if (table.calculationGroup) {
+            text += `  Calculation group (precedence ${table.calculationGroup.precedence}) items:\n`;
+            table.calculationGroup.items.forEach(calcItem => {
+                text += `  - ${calcItem.name}${calcItem.expression ? `: ${calcItem.expression}` : ''}\n`;
+            });
+        }
+
+        if (table.hierarchies && table.hierarchies.length > 0) {
+            const hierarchyText = table.hierarchies
+                .map(hierarchy => `${hierarchy.name} (${this.formatHierarchyLevels(hierarchy)})`)
+                .join(', ');
+            text += `  Hierarchies: ${hierarchyText}\n`;
+        }
+        return text;
+    }
+
+    describeSampleData(table) {
+        const samples = this.model.sampleData && this.model.sampleData[table.name];
+        if (!samples || samples.length === 0) return '';
+
+        let text = `  Sample data (top ${samples.length} rows):\n`;
+        text += '  ```\n';
+        text += '  ' + this.stringifyRows(samples).split('\n').join('\n  ') + '\n';
+        text += '  ```\n';
+        return text;
+    }
+
+    describeMeasure(measure) {
+        let text = `- **${measure.name}**`;
+        if (measure.table) text += ` (${measure.table})`;
+        if (measure.isHidden) text += ' [hidden]';
+        if (measure.description) text += ` - ${measure.description}`;
+        if (measure.displayFolder) text += `\n  Folder: ${measure.displayFolder}`;
+        if (measure.formatString) text += `\n  Format: ${measure.formatString}`;
+        if (measure.expression) text += `\n  Expression: ${measure.expression}`;
+        return text + '\n';
+    }
+
+    describeRoles(selectedRole) {
+        const roles = this.model.roles || [];
+        if (roles.length === 0) return '';
+
+        let text = '## Security Roles (row-level security):\n';
+        roles.forEach(role => {
+            text += `- **${role.name}**`;
+            if (role.modelPermission) text += ` (${role.modelPermission})`;
+            if (role.description) text += ` - ${role.description}`;
+            text += '\n';
+            role.tablePermissions.filter(permission => permission.filterExpression).forEach(permission => {
+                text += `  Filter on ${permission.table}: ${permission.filterExpression}\n`;
+            });
+        });
+        if (selectedRole) {
+            text += `DAX queries currently run as role "${selectedRole}".\n`;
+        }
+        return text + '\n';
+    }
+
+    /**
+     * Builds the model context for a question
+     * @param {Object} options
+     * @param {string} options.question - The user's question
+     * @param {Array<Object>} options.history - Earlier chat messages
+     * @param {number} options.budget - Token budget for the model context
+     * @param {string} options.selectedRole - Role DAX queries run as (optional)
+     * @returns {Object} {content, tokens, report}; report = {budget, tokens, tables, measures, relationships, sampleData}
+     *   where tables/measures = {total, described, namesOnly: [names], omitted: [names]}
+     */
+    build(options) {
+        const budget = options.budget;
+        const ranking = this.rank(options.question || '', options.history || []);
+        const relationships = this.model.relationships || [];
+
+        // Roles are always described: they decide what queries return
+        const rolesText = this.describeRoles(options.selectedRole);
+        let used = this.estimateTokens(rolesText);
+
+        // Keep part of the budget for listing the objects that are not described
+        const allNames = [...ranking.tables.map(e => e.table.name), ...ranking.measures.map(e => e.measure.name)];
+        const namesReserve = Math.min(
+            allNames.reduce((total, name) => total + this.estimateTokens(name) + 1, 0),
+            Math.floor(budget * contextConfig.CONTEXT.NAMES_SHARE)
+        );
+        const describeBudget = budget - namesReserve;
+
+        const described = { tables: new Set(), measures: new Set() };
+        const texts = { tables: {}, measures: {}, samples: {} };
+
+        // Describe tables and measures in order of relevance until the budget is used up
+        const candidates = [
+            ...ranking.tables.map(entry => ({ kind: 'tables', name: entry.table.name, score: entry.score, item: entry.table })),
+            ...ranking.measures.map(entry => ({ kind: 'measures', name: entry.measure.name, score: entry.score, item: entry.measure }))
+        ].sort((a, b) => b.score - a.score);
+
+        let full = false;
+        const describe = candidate => {
+            if (full) return;
+            const text = candidate.kind === 'tables' ? this.describeTable(candidate.item) : this.describeMeasure(candidate.item);
+            const cost = this.estimateTokens(text) + (candidate.kind === 'tables' ? this.relationshipCost(candidate.name, described.tables) : 0);
+            if (used + cost > describeBudget) {
+                // Keep filling with smaller items, but stop once the budget is nearly used
+                full = describeBudget - used < contextConfig.CONTEXT.MIN_ITEM_TOKENS;
+                return;
+            }
+            used += cost;
+            described[candidate.kind].add(candidate.name);
+            texts[candidate.kind][candidate.name] = text;
+        };
+
+        // Sample rows of the described tables, most relevant first
+        const sampleTables = ranking.tables
+            .filter(entry => this.model.sampleData && this.model.sampleData[entry.table.name] && this.model.sampleData[entry.table.name].length > 0)
+            .map(entry => entry.table);
+        const sampled = [];
+        const addSamples = () => {
+            sampleTables.filter(table => described.tables.has(table.name) && !texts.samples[table.name]).forEach(table => {
+                const text = this.describeSampleData(table);
+                const cost = this.estimateTokens(text);
+                if (used + cost <= describeBudget) {
+                    used += cost;
+                    texts.samples[table.name] = text;
+                    sampled.push(table.name);
+                }
+            });
+        };
+
+        // Relevant objects and their sample rows come before the rest of the model
+        candidates.filter(candidate => candidate.score > 0).forEach(describe);
+        addSamples();
+        // Without any relevance, alternate between tables and measures
+        const rest = { tables: [], measures: [] };
+        candidates.filter(candidate => candidate.score <= 0).forEach(candidate => rest[candidate.kind].push(candidate));
+        for (let i = 0; i < Math.max(rest.tables.length, rest.measures.length); i++) {
+            if (rest.tables[i]) describe(rest.tables[i]);
+            if (rest.measures[i]) describe(rest.measures[i]);
+        }
+        addSamples();
+
+        // Then list the remaining objects by name, as far as the budget allows
+        const namesOnly = { tables: [], measures: [] };
+        const omitted = { tables: [], measures: [] };
+        ['tables', 'measures'].forEach(kind => {
+            const entries = kind === 'tables' ? ranking.tables.map(e => e.table.name) : ranking.measures.map(e => e.measure.name);
+            entries.filter(name => !described[kind].has(name)).forEach(name => {
+                const cost = this.estimateTokens(name) + 1;
+                if (used + cost <= budget) {
+                    used += cost;
+                    namesOnly[kind].push(name);
+                } else {
+                    omitted[kind].push(name);
+                }
+            });
+        });
+
+        const includedRelationships = relationships.filter(rel => described.tables.has(rel.fromTable) && described.tables.has(rel.toTable));
+
+        // Assemble in the usual section order, most relevant first within each section
+        let content = '';
+        const describedTables = ranking.tables.filter(entry => described.tables.has(entry.table.name));
+        if (describedTables.length > 0) {
+            content += '## Tables:\n';
+            describedTables.forEach(entry => {
+                content += texts.tables[entry.table.name] + (texts.samples[entry.table.name] || '');
+            });
+            content += '\n';
+        }
+        if (namesOnly.tables.length > 0) {
+            content += `## Other tables (not described - ask for their columns with get_table_sample or a query):\n${namesOnly.tables.join(', ')}\n\n`;
+        }
+
+        const describedMeasures = ranking.measures.filter(entry => described.measures.has(entry.measure.name));
+        if (describedMeasures.length > 0) {
+            content += '## Measures:\n';
+            describedMeasures.forEach(entry => {
+                content += texts.measures[entry.measure.name];
+            });
+            content += '\n';
+        }
+        if (namesOnly.measures.length > 0) {
+            content += `## Other measures (not described - use describe_measure for details):\n${namesOnly.measures.join(', ')}\n\n`;
+        }
+
+        if (includedRelationships.length > 0) {
+            content += '## Relationships:\n';
+            includedRelationships.forEach(rel => {
+                const details = this.describeRelationship(rel);
+                content += `- ${rel.from} → ${rel.to}${details ? ` (${details})` : ''}\n`;
+            });
+            content += '\n';
+        }
+
+        content += rolesText;
+
+        if (omitted.tables.length > 0 || omitted.measures.length > 0) {
+            content += `Note: ${omitted.tables.length} tables and ${omitted.measures.length} measures are not listed because the model is too large; ask the user if you need objects that are not mentioned.\n\n`;
+        }
+
+        const tokens = this.estimateTokens(content);
+        return {
+            content,
+            tokens,
+            report: {
+                budget,
+                tokens,
+                tables: {
+                    total: ranking.tables.length,
+                    described: described.tables.size,
+                    namesOnly: namesOnly.tables,
+                    omitted: omitted.tables
+                },
+                measures: {
+                    total: ranking.measures.length,
+                    described: described.measures.size,
+                    namesOnly: namesOnly.measures,
+                    omitted: omitted.measures
+                },
+                relationships: { total: relationships.length, included: includedRelationships.length },
+                sampleData: { total: sampleTables.length, included: sampled.length }
+            }
+        };
+    }
+
+    /**
+     * Tokens for the relationships a table adds to the already described tables
+     */
+    relationshipCost(tableName, describedTables) {
+        return (this.model.relationships || [])
+            .filter(rel => (rel.fromTable === tableName && (describedTables.has(rel.toTable) || rel.toTable === tableName)) ||
+                (rel.toTable === tableName && describedTables.has(rel.fromTable)))
+            .reduce((total, rel) => total + this.estimateTokens(`- ${rel.from} → ${rel.to} (${this.describeRelationship(rel)})\n`), 0);
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModelContextBuilder;
+}
+
+// Also expose to window object for browser environments
+if (typeof window !== 'undefined') {
+    window.ModelContextBuilder = ModelContextBuilder;
+}
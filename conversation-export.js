@@ -0,0 +1,224 @@
+/**
+ * Conversation Export
+ * Converts a chat conversation (the transcript of addMessage() entries with the
+ * query and result metadata of executeDAX()) to Markdown, a self-contained HTML
+ * page, or a .dax script with every executed query.
+ */
+
+const exportFormatter = typeof module !== 'undefined' && module.exports ? require('./value-formatter') : window.ValueFormatter;
+const exportConfig = typeof module !== 'undefined' && module.exports ? require('./config') : window.CONFIG;
+
+const EXPORT_LABELS = { user: 'You', assistant: 'AI Assistant', tool: 'AI Assistant - Query', error: 'Error' };
+
+const EXPORT_HTML_STYLE = `
+body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; max-width: 960px; margin: 30px auto; padding: 0 20px; color: #333; }
+h1 { font-size: 22px; margin-bottom: 4px; }
+.meta { color: #666; font-size: 12px; margin-bottom: 25px; }
+.message { border-radius: 8px; padding: 12px 15px; margin-bottom: 15px; font-size: 14px; line-height: 1.5; }
+.message.user { background: #0078d4; color: white; margin-left: 20%; }
+.message.assistant { background: #f1f3f5; margin-right: 10%; }
+.message.tool { background: #f8f9fa; border: 1px solid #dee2e6; margin-right: 10%; font-size: 13px; }
+.message.error { background: #fdecea; color: #b71c1c; }
+.label { font-size: 11px; font-weight: 600; opacity: 0.8; margin-bottom: 6px; }
+pre { background: #272822; color: #f8f8f2; padding: 10px; border-radius: 6px; overflow-x: auto; font-size: 12px; }
+code { font-family: Consolas, 'Courier New', monospace; }
+table { border-collapse: collapse; margin-top: 10px; font-size: 12px; background: white; }
+th, td { border: 1px solid #dee2e6; padding: 4px 8px; text-align: left; }
+th { background: #e9ecef; }
+td.numeric { text-align: right; }
+.note { color: #666; font-size: 11px; margin-top: 4px; }
+`;
+
+class ConversationExport {
+    /**
+     * @param {Object} conversation
+     * @param {string} conversation.title - Conversation title
+     * @param {string} conversation.database - Model the conversation was about (optional)
+     * @param {Array<Object>} conversation.entries - Transcript entries {role, content, time, query, result, tool, stopped}
+     * @param {Object} options
+     * @param {Function} options.resolveFormatString - (columnName) => model format string or null (optional)
+     */
+    constructor(conversation, options = {}) {
+        this.title = conversation.title || 'Conversation';
+        this.database = conversation.database || '';
+        this.entries = conversation.entries || [];
+        this.exportedAt = new Date();
+        this.resolveFormatString = options.resolveFormatString || (() => null);
+    }
+
+    /**
+     * Text of an entry as Markdown; query messages are stored HTML-escaped for display
+     */
+    static entryText(entry) {
+        const content = entry.content || '';
+        if (entry.role !== 'tool') return content;
+        return content
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Whether the query of an entry still needs to be shown (query messages already contain it)
+     */
+    static showsQuery(entry) {
+        return Boolean(entry.query) && !ConversationExport.entryText(entry).includes(entry.query);
+    }
+
+    formatCell(result, value, index) {
+        const column = result.columns[index];
+        return exportFormatter.format(value, column.dataType, this.resolveFormatString(column.name));
+    }
+
+    resultNote(result, shownRows) {
+        if (result.rowCount > shownRows) return `Showing ${shownRows} of ${result.rowCount} rows`;
+        if (result.truncated) return `Showing ${shownRows} rows (more were returned than the conversation keeps)`;
+        return `${result.rowCount} rows`;
+    }
+
+    /**
+     * Builds a Markdown document; code blocks are kept, results become tables
+     * @returns {string} Markdown text
+     */
+    toMarkdown() {
+        const maxRows = exportConfig.EXPORT.MARKDOWN_MAX_ROWS;
+        const cell = text => text.replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+        const lines = [`# ${this.title}`, ''];
+        lines.push(`_${this.database ? `Model: ${this.database} · ` : ''}Exported ${this.exportedAt.toLocaleString()}_`, '');
+
+        this.entries.forEach(entry => {
+            lines.push(`## ${EXPORT_LABELS[entry.role] || EXPORT_LABELS.error}`, '');
+            lines.push(ConversationExport.entryText(entry).trim());
+            if (entry.stopped) lines.push('', '_(stopped)_');
+            if (ConversationExport.showsQuery(entry)) {
+                lines.push('', '```dax', entry.query, '```');
+            }
+
+            const result = entry.result;
+            if (result && result.columns && result.columns.length > 0 && result.rows.length > 0) {
+                const rows = result.rows.slice(0, maxRows);
+                lines.push('');
+                lines.push(`| ${result.columns.map(col => cell(col.name)).join(' | ')} |`);
+                lines.push(`| ${result.columns.map(col => (exportFormatter.isNumericType(col.dataType) ? '---:' : '---')).join(' | ')} |`);
+                rows.forEach(row => {
+                    lines.push(`| ${row.map((value, index) => cell(this.formatCell(result, value, index))).join(' | ')} |`);
+                });
+                lines.push('', `_${this.resultNote(result, rows.length)}_`);
+            }
+            lines.push('');
+        });
+        return lines.join('\n');
+    }
+
+    /**
+     * Builds a self-contained HTML page (inline styles, no scripts) with results as tables
+     * @returns {string} HTML document
+     */
+    toHTML() {
+        const escape = ConversationExport.escapeHtml;
+        let body = `<h1>${escape(this.title)}</h1>\n`;
+        body += `<div class="meta">${this.database ? `Model: ${escape(this.database)} · ` : ''}Exported ${escape(this.exportedAt.toLocaleString())}</div>\n`;
+
+        this.entries.forEach(entry => {
+            const role = EXPORT_LABELS[entry.role] ? entry.role : 'error';
+            let html = ConversationExport.markdownToHtml(ConversationExport.entryText(entry).trim());
+            if (entry.stopped) html += '<div class="note">⏹ Stopped</div>';
+            if (ConversationExport.showsQuery(entry)) {
+                html += `<pre><code>${escape(entry.query)}</code></pre>`;
+            }
+
+            const result = entry.result;
+            if (result && result.columns && result.columns.length > 0 && result.rows.length > 0) {
+                const numeric = result.columns.map(col => exportFormatter.isNumericType(col.dataType));
+                html += '<table><thead><tr>';
+                html += result.columns.map(col => `<th>${escape(col.name)}</th>`).join('');
+                html += '</tr></thead><tbody>';
+                result.rows.forEach(row => {
+                    html += '<tr>' + row.map((value, index) => {
+                        const className = numeric[index] ? ' class="numeric"' : '';
+                        return `<td${className}>${escape(this.formatCell(result, value, index))}</td>`;
+                    }).join('') + '</tr>';
+                });
+                html += '</tbody></table>';
+                html += `<div class="note">${escape(this.resultNote(result, result.rows.length))}</div>`;
+            }
+
+            body += `<div class="message ${role}">\n<div class="label">${EXPORT_LABELS[role]}</div>\n${html}\n</div>\n`;
+        });
+
+        return '<!DOCTYPE html>\n<html lang="en">\n<head>\n<meta charset="UTF-8">\n' +
+            `<title>${escape(this.title)}</title>\n<style>${EXPORT_HTML_STYLE}</style>\n</head>\n<body>\n${body}</body>\n</html>\n`;
+    }
+
+    /**
+     * Builds a DAX script with every executed query, each preceded by comments
+     * with the question that produced it, for DAX Studio or DAX query view
+     * @returns {string} DAX script ('' comments only when no query was run)
+     */
+    toDaxScript() {
+        const comment = text => String(text).split(/\r?\n/).map(line => `// ${line}`.trimEnd()).join('\n');
+        const parts = [comment(`Conversation: ${this.title}`)];
+        if (this.database) parts[0] += '\n' + comment(`Model: ${this.database}`);
+        parts[0] += '\n' + comment(`Exported ${this.exportedAt.toLocaleString()}`);
+
+        let question = null;
+        let count = 0;
+        this.entries.forEach(entry => {
+            if (entry.role === 'user') {
+                question = entry.content;
+                return;
+            }
+            if (!entry.query) return;
+
+            count++;
+            let header = comment('-'.repeat(70)) + '\n';
+            header += comment(`Query ${count}${entry.tool ? ` (assistant, ${entry.tool.name})` : ' (typed in the chat)'}`) + '\n';
+            if (question) header += comment(`Question: ${question}`) + '\n';
+            const result = entry.result;
+            if (result && result.role) header += comment(`Run as role: ${result.role}`) + '\n';
+            if (entry.tool && !entry.tool.success) {
+                header += comment('This query failed') + '\n';
+            } else if (result) {
+                header += comment(`${result.rowCount} rows returned`) + '\n';
+            }
+            parts.push(header + entry.query.trim());
+        });
+
+        if (count === 0) parts.push(comment('No queries were executed in this conversation.'));
+        return parts.join('\n\n') + '\n';
+    }
+
+    /**
+     * Converts the chat's Markdown subset (code blocks, inline code, bold, line breaks) to HTML
+     */
+    static markdownToHtml(text) {
+        const escape = ConversationExport.escapeHtml;
+        return text.split(/(```[^\n]*\n[\s\S]*?```)/).map(part => {
+            const block = part.match(/^```[^\n]*\n([\s\S]*?)```$/);
+            if (block) return `<pre><code>${escape(block[1].replace(/\n$/, ''))}</code></pre>`;
+            // Code blocks are block elements already, so line breaks next to them are dropped
+            return escape(part.replace(/^\n|\n$/g, ''))
+                .replace(/`([^`\n]+)`/g, '<code>$1</code>')
+                .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
+                .replace(/\n/g, '<br>\n');
+        }).join('');
+    }
+
+    static escapeHtml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConversationExport;
+}
+
+// Also expose to window object for browser environments
+if (typeof window !== 'undefined') {
+    window.ConversationExport = ConversationExport;
+}
@@ -0,0 +1,143 @@
+/**
+ * Credential Store
+ * Keeps secrets (the LLM API token) in the main process, encrypted with Electron's
+ * safeStorage (DPAPI on Windows, Keychain on macOS, the secret service on Linux).
+ * The file only ever contains encrypted values; the renderer never receives them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class CredentialStore {
+    /**
+     * @param {string} filePath - JSON file the encrypted values are kept in
+     * @param {Object} safeStorage - Electron's safeStorage module
+     */
+    constructor(filePath, safeStorage) {
+        this.filePath = filePath;
+        this.safeStorage = safeStorage;
+        this.values = null; // name -> base64 encrypted value, loaded on first use
+    }
+
+    /**
+     * Whether the operating system can encrypt secrets
+     */
+    isAvailable() {
+        return this.safeStorage.isEncryptionAvailable();
+    }
+
+    async load() {
+        if (this.values) return this.values;
+        try {
+            this.values = JSON.parse(await fs.promises.readFile(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error('[Credentials] Could not read the credential file:', error.message);
+            }
+            this.values = {};
+        }
+        return this.values;
+    }
+
+    async persist() {
+        await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+        const temporaryFile = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(temporaryFile, JSON.stringify(this.values, null, 2), 'utf8');
+        await fs.promises.rename(temporaryFile, this.filePath);
+    }
+
+    /**
+     * Checks whether a secret is stored
+     * @param {string} name - Secret name
+     * @returns {Promise<boolean>} True if stored
+     */
+    async has(name) {
+        const values = await this.load();
+        return Boolean(values[name]);
+    }
+
+    /**
+     * Reads a secret
+     * @param {string} name - Secret name
+     * @returns {Promise<string>} The decrypted value ('' if none is stored)
+     * @throws {Error} If the value cannot be decrypted (e.g. the file was copied from another user)
+     */
+    async get(name) {
+        const values = await this.load();
+        if (!values[name]) return '';
+        try {
+            return this.safeStorage.decryptString(Buffer.from(values[name], 'base64'));
+        } catch (error) {
+            throw new Error(`The saved ${name} cannot be decrypted on this account - please enter it again (${error.message})`);
+        }
+    }
+
+    /**
+     * Encrypts and stores a secret; an empty value deletes it
+     * @param {string} name - Secret name
+     * @param {string} value - Secret value
+     * @throws {Error} If the operating system offers no encryption
+     */
+    async set(name, value) {
+        if (!value) {
+            await this.remove(name);
+            return;
+        }
+        if (!this.isAvailable()) {
+            throw new Error('Secure storage is not available on this system, so the API token or client secret cannot be saved');
+        }
+        const values = await this.load();
+        values[name] = this.safeStorage.encryptString(value).toString('base64');
+        await this.persist();
+    }
+
+    /**
+     * Reads a secret that belongs to one scope, e.g. the URL origin an API token was entered for
+     * A secret saved for another scope is deleted instead of returned
+     * @param {string} name - Secret name
+     * @param {string} scope - Scope the secret is needed for
+     * @returns {Promise<string>} The decrypted value ('' if none is stored for this scope)
+     */
+    async getScoped(name, scope) {
+        const saved = await this.get(name);
+        if (!saved) return '';
+        let entry = null;
+        try {
+            entry = JSON.parse(saved);
+        } catch (error) {
+            entry = null;
+        }
+        if (entry && entry.scope === scope && typeof entry.value === 'string') {
+            return entry.value;
+        }
+        await this.remove(name);
+        return '';
+    }
+
+    /**
+     * Encrypts and stores a secret together with its scope; an empty value deletes it
+     * @param {string} name - Secret name
+     * @param {string} scope - Scope the secret belongs to
+     * @param {string} value - Secret value
+     * @throws {Error} If the operating system offers no encryption
+     */
+    async setScoped(name, scope, value) {
+        await this.set(name, value ? JSON.stringify({ scope, value }) : '');
+    }
+
+    /**
+     * Deletes a secret
+     * @param {string} name - Secret name
+     */
+    async remove(name) {
+        const values = await this.load();
+        if (!(name in values)) return;
+        delete values[name];
+        await this.persist();
+    }
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CredentialStore;
+}
@@ -0,0 +1,700 @@
+/**
+ * DAX Lexer and Parser
+ * Tokenizes DAX queries and builds a syntax tree used by the validator
+ */
+
+/**
+ * Error raised when a DAX query cannot be tokenized or parsed
+ * Carries the line and column (1-based) where the problem was found
+ */
+class DAXSyntaxError extends Error {
+    constructor(message, position) {
+        const line = position ? position.line : 1;
+        const column = position ? position.column : 1;
+        super(`Line ${line}, column ${column}: ${message}`);
+        this.name = 'DAXSyntaxError';
+        this.reason = message;
+        this.line = line;
+        this.column = column;
+        this.offset = position ? position.offset : 0;
+    }
+}
+
+// Multi-character operators must be listed before their single-character prefixes
+const DAX_OPERATORS = ['&&', '||', '==', '<>', '<=', '>=', '=>', '+', '-', '*', '/', '^', '&', '=', '<', '>', '(', ')', '{', '}', ',', ':', ';'];
+
+const DAX_IDENTIFIER_START = /[\p{L}_$@]/u;
+const DAX_IDENTIFIER_PART = /[\p{L}\p{N}_.$]/u;
+
+/**
+ * DAX Lexer
+ * Splits a query into tokens: identifiers, numbers, strings, quoted table names,
+ * bracketed column/measure names and operators. Comments and whitespace are skipped.
+ */
+class DAXLexer {
+    constructor(text) {
+        this.text = text || '';
+        this.offset = 0;
+        this.line = 1;
+        this.column = 1;
+    }
+
+    /**
+     * Tokenizes the whole input
+     * @returns {Array<Object>} Tokens, terminated by an 'eof' token
+     * @throws {DAXSyntaxError} On unterminated strings, names or comments
+     */
+    tokenize() {
+        const tokens = [];
+        let token;
+        do {
+            token = this.nextToken();
+            tokens.push(token);
+        } while (token.type !== 'eof');
+        return tokens;
+    }
+
+    position() {
+        return { offset: this.offset, line: this.line, column: this.column };
+    }
+
+    peekChar(ahead = 0) {
+        return this.text.charAt(this.offset + ahead);
+    }
+
+    advance(count = 1) {
+        for (let i = 0; i < count && this.offset < this.text.length; i++) {
+            if (this.text.charAt(this.offset) === '\n') {
+                this.line++;
+                this.column = 1;
+            } else {
+                this.column++;
+            }
+            this.offset++;
+        }
+    }
+
+    skipWhitespaceAndComments() {
+        while (this.offset < this.text.length) {
+            const ch = this.peekChar();
+            const next = this.peekChar(1);
+
+            if (/\s/.test(ch)) {
+                this.advance();
+            } else if ((ch === '/' && next === '/') || (ch === '-' && next === '-')) {
+                while (this.offset < this.text.length && this.peekChar() !== '\n') {
+                    this.advance();
+                }
+            } else if (ch === '/' && next === '*') {
+                const start = this.position();
+                this.advance(2);
+                while (this.offset < this.text.length && !(this.peekChar() === '*' && this.peekChar(1) === '/')) {
+                    this.advance();
+                }
+                if (this.offset >= this.text.length) {
+                    throw new DAXSyntaxError('Unterminated block comment', start);
+                }
+                this.advance(2);
+            } else {
+                return;
+            }
+        }
+    }
+
+    /**
+     * Reads a delimited token where the closing delimiter is escaped by doubling it
+     * (used for "strings", 'table names' and [column names])
+     */
+    readDelimited(close, description) {
+        const start = this.position();
+        this.advance(); // opening delimiter
+        let value = '';
+        while (true) {
+            if (this.offset >= this.text.length) {
+                throw new DAXSyntaxError(`Unterminated ${description}`, start);
+            }
+            const ch = this.peekChar();
+            if (ch === close) {
+                if (this.peekChar(1) === close) {
+                    value += close;
+                    this.advance(2);
+                    continue;
+                }
+                this.advance();
+                break;
+            }
+            value += ch;
+            this.advance();
+        }
+        return { value, start };
+    }
+
+    makeToken(type, value, start) {
+        return {
+            type,
+            value,
+            text: this.text.substring(start.offset, this.offset),
+            start,
+            end: this.position()
+        };
+    }
+
+    /**
+     * Reads the next token from the input
+     * @returns {Object} Token {type, value, text, start, end}
+     */
+    nextToken() {
+        this.skipWhitespaceAndComments();
+
+        const start = this.position();
+        if (this.offset >= this.text.length) {
+            return this.makeToken('eof', '', start);
+        }
+
+        const ch = this.peekChar();
+
+        if (ch === '"') {
+            const { value } = this.readDelimited('"', 'string literal');
+            return this.makeToken('string', value, start);
+        }
+
+        if (ch === '\'') {
+            const { value } = this.readDelimited('\'', 'quoted table name');
+            return this.makeToken('table', value, start);
+        }
+
+        if (ch === '[') {
+            const { value } = this.readDelimited(']', 'bracketed name');
+            return this.makeToken('column', value, start);
+        }
+
+        if (/[0-9]/.test(ch) || (ch === '.' && /[0-9]/.test(this.peekChar(1)))) {
+            while (/[0-9]/.test(this.peekChar())) this.advance();
+            if (this.peekChar() === '.') {
+                this.advance();
+                while (/[0-9]/.test(this.peekChar())) this.advance();
+            }
+            if (/[eE]/.test(this.peekChar()) && /[0-9+-]/.test(this.peekChar(1))) {
+                this.advance(2);
+                while (/[0-9]/.test(this.peekChar())) this.advance();
+            }
+            const text = this.text.substring(start.offset, this.offset);
+            return this.makeToken('number', Number(text), start);
+        }
+
+        if (DAX_IDENTIFIER_START.test(ch)) {
+            while (this.offset < this.text.length && DAX_IDENTIFIER_PART.test(this.peekChar())) {
+                this.advance();
+            }
+            const text = this.text.substring(start.offset, this.offset);
+            return this.makeToken('identifier', text, start);
+        }
+
+        for (const op of DAX_OPERATORS) {
+            if (this.text.startsWith(op, this.offset)) {
+                this.advance(op.length);
+                return this.makeToken('operator', op, start);
+            }
+        }
+
+        throw new DAXSyntaxError(`Unexpected character '${ch}'`, start);
+    }
+}
+
+// Binary operator precedence levels, lowest first
+const DAX_BINARY_LEVELS = [
+    ['||'],
+    ['&&'],
+    null, // NOT (unary) sits between && and the comparison operators
+    ['=', '==', '<>', '<', '>', '<=', '>=', 'IN'],
+    ['&'],
+    ['+', '-'],
+    ['*', '/']
+];
+
+// Keywords that can never start an expression
+const DAX_RESERVED = ['DEFINE', 'EVALUATE', 'ORDER', 'START', 'RETURN', 'MEASURE'];
+
+/**
+ * DAX Parser
+ * Recursive-descent parser producing a syntax tree for DAX queries.
+ * Every node has {type, start, end}, where start/end are {offset, line, column}.
+ */
+class DAXParser {
+    constructor(text) {
+        this.text = text || '';
+        this.tokens = new DAXLexer(this.text).tokenize();
+        this.index = 0;
+    }
+
+    /**
+     * Parses a DAX query into a syntax tree
+     * @param {string} text - The DAX query
+     * @returns {Object} The Query node
+     * @throws {DAXSyntaxError} If the query is not valid DAX
+     */
+    static parse(text) {
+        return new DAXParser(text).parseQuery();
+    }
+
+    /**
+     * Visits every node of a syntax tree depth-first
+     * @param {Object} node - The root node
+     * @param {Function} visitor - Called as visitor(node, parent, ancestors)
+     */
+    static walk(node, visitor, parent = null, ancestors = []) {
+        if (!node || typeof node !== 'object') return;
+        visitor(node, parent, ancestors);
+        const path = [...ancestors, node];
+        for (const child of DAXParser.children(node)) {
+            DAXParser.walk(child, visitor, node, path);
+        }
+    }
+
+    /**
+     * Returns the direct child nodes of a syntax tree node
+     * @param {Object} node - The node
+     * @returns {Array<Object>} Child nodes in source order
+     */
+    static children(node) {
+        const result = [];
+        for (const [key, value] of Object.entries(node)) {
+            if (key === 'start' || key === 'end') continue;
+            if (Array.isArray(value)) {
+                value.forEach(item => {
+                    if (item && typeof item === 'object' && item.type) result.push(item);
+                });
+            } else if (value && typeof value === 'object' && value.type) {
+                result.push(value);
+            }
+        }
+        return result;
+    }
+
+    // ---- Token helpers ----
+
+    peek(ahead = 0) {
+        return this.tokens[Math.min(this.index + ahead, this.tokens.length - 1)];
+    }
+
+    next() {
+        const token = this.peek();
+        if (token.type !== 'eof') this.index++;
+        return token;
+    }
+
+    previous() {
+        return this.tokens[Math.max(this.index - 1, 0)];
+    }
+
+    isOperator(value, ahead = 0) {
+        const token = this.peek(ahead);
+        return token.type === 'operator' && token.value === value;
+    }
+
+    isKeyword(keyword, ahead = 0) {
+        const token = this.peek(ahead);
+        return token.type === 'identifier' && token.value.toUpperCase() === keyword;
+    }
+
+    describe(token) {
+        return token.type === 'eof' ? 'end of query' : `'${token.text}'`;
+    }
+
+    fail(message, token = this.peek()) {
+        throw new DAXSyntaxError(message, token.start);
+    }
+
+    expectOperator(value) {
+        if (!this.isOperator(value)) {
+            this.fail(`Expected '${value}' but found ${this.describe(this.peek())}`);
+        }
+        return this.next();
+    }
+
+    expectKeyword(keyword) {
+        if (!this.isKeyword(keyword)) {
+            this.fail(`Expected ${keyword} but found ${this.describe(this.peek())}`);
+        }
+        return this.next();
+    }
+
+    expectIdentifier(description) {
+        const token = this.peek();
+        if (token.type !== 'identifier') {
+            this.fail(`Expected ${description} but found ${this.describe(token)}`);
+        }
+        return this.next();
+    }
+
+    node(type, startToken, props) {
+        return { type, ...props, start: startToken.start, end: this.previous().end };
+    }
+
+    // ---- Query structure ----
+
+    parseQuery() {
+        const first = this.peek();
+        const definitions = [];
+        const statements = [];
+
+        if (first.type === 'eof') {
+            this.fail('Query is empty');
+        }
+
+        if (this.isKeyword('DEFINE')) {
+            this.next();
+            definitions.push(this.parseDefinition());
+            while (this.isDefinitionStart()) {
+                definitions.push(this.parseDefinition());
+            }
+            if (!this.isKeyword('EVALUATE')) {
+                this.fail(`Expected EVALUATE after DEFINE block but found ${this.describe(this.peek())}`);
+            }
+        }
+
+        if (this.isKeyword('EVALUATE')) {
+            while (this.isKeyword('EVALUATE')) {
+                statements.push(this.parseEvaluate());
+            }
+        } else {
+            // Bare table expression - EVALUATE is added before execution
+            const startToken = this.peek();
+            const expression = this.parseExpression();
+            statements.push(this.node('Evaluate', startToken, {
+                implicit: true,
+                expression,
+                orderBy: [],
+                startAt: []
+            }));
+        }
+
+        while (this.isOperator(';')) this.next();
+
+        if (this.peek().type !== 'eof') {
+            this.fail(`Unexpected ${this.describe(this.peek())} after end of statement`);
+        }
+
+        return this.node('Query', first, { definitions, statements });
+    }
+
+    isDefinitionStart() {
+        return ['MEASURE', 'VAR', 'TABLE', 'COLUMN', 'FUNCTION'].some(k => this.isKeyword(k));
+    }
+
+    parseDefinition() {
+        const startToken = this.peek();
+        const keyword = startToken.type === 'identifier' ? startToken.value.toUpperCase() : '';
+
+        switch (keyword) {
+            case 'MEASURE':
+            case 'COLUMN': {
+                this.next();
+                const table = this.parseTableName();
+                const nameToken = this.peek();
+                if (nameToken.type !== 'column') {
+                    this.fail(`Expected [name] after ${keyword} table but found ${this.describe(nameToken)}`);
+                }
+                this.next();
+                this.expectOperator('=');
+                const expression = this.parseExpression();
+                return this.node(keyword === 'MEASURE' ? 'MeasureDefinition' : 'ColumnDefinition', startToken, {
+                    table,
+                    name: nameToken.value,
+                    expression
+                });
+            }
+            case 'VAR': {
+                this.next();
+                const name = this.expectIdentifier('variable name').value;
+                this.expectOperator('=');
+                const expression = this.parseExpression();
+                return this.node('VarDefinition', startToken, { name, expression });
+            }
+            case 'TABLE': {
+                this.next();
+                const name = this.parseTableName();
+                this.expectOperator('=');
+                const expression = this.parseExpression();
+                return this.node('TableDefinition', startToken, { name, expression });
+            }
+            case 'FUNCTION': {
+                this.next();
+                const name = this.expectIdentifier('function name').value;
+                this.expectOperator('=');
+                this.expectOperator('(');
+                const parameters = [];
+                if (!this.isOperator(')')) {
+                    do {
+                        const param = this.expectIdentifier('parameter name');
+                        let hint = null;
+                        if (this.isOperator(':')) {
+                            this.next();
+                            const hintParts = [this.expectIdentifier('parameter type').value];
+                            while (this.peek().type === 'identifier') {
+                                hintParts.push(this.next().value);
+                            }
+                            hint = hintParts.join(' ');
+                        }
+                        parameters.push({ name: param.value, hint });
+                    } while (this.isOperator(',') && this.next());
+                }
+                this.expectOperator(')');
+                this.expectOperator('=>');
+                const expression = this.parseExpression();
+                return this.node('FunctionDefinition', startToken, { name, parameters, expression });
+            }
+            default:
+                return this.fail(`Expected MEASURE, VAR, TABLE, COLUMN or FUNCTION in DEFINE block but found ${this.describe(startToken)}`);
+        }
+    }
+
+    parseTableName() {
+        const token = this.peek();
+        if (token.type === 'table' || token.type === 'identifier') {
+            this.next();
+            return token.value;
+        }
+        return this.fail(`Expected table name but found ${this.describe(token)}`);
+    }
+
+    parseEvaluate() {
+        const startToken = this.expectKeyword('EVALUATE');
+        const expression = this.parseExpression();
+        const orderBy = [];
+        const startAt = [];
+
+        if (this.isKeyword('ORDER')) {
+            this.next();
+            this.expectKeyword('BY');
+            do {
+                const itemStart = this.peek();
+                const itemExpression = this.parseExpression();
+                let direction = 'ASC';
+                if (this.isKeyword('ASC') || this.isKeyword('DESC')) {
+                    direction = this.next().value.toUpperCase();
+                }
+                orderBy.push(this.node('OrderByItem', itemStart, { expression: itemExpression, direction }));
+            } while (this.isOperator(',') && this.next());
+
+            if (this.isKeyword('START')) {
+                this.next();
+                this.expectKeyword('AT');
+                do {
+                    startAt.push(this.parseExpression());
+                } while (this.isOperator(',') && this.next());
+            }
+        } else if (this.isKeyword('START')) {
+            this.fail('START AT requires an ORDER BY clause');
+        }
+
+        return this.node('Evaluate', startToken, { implicit: false, expression, orderBy, startAt });
+    }
+
+    // ---- Expressions ----
+
+    parseExpression() {
+        return this.parseBinary(0);
+    }
+
+    parseBinary(level) {
+        if (level >= DAX_BINARY_LEVELS.length) {
+            return this.parseUnary();
+        }
+        if (DAX_BINARY_LEVELS[level] === null) {
+            return this.parseNot(level);
+        }
+
+        const operators = DAX_BINARY_LEVELS[level];
+        const startToken = this.peek();
+        let left = this.parseBinary(level + 1);
+
+        while (true) {
+            const token = this.peek();
+            const op = token.type === 'operator' ? token.value : (token.type === 'identifier' ? token.value.toUpperCase() : null);
+            if (!op || !operators.includes(op)) break;
+            this.next();
+            const right = this.parseBinary(level + 1);
+            left = this.node('BinaryExpression', startToken, { operator: op, left, right });
+        }
+
+        return left;
+    }
+
+    parseNot(level) {
+        // NOT(...) is parsed as a regular function call
+        if (this.isKeyword('NOT') && !this.isOperator('(', 1)) {
+            const startToken = this.next();
+            const argument = this.parseNot(level);
+            return this.node('UnaryExpression', startToken, { operator: 'NOT', argument });
+        }
+        return this.parseBinary(level + 1);
+    }
+
+    parseUnary() {
+        if (this.isOperator('-') || this.isOperator('+')) {
+            const startToken = this.next();
+            const argument = this.parseUnary();
+            return this.node('UnaryExpression', startToken, { operator: startToken.value, argument });
+        }
+        return this.parsePower();
+    }
+
+    parsePower() {
+        const startToken = this.peek();
+        let left = this.parsePrimary();
+        while (this.isOperator('^')) {
+            this.next();
+            const right = this.parseUnary();
+            left = this.node('BinaryExpression', startToken, { operator: '^', left, right });
+        }
+        return left;
+    }
+
+    parsePrimary() {
+        const token = this.peek();
+
+        switch (token.type) {
+            case 'number':
+                this.next();
+                return this.node('NumberLiteral', token, { value: token.value });
+
+            case 'string':
+                this.next();
+                return this.node('StringLiteral', token, { value: token.value });
+
+            case 'table': {
+                this.next();
+                if (this.peek().type === 'column') {
+                    const column = this.next();
+                    return this.node('ColumnRef', token, { table: token.value, name: column.value });
+                }
+                return this.node('TableRef', token, { name: token.value });
+            }
+
+            case 'column':
+                this.next();
+                return this.node('ColumnRef', token, { table: null, name: token.value });
+
+            case 'identifier':
+                return this.parseIdentifierExpression();
+
+            case 'operator':
+                if (token.value === '(') return this.parseParenthesized();
+                if (token.value === '{') return this.parseTableConstructor();
+                break;
+
+            default:
+                break;
+        }
+
+        return this.fail(`Unexpected ${this.describe(token)}`);
+    }
+
+    parseIdentifierExpression() {
+        const token = this.peek();
+        const upper = token.value.toUpperCase();
+
+        if (upper === 'VAR') {
+            return this.parseVarBlock();
+        }
+        if (DAX_RESERVED.includes(upper)) {
+            return this.fail(`Unexpected keyword ${upper}`);
+        }
+
+        this.next();
+
+        if (this.isOperator('(')) {
+            return this.parseFunctionCall(token);
+        }
+        if (this.peek().type === 'column') {
+            const column = this.next();
+            return this.node('ColumnRef', token, { table: token.value, name: column.value });
+        }
+        return this.node('Identifier', token, { name: token.value });
+    }
+
+    parseFunctionCall(nameToken) {
+        this.expectOperator('(');
+        const args = [];
+
+        if (!this.isOperator(')')) {
+            while (true) {
+                // Optional arguments may be skipped, e.g. RANKX(t, expr, , DESC)
+                if (this.isOperator(',') || this.isOperator(')')) {
+                    const here = this.peek();
+                    args.push({ type: 'EmptyArgument', start: here.start, end: here.start });
+                } else {
+                    args.push(this.parseExpression());
+                }
+                if (this.isOperator(',')) {
+                    this.next();
+                    continue;
+                }
+                break;
+            }
+        }
+
+        this.expectOperator(')');
+        return this.node('FunctionCall', nameToken, {
+            name: nameToken.value.toUpperCase(),
+            arguments: args
+        });
+    }
+
+    parseVarBlock() {
+        const startToken = this.peek();
+        const variables = [];
+
+        while (this.isKeyword('VAR')) {
+            const varToken = this.next();
+            const name = this.expectIdentifier('variable name').value;
+            this.expectOperator('=');
+            const expression = this.parseExpression();
+            variables.push(this.node('VarDefinition', varToken, { name, expression }));
+        }
+
+        this.expectKeyword('RETURN');
+        const body = this.parseExpression();
+        return this.node('VarBlock', startToken, { variables, body });
+    }
+
+    parseParenthesized() {
+        const startToken = this.expectOperator('(');
+        const items = [this.parseExpression()];
+        while (this.isOperator(',')) {
+            this.next();
+            items.push(this.parseExpression());
+        }
+        this.expectOperator(')');
+
+        if (items.length > 1) {
+            return this.node('Tuple', startToken, { items });
+        }
+        return this.node('Parenthesized', startToken, { expression: items[0] });
+    }
+
+    parseTableConstructor() {
+        const startToken = this.expectOperator('{');
+        const rows = [];
+        if (!this.isOperator('}')) {
+            do {
+                rows.push(this.parseExpression());
+            } while (this.isOperator(',') && this.next());
+        }
+        this.expectOperator('}');
+        return this.node('TableConstructor', startToken, { rows });
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { DAXLexer, DAXParser, DAXSyntaxError };
+}
+
+// Also expose to window object for browser environments
+if (typeof window !== 'undefined') {
+    window.DAXLexer = DAXLexer;
+    window.DAXParser = DAXParser;
+    window.DAXSyntaxError = DAXSyntaxError;
+}
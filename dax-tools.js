@@ -0,0 +1,367 @@
+/**
+ * DAX Tools
+ * Tools the AI assistant can call (OpenAI function-calling format) to query the
+ * semantic model itself: run DAX, sample a table, look up a measure and compare
+ * a rewritten query with the original (timings and results).
+ * Every query goes through XMLAConnection.executeDAX(), so the DAXValidator
+ * safeguards (blocked patterns, row limit) apply to the assistant's queries too.
+ */
+
+const DAX_TOOL_DEFINITIONS = [
+    {
+        type: 'function',
+        function: {
+            name: 'execute_dax',
+            description: 'Runs a DAX query (EVALUATE ..., optionally with DEFINE) against the connected semantic model and returns the result rows.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    query: {
+                        type: 'string',
+                        description: 'The complete DAX query, e.g. EVALUATE SUMMARIZECOLUMNS(\'Date\'[Year], "Sales", [Total Sales])'
+                    }
+                },
+                required: ['query']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'get_table_sample',
+            description: 'Returns the first rows of a table to show what its data looks like.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    table: {
+                        type: 'string',
+                        description: 'Table name as listed in the model'
+                    },
+                    rows: {
+                        type: 'integer',
+                        description: 'Number of rows to return'
+                    }
+                },
+                required: ['table']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'describe_measure',
+            description: 'Returns the definition of a measure (expression, home table, format string, description) and its value over the whole model.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    measure: {
+                        type: 'string',
+                        description: 'Measure name, with or without square brackets'
+                    }
+                },
+                required: ['measure']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'compare_queries',
+            description: 'Runs an original and a rewritten DAX query (each once to warm the cache, then timed) and compares their server timings and whether they return the same rows. Rows are matched by the grouping columns and values by column name, so keep the column names of the original. Use it to check that an optimization is faster and gives the same result.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    original: {
+                        type: 'string',
+                        description: 'The original DAX query'
+                    },
+                    rewritten: {
+                        type: 'string',
+                        description: 'The rewritten DAX query'
+                    }
+                },
+                required: ['original', 'rewritten']
+            }
+        }
+    }
+];
+
+// Result comparison shared with COMPARE:: required in Node.js, loaded via <script> in the browser
+const toolsResultDiff = typeof module !== 'undefined' && module.exports ? require('./result-diff') : window.ResultDiff;
+
+class DAXTools {
+    /**
+     * @param {Object} options
+     * @param {Function} options.executeQuery - async (daxQuery, options) => executeDAX() result; options.profile records server timings
+     * @param {Function} options.getModel - () => semantic model metadata {tables, measures, ...}
+     * @param {Function} options.stringifyRows - (rows) => string, used to serialize rows for the model (optional)
+     * @param {number} options.maxResultRows - Rows of each result sent back to the model (optional)
+     * @param {number} options.sampleRows - Default row count for get_table_sample (optional)
+     * @param {number} options.warmupRuns - Untimed runs of each query in compare_queries (optional)
+     */
+    constructor(options) {
+        const CONFIG = typeof module !== 'undefined' && module.exports ? require('./config') : window.CONFIG;
+
+        this.executeQuery = options.executeQuery;
+        this.getModel = options.getModel;
+        this.stringifyRows = options.stringifyRows || (rows => JSON.stringify(rows, null, 2));
+        this.maxResultRows = options.maxResultRows || CONFIG.AGENT.TOOL_RESULT_ROWS;
+        this.sampleRows = options.sampleRows || CONFIG.AGENT.SAMPLE_ROWS;
+        this.warmupRuns = options.warmupRuns !== undefined ? options.warmupRuns : CONFIG.EXPLAIN.COMPARE_WARMUP_RUNS;
+    }
+
+    /**
+     * Tool definitions for the `tools` field of a chat completion request
+     * @returns {Array<Object>} OpenAI function tool definitions
+     */
+    static definitions() {
+        return DAX_TOOL_DEFINITIONS;
+    }
+
+    /**
+     * Parses the JSON arguments of a tool call
+     * @param {string|Object} args - tool_call.function.arguments
+     * @returns {Object} The parsed arguments
+     * @throws {Error} If the arguments are not valid JSON
+     */
+    static parseArguments(args) {
+        if (!args) return {};
+        if (typeof args === 'object') return args;
+        try {
+            return JSON.parse(args);
+        } catch (error) {
+            throw new Error(`Invalid tool arguments: ${error.message}`);
+        }
+    }
+
+    /**
+     * Runs a tool call
+     * Failures are returned as content (not thrown) so the model can correct itself
+     * @param {string} name - Tool name
+     * @param {Object} args - Parsed tool arguments
+     * @returns {Promise<Object>} {success, content (text for the model), query, result (executeDAX result or null)}
+     */
+    async execute(name, args) {
+        try {
+            switch (name) {
+                case 'execute_dax':
+                    return await this.executeDax(args);
+                case 'get_table_sample':
+                    return await this.getTableSample(args);
+                case 'describe_measure':
+                    return await this.describeMeasure(args);
+                case 'compare_queries':
+                    return await this.compareQueries(args);
+                default:
+                    throw new Error(`Unknown tool: ${name}`);
+            }
+        } catch (error) {
+            console.warn(`[DAXTools] ${name} failed:`, error.message);
+            return {
+                success: false,
+                content: `Error: ${error.message}`,
+                query: error.query || null,
+                result: null
+            };
+        }
+    }
+
+    async executeDax(args) {
+        const query = (args.query || '').trim();
+        if (!query) {
+            throw new Error('The "query" argument is required');
+        }
+        return this.runQuery(query);
+    }
+
+    async getTableSample(args) {
+        const table = this.findTable(args.table);
+        const rows = Math.min(Math.max(parseInt(args.rows, 10) || this.sampleRows, 1), this.maxResultRows);
+        return this.runQuery(`EVALUATE TOPN(${rows}, ${DAXTools.quoteTableName(table.name)})`);
+    }
+
+    async describeMeasure(args) {
+        const measure = this.findMeasure(args.measure);
+        const lines = [`Measure: [${measure.name}]`];
+        if (measure.table) lines.push(`Table: ${measure.table}`);
+        if (measure.description) lines.push(`Description: ${measure.description}`);
+        if (measure.displayFolder) lines.push(`Folder: ${measure.displayFolder}`);
+        if (measure.formatString) lines.push(`Format: ${measure.formatString}`);
+        if (measure.dataType) lines.push(`Data type: ${measure.dataType}`);
+        if (measure.isHidden) lines.push('Hidden: yes');
+        lines.push(`Expression:\n${measure.expression || '(not available)'}`);
+
+        // The value without filters gives the model a sense of scale
+        const query = `EVALUATE ROW("Value", ${DAXTools.quoteMeasureName(measure.name)})`;
+        let result = null;
+        try {
+            result = await this.executeQuery(query);
+            const value = result.data && result.data[0] ? Object.values(result.data[0])[0] : null;
+            lines.push(`Value (no filters): ${value === null || value === undefined ? '(blank)' : this.stringifyRows(value)}`);
+        } catch (error) {
+            lines.push(`Value (no filters): could not be evaluated - ${error.message}`);
+        }
+
+        return { success: true, content: lines.join('\n'), query, result };
+    }
+
+    async compareQueries(args) {
+        const original = (args.original || '').trim();
+        const rewritten = (args.rewritten || '').trim();
+        if (!original || !rewritten) {
+            throw new Error('The "original" and "rewritten" arguments are required');
+        }
+        const query = `-- Original\n${original}\n\n-- Rewritten\n${rewritten}`;
+
+        let before;
+        let after;
+        try {
+            before = await this.timeQuery(original);
+            after = await this.timeQuery(rewritten);
+        } catch (error) {
+            error.query = query;
+            throw error;
+        }
+
+        const describe = run => {
+            const timings = run.result.serverTimings;
+            const detail = timings
+                ? `FE ${timings.formulaEngineDuration} ms, SE ${timings.storageEngineDuration} ms, SE queries: ${timings.storageEngineQueries}, cache hits: ${timings.cacheHits}`
+                : 'measured in the app, server timings not available';
+            return `${run.duration} ms (${detail}), ${run.result.rowCount} rows`;
+        };
+        const lines = [`Original: ${describe(before)}`, `Rewritten: ${describe(after)}`];
+
+        if (after.duration > 0 && after.duration < before.duration) {
+            lines.push(`The rewritten query is ${(before.duration / after.duration).toFixed(1)}x faster (${before.duration - after.duration} ms less).`);
+        } else if (after.duration > before.duration) {
+            lines.push(`The rewritten query is slower (${after.duration - before.duration} ms more).`);
+        } else {
+            lines.push('Both queries take the same time.');
+        }
+
+        lines.push(DAXTools.describeDiff(toolsResultDiff.compare(before.result, after.result)));
+
+        return { success: true, content: lines.join('\n'), query, result: after.result };
+    }
+
+    /**
+     * Runs a query after warm-up runs; the duration is the server's if it reports timings
+     * @returns {Promise<Object>} {result, duration (ms)}
+     */
+    async timeQuery(query) {
+        for (let i = 0; i < this.warmupRuns; i++) {
+            await this.executeQuery(query);
+        }
+        const started = Date.now();
+        const result = await this.executeQuery(query, { profile: true });
+        const elapsed = Date.now() - started;
+        return { result, duration: result.serverTimings ? result.serverTimings.totalDuration : elapsed };
+    }
+
+    /**
+     * Summarizes a ResultDiff.compare() of the original and the rewritten result for the model
+     * @param {Object} diff - Result of ResultDiff.compare()
+     * @returns {string} e.g. "Results: DIFFERENT - 1 changed row, ..."
+     */
+    static describeDiff(diff) {
+        const keys = diff.keys.length > 0 ? diff.keys.join(', ') : 'whole rows';
+        if (diff.identical) {
+            return `Results: identical (rows matched by ${keys}, numbers within ${diff.tolerance}).`;
+        }
+
+        const count = (number, word) => `${number} ${word}${number === 1 ? '' : 's'}`;
+        const parts = [];
+        if (diff.onlyInA.length > 0) parts.push(`columns only in the original: ${diff.onlyInA.join(', ')}`);
+        if (diff.onlyInB.length > 0) parts.push(`columns only in the rewritten: ${diff.onlyInB.join(', ')}`);
+        if (diff.changed.length + diff.added.length + diff.removed.length > 0) {
+            parts.push(`${count(diff.changed.length, 'changed row')}, ${count(diff.added.length, 'added row')}, ` +
+                `${count(diff.removed.length, 'removed row')} (rows matched by ${keys})`);
+        }
+        if (diff.changed.length > 0) {
+            const first = diff.changed[0];
+            const column = first.columns[0];
+            const key = diff.keys.map(name => `${name}=${JSON.stringify(first.a[name])}`).join(', ');
+            parts.push(`first change${key ? ` at ${key}` : ''}: ${column} ${JSON.stringify(first.a[column])} vs. ${JSON.stringify(first.b[column])}`);
+        }
+        return `Results: DIFFERENT - ${parts.join('; ')}.`;
+    }
+
+    /**
+     * Executes a query and summarizes the result for the model
+     */
+    async runQuery(query) {
+        let result;
+        try {
+            result = await this.executeQuery(query);
+        } catch (error) {
+            error.query = query;
+            throw error;
+        }
+
+        const rows = result.data || [];
+        const shown = rows.slice(0, this.maxResultRows);
+        const lines = [`${result.rowCount} rows returned.`];
+
+        if (result.columns && result.columns.length > 0) {
+            lines.push(`Columns: ${result.columns.map(col => `${col.name} (${col.dataType})`).join(', ')}`);
+        }
+        if (result.warnings && result.warnings.length > 0) {
+            lines.push(`Warnings: ${result.warnings.join('; ')}`);
+        }
+        if (rows.length > shown.length) {
+            lines.push(`Showing the first ${shown.length} rows - aggregate or filter in DAX to see the rest.`);
+        }
+        if (shown.length > 0) {
+            lines.push(this.stringifyRows(shown));
+        }
+
+        return { success: true, content: lines.join('\n'), query, result };
+    }
+
+    findTable(name) {
+        const tableName = (name || '').trim().replace(/^'(.*)'$/, '$1').replace(/''/g, '\'');
+        if (!tableName) {
+            throw new Error('The "table" argument is required');
+        }
+        const tables = this.getModel().tables || [];
+        const table = tables.find(t => t.name === tableName) ||
+            tables.find(t => t.name.toLowerCase() === tableName.toLowerCase());
+        if (!table) {
+            throw new Error(`Table '${tableName}' not found. Available tables: ${tables.map(t => t.name).join(', ')}`);
+        }
+        return table;
+    }
+
+    findMeasure(name) {
+        const measureName = (name || '').trim().replace(/^\[(.*)\]$/, '$1').replace(/\]\]/g, ']');
+        if (!measureName) {
+            throw new Error('The "measure" argument is required');
+        }
+        const measures = this.getModel().measures || [];
+        const measure = measures.find(m => m.name === measureName) ||
+            measures.find(m => m.name.toLowerCase() === measureName.toLowerCase());
+        if (!measure) {
+            throw new Error(`Measure [${measureName}] not found`);
+        }
+        return measure;
+    }
+
+    static quoteTableName(name) {
+        return `'${name.replace(/'/g, '\'\'')}'`;
+    }
+
+    static quoteMeasureName(name) {
+        return `[${name.replace(/\]/g, ']]')}]`;
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DAXTools;
+}
+
+// Also expose to window object for browser environments
+if (typeof window !== 'undefined') {
+    window.DAXTools = DAXTools;
+}
@@ -3,6 +3,9 @@
  * Provides safety checks for DAX queries before execution
  */
 
+// Lexer/parser: required in Node.js, loaded via <script> in the browser
+const daxParsing = typeof module !== 'undefined' && module.exports ? require('./dax-parser') : window;
+
 class DAXValidator {
     constructor(config) {
         this.config = config || {};
@@ -14,8 +17,9 @@ class DAXValidator {
 
     /**
      * Validates a DAX query for safety and performance concerns
+     * The query is tokenized and parsed; all rules run on the syntax tree.
      * @param {string} daxQuery - The DAX query to validate
-     * @returns {Object} Validation result {isValid, warnings, errors}
+     * @returns {Object} Validation result {isValid, warnings, errors, modified, modifiedQuery, cappedStatements, ast}
      */
     validate(daxQuery) {
         const result = {
@@ -23,7 +27,9 @@ class DAXValidator {
             warnings: [],
             errors: [],
             modified: false,
-            modifiedQuery: daxQuery
+            modifiedQuery: daxQuery,
+            cappedStatements: [],
+            ast: null
         };
 
         if (!daxQuery || typeof daxQuery !== 'string') {
@@ -41,57 +47,253 @@ class DAXValidator {
             return result;
         }
 
-        // Check for dangerous patterns
-        for (const pattern of this.blockedPatterns) {
-            if (pattern.test(trimmedQuery)) {
-                result.isValid = false;
-                result.errors.push(`Query contains blocked pattern: ${pattern.source}. This may cause performance issues.`);
-            }
+        let parser;
+        try {
+            parser = new daxParsing.DAXParser(trimmedQuery);
+        } catch (error) {
+            return this.addSyntaxError(result, error);
+        }
+
+        const tokens = parser.tokens.filter(token => token.type !== 'eof');
+        if (tokens.length === 0) {
+            result.isValid = false;
+            result.errors.push('Query cannot be empty');
+            return result;
+        }
+
+        // Check for SELECT statements (not valid in DAX)
+        if (this.isKeywordToken(tokens[0], 'SELECT')) {
+            result.isValid = false;
+            result.errors.push('Invalid syntax: DAX queries use EVALUATE, not SELECT. This tool automatically adds EVALUATE for you.');
+            return result;
+        }
+
+        // Check for common SQL keywords that don't belong in DAX
+        // Only bare identifiers count - strings, 'Table' names and [Column] names are separate tokens
+        this.checkSqlKeywords(tokens, result);
+
+        let ast;
+        try {
+            ast = parser.parseQuery();
+        } catch (error) {
+            return this.addSyntaxError(result, error);
         }
+        result.ast = ast;
 
-        // Check for nested dangerous functions
-        for (const func of this.dangerousFunctions) {
-            const regex = new RegExp(`${func}\\s*\\([^)]*${func}`, 'gi');
-            if (regex.test(trimmedQuery)) {
-                result.warnings.push(`Nested ${func} function detected. This may be slow on large datasets.`);
+        this.checkBlockedPatterns(ast, result);
+        this.checkNestedFunctions(ast, result);
+
+        // Cap every EVALUATE statement at the configured row limit
+        if (result.isValid) {
+            this.applyRowLimit(trimmedQuery, ast, result);
+        }
+
+        return result;
+    }
+
+    /**
+     * Rewrites each EVALUATE statement so it returns at most maxRows rows
+     * The table expression is wrapped in TOPN(maxRows, ...). When the statement has
+     * an ORDER BY clause, its expressions and directions are passed to TOPN so the
+     * rows kept are the first rows of the ordered result; ORDER BY stays in place.
+     * With START AT, TOPN alone would keep the first rows before START AT skips ahead,
+     * so the START AT values become a FILTER inside TOPN; START AT stays in place too.
+     * @param {string} query - The trimmed query the syntax tree was parsed from
+     * @param {Object} ast - The syntax tree
+     * @param {Object} result - The validation result (modifiedQuery and cappedStatements are updated)
+     */
+    applyRowLimit(query, ast, result) {
+        const replacements = [];
+
+        ast.statements.forEach((statement, index) => {
+            if (this.isRowLimited(statement.expression)) {
+                return;
             }
+
+            const source = node => query.substring(node.start.offset, node.end.offset);
+            const orderArguments = statement.orderBy
+                .map(item => `, ${source(item.expression)}, ${item.direction}`)
+                .join('');
+            const table = statement.startAt.length > 0
+                ? `FILTER(${source(statement.expression)}, ${this.startAtCondition(statement, source)})`
+                : source(statement.expression);
+
+            replacements.push({
+                start: statement.expression.start.offset,
+                end: statement.expression.end.offset,
+                text: `TOPN(${this.maxRows}, ${table}${orderArguments})`
+            });
+
+            result.cappedStatements.push({
+                index: index + 1,
+                line: statement.start.line,
+                column: statement.start.column,
+                implicit: statement.implicit,
+                ordered: statement.orderBy.length > 0,
+                maxRows: this.maxRows
+            });
+
+            const label = statement.implicit ? 'Query' : `EVALUATE statement ${index + 1} (${this.formatPosition(statement)})`;
+            result.warnings.push(`${label} automatically limited to ${this.maxRows} rows for safety.`);
+        });
+
+        if (replacements.length === 0) {
+            return;
         }
 
-        // Check if query already has EVALUATE
-        const hasEvaluate = /^\s*EVALUATE/i.test(trimmedQuery);
+        // Apply from the end so earlier offsets stay valid
+        let modifiedQuery = query;
+        replacements.reverse().forEach(({ start, end, text }) => {
+            modifiedQuery = modifiedQuery.substring(0, start) + text + modifiedQuery.substring(end);
+        });
 
-        // Check if query has TOP N clause
-        const hasTopN = /TOPN\s*\(/i.test(trimmedQuery) || /TOP\s+\d+/i.test(trimmedQuery);
+        result.modified = true;
+        result.modifiedQuery = modifiedQuery;
+    }
 
-        // If no TOP N clause and no EVALUATE, suggest adding row limit
-        if (!hasTopN && !hasEvaluate) {
-            result.warnings.push(`Query does not have a row limit. Consider adding TOPN(${this.warningThreshold}, ...) to limit results.`);
+    /**
+     * Builds the FILTER condition keeping the rows at or after a statement's START AT values
+     * The values compare against the ORDER BY expressions in order, like the sort itself:
+     * ORDER BY a, b DESC START AT 1, 2 keeps a > 1 || (a = 1 && b <= 2)
+     * @param {Object} statement - The Evaluate node (with START AT)
+     * @param {Function} source - Returns the query text of a node
+     * @returns {string} The DAX condition
+     */
+    startAtCondition(statement, source) {
+        const terms = statement.startAt.map((value, i) => {
+            const item = statement.orderBy[i];
+            const last = i === statement.startAt.length - 1;
+            const operator = (item.direction === 'DESC' ? '<' : '>') + (last ? '=' : '');
+            const equal = statement.orderBy.slice(0, i)
+                .map((previous, j) => `${source(previous.expression)} = ${source(statement.startAt[j])}`);
+            return [...equal, `${source(item.expression)} ${operator} ${source(value)}`].join(' && ');
+        });
+        return terms.length === 1 ? terms[0] : terms.map(term => `(${term})`).join(' || ');
+    }
+
+    /**
+     * Checks whether a statement's table expression already returns a bounded number of rows
+     * @param {Object} expression - The EVALUATE expression node
+     * @returns {boolean} True if no row limit needs to be added
+     */
+    isRowLimited(expression) {
+        let node = expression;
+        while (node.type === 'Parenthesized') {
+            node = node.expression;
         }
 
-        // Check for SELECT statements (not valid in DAX)
-        if (/^\s*SELECT/i.test(trimmedQuery)) {
-            result.isValid = false;
-            result.errors.push('Invalid syntax: DAX queries use EVALUATE, not SELECT. This tool automatically adds EVALUATE for you.');
+        if (node.type === 'FunctionCall') {
+            if (node.name === 'ROW') {
+                return true;
+            }
+            const count = node.arguments[0];
+            return node.name === 'TOPN' && count && count.type === 'NumberLiteral' && count.value <= this.maxRows;
         }
 
-        // Check for common SQL keywords that don't belong in DAX
+        return node.type === 'TableConstructor' && node.rows.length <= this.maxRows;
+    }
+
+    /**
+     * Records a lexer/parser error on a validation result
+     * @param {Object} result - The validation result
+     * @param {Error} error - The DAXSyntaxError (or unexpected error)
+     * @returns {Object} The validation result
+     */
+    addSyntaxError(result, error) {
+        result.isValid = false;
+        if (error instanceof daxParsing.DAXSyntaxError) {
+            result.errors.push(`Syntax error at line ${error.line}, column ${error.column}: ${error.reason}`);
+        } else {
+            result.errors.push(`Syntax error: ${error.message}`);
+        }
+        return result;
+    }
+
+    isKeywordToken(token, keyword) {
+        return token && token.type === 'identifier' && token.value.toUpperCase() === keyword;
+    }
+
+    /**
+     * Formats the source position of a token or syntax tree node
+     * @param {Object} node - Token or node with a start position
+     * @returns {string} e.g. "line 2, column 5"
+     */
+    formatPosition(node) {
+        return `line ${node.start.line}, column ${node.start.column}`;
+    }
+
+    /**
+     * Warns about SQL keywords used as bare identifiers
+     * @param {Array<Object>} tokens - Query tokens
+     * @param {Object} result - The validation result
+     */
+    checkSqlKeywords(tokens, result) {
         const sqlKeywords = ['FROM', 'WHERE', 'JOIN', 'GROUP BY', 'HAVING'];
         for (const keyword of sqlKeywords) {
-            const regex = new RegExp(`\\b${keyword}\\b`, 'i');
-            if (regex.test(trimmedQuery) && !trimmedQuery.toUpperCase().includes('FILTER')) {
-                result.warnings.push(`Found SQL keyword '${keyword}'. Make sure you're using DAX syntax, not SQL.`);
+            const words = keyword.split(' ');
+            const index = tokens.findIndex((token, i) =>
+                words.every((word, offset) => this.isKeywordToken(tokens[i + offset], word))
+            );
+            if (index !== -1) {
+                result.warnings.push(`Found SQL keyword '${keyword}' at ${this.formatPosition(tokens[index])}. Make sure you're using DAX syntax, not SQL.`);
             }
         }
+    }
+
+    /**
+     * Collects all calls to the given function in a syntax tree
+     * @param {Object} ast - The syntax tree
+     * @param {string} name - Function name (case-insensitive)
+     * @returns {Array<Object>} FunctionCall nodes
+     */
+    findFunctionCalls(ast, name) {
+        const upper = name.toUpperCase();
+        const calls = [];
+        daxParsing.DAXParser.walk(ast, node => {
+            if (node.type === 'FunctionCall' && node.name === upper) {
+                calls.push(node);
+            }
+        });
+        return calls;
+    }
 
-        // Auto-add row limit if query seems safe but unlimited
-        if (!hasTopN && !hasEvaluate && result.isValid && !trimmedQuery.toUpperCase().includes('$SYSTEM')) {
-            // Wrap in TOPN for safety
-            result.modified = true;
-            result.modifiedQuery = `TOPN(${this.maxRows}, ${trimmedQuery})`;
-            result.warnings.push(`Automatically limited to ${this.maxRows} rows for safety.`);
+    /**
+     * Rejects calls whose first argument is a blocked inner call, e.g. CROSSJOIN(ALL(...))
+     * @param {Object} ast - The syntax tree
+     * @param {Object} result - The validation result
+     */
+    checkBlockedPatterns(ast, result) {
+        for (const pattern of this.blockedPatterns) {
+            const inner = pattern.inner.map(name => name.toUpperCase());
+            for (const call of this.findFunctionCalls(ast, pattern.outer)) {
+                const firstArgument = call.arguments[0];
+                if (firstArgument && firstArgument.type === 'FunctionCall' && inner.includes(firstArgument.name)) {
+                    result.isValid = false;
+                    result.errors.push(`Query contains blocked pattern ${call.name}(${firstArgument.name}(...)) at ${this.formatPosition(call)}. This may cause performance issues.`);
+                }
+            }
         }
+    }
 
-        return result;
+    /**
+     * Warns when a dangerous function is called inside another call to itself
+     * @param {Object} ast - The syntax tree
+     * @param {Object} result - The validation result
+     */
+    checkNestedFunctions(ast, result) {
+        const dangerous = this.dangerousFunctions.map(name => name.toUpperCase());
+        const reported = new Set();
+
+        daxParsing.DAXParser.walk(ast, (node, parent, ancestors) => {
+            if (node.type !== 'FunctionCall' || !dangerous.includes(node.name) || reported.has(node.name)) {
+                return;
+            }
+            const nested = ancestors.some(ancestor => ancestor.type === 'FunctionCall' && ancestor.name === node.name);
+            if (nested) {
+                reported.add(node.name);
+                result.warnings.push(`Nested ${node.name} function detected at ${this.formatPosition(node)}. This may be slow on large datasets.`);
+            }
+        });
     }
 
     /**
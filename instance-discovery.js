@@ -0,0 +1,187 @@
+/**
+ * Instance Discovery
+ * Finds the models open in Power BI Desktop on this computer. Every open PBIX
+ * file runs its own local Analysis Services (msmdsrv) in a workspace folder whose
+ * port file says where it listens; the model's database name is read from the
+ * DBSCHEMA_CATALOGS rowset. Workspace folders, the port check and the query are
+ * passed in, so discovery can run against a mocked workspace folder.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const { execFile } = require('child_process');
+const CONFIG = require('./config');
+
+const CATALOGS_QUERY = 'SELECT [CATALOG_NAME], [DATE_MODIFIED] FROM $SYSTEM.DBSCHEMA_CATALOGS';
+
+// Lists msmdsrv processes with the window title of their parent (the Power BI Desktop window)
+const WINDOW_TITLES_SCRIPT = [
+    "Get-CimInstance Win32_Process -Filter \"Name='msmdsrv.exe'\" | ForEach-Object {",
+    '  $parent = Get-Process -Id $_.ParentProcessId -ErrorAction SilentlyContinue;',
+    '  [pscustomobject]@{ CommandLine = $_.CommandLine; Title = $parent.MainWindowTitle }',
+    '} | ConvertTo-Json -Compress'
+].join('\n');
+
+class InstanceDiscovery {
+    /**
+     * @param {Object} options
+     * @param {Array<string>} options.workspaceDirectories - Folders with AnalysisServicesWorkspace_* folders
+     * @param {Function} options.runQuery - async (server, query) => {columns, rows}; runs a query without a database
+     * @param {Function} options.isPortOpen - async (port) => boolean (optional; default tries to connect)
+     * @param {Function} options.readWindowTitles - async () => [{commandLine, title}] (optional; default asks Windows)
+     */
+    constructor(options) {
+        this.workspaceDirectories = options.workspaceDirectories || [];
+        this.runQuery = options.runQuery;
+        this.isPortOpen = options.isPortOpen || InstanceDiscovery.isPortOpen;
+        this.readWindowTitles = options.readWindowTitles || InstanceDiscovery.readWindowTitles;
+    }
+
+    /**
+     * Power BI Desktop's workspace folders for the current user (installer and Store versions)
+     * @param {Object} env - Environment variables (process.env)
+     * @returns {Array<string>} Folders that may contain workspaces
+     */
+    static defaultWorkspaceDirectories(env) {
+        return CONFIG.DISCOVERY.WORKSPACE_DIRECTORIES
+            .filter(entry => env[entry.BASE])
+            .map(entry => path.join(env[entry.BASE], ...entry.PATH));
+    }
+
+    /**
+     * Reads a port file; msmdsrv writes it as UTF-16 without a byte order mark
+     * @param {Buffer} buffer - File contents
+     * @returns {number|null} The port, or null if the file holds none
+     */
+    static parsePortFile(buffer) {
+        const text = buffer.includes(0) ? buffer.toString('utf16le') : buffer.toString('utf8');
+        const port = parseInt(text.replace(/^\uFEFF/, '').trim(), 10);
+        return port > 0 && port < 65536 ? port : null;
+    }
+
+    /**
+     * Checks whether a local port accepts connections; workspace folders of
+     * Power BI Desktop sessions that crashed are left behind with stale port files
+     */
+    static isPortOpen(port) {
+        return new Promise(resolve => {
+            const socket = net.createConnection({ host: 'localhost', port });
+            const done = open => {
+                socket.destroy();
+                resolve(open);
+            };
+            socket.setTimeout(CONFIG.DISCOVERY.PORT_CHECK_TIMEOUT, () => done(false));
+            socket.once('connect', () => done(true));
+            socket.once('error', () => done(false));
+        });
+    }
+
+    /**
+     * Reads the Power BI Desktop window titles (the PBIX file names) of the running
+     * msmdsrv processes; only available on Windows, otherwise empty
+     * @returns {Promise<Array<Object>>} [{commandLine, title}]
+     */
+    static readWindowTitles() {
+        if (process.platform !== 'win32') return Promise.resolve([]);
+        return new Promise(resolve => {
+            execFile('powershell.exe', ['-NoProfile', '-NonInteractive', '-Command', WINDOW_TITLES_SCRIPT],
+                { timeout: CONFIG.DISCOVERY.TITLE_LOOKUP_TIMEOUT, windowsHide: true },
+                (error, stdout) => {
+                    if (error) {
+                        console.error('[Discovery] Could not read window titles:', error.message);
+                        resolve([]);
+                        return;
+                    }
+                    try {
+                        const parsed = stdout.trim() ? JSON.parse(stdout) : [];
+                        resolve((Array.isArray(parsed) ? parsed : [parsed]).map(item => ({
+                            commandLine: item.CommandLine || '',
+                            title: item.Title || ''
+                        })));
+                    } catch (parseError) {
+                        resolve([]);
+                    }
+                });
+        });
+    }
+
+    /**
+     * Finds the workspaces that have a port file
+     * @returns {Promise<Array<Object>>} [{workspace, port, modifiedAt}], most recently started first
+     */
+    async findWorkspaces() {
+        const workspaces = [];
+        for (const directory of this.workspaceDirectories) {
+            let names;
+            try {
+                names = await fs.promises.readdir(directory);
+            } catch (error) {
+                if (error.code !== 'ENOENT') console.error('[Discovery] Cannot read', directory, error.message);
+                continue;
+            }
+
+            for (const name of names) {
+                const workspace = path.join(directory, name);
+                const portFile = path.join(workspace, ...CONFIG.DISCOVERY.PORT_FILE);
+                try {
+                    const [contents, stats] = await Promise.all([fs.promises.readFile(portFile), fs.promises.stat(portFile)]);
+                    const port = InstanceDiscovery.parsePortFile(contents);
+                    if (port) workspaces.push({ workspace, port, modifiedAt: stats.mtime.toISOString() });
+                } catch (error) {
+                    // Not a workspace, or one that is being created
+                }
+            }
+        }
+        return workspaces.sort((a, b) => b.modifiedAt.localeCompare(a.modifiedAt));
+    }
+
+    /**
+     * Finds the models open in Power BI Desktop
+     * @returns {Promise<Array<Object>>} [{server, port, database, title, workspace, modifiedAt}];
+     *   one entry per database, most recently started instance first
+     */
+    async discover() {
+        const workspaces = await this.findWorkspaces();
+        const open = [];
+        for (const workspace of workspaces) {
+            if (await this.isPortOpen(workspace.port)) {
+                open.push(workspace);
+            } else {
+                console.log(`[Discovery] Skipping stale workspace ${path.basename(workspace.workspace)} (port ${workspace.port} is closed)`);
+            }
+        }
+        if (open.length === 0) return [];
+
+        const windows = await this.readWindowTitles();
+        const instances = [];
+        for (const workspace of open) {
+            const server = `localhost:${workspace.port}`;
+            const folder = workspace.workspace.toLowerCase();
+            const owner = windows.find(item => item.commandLine.toLowerCase().includes(folder));
+            const title = owner ? owner.title.replace(/\s+-\s+Power BI Desktop.*$/i, '').trim() : '';
+
+            let catalogs;
+            try {
+                const result = await this.runQuery(server, CATALOGS_QUERY);
+                const nameIndex = result.columns.findIndex(col => /CATALOG_NAME/i.test(col.name));
+                catalogs = result.rows.map(row => row[nameIndex]).filter(Boolean);
+            } catch (error) {
+                console.error(`[Discovery] Cannot list the databases on ${server}:`, error.message);
+                continue;
+            }
+
+            catalogs.forEach(database => {
+                instances.push({ server, port: workspace.port, database, title, workspace: workspace.workspace, modifiedAt: workspace.modifiedAt });
+            });
+        }
+
+        console.log(`[Discovery] Found ${instances.length} open model(s)`);
+        return instances;
+    }
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = InstanceDiscovery;
+}
@@ -0,0 +1,625 @@
+/**
+ * LLM Providers
+ * Adapters that send a chat request to an LLM service and stream the answer back.
+ * The app works with OpenAI-style messages and tool definitions; each adapter
+ * translates them to its service's API and returns an OpenAI-style message
+ * ({role, content, tool_calls}).
+ *
+ * Providers: openai (and any OpenAI-compatible endpoint), azure, anthropic, ollama,
+ * and mock - a deterministic offline assistant for testing the chat flow.
+ */
+
+const providerConfig = typeof module !== 'undefined' && module.exports ? require('./config') : window.CONFIG;
+
+/**
+ * Creates the error fetch() throws when a request is aborted
+ */
+function createAbortError() {
+    const error = new Error('The request was aborted');
+    error.name = 'AbortError';
+    return error;
+}
+
+/**
+ * Reads the arguments of a tool call from the history for APIs that want them as an object
+ * Malformed arguments were already reported to the model as a tool error, so they become {}
+ * instead of failing every later request of the conversation
+ * @param {string|Object} args - tool_call.function.arguments
+ * @returns {Object} The arguments
+ */
+function toolArgumentsObject(args) {
+    if (!args) return {};
+    if (typeof args === 'object') return args;
+    try {
+        const parsed = JSON.parse(args);
+        return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Reads a fetch response body line by line
+ * @param {Response} response - The fetch response
+ * @param {Function} onLine - (line) => boolean; return true to stop reading
+ */
+async function readLines(response, onLine) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+
+    while (true) {
+        const { done, value } = await reader.read();
+        if (done) break;
+
+        buffer += decoder.decode(value, { stream: true });
+        const lines = buffer.split(/\r?\n/);
+        buffer = lines.pop(); // Incomplete line, wait for the next chunk
+
+        for (const line of lines) {
+            if (onLine(line)) {
+                reader.cancel().catch(() => {});
+                return;
+            }
+        }
+    }
+
+    if (buffer) onLine(buffer);
+}
+
+/**
+ * Reads a server-sent event stream
+ * @param {Response} response - The fetch response
+ * @param {Function} onEvent - (eventName, data) => boolean; return true to stop reading
+ */
+async function readEventStream(response, onEvent) {
+    let eventName = 'message';
+    await readLines(response, line => {
+        if (line.startsWith('event:')) {
+            eventName = line.substring(6).trim();
+            return false;
+        }
+        if (line.startsWith('data:')) {
+            const stop = onEvent(eventName, line.substring(5).trim());
+            eventName = 'message';
+            return stop;
+        }
+        return false;
+    });
+}
+
+class LLMProvider {
+    /**
+     * @param {string} id - Provider id (key of CONFIG.API.PROVIDERS)
+     * @param {Object} settings
+     * @param {string} settings.apiUrl - Endpoint URL
+     * @param {string} settings.modelName - Model or deployment name
+     * @param {boolean} settings.hasToken - Whether the sender of the request holds an API token
+     * @param {Function} settings.sendRequest - ({provider, url, method, headers, body, signal}) => Promise<Response>;
+     *   in the app the main process sends the request and adds the API token (optional, defaults to fetch)
+     * @param {string} settings.apiToken - API token, only for use outside the app (optional)
+     */
+    constructor(id, settings) {
+        this.id = id;
+        this.info = providerConfig.API.PROVIDERS[id];
+        this.apiUrl = settings.apiUrl || this.info.DEFAULT_URL;
+        this.apiToken = settings.apiToken || '';
+        this.hasToken = Boolean(settings.hasToken || this.apiToken);
+        this.modelName = settings.modelName || this.info.DEFAULT_MODEL;
+        this.sendRequest = settings.sendRequest || (request => fetch(request.url, request));
+    }
+
+    /**
+     * Authentication headers for a token; the main process adds them to the request
+     * @param {string} token - API token
+     * @returns {Object} Headers
+     */
+    static authHeaders(token) {
+        return token ? { 'Authorization': `Bearer ${token}` } : {};
+    }
+
+    /**
+     * Checks that the settings this provider needs are filled in
+     * @throws {Error} If the API URL or token is missing
+     */
+    validate() {
+        if (this.info.REQUIRES_URL && !this.apiUrl) {
+            throw new Error(`Please configure the API URL for ${this.info.LABEL} in the settings panel`);
+        }
+        if (this.info.REQUIRES_TOKEN && !this.hasToken) {
+            throw new Error(`Please configure the API Token for ${this.info.LABEL} in the settings panel`);
+        }
+    }
+
+    /**
+     * Sends a chat request and streams the answer
+     * @param {Object} request - {messages, tools, toolChoice ('auto' or 'none')} in OpenAI format
+     * @param {Object} options - {signal (AbortSignal), onDelta ((deltaText, fullText) => void)}
+     * @returns {Promise<Object>} The answer {role, content, tool_calls}
+     * @throws {Error} If the request fails or is aborted
+     */
+    async complete(request, options = {}) {
+        const onDelta = options.onDelta || (() => {});
+        const headers = { 'Content-Type': 'application/json', ...this.getHeaders() };
+        if (this.apiToken && this.info.REQUIRES_TOKEN) {
+            Object.assign(headers, this.constructor.authHeaders(this.apiToken));
+        }
+        const response = await this.sendRequest({
+            provider: this.id,
+            url: this.getUrl(),
+            method: 'POST',
+            headers,
+            body: JSON.stringify(this.buildBody(request)),
+            signal: options.signal
+        });
+
+        if (!response.ok) {
+            const errorText = await response.text();
+            throw new Error(`HTTP ${response.status}: ${errorText}`);
+        }
+
+        const message = await this.readResponse(response, onDelta);
+        if (message.tool_calls && message.tool_calls.length === 0) {
+            delete message.tool_calls;
+        }
+        return message;
+    }
+
+    getUrl() {
+        return this.apiUrl;
+    }
+
+    getHeaders() {
+        return {};
+    }
+
+    buildBody(request) {
+        throw new Error(`${this.constructor.name} does not implement buildBody()`);
+    }
+
+    async readResponse(response, onDelta) {
+        throw new Error(`${this.constructor.name} does not implement readResponse()`);
+    }
+}
+
+/**
+ * OpenAI Chat Completions API (also works for OpenAI-compatible servers)
+ */
+class OpenAIProvider extends LLMProvider {
+    buildBody(request) {
+        const body = {
+            model: this.modelName,
+            messages: request.messages,
+            stream: true
+        };
+        if (request.tools && request.tools.length > 0) {
+            body.tools = request.tools;
+            if (request.toolChoice) body.tool_choice = request.toolChoice;
+        }
+        return body;
+    }
+
+    async readResponse(response, onDelta) {
+        // Servers that ignore `stream` answer with plain JSON
+        const contentType = response.headers.get('content-type') || '';
+        if (!contentType.includes('text/event-stream')) {
+            const data = await response.json();
+            if (data.choices && data.choices[0] && data.choices[0].message) {
+                const message = data.choices[0].message;
+                if (message.content) onDelta(message.content, message.content);
+                return message;
+            }
+            return { role: 'assistant', content: 'Received response but could not parse message.' };
+        }
+
+        const message = { role: 'assistant', content: '', tool_calls: [] };
+        await readEventStream(response, (eventName, payload) => {
+            if (payload === '[DONE]') return true;
+            if (!payload) return false;
+
+            const chunk = JSON.parse(payload);
+            if (chunk.error) {
+                throw new Error(chunk.error.message || JSON.stringify(chunk.error));
+            }
+
+            const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+            if (!delta) return false;
+
+            if (delta.content) {
+                message.content += delta.content;
+                onDelta(delta.content, message.content);
+            }
+
+            // Tool call fragments are merged by their index
+            (delta.tool_calls || []).forEach(fragment => {
+                const index = fragment.index !== undefined ? fragment.index : message.tool_calls.length;
+                if (!message.tool_calls[index]) {
+                    message.tool_calls[index] = { id: '', type: 'function', function: { name: '', arguments: '' } };
+                }
+                const toolCall = message.tool_calls[index];
+                if (fragment.id) toolCall.id = fragment.id;
+                if (fragment.function && fragment.function.name) toolCall.function.name += fragment.function.name;
+                if (fragment.function && fragment.function.arguments) toolCall.function.arguments += fragment.function.arguments;
+            });
+            return false;
+        });
+        return message;
+    }
+}
+
+/**
+ * Azure OpenAI - same API as OpenAI, but authenticates with an api-key header
+ * The deployment is part of the URL, e.g. .../openai/deployments/<name>/chat/completions?api-version=...
+ */
+class AzureOpenAIProvider extends OpenAIProvider {
+    static authHeaders(token) {
+        return token ? { 'api-key': token } : {};
+    }
+}
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicProvider extends LLMProvider {
+    static authHeaders(token) {
+        return token ? { 'x-api-key': token } : {};
+    }
+
+    getHeaders() {
+        return { 'anthropic-version': providerConfig.API.ANTHROPIC_VERSION };
+    }
+
+    buildBody(request) {
+        const body = {
+            model: this.modelName,
+            max_tokens: providerConfig.API.MAX_OUTPUT_TOKENS,
+            messages: AnthropicProvider.toAnthropicMessages(request.messages),
+            stream: true
+        };
+
+        const system = request.messages.filter(msg => msg.role === 'system').map(msg => msg.content).join('\n\n');
+        if (system) body.system = system;
+
+        if (request.tools && request.tools.length > 0) {
+            body.tools = request.tools.map(tool => ({
+                name: tool.function.name,
+                description: tool.function.description,
+                input_schema: tool.function.parameters
+            }));
+            body.tool_choice = { type: request.toolChoice === 'none' ? 'none' : 'auto' };
+        }
+        return body;
+    }
+
+    /**
+     * Converts OpenAI messages to Anthropic messages
+     * Tool calls become tool_use blocks, tool results become tool_result blocks in a user message
+     */
+    static toAnthropicMessages(messages) {
+        const result = [];
+        const append = (role, blocks) => {
+            const last = result[result.length - 1];
+            if (last && last.role === role) {
+                last.content.push(...blocks);
+            } else {
+                result.push({ role, content: blocks });
+            }
+        };
+
+        messages.forEach(msg => {
+            if (msg.role === 'system') return;
+
+            if (msg.role === 'tool') {
+                append('user', [{ type: 'tool_result', tool_use_id: msg.tool_call_id, content: msg.content }]);
+                return;
+            }
+
+            const blocks = msg.content ? [{ type: 'text', text: msg.content }] : [];
+            (msg.tool_calls || []).forEach(toolCall => {
+                blocks.push({
+                    type: 'tool_use',
+                    id: toolCall.id,
+                    name: toolCall.function.name,
+                    input: toolArgumentsObject(toolCall.function.arguments)
+                });
+            });
+            if (blocks.length > 0) {
+                append(msg.role === 'assistant' ? 'assistant' : 'user', blocks);
+            }
+        });
+        return result;
+    }
+
+    async readResponse(response, onDelta) {
+        const message = { role: 'assistant', content: '', tool_calls: [] };
+        const blocks = {}; // content block index -> tool call
+
+        await readEventStream(response, (eventName, payload) => {
+            if (!payload) return false;
+            const event = JSON.parse(payload);
+
+            switch (event.type) {
+                case 'content_block_start':
+                    if (event.content_block.type === 'tool_use') {
+                        const toolCall = {
+                            id: event.content_block.id,
+                            type: 'function',
+                            function: { name: event.content_block.name, arguments: '' }
+                        };
+                        blocks[event.index] = toolCall;
+                        message.tool_calls.push(toolCall);
+                    }
+                    break;
+                case 'content_block_delta':
+                    if (event.delta.type === 'text_delta') {
+                        message.content += event.delta.text;
+                        onDelta(event.delta.text, message.content);
+                    } else if (event.delta.type === 'input_json_delta' && blocks[event.index]) {
+                        blocks[event.index].function.arguments += event.delta.partial_json;
+                    }
+                    break;
+                case 'message_stop':
+                    return true;
+                case 'error':
+                    throw new Error(event.error ? event.error.message : 'Anthropic API error');
+                default:
+                    break;
+            }
+            return false;
+        });
+        return message;
+    }
+}
+
+/**
+ * Ollama native chat API (/api/chat) - local models, no token needed
+ * Streams newline-delimited JSON; tool call arguments are objects instead of JSON strings
+ */
+class OllamaProvider extends LLMProvider {
+    buildBody(request) {
+        const body = {
+            model: this.modelName,
+            messages: request.messages.map(msg => {
+                if (!msg.tool_calls) return { role: msg.role, content: msg.content || '' };
+                return {
+                    role: msg.role,
+                    content: msg.content || '',
+                    tool_calls: msg.tool_calls.map(toolCall => ({
+                        function: {
+                            name: toolCall.function.name,
+                            arguments: toolArgumentsObject(toolCall.function.arguments)
+                        }
+                    }))
+                };
+            }),
+            stream: true
+        };
+        // Ollama has no tool_choice - leave the tools out when no more calls are wanted
+        if (request.tools && request.tools.length > 0 && request.toolChoice !== 'none') {
+            body.tools = request.tools;
+        }
+        return body;
+    }
+
+    async readResponse(response, onDelta) {
+        const message = { role: 'assistant', content: '', tool_calls: [] };
+
+        await readLines(response, line => {
+            if (!line.trim()) return false;
+            const chunk = JSON.parse(line);
+            if (chunk.error) {
+                throw new Error(chunk.error);
+            }
+
+            if (chunk.message) {
+                if (chunk.message.content) {
+                    message.content += chunk.message.content;
+                    onDelta(chunk.message.content, message.content);
+                }
+                (chunk.message.tool_calls || []).forEach(toolCall => {
+                    message.tool_calls.push({
+                        id: `call_${message.tool_calls.length + 1}`,
+                        type: 'function',
+                        function: {
+                            name: toolCall.function.name,
+                            arguments: JSON.stringify(toolCall.function.arguments || {})
+                        }
+                    });
+                });
+            }
+            return chunk.done === true;
+        });
+        return message;
+    }
+}
+
+/**
+ * Deterministic offline assistant for testing the chat flow without an LLM service
+ * - A question naming a measure calls describe_measure, one naming a table calls get_table_sample
+ * - An EXPLAIN request compares its query with itself (compare_queries)
+ * - A measure sandbox request gets the expression wrapped in CALCULATE as its suggestion
+ * - After tool results it answers with a summary of them
+ * - Otherwise it answers with an overview of the model from the system prompt
+ * The answer is streamed word by word so streaming and Stop can be tested too
+ */
+class MockProvider extends LLMProvider {
+    async complete(request, options = {}) {
+        const onDelta = options.onDelta || (() => {});
+        const message = this.respond(request);
+
+        // Let the caller render (and stop) the answer as it "streams"
+        let content = '';
+        for (const word of (message.content || '').split(/(?<= )/)) {
+            await new Promise(resolve => setTimeout(resolve, providerConfig.API.MOCK_STREAM_DELAY));
+            if (options.signal && options.signal.aborted) {
+                throw createAbortError();
+            }
+            content += word;
+            onDelta(word, content);
+        }
+        return message;
+    }
+
+    /**
+     * Builds the mock answer for a request
+     * @param {Object} request - {messages, tools, toolChoice}
+     * @returns {Object} The answer {role, content, tool_calls}
+     */
+    respond(request) {
+        const messages = request.messages;
+        const system = messages.find(msg => msg.role === 'system');
+        const model = MockProvider.readModel(system ? system.content : '');
+        const lastUserIndex = messages.map(msg => msg.role).lastIndexOf('user');
+        const question = lastUserIndex >= 0 ? messages[lastUserIndex].content : '';
+        const toolResults = messages.slice(lastUserIndex + 1).filter(msg => msg.role === 'tool');
+        const canCallTools = request.tools && request.tools.length > 0 && request.toolChoice !== 'none';
+
+        const sandbox = question.match(/^Rewrite the DAX expression of the measure \[(.+?)\][\s\S]*?```dax\n([\s\S]*?)\n```/);
+        if (sandbox) {
+            return {
+                role: 'assistant',
+                content: `\`\`\`dax\nCALCULATE(${sandbox[2]})\n\`\`\`\nMock suggestion: the same expression wrapped in CALCULATE, so [${sandbox[1]}] returns the same values.`
+            };
+        }
+
+        if (toolResults.length > 0) {
+            const findings = toolResults.map(msg => `- ${msg.content.split('\n')[0]}`).join('\n');
+            return { role: 'assistant', content: `Mock answer based on ${toolResults.length} tool result(s):\n${findings}` };
+        }
+
+        if (canCallTools) {
+            const lower = question.toLowerCase();
+            const measure = model.measures.find(name => lower.includes(name.toLowerCase()));
+            const table = model.tables.find(name => lower.includes(name.toLowerCase()));
+            const explained = question.match(/^Suggest optimizations for this DAX query[\s\S]*?```dax\n([\s\S]*?)\n```/);
+            const toolCall = explained ? { name: 'compare_queries', args: { original: explained[1], rewritten: explained[1] } }
+                : measure ? { name: 'describe_measure', args: { measure } }
+                : (table ? { name: 'get_table_sample', args: { table, rows: 5 } } : null);
+
+            if (toolCall) {
+                return {
+                    role: 'assistant',
+                    content: '',
+                    tool_calls: [{
+                        id: `mock_call_${messages.length}`,
+                        type: 'function',
+                        function: { name: toolCall.name, arguments: JSON.stringify(toolCall.args) }
+                    }]
+                };
+            }
+        }
+
+        const overview = model.tables.length > 0
+            ? `The model has ${model.tables.length} tables (${model.tables.join(', ')}) and ${model.measures.length} measures.`
+            : 'No semantic model is connected.';
+        return { role: 'assistant', content: `Mock answer to "${question}". ${overview}` };
+    }
+
+    /**
+     * Reads table and measure names from the system prompt ("- **Name**" entries)
+     */
+    static readModel(systemPrompt) {
+        const section = heading => {
+            const start = systemPrompt.indexOf(`## ${heading}:`);
+            if (start === -1) return [];
+            const end = systemPrompt.indexOf('\n## ', start + 1);
+            const text = systemPrompt.substring(start, end === -1 ? systemPrompt.length : end);
+            return [...text.matchAll(/^- \*\*(.+?)\*\*/gm)].map(match => match[1]);
+        };
+        return { tables: section('Tables'), measures: section('Measures') };
+    }
+}
+
+const LLM_PROVIDER_CLASSES = {
+    openai: OpenAIProvider,
+    azure: AzureOpenAIProvider,
+    anthropic: AnthropicProvider,
+    ollama: OllamaProvider,
+    mock: MockProvider
+};
+
+class LLMProviders {
+    /**
+     * Creates the adapter for a provider
+     * @param {string} id - Provider id: openai, azure, anthropic, ollama or mock
+     * @param {Object} settings - {apiUrl, modelName, hasToken, sendRequest} (see LLMProvider)
+     * @returns {LLMProvider} The provider
+     * @throws {Error} If the provider is unknown
+     */
+    static create(id, settings) {
+        const ProviderClass = LLM_PROVIDER_CLASSES[id];
+        if (!ProviderClass) {
+            throw new Error(`Unknown LLM provider: ${id}`);
+        }
+        return new ProviderClass(id, settings);
+    }
+
+    /**
+     * Authentication headers of a provider, used by the main process to add the stored token
+     * @param {string} id - Provider id
+     * @param {string} token - API token
+     * @returns {Object} Headers ({} without a token or for a provider that needs none)
+     * @throws {Error} If the provider is unknown
+     */
+    static authHeaders(id, token) {
+        const ProviderClass = LLM_PROVIDER_CLASSES[id];
+        if (!ProviderClass) {
+            throw new Error(`Unknown LLM provider: ${id}`);
+        }
+        if (!providerConfig.API.PROVIDERS[id].REQUIRES_TOKEN) {
+            return {};
+        }
+        return ProviderClass.authHeaders(token);
+    }
+
+    /**
+     * Name the main process stores a provider's API token under
+     * @param {string} id - Provider id
+     * @returns {string} e.g. "apiToken:openai"
+     */
+    static tokenName(id) {
+        return `apiToken:${id}`;
+    }
+
+    /**
+     * Origin of an endpoint URL; an API token is only sent to the origin it was entered for
+     * @param {string} url - Endpoint URL
+     * @returns {string} e.g. "https://api.openai.com" ('' if the URL is not valid)
+     */
+    static urlOrigin(url) {
+        try {
+            return new URL(url).origin;
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Lists the available providers for the settings panel
+     * @returns {Array<Object>} [{id, label, defaultUrl, urlPlaceholder, defaultModel, requiresUrl, requiresToken}]
+     */
+    static list() {
+        return Object.keys(LLM_PROVIDER_CLASSES).map(id => {
+            const info = providerConfig.API.PROVIDERS[id];
+            return {
+                id,
+                label: info.LABEL,
+                defaultUrl: info.DEFAULT_URL,
+                urlPlaceholder: info.URL_PLACEHOLDER || info.DEFAULT_URL,
+                defaultModel: info.DEFAULT_MODEL,
+                requiresUrl: info.REQUIRES_URL,
+                requiresToken: info.REQUIRES_TOKEN
+            };
+        });
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { LLMProviders, LLMProvider, OpenAIProvider, AzureOpenAIProvider, AnthropicProvider, OllamaProvider, MockProvider };
+}
+
+// Also expose to window object for browser environments
+if (typeof window !== 'undefined') {
+    window.LLMProviders = LLMProviders;
+}
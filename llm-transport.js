@@ -0,0 +1,292 @@
+/**
+ * LLM Transport
+ * Sends the LLM HTTP requests of the main process through a dedicated Electron
+ * session, so that they can use a proxy, trust extra root certificates (corporate
+ * TLS inspection), time out and be retried with exponential backoff on 429/5xx
+ * responses, honoring Retry-After.
+ */
+
+const fs = require('fs');
+const { X509Certificate } = require('crypto');
+const CONFIG = require('./config');
+
+// Chromium certificate verification results for setCertificateVerifyProc
+const CERTIFICATE_ACCEPT = 0;
+const CERTIFICATE_USE_CHROMIUM_RESULT = -3;
+
+function createNamedError(name, message) {
+    const error = new Error(message);
+    error.name = name;
+    return error;
+}
+
+class LLMTransport {
+    /**
+     * @param {Session} llmSession - Electron session used only for LLM requests
+     */
+    constructor(llmSession) {
+        this.session = llmSession;
+        this.settingsKey = null;
+        this.timeoutMs = CONFIG.API.NETWORK.TIMEOUT_SECONDS * 1000;
+        this.extraCAs = [];
+
+        this.session.setCertificateVerifyProc((request, callback) => {
+            callback(this.verifyCertificate(request));
+        });
+    }
+
+    /**
+     * Applies the network settings; unchanged settings are not applied again
+     * @param {Object} settings
+     * @param {string} settings.proxy - '' (direct), 'system', or proxy rules such as http://proxy:8080
+     * @param {string} settings.caFile - PEM file with extra root certificates (optional)
+     * @param {number} settings.timeoutSeconds - Seconds without a response or new data before giving up
+     * @throws {Error} If the certificate file cannot be read
+     */
+    async configure(settings = {}) {
+        const key = JSON.stringify([settings.proxy || '', settings.caFile || '', settings.timeoutSeconds || 0]);
+        if (key === this.settingsKey) return;
+
+        const proxy = (settings.proxy || '').trim();
+        if (!proxy) {
+            await this.session.setProxy({ mode: 'direct' });
+        } else if (proxy.toLowerCase() === 'system') {
+            await this.session.setProxy({ mode: 'system' });
+        } else {
+            await this.session.setProxy({ proxyRules: proxy, proxyBypassRules: CONFIG.API.NETWORK.PROXY_BYPASS });
+        }
+
+        this.extraCAs = settings.caFile ? await LLMTransport.readCertificates(settings.caFile) : [];
+        const seconds = Number(settings.timeoutSeconds);
+        this.timeoutMs = (seconds > 0 ? seconds : CONFIG.API.NETWORK.TIMEOUT_SECONDS) * 1000;
+        this.settingsKey = key;
+
+        console.log('[LLM] Network settings - proxy:', proxy || 'direct', '| extra CAs:', this.extraCAs.length, '| timeout:', this.timeoutMs / 1000, 's');
+    }
+
+    /**
+     * Reads the certificates of a PEM file (several may be concatenated)
+     * @param {string} file - Path of the PEM file
+     * @returns {Promise<Array<X509Certificate>>} The certificates
+     * @throws {Error} If the file cannot be read or has no certificates
+     */
+    static async readCertificates(file) {
+        let pem;
+        try {
+            pem = await fs.promises.readFile(file, 'utf8');
+        } catch (error) {
+            throw new Error(`Cannot read the CA certificate file ${file}: ${error.message}`);
+        }
+        const blocks = pem.match(/-----BEGIN CERTIFICATE-----[\s\S]+?-----END CERTIFICATE-----/g) || [];
+        if (blocks.length === 0) {
+            throw new Error(`No PEM certificates found in ${file}`);
+        }
+        return blocks.map(block => new X509Certificate(block));
+    }
+
+    /**
+     * Accepts server certificates that Chromium rejected only because they chain
+     * to one of the extra root certificates; everything else keeps Chromium's verdict
+     * @param {Object} request - Electron certificate verify request {hostname, certificate, errorCode}
+     * @returns {number} Verification result for the callback
+     */
+    verifyCertificate(request) {
+        if (request.errorCode === 0 || this.extraCAs.length === 0) return CERTIFICATE_USE_CHROMIUM_RESULT;
+
+        try {
+            const chain = [];
+            for (let cert = request.certificate; cert && chain.length < 10; cert = cert.issuerCert) {
+                chain.push(new X509Certificate(cert.data));
+            }
+
+            const now = Date.now();
+            const valid = cert => new Date(cert.validFrom).getTime() <= now && now <= new Date(cert.validTo).getTime();
+            if (chain.length === 0 || !chain[0].checkHost(request.hostname) || !chain.every(valid)) {
+                return CERTIFICATE_USE_CHROMIUM_RESULT;
+            }
+
+            // Walk up the chain until a certificate is issued by (or is) an extra root
+            for (let i = 0; i < chain.length; i++) {
+                const cert = chain[i];
+                const trusted = this.extraCAs.some(ca => cert.fingerprint256 === ca.fingerprint256 ||
+                    (cert.checkIssued(ca) && cert.verify(ca.publicKey)));
+                if (trusted) return CERTIFICATE_ACCEPT;
+
+                const issuer = chain[i + 1];
+                if (!issuer || !cert.checkIssued(issuer) || !cert.verify(issuer.publicKey)) break;
+            }
+        } catch (error) {
+            console.error('[LLM] Certificate check failed:', error.message);
+        }
+        return CERTIFICATE_USE_CHROMIUM_RESULT;
+    }
+
+    /**
+     * Whether a response status is worth retrying
+     */
+    static isRetryableStatus(status) {
+        return status === 429 || status >= 500;
+    }
+
+    /**
+     * Parses a Retry-After header (seconds or an HTTP date)
+     * @param {string} value - Header value
+     * @param {number} now - Current time in ms
+     * @returns {number|null} Delay in ms, or null if the header is missing or invalid
+     */
+    static parseRetryAfter(value, now = Date.now()) {
+        if (!value) return null;
+        if (/^\s*\d+(\.\d+)?\s*$/.test(value)) return Math.round(parseFloat(value) * 1000);
+        const date = Date.parse(value);
+        return isNaN(date) ? null : Math.max(date - now, 0);
+    }
+
+    /**
+     * Delay before the next attempt: Retry-After if the server sent it, else exponential backoff with jitter
+     * @param {number} attempt - Attempt that failed (1 for the first)
+     * @param {string} retryAfter - Retry-After header value (optional)
+     * @returns {number|null} Delay in ms, or null when the server asks to wait longer than CONFIG.API.NETWORK.MAX_RETRY_AFTER
+     */
+    static retryDelay(attempt, retryAfter) {
+        const requested = LLMTransport.parseRetryAfter(retryAfter);
+        if (requested !== null) {
+            return requested > CONFIG.API.NETWORK.MAX_RETRY_AFTER ? null : requested;
+        }
+        const backoff = CONFIG.API.NETWORK.RETRY_BASE_DELAY * Math.pow(2, attempt - 1);
+        return Math.min(backoff, CONFIG.API.NETWORK.RETRY_MAX_DELAY) * (0.8 + Math.random() * 0.4);
+    }
+
+    /**
+     * Waits, unless the request is aborted first
+     */
+    static wait(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(createNamedError('AbortError', 'The request was aborted'));
+            };
+            const timer = setTimeout(() => {
+                signal.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Aborts an attempt when the caller aborts or nothing arrives for the timeout
+     */
+    createWatchdog(signal) {
+        const controller = new AbortController();
+        const onAbort = () => controller.abort();
+        const watchdog = {
+            signal: controller.signal,
+            timedOut: false,
+            timer: null,
+            touch: () => {
+                clearTimeout(watchdog.timer);
+                watchdog.timer = setTimeout(() => {
+                    watchdog.timedOut = true;
+                    controller.abort();
+                }, this.timeoutMs);
+            },
+            stop: () => {
+                clearTimeout(watchdog.timer);
+                signal.removeEventListener('abort', onAbort);
+            },
+            failure: error => (watchdog.timedOut
+                ? createNamedError('TimeoutError', `The LLM service did not respond within ${this.timeoutMs / 1000} seconds`)
+                : error)
+        };
+        signal.addEventListener('abort', onAbort, { once: true });
+        watchdog.touch();
+        return watchdog;
+    }
+
+    /**
+     * Sends a request, retrying network errors, timeouts and 429/5xx responses
+     * @param {Object} request - {url, method, headers, body}
+     * @param {AbortSignal} signal - Aborts the request (and any wait before a retry)
+     * @returns {Promise<Object>} {response, watchdog}; pass both to readBody()
+     * @throws {Error} AbortError, TimeoutError or the network error of the last attempt
+     */
+    async send(request, signal) {
+        const maxAttempts = CONFIG.API.NETWORK.MAX_RETRIES + 1;
+
+        for (let attempt = 1; ; attempt++) {
+            if (signal.aborted) throw createNamedError('AbortError', 'The request was aborted');
+            const watchdog = this.createWatchdog(signal);
+
+            let response;
+            try {
+                response = await this.session.fetch(request.url, {
+                    method: request.method || 'POST',
+                    headers: request.headers,
+                    body: request.body,
+                    signal: watchdog.signal
+                });
+            } catch (error) {
+                watchdog.stop();
+                const failure = watchdog.failure(error);
+                if (signal.aborted || attempt >= maxAttempts) throw failure;
+
+                const delay = LLMTransport.retryDelay(attempt, null);
+                console.log(`[LLM] ${failure.message} - retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1} of ${maxAttempts})`);
+                await LLMTransport.wait(delay, signal);
+                continue;
+            }
+
+            if (LLMTransport.isRetryableStatus(response.status) && attempt < maxAttempts) {
+                const delay = LLMTransport.retryDelay(attempt, response.headers.get('retry-after'));
+                if (delay !== null) {
+                    watchdog.stop();
+                    if (response.body) response.body.cancel().catch(() => {});
+                    console.log(`[LLM] HTTP ${response.status} - retrying in ${(delay / 1000).toFixed(1)}s (attempt ${attempt + 1} of ${maxAttempts})`);
+                    await LLMTransport.wait(delay, signal);
+                    continue;
+                }
+            }
+
+            return { response, watchdog };
+        }
+    }
+
+    /**
+     * Reads the response body; the timeout restarts with every chunk
+     * @param {Object} sent - Result of send()
+     * @param {Function} onChunk - (Uint8Array) => void
+     * @throws {Error} AbortError, TimeoutError or a network error
+     */
+    async readBody(sent, onChunk) {
+        const { response, watchdog } = sent;
+        if (!response.body) {
+            watchdog.stop();
+            return;
+        }
+
+        // Cancelling the reader also ends a read that is waiting for data
+        const reader = response.body.getReader();
+        const cancel = () => reader.cancel().catch(() => {});
+        watchdog.signal.addEventListener('abort', cancel, { once: true });
+        try {
+            watchdog.touch();
+            for (;;) {
+                const { done, value } = await reader.read();
+                if (done) break;
+                watchdog.touch();
+                onChunk(value);
+            }
+            if (watchdog.signal.aborted) throw createNamedError('AbortError', 'The request was aborted');
+        } catch (error) {
+            throw watchdog.failure(error);
+        } finally {
+            watchdog.signal.removeEventListener('abort', cancel);
+            watchdog.stop();
+        }
+    }
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LLMTransport;
+}
@@ -1,4 +1,4 @@
-const { app, BrowserWindow, ipcMain, session } = require('electron');
+const { app, BrowserWindow, ipcMain, session, dialog, safeStorage } = require('electron');
 const path = require('path');
 const fs = require('fs');
 
@@ -73,7 +73,13 @@ if (process.platform === 'win32') {
 
 const edge = require('electron-edge-js');
 const CONFIG = require('./config');
-const { escapeXml, unescapeXml } = require('./utils');
+const { unescapeXml } = require('./utils');
+const SessionStore = require('./session-store');
+const CredentialStore = require('./credential-store');
+const { LLMProviders } = require('./llm-providers');
+const LLMTransport = require('./llm-transport');
+const InstanceDiscovery = require('./instance-discovery');
+const XMLAConnection = require('./xmla-connection');
 
 // Handle creating/removing shortcuts on Windows when installing/uninstalling
 if (require('electron-squirrel-startup')) {
@@ -163,8 +169,8 @@ function createWindow() {
 }
 
 app.whenReady().then(() => {
-  // Configure CSP to allow Web Speech API and microphone access
-  // Allow any HTTPS connection to support custom API endpoints
+  // Configure CSP to allow microphone access; the renderer makes no network
+  // requests of its own (LLM, XMLA and Whisper calls all go through IPC)
   session.defaultSession.webRequest.onHeadersReceived((details, callback) => {
     callback({
       responseHeaders: {
@@ -173,7 +179,7 @@ app.whenReady().then(() => {
           "default-src 'self'; " +
           "script-src 'self' 'unsafe-inline'; " +
           "style-src 'self' 'unsafe-inline'; " +
-          "connect-src 'self' https: http://localhost:* ws://localhost:* http://127.0.0.1:* ws://127.0.0.1:* wss://localhost:* wss://127.0.0.1:*; " +
+          "connect-src 'self'; " +
           "media-src 'self' blob: mediastream:; " +
           "img-src 'self' data: blob:;"
         ]
@@ -221,9 +227,255 @@ ipcMain.handle('open-external', async (event, url) => {
   }
 });
 
+// IPC Handler for saving exported files (query results, conversations) via a save dialog
+ipcMain.handle('save-file', async (event, { defaultPath, filters, data }) => {
+  try {
+    const window = BrowserWindow.fromWebContents(event.sender) || mainWindow;
+    const { canceled, filePath } = await dialog.showSaveDialog(window, {
+      defaultPath: defaultPath,
+      filters: filters || []
+    });
+
+    if (canceled || !filePath) {
+      return { success: false, canceled: true };
+    }
+
+    // Text is written as UTF-8, binary content arrives as a Uint8Array
+    const contents = typeof data === 'string' ? data : Buffer.from(data);
+    await fs.promises.writeFile(filePath, contents);
+    console.log('[Main] Saved file:', filePath);
+    return { success: true, filePath };
+  } catch (error) {
+    console.error('[Main] Failed to save file:', error);
+    throw error;
+  }
+});
+
+// Saved conversations, created on first use (the user data path is only final once the app has started)
+let sessionStore = null;
+
+/**
+ * Gets the store for saved conversations
+ * @returns {SessionStore} The session store
+ */
+function getSessionStore() {
+  if (!sessionStore) {
+    sessionStore = new SessionStore(path.join(app.getPath('userData'), CONFIG.SESSIONS.DIRECTORY));
+    console.log('[Sessions] Storing conversations in:', sessionStore.directory);
+  }
+  return sessionStore;
+}
+
+// IPC Handlers for saved conversations, keyed by the model's database ID
+ipcMain.handle('sessions-list', async (event, { modelKey }) => {
+  return getSessionStore().list(modelKey);
+});
+
+ipcMain.handle('sessions-search', async (event, { modelKey, query }) => {
+  return getSessionStore().search(modelKey, query);
+});
+
+ipcMain.handle('sessions-load', async (event, { modelKey, id }) => {
+  return getSessionStore().load(modelKey, id);
+});
+
+ipcMain.handle('sessions-save', async (event, { modelKey, session }) => {
+  try {
+    return await getSessionStore().save(modelKey, session);
+  } catch (error) {
+    console.error('[Sessions] Failed to save conversation:', error.message);
+    throw error;
+  }
+});
+
+ipcMain.handle('sessions-rename', async (event, { modelKey, id, title }) => {
+  return getSessionStore().rename(modelKey, id, title);
+});
+
+ipcMain.handle('sessions-delete', async (event, { modelKey, id }) => {
+  await getSessionStore().remove(modelKey, id);
+  console.log('[Sessions] Deleted conversation:', id);
+  return { success: true };
+});
+
+// API token, encrypted with safeStorage; created on first use like the session store
+let credentialStore = null;
+
+/**
+ * Gets the store for secrets
+ * @returns {CredentialStore} The credential store
+ */
+function getCredentialStore() {
+  if (!credentialStore) {
+    credentialStore = new CredentialStore(path.join(app.getPath('userData'), CONFIG.API.CREDENTIALS_FILE), safeStorage);
+  }
+  return credentialStore;
+}
+
+/**
+ * Reads the API token stored for a provider
+ * Each provider has its own token, kept with the URL origin it was entered for: a token
+ * is never read for a provider that needs none, and is deleted once the URL points elsewhere
+ * @param {string} provider - Provider id
+ * @param {string} url - Endpoint URL the request goes to
+ * @returns {Promise<string>} The token ('' if none applies)
+ */
+async function getApiToken(provider, url) {
+  const info = CONFIG.API.PROVIDERS[provider];
+  if (!info || !info.REQUIRES_TOKEN) return '';
+
+  const store = getCredentialStore();
+  const name = LLMProviders.tokenName(provider);
+  const origin = LLMProviders.urlOrigin(url);
+
+  // A token saved before tokens were kept per provider belongs to the provider selected now
+  if (await store.has('apiToken')) {
+    const legacyToken = await store.get('apiToken');
+    await store.remove('apiToken');
+    if (!(await store.has(name))) await store.setScoped(name, origin, legacyToken);
+  }
+
+  const saved = await store.has(name);
+  const token = await store.getScoped(name, origin);
+  if (saved && !token) {
+    console.log('[Credentials] API token of', provider, 'deleted: the API URL points to another origin');
+  }
+  return token;
+}
+
+// IPC Handlers for the API token - the renderer can store, replace and delete it, but never read it
+ipcMain.handle('credentials-status', async (event, { provider, url }) => {
+  const store = getCredentialStore();
+  try {
+    return { stored: Boolean(await getApiToken(provider, url)), encryptionAvailable: store.isAvailable() };
+  } catch (error) {
+    console.error('[Credentials] Failed to read API token:', error.message);
+    return { stored: false, encryptionAvailable: store.isAvailable() };
+  }
+});
+
+ipcMain.handle('credentials-set', async (event, { provider, url, token }) => {
+  try {
+    await getCredentialStore().setScoped(LLMProviders.tokenName(provider), LLMProviders.urlOrigin(url), token);
+    console.log('[Credentials] API token of', provider, token ? 'saved' : 'deleted');
+    return { stored: Boolean(token) };
+  } catch (error) {
+    console.error('[Credentials] Failed to save API token:', error.message);
+    throw error;
+  }
+});
+
+ipcMain.handle('credentials-delete', async (event, { provider }) => {
+  await getCredentialStore().remove(LLMProviders.tokenName(provider));
+  console.log('[Credentials] API token of', provider, 'deleted');
+  return { stored: false };
+});
+
+// IPC Handlers for the client secrets of saved connections (service principals)
+ipcMain.handle('connection-secret-set', async (event, { connectionId, secret }) => {
+  try {
+    await getCredentialStore().set(`connection:${connectionId}`, secret);
+    console.log('[Credentials] Client secret', secret ? 'saved' : 'deleted', 'for connection', connectionId);
+    return { stored: Boolean(secret) };
+  } catch (error) {
+    console.error('[Credentials] Failed to save client secret:', error.message);
+    throw error;
+  }
+});
+
+ipcMain.handle('connection-secret-delete', async (event, { connectionId }) => {
+  await getCredentialStore().remove(`connection:${connectionId}`);
+  return { stored: false };
+});
+
+// Running LLM requests, so the renderer can abort them
+const llmRequests = new Map(); // requestId -> AbortController
+
+// Proxy, extra CAs, timeout and retries of LLM requests; created on first use
+let llmTransport = null;
+
+/**
+ * Gets the transport for LLM requests, with its own Electron session
+ * @returns {LLMTransport} The transport
+ */
+function getLLMTransport() {
+  if (!llmTransport) {
+    llmTransport = new LLMTransport(session.fromPartition(CONFIG.API.NETWORK.SESSION_PARTITION));
+  }
+  return llmTransport;
+}
+
+/**
+ * Streams an LLM response body to the renderer as 'llm-response' events
+ * @param {WebContents} sender - The renderer that made the request
+ * @param {string} requestId - Request id chosen by the renderer
+ * @param {Object} sent - Result of LLMTransport.send()
+ */
+async function streamLLMResponse(sender, requestId, sent) {
+  const send = message => {
+    if (!sender.isDestroyed()) sender.send('llm-response', { requestId, ...message });
+  };
+
+  try {
+    await getLLMTransport().readBody(sent, chunk => send({ type: 'chunk', chunk }));
+    send({ type: 'end' });
+  } catch (error) {
+    if (error.name !== 'AbortError') {
+      console.error('[LLM] Response failed:', error.message);
+    }
+    send({ type: 'error', message: error.message, aborted: error.name === 'AbortError' });
+  } finally {
+    llmRequests.delete(requestId);
+  }
+}
+
+// IPC Handler for LLM requests: the main process adds the provider's API token, applies
+// the network settings and returns the status and headers once no retry is left to
+// make; the body follows as 'llm-response' events
+ipcMain.handle('llm-request', async (event, { requestId, provider, url, method, headers, body, network }) => {
+  const controller = new AbortController();
+  llmRequests.set(requestId, controller);
+
+  try {
+    const transport = getLLMTransport();
+    await transport.configure(network);
+    const token = await getApiToken(provider, url);
+    const sent = await transport.send({
+      url,
+      method,
+      headers: { ...headers, ...LLMProviders.authHeaders(provider, token) },
+      body
+    }, controller.signal);
+
+    const response = sent.response;
+    streamLLMResponse(event.sender, requestId, sent);
+    return {
+      status: response.status,
+      statusText: response.statusText,
+      headers: Object.fromEntries(response.headers.entries())
+    };
+  } catch (error) {
+    llmRequests.delete(requestId);
+    if (error.name !== 'AbortError') {
+      console.error('[LLM] Request failed:', error.message);
+    }
+    throw error;
+  }
+});
+
+ipcMain.handle('llm-abort', async (event, { requestId }) => {
+  const controller = llmRequests.get(requestId);
+  if (controller) {
+    controller.abort();
+    llmRequests.delete(requestId);
+  }
+  return { success: true };
+});
+
 // Load .NET ADOMD.NET bridge
 let xmlaBridge = null;
 let whisperBridge = null;
+let cancelBridge = null;
 
 /**
  * Gets the correct base path for .NET DLL based on whether app is packaged
@@ -321,6 +573,23 @@ Try rebuilding:
   }
 }
 
+/**
+ * Loads the .NET bridge method that cancels running queries
+ * @returns {Function} The loaded bridge function
+ * @throws {Error} If the bridge DLL cannot be loaded
+ */
+function loadCancelBridge() {
+  if (cancelBridge) return cancelBridge;
+
+  loadXmlaBridge(); // Reports a missing or broken DLL
+  cancelBridge = edge.func({
+    assemblyFile: path.join(getBasePath(), ...CONFIG.BRIDGE.PATH),
+    typeName: CONFIG.BRIDGE.TYPE_NAME,
+    methodName: CONFIG.BRIDGE.CANCEL_METHOD_NAME
+  });
+  return cancelBridge;
+}
+
 /**
  * Loads the .NET bridge for Whisper speech-to-text
  * @returns {Function} The loaded bridge function
@@ -368,23 +637,81 @@ function extractQueryFromSOAP(soapBody) {
   throw new Error('Could not extract query from SOAP body');
 }
 
+/**
+ * Calls the .NET bridge
+ * @param {Function} bridge - Bridge function from loadXmlaBridge()
+ * @param {Object} input - {server, database, query, timeout, roles, effectiveUserName}
+ * @returns {Promise<Object>} Bridge result {success, columns, rows, rowCount, error, errorType}
+ */
+function callXmlaBridge(bridge, input) {
+  return new Promise((resolve, reject) => {
+    bridge(input, (error, result) => {
+      if (error) {
+        console.error('[ADOMD.NET] Bridge error:', error);
+        reject(error);
+      } else {
+        resolve(result);
+      }
+    });
+  });
+}
+
+/**
+ * Sign-in settings for the bridge; the secret of a service principal is read from the credential store
+ * @param {Object} connection - {authentication, tenantId, clientId, connectionId} from XMLAConnection
+ * @returns {Promise<Object>} {authentication, userId, password}
+ * @throws {Error} If a service principal is incomplete or its secret is missing
+ */
+async function getBridgeCredentials(connection) {
+  const authentication = connection.authentication || 'windows';
+  if (authentication !== 'servicePrincipal') {
+    return { authentication, userId: '', password: '' };
+  }
+
+  if (!connection.tenantId || !connection.clientId) {
+    throw new Error('The service principal needs a tenant ID and a client ID - edit the connection in Connections');
+  }
+  const password = connection.connectionId ? await getCredentialStore().get(`connection:${connection.connectionId}`) : '';
+  if (!password) {
+    throw new Error('No client secret is saved for this service principal - edit the connection in Connections');
+  }
+  return { authentication, userId: `app:${connection.clientId}@${connection.tenantId}`, password };
+}
+
 // IPC Handler for XMLA requests using ADOMD.NET
-ipcMain.handle('xmla-request', async (event, { endpoint, soapBody }) => {
+// The connection's server is passed on as the data source as-is (localhost:port,
+// powerbi://, asazure://, ...); the database comes from the SOAP body. The request
+// ID lets 'cancel-query' stop the query; the timeout is in seconds. With profile or
+// queryPlan set the result carries the trace events (server timings, query plans) of the query
+ipcMain.handle('xmla-request', async (event, { connection, soapBody, requestId, timeout, profile, queryPlan }) => {
+  const commandTimeout = Math.min(Math.max(parseInt(timeout, 10) || CONFIG.QUERY.COMMAND_TIMEOUT, 1), CONFIG.QUERY.MAX_COMMAND_TIMEOUT);
   try {
-    // Parse the endpoint URL
-    const url = new URL(endpoint);
-    const server = `${url.hostname}:${url.port}`;
+    const server = String(connection.server || '').trim();
+    if (!server) {
+      throw new Error('No server to connect to');
+    }
+    const remote = XMLAConnection.isRemoteServer(server);
 
     // Extract database from the SOAP body if possible
     const catalogMatch = soapBody.match(/<Catalog>(.*?)<\/Catalog>/);
-    const database = catalogMatch ? catalogMatch[1] : '';
+    const database = catalogMatch ? unescapeXml(catalogMatch[1]) : '';
+
+    // Optional row-level security context ("view as role")
+    const rolesMatch = soapBody.match(/<Roles>([\s\S]*?)<\/Roles>/);
+    const roles = rolesMatch ? unescapeXml(rolesMatch[1]) : '';
+    const effectiveUserMatch = soapBody.match(/<EffectiveUserName>([\s\S]*?)<\/EffectiveUserName>/);
+    const effectiveUserName = effectiveUserMatch ? unescapeXml(effectiveUserMatch[1]) : '';
 
     // Extract the actual query from SOAP
     const query = extractQueryFromSOAP(soapBody);
 
     console.log('[ADOMD.NET] Server:', server);
     console.log('[ADOMD.NET] Database:', database);
+    if (roles || effectiveUserName) {
+      console.log('[ADOMD.NET] Security context - Roles:', roles || '(none)', 'EffectiveUserName:', effectiveUserName || '(none)');
+    }
     console.log('[ADOMD.NET] Query (first 200 chars):', query.substring(0, CONFIG.QUERY.LOG_PREVIEW_LENGTH));
+    console.log('[ADOMD.NET] Request:', requestId || '(none)', '| Timeout:', commandTimeout, 's', profile ? '| Profiling' : '', queryPlan ? '| Query plan' : '');
 
     // Load the .NET bridge
     let bridge;
@@ -396,37 +723,46 @@ ipcMain.handle('xmla-request', async (event, { endpoint, soapBody }) => {
     }
 
     // Call the .NET function with timeout
-    const result = await new Promise((resolve, reject) => {
-      bridge({
-        server: server,
-        database: database,
-        query: query,
-        timeout: CONFIG.QUERY.COMMAND_TIMEOUT
-      }, (error, result) => {
-        if (error) {
-          console.error('[ADOMD.NET] Bridge error:', error);
-          reject(error);
-        } else {
-          resolve(result);
-        }
-      });
+    const credentials = await getBridgeCredentials(connection);
+    const result = await callXmlaBridge(bridge, {
+      requestId: requestId || null,
+      server: server,
+      database: database,
+      query: query,
+      timeout: commandTimeout,
+      profile: Boolean(profile),
+      queryPlan: Boolean(queryPlan),
+      roles: roles,
+      effectiveUserName: effectiveUserName,
+      authentication: credentials.authentication,
+      userId: credentials.userId,
+      password: credentials.password
     });
 
     if (result.success) {
       console.log('[ADOMD.NET] Query successful, rows:', result.rowCount);
 
-      // Convert to XML format expected by the parser
-      const xmlResponse = convertToXMLResponse(result.data);
-
-      return { success: true, data: xmlResponse };
+      // Return typed columns and rows - names like "Sales[Amount]" are kept as-is
+      const data = toTabularResult(result);
+      if (result.trace) {
+        data.trace = result.trace;
+      }
+      return { success: true, data };
+    } else if (result.cancelled) {
+      console.log('[ADOMD.NET] Query cancelled:', requestId);
+      throw new Error('Query cancelled');
     } else {
       console.error('[ADOMD.NET] Query failed:', result.error);
 
       // Provide user-friendly error messages
       let errorMessage = result.error;
 
-      if (result.errorType === 'AdomdConnectionException') {
+      if (result.errorType === 'AdomdConnectionException' && remote) {
+        errorMessage = `Connection failed: ${result.error}\n\nMake sure:\n• The workspace URL and semantic model name are correct\n• The workspace is on a Premium, PPU or Fabric capacity with the XMLA endpoint enabled\n• Your account or service principal has access to the semantic model`;
+      } else if (result.errorType === 'AdomdConnectionException') {
         errorMessage = `Connection failed: ${result.error}\n\nMake sure:\n• Power BI Desktop is running\n• The report is open\n• External Tools are enabled`;
+      } else if (/time(d)?\s?out/i.test(result.error)) {
+        errorMessage = `Query timed out after ${commandTimeout} seconds: ${result.error}\n\nAllow more time with "DAX: timeout=<seconds> <query>".`;
       } else if (result.errorType === 'AdomdErrorResponseException') {
         errorMessage = `Query error: ${result.error}\n\nCheck your DAX syntax and try again.`;
       }
@@ -437,15 +773,42 @@ ipcMain.handle('xmla-request', async (event, { endpoint, soapBody }) => {
   } catch (error) {
     console.error('[ADOMD.NET] Request error:', error.message);
 
-    // Add context to network errors
-    if (error.message.includes('Invalid URL')) {
-      throw new Error(`Invalid XMLA endpoint URL. Make sure Power BI Desktop is running and the report is open.`);
-    }
+    throw error;
+  }
+});
 
+// IPC Handler cancelling a running query by the request ID it was sent with
+ipcMain.handle('cancel-query', async (event, { requestId }) => {
+  try {
+    const result = await callXmlaBridge(loadCancelBridge(), { requestId });
+    console.log('[ADOMD.NET] Cancel requested:', requestId, result.running ? '' : '(not running)');
+    return { success: true, running: result.running };
+  } catch (error) {
+    console.error('[ADOMD.NET] Cancel failed:', error.message);
     throw error;
   }
 });
 
+// IPC Handler listing the models open in Power BI Desktop on this computer
+ipcMain.handle('instances-discover', async () => {
+  const discovery = new InstanceDiscovery({
+    workspaceDirectories: InstanceDiscovery.defaultWorkspaceDirectories(process.env),
+    runQuery: async (server, query) => {
+      const result = await callXmlaBridge(loadXmlaBridge(), {
+        server: server,
+        database: '',
+        query: query,
+        timeout: CONFIG.QUERY.COMMAND_TIMEOUT,
+        roles: '',
+        effectiveUserName: ''
+      });
+      if (!result.success) throw new Error(result.error);
+      return toTabularResult(result);
+    }
+  });
+  return discovery.discover();
+});
+
 // IPC Handler for Whisper speech-to-text transcription
 ipcMain.handle('whisper-transcribe', async (event, { audioData }) => {
   try {
@@ -521,22 +884,31 @@ ipcMain.handle('whisper-transcribe', async (event, { audioData }) => {
 });
 
 /**
- * Converts JSON query results to XML format
- * @param {Array<Object>} data - Array of row objects
- * @returns {string} XML-formatted response
+ * Builds the typed result returned over the xmla-request channel
+ * DateTime values arrive from the bridge as ISO strings without a time zone
+ * and are turned into Date objects (local time, like Power BI shows them)
+ * @param {Object} bridgeResult - {columns, rows} from the .NET bridge
+ * @returns {Object} {columns: [{name, dataType}], rows: Array<Array>, rowCount}
  */
-function convertToXMLResponse(data) {
-  let xml = '<?xml version="1.0" encoding="utf-8"?>';
-  xml += '<root xmlns:xsd="http://www.w3.org/2001/XMLSchema">';
-
-  data.forEach(row => {
-    xml += '<row>';
-    for (const [key, value] of Object.entries(row)) {
-      xml += `<${key}>${escapeXml(value)}</${key}>`;
-    }
-    xml += '</row>';
+function toTabularResult(bridgeResult) {
+  const columns = (bridgeResult.columns || []).map(col => ({
+    name: col.name,
+    dataType: col.dataType || 'Variant'
+  }));
+
+  const dateColumns = columns
+    .map((col, index) => (col.dataType === 'DateTime' ? index : -1))
+    .filter(index => index !== -1);
+
+  const rows = (bridgeResult.rows || []).map(row => {
+    const values = Array.from(row);
+    dateColumns.forEach(index => {
+      if (typeof values[index] === 'string') {
+        values[index] = new Date(values[index]);
+      }
+    });
+    return values;
   });
 
-  xml += '</root>';
-  return xml;
+  return { columns, rows, rowCount: rows.length };
 }
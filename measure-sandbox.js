@@ -0,0 +1,131 @@
+/**
+ * Measure Sandbox
+ * Tries an edit of a measure without changing the model: the edited expression is
+ * defined as a query measure next to the original and both are evaluated over the
+ * chosen grouping columns in one query, e.g.
+ *     DEFINE
+ *         MEASURE 'Sales'[Total Sales (edited)] = SUMX(Sales, Sales[Quantity] * Sales[Unit Price])
+ *     EVALUATE
+ *         SUMMARIZECOLUMNS('Product'[Category], "Original", [Total Sales], "Edited", [Total Sales (edited)])
+ * The query runs through XMLAConnection.executeDAX(), so the DAXValidator checks apply.
+ */
+
+// Quoting helpers and value comparison: required in Node.js, loaded via <script> in the browser
+const sandboxTools = typeof module !== 'undefined' && module.exports ? require('./dax-tools') : window.DAXTools;
+const sandboxDiff = typeof module !== 'undefined' && module.exports ? require('./result-diff') : window.ResultDiff;
+
+// Names of the result columns
+const SANDBOX_ORIGINAL_COLUMN = 'Original';
+const SANDBOX_EDITED_COLUMN = 'Edited';
+
+class MeasureSandbox {
+    /**
+     * Name of the query measure holding the edit, unique among the model's measures
+     * @param {string} name - Name of the original measure
+     * @param {Array<Object>} measures - Measures of the model {name}
+     * @returns {string} e.g. "Total Sales (edited)", "Total Sales (edited 2)" if that exists
+     */
+    static editedName(name, measures) {
+        const taken = new Set((measures || []).map(measure => measure.name.toLowerCase()));
+        let candidate = `${name} (edited)`;
+        for (let i = 2; taken.has(candidate.toLowerCase()); i++) {
+            candidate = `${name} (edited ${i})`;
+        }
+        return candidate;
+    }
+
+    /**
+     * Builds the query that evaluates the original and the edited measure side by side
+     * @param {Object} options - {measure ({name, table} of the original), expression (edited DAX),
+     *   groupBy ([{table, column}] grouping columns, may be empty), measures (all model measures)}
+     * @returns {Object} {query, editedName}
+     * @throws {Error} If the measure or the expression is missing
+     */
+    static buildQuery(options) {
+        const measure = options.measure;
+        if (!measure || !measure.name) {
+            throw new Error('Choose a measure first');
+        }
+        const expression = MeasureSandbox.stripDefinition(options.expression || '');
+        if (!expression) {
+            throw new Error(`The expression of [${measure.name}] is empty`);
+        }
+
+        const editedName = MeasureSandbox.editedName(measure.name, options.measures);
+        const groupBy = (options.groupBy || []).map(col =>
+            `${sandboxTools.quoteTableName(col.table)}${sandboxTools.quoteMeasureName(col.column)}`);
+        const values = [
+            `"${SANDBOX_ORIGINAL_COLUMN}", ${sandboxTools.quoteMeasureName(measure.name)}`,
+            `"${SANDBOX_EDITED_COLUMN}", ${sandboxTools.quoteMeasureName(editedName)}`
+        ];
+
+        // The expression keeps its own line breaks, indented below the MEASURE line
+        const body = expression.split(/\r?\n/).join('\n        ');
+        const query = [
+            'DEFINE',
+            `    MEASURE ${sandboxTools.quoteTableName(measure.table)}${sandboxTools.quoteMeasureName(editedName)} =`,
+            `        ${body}`,
+            'EVALUATE',
+            `    SUMMARIZECOLUMNS(${[...groupBy, ...values].join(', ')})`,
+            groupBy.length > 0 ? `ORDER BY ${groupBy.join(', ')}` : null
+        ].filter(line => line !== null).join('\n');
+
+        return { query, editedName };
+    }
+
+    /**
+     * Drops a leading measure definition from an expression, so "Total Sales = SUM(...)",
+     * "[Total Sales] := SUM(...)" or "MEASURE Sales[Total Sales] = SUM(...)" become "SUM(...)"
+     * "[Flag] = 1" is left alone: without := a bracketed name is a comparison
+     * @param {string} text - Expression as typed or suggested
+     * @returns {string} The expression
+     */
+    static stripDefinition(text) {
+        const reference = "(?:'(?:[^']|'')+'|[\\w ]+)?\\[(?:[^\\]]|\\]\\])+\\]";
+        return text
+            .trim()
+            .replace(new RegExp(`^MEASURE\\s+${reference}\\s*:?=\\s*`, 'i'), '')
+            .replace(new RegExp(`^${reference}\\s*:=\\s*`), '')
+            .replace(/^(?!VAR\b)[^\n=:[\]()"'<>]+?\s*:?=\s*/i, '')
+            .trim();
+    }
+
+    /**
+     * Reads the suggested expression from an assistant answer: its first ```dax block
+     * @param {string} answer - Assistant answer (markdown)
+     * @returns {string|null} The expression, null if the answer has no DAX block
+     */
+    static extractExpression(answer) {
+        const block = String(answer || '').match(/```(?:dax)?[ \t]*\r?\n([\s\S]*?)```/i);
+        if (!block) return null;
+        const expression = MeasureSandbox.stripDefinition(block[1]);
+        return expression || null;
+    }
+
+    /**
+     * Counts the rows where the edited measure returns something else than the original
+     * @param {Object} result - executeDAX() result of buildQuery()'s query {columns, rows}
+     * @param {number} tolerance - Largest allowed difference of numbers
+     * @returns {Object} {original, edited (column indexes), changed (row indexes)}
+     */
+    static changedRows(result, tolerance) {
+        const names = result.columns.map(col => col.name.replace(/^\[(.*)\]$/, '$1'));
+        const original = names.lastIndexOf(SANDBOX_ORIGINAL_COLUMN);
+        const edited = names.lastIndexOf(SANDBOX_EDITED_COLUMN);
+        const changed = [];
+        result.rows.forEach((row, index) => {
+            if (!sandboxDiff.valuesEqual(row[original], row[edited], tolerance)) changed.push(index);
+        });
+        return { original, edited, changed };
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MeasureSandbox;
+}
+
+// Also expose to window object for browser environments
+if (typeof window !== 'undefined') {
+    window.MeasureSandbox = MeasureSandbox;
+}
@@ -0,0 +1,732 @@
+/**
+ * Mock Semantic Model
+ * A small fake sales model for using and testing the app offline, together with the
+ * mock LLM provider. MockXMLAConnection replaces only the two calls that go to the
+ * server: DMV queries are answered from generated TMSCHEMA rows and DAX queries are
+ * evaluated in memory. Metadata mapping, validation, the row limit and result
+ * handling all run through the real XMLAConnection code.
+ *
+ * The DAX evaluator understands a useful subset: tables, TOPN, FILTER, VALUES/DISTINCT,
+ * ROW, SUMMARIZE/SUMMARIZECOLUMNS, DEFINE MEASURE, CALCULATE with column filters and
+ * the common aggregations (SUM, AVERAGE, MIN, MAX, COUNT(ROWS), DISTINCTCOUNT, SUMX, DIVIDE).
+ */
+
+const mockModules = typeof module !== 'undefined' && module.exports
+    ? { XMLAConnection: require('./xmla-connection'), DAXParser: require('./dax-parser').DAXParser }
+    : window;
+
+const MOCK_PRODUCTS = [
+    { 'Product Key': 1, 'Product': 'Road Bike', 'Category': 'Bikes', 'Unit Price': 1200 },
+    { 'Product Key': 2, 'Product': 'Mountain Bike', 'Category': 'Bikes', 'Unit Price': 950 },
+    { 'Product Key': 3, 'Product': 'Helmet', 'Category': 'Accessories', 'Unit Price': 45 },
+    { 'Product Key': 4, 'Product': 'Water Bottle', 'Category': 'Accessories', 'Unit Price': 8 }
+];
+
+const MOCK_MONTHS = ['January', 'February', 'March'];
+
+const MOCK_MODEL = {
+    database: 'Mock Sales Model',
+    factTable: 'Sales', // relationships go from this table to the others
+    tables: [
+        {
+            name: 'Sales',
+            description: 'Order lines (mock data)',
+            columns: [
+                { name: 'Order ID', dataType: 'Int64' },
+                { name: 'Date', dataType: 'DateTime', formatString: 'yyyy-mm-dd' },
+                { name: 'Product Key', dataType: 'Int64', isHidden: true },
+                { name: 'Quantity', dataType: 'Int64', formatString: '#,0' },
+                { name: 'Amount', dataType: 'Decimal', formatString: '\\$#,0.00' }
+            ],
+            // 24 order lines between January and March 2024
+            rows: Array.from({ length: 24 }, (value, i) => {
+                const product = MOCK_PRODUCTS[i % 4];
+                const quantity = (i % 3) + 1;
+                return {
+                    'Order ID': 1001 + Math.floor(i / 2),
+                    'Date': new Date(2024, 0, 1 + i * 3),
+                    'Product Key': product['Product Key'],
+                    'Quantity': quantity,
+                    'Amount': quantity * product['Unit Price']
+                };
+            })
+        },
+        {
+            name: 'Product',
+            description: 'Products sold',
+            columns: [
+                { name: 'Product Key', dataType: 'Int64', isHidden: true },
+                { name: 'Product', dataType: 'String' },
+                { name: 'Category', dataType: 'String' },
+                { name: 'Unit Price', dataType: 'Decimal', formatString: '\\$#,0.00' }
+            ],
+            rows: MOCK_PRODUCTS
+        },
+        {
+            name: 'Date',
+            description: 'Calendar for the first quarter of 2024',
+            columns: [
+                { name: 'Date', dataType: 'DateTime', formatString: 'yyyy-mm-dd' },
+                { name: 'Year', dataType: 'Int64' },
+                { name: 'Month', dataType: 'String' }
+            ],
+            hierarchies: [{ name: 'Calendar', levels: ['Year', 'Month', 'Date'] }],
+            rows: Array.from({ length: 91 }, (value, i) => {
+                const date = new Date(2024, 0, 1 + i);
+                return { 'Date': date, 'Year': date.getFullYear(), 'Month': MOCK_MONTHS[date.getMonth()] };
+            })
+        }
+    ],
+    measures: [
+        { name: 'Total Sales', table: 'Sales', expression: 'SUM(Sales[Amount])', formatString: '\\$#,0.00', dataType: 'Decimal', description: 'Sales amount' },
+        { name: 'Total Quantity', table: 'Sales', expression: 'SUM(Sales[Quantity])', formatString: '#,0', dataType: 'Int64' },
+        { name: 'Order Count', table: 'Sales', expression: 'DISTINCTCOUNT(Sales[Order ID])', formatString: '#,0', dataType: 'Int64' },
+        { name: 'Average Order Value', table: 'Sales', expression: 'DIVIDE([Total Sales], [Order Count])', formatString: '\\$#,0.00', dataType: 'Double', displayFolder: 'Ratios' }
+    ],
+    relationships: [
+        { from: ['Sales', 'Product Key'], to: ['Product', 'Product Key'] },
+        { from: ['Sales', 'Date'], to: ['Date', 'Date'] }
+    ],
+    roles: [
+        { name: 'Bikes Only', description: 'Sees bike sales only', table: 'Product', column: 'Category', value: 'Bikes' }
+    ]
+};
+
+// TOM DataType codes, see TOM_ENUMS in xmla-connection.js
+const MOCK_DATA_TYPE_CODES = { String: 2, Int64: 6, Double: 8, DateTime: 9, Decimal: 10, Boolean: 11 };
+
+// Server timings trace recorded for a SUMMARIZECOLUMNS query over Product[Category] and
+// [Total Sales], replayed for every profiled query (bridge event format, see server-timings.js)
+const MOCK_SERVER_TIMINGS_TRACE = [
+    {
+        eventClass: 83, eventSubclass: 0, startTime: '2024-04-02T10:15:03.412', endTime: '2024-04-02T10:15:03.416',
+        duration: 4, cpuTime: 0,
+        textData: 'SET DC_KIND="AUTO";\nSELECT\n    \'Product\'[Category],\n    SUM ( \'Sales\'[Amount] )\nFROM \'Sales\'\n    LEFT OUTER JOIN \'Product\'\n        ON \'Sales\'[Product Key]=\'Product\'[Product Key];\n\n\n[Estimated size (volume, marshalling bytes): 2, 32]'
+    },
+    {
+        eventClass: 83, eventSubclass: 10, startTime: '2024-04-02T10:15:03.412', endTime: '2024-04-02T10:15:03.415',
+        duration: 3, cpuTime: 0, textData: 'SELECT \'Product\'[Category] FROM \'Product\';'
+    },
+    {
+        eventClass: 85, eventSubclass: 0, currentTime: '2024-04-02T10:15:03.417',
+        textData: 'SET DC_KIND="AUTO";\nSELECT\n    \'Product\'[Category]\nFROM \'Product\';\n\n\n[Estimated size (volume, marshalling bytes): 2, 32]'
+    },
+    {
+        eventClass: 83, eventSubclass: 0, startTime: '2024-04-02T10:15:03.417', endTime: '2024-04-02T10:15:03.419',
+        duration: 2, cpuTime: 16,
+        textData: 'SET DC_KIND="AUTO";\nSELECT\n    \'Product\'[Category],\n    COUNT ( )\nFROM \'Sales\'\n    LEFT OUTER JOIN \'Product\'\n        ON \'Sales\'[Product Key]=\'Product\'[Product Key];\n\n\n[Estimated size (volume, marshalling bytes): 2, 32]'
+    },
+    {
+        eventClass: 10, eventSubclass: 3, startTime: '2024-04-02T10:15:03.410', endTime: '2024-04-02T10:15:03.422',
+        duration: 12, cpuTime: 16, textData: 'EVALUATE SUMMARIZECOLUMNS(\'Product\'[Category], "Total Sales", [Total Sales])'
+    }
+];
+
+// DAX Query Plan events recorded with the trace above (logical and physical plan)
+const MOCK_QUERY_PLAN_TRACE = [
+    {
+        eventClass: 112, eventSubclass: 1, currentTime: '2024-04-02T10:15:03.411',
+        textData: [
+            'GroupSemiJoin: RelLogOp DependOnCols()() 0-1 RequiredCols(0, 1)(\'Product\'[Category], \'\'[Total Sales])',
+            '\tScan_Vertipaq: RelLogOp DependOnCols()() 0-0 RequiredCols(0)(\'Product\'[Category])',
+            '\tSum_Vertipaq: ScaLogOp DependOnCols(0)(\'Product\'[Category]) Currency DominantValue=BLANK',
+            '\t\tScan_Vertipaq: RelLogOp DependOnCols(0)(\'Product\'[Category]) 1-6 RequiredCols(0, 5)(\'Product\'[Category], \'Sales\'[Amount])',
+            '\t\t\'Sales\'[Amount]: ScaLogOp DependOnCols(5)(\'Sales\'[Amount]) Currency DominantValue=NONE'
+        ].join('\n')
+    },
+    {
+        eventClass: 112, eventSubclass: 2, currentTime: '2024-04-02T10:15:03.421',
+        textData: [
+            'GroupSemijoin: IterPhyOp LogOp=GroupSemiJoin IterCols(0, 1)(\'Product\'[Category], \'\'[Total Sales])',
+            '\tSpool_Iterator<SpoolIterator>: IterPhyOp LogOp=Sum_Vertipaq IterCols(0, 1)(\'Product\'[Category], \'\'[Total Sales]) #Records=2 #KeyCols=1 #ValueCols=1',
+            '\t\tProjectionSpool<ProjectFusion<Copy>>: SpoolPhyOp #Records=2',
+            '\t\t\tCache: IterPhyOp #FieldCols=1 #ValueCols=1',
+            '\t\t\t\tVertipaqResult: IterPhyOp #FieldCols=1 #ValueCols=1'
+        ].join('\n')
+    }
+];
+
+class MockXMLAConnection extends mockModules.XMLAConnection {
+    constructor() {
+        super('mock', MOCK_MODEL.database);
+        this.schemaRowsets = MockXMLAConnection.buildSchemaRowsets();
+    }
+
+    /**
+     * Connection info for the renderer (server/database shown in the header)
+     */
+    static connectionInfo() {
+        return { server: 'Mock model (offline)', database: MOCK_MODEL.database, mock: true };
+    }
+
+    // Answer DMV queries from the generated TMSCHEMA rows
+    async executeDMVQuery(query) {
+        const match = query.match(/\$SYSTEM\.(\w+)/i);
+        const rowsetName = match ? match[1].toUpperCase() : '';
+
+        if (rowsetName === 'DBSCHEMA_CATALOGS') {
+            return [{ CATALOG_NAME: MOCK_MODEL.database }];
+        }
+        if (!this.schemaRowsets[rowsetName]) {
+            throw new Error(`Mock model has no rowset ${rowsetName}`);
+        }
+        return this.schemaRowsets[rowsetName].map(row => ({ ...row }));
+    }
+
+    // Evaluate DAX queries in memory
+    async executeQuery(query, options = {}) {
+        const evaluator = new MockDAXEvaluator(MOCK_MODEL, options.role || null);
+        const result = evaluator.evaluateQuery(query);
+        const tabular = {
+            columns: result.columns,
+            rows: result.rows.map(row => result.columns.map(col => (row[col.name] === undefined ? null : row[col.name]))),
+            rowCount: result.rows.length
+        };
+        if (options.profile || options.queryPlan) {
+            tabular.trace = [
+                ...(options.queryPlan ? MOCK_QUERY_PLAN_TRACE : []),
+                ...MOCK_SERVER_TIMINGS_TRACE
+            ].map(event => ({ ...event }));
+        }
+        return tabular;
+    }
+
+    /**
+     * Generates TMSCHEMA_* rows for MOCK_MODEL, the way Analysis Services returns them
+     */
+    static buildSchemaRowsets() {
+        const rowsets = {
+            TMSCHEMA_TABLES: [],
+            TMSCHEMA_COLUMNS: [],
+            TMSCHEMA_MEASURES: [],
+            TMSCHEMA_RELATIONSHIPS: [],
+            TMSCHEMA_HIERARCHIES: [],
+            TMSCHEMA_LEVELS: [],
+            TMSCHEMA_ROLES: [],
+            TMSCHEMA_TABLE_PERMISSIONS: [],
+            TMSCHEMA_ROLE_MEMBERSHIPS: [],
+            TMSCHEMA_PARTITIONS: [],
+            TMSCHEMA_CALCULATION_GROUPS: [],
+            TMSCHEMA_CALCULATION_ITEMS: []
+        };
+        const tableIds = {};
+        const columnIds = {};
+        let nextId = 1;
+
+        MOCK_MODEL.tables.forEach(table => {
+            const tableId = String(nextId++);
+            tableIds[table.name] = tableId;
+            rowsets.TMSCHEMA_TABLES.push({ ID: tableId, Name: table.name, Description: table.description, IsHidden: 'false' });
+            rowsets.TMSCHEMA_PARTITIONS.push({ ID: String(nextId++), TableID: tableId, Name: table.name, Type: '4' });
+
+            table.columns.forEach(col => {
+                const columnId = String(nextId++);
+                columnIds[`${table.name}[${col.name}]`] = columnId;
+                rowsets.TMSCHEMA_COLUMNS.push({
+                    ID: columnId,
+                    TableID: tableId,
+                    ExplicitName: col.name,
+                    ExplicitDataType: String(MOCK_DATA_TYPE_CODES[col.dataType]),
+                    Type: '1',
+                    IsHidden: col.isHidden ? 'true' : 'false',
+                    FormatString: col.formatString || ''
+                });
+            });
+
+            (table.hierarchies || []).forEach(hierarchy => {
+                const hierarchyId = String(nextId++);
+                rowsets.TMSCHEMA_HIERARCHIES.push({ ID: hierarchyId, TableID: tableId, Name: hierarchy.name, IsHidden: 'false' });
+                hierarchy.levels.forEach((level, ordinal) => {
+                    rowsets.TMSCHEMA_LEVELS.push({
+                        HierarchyID: hierarchyId,
+                        Name: level,
+                        ColumnID: columnIds[`${table.name}[${level}]`],
+                        Ordinal: String(ordinal)
+                    });
+                });
+            });
+        });
+
+        MOCK_MODEL.measures.forEach(measure => {
+            rowsets.TMSCHEMA_MEASURES.push({
+                ID: String(nextId++),
+                TableID: tableIds[measure.table],
+                Name: measure.name,
+                Expression: measure.expression,
+                FormatString: measure.formatString || '',
+                Description: measure.description || '',
+                DisplayFolder: measure.displayFolder || '',
+                DataType: String(MOCK_DATA_TYPE_CODES[measure.dataType]),
+                IsHidden: 'false'
+            });
+        });
+
+        MOCK_MODEL.relationships.forEach(rel => {
+            rowsets.TMSCHEMA_RELATIONSHIPS.push({
+                ID: String(nextId++),
+                Name: `${rel.from[0]}_${rel.to[0]}`,
+                FromTableID: tableIds[rel.from[0]],
+                FromColumnID: columnIds[`${rel.from[0]}[${rel.from[1]}]`],
+                ToTableID: tableIds[rel.to[0]],
+                ToColumnID: columnIds[`${rel.to[0]}[${rel.to[1]}]`],
+                IsActive: 'true',
+                FromCardinality: '2',
+                ToCardinality: '1',
+                CrossFilteringBehavior: '1',
+                SecurityFilteringBehavior: '1'
+            });
+        });
+
+        MOCK_MODEL.roles.forEach(role => {
+            const roleId = String(nextId++);
+            rowsets.TMSCHEMA_ROLES.push({ ID: roleId, Name: role.name, Description: role.description, ModelPermission: '2' });
+            rowsets.TMSCHEMA_TABLE_PERMISSIONS.push({
+                RoleID: roleId,
+                TableID: tableIds[role.table],
+                FilterExpression: `[${role.column}] = "${role.value}"`
+            });
+        });
+
+        return rowsets;
+    }
+}
+
+/**
+ * In-memory evaluator for the DAX subset described at the top of this file
+ * Filter context is a list of fact (Sales) rows joined with their Product and Date rows
+ * (keys like "Product[Category]"); tables are arrays of row objects with the same keys
+ */
+class MockDAXEvaluator {
+    constructor(model, role) {
+        this.model = model;
+        this.measures = {};
+        model.measures.forEach(measure => {
+            this.measures[measure.name.toLowerCase()] = { name: measure.name, expression: MockDAXEvaluator.parseExpression(measure.expression) };
+        });
+
+        // Row-level security: the role filters apply to the table and to the facts
+        const roleNames = role ? role.split(',').map(name => name.trim().toLowerCase()) : [];
+        this.roles = model.roles.filter(r => roleNames.includes(r.name.toLowerCase()));
+
+        this.tables = {};
+        model.tables.forEach(table => {
+            this.tables[table.name.toLowerCase()] = {
+                name: table.name,
+                columns: table.columns,
+                rows: table.rows.map(row => this.qualify(table.name, row)).filter(row => this.passesRoles(row))
+            };
+        });
+        this.facts = this.buildFacts();
+    }
+
+    static parseExpression(text) {
+        return mockModules.DAXParser.parse(`EVALUATE ${text}`).statements[0].expression;
+    }
+
+    qualify(tableName, row) {
+        const result = {};
+        Object.keys(row).forEach(key => {
+            result[`${tableName}[${key}]`] = row[key];
+        });
+        return result;
+    }
+
+    passesRoles(row) {
+        return this.roles.every(role => {
+            const key = `${role.table}[${role.column}]`;
+            return !(key in row) || row[key] === role.value;
+        });
+    }
+
+    buildFacts() {
+        const factRows = this.tables[this.model.factTable.toLowerCase()].rows;
+        return factRows.map(row => {
+            const joined = { ...row };
+            this.model.relationships.forEach(rel => {
+                const fromKey = `${rel.from[0]}[${rel.from[1]}]`;
+                const toKey = `${rel.to[0]}[${rel.to[1]}]`;
+                const target = this.tables[rel.to[0].toLowerCase()].rows
+                    .find(candidate => MockDAXEvaluator.sameValue(candidate[toKey], row[fromKey]));
+                if (target) {
+                    Object.assign(joined, target);
+                } else if (this.roles.some(role => role.table === rel.to[0])) {
+                    joined.hiddenByRole = true; // The related row is filtered out by a role
+                }
+            });
+            return joined;
+        }).filter(row => !row.hiddenByRole && this.passesRoles(row));
+    }
+
+    /**
+     * Evaluates a query and returns the result of its first EVALUATE statement
+     * @returns {Object} {columns: [{name, dataType}], rows: [row objects keyed by column name]}
+     */
+    evaluateQuery(query) {
+        const ast = mockModules.DAXParser.parse(query);
+        ast.definitions.filter(def => def.type === 'MeasureDefinition').forEach(def => {
+            this.measures[def.name.toLowerCase()] = { name: def.name, expression: def.expression };
+        });
+
+        const statement = ast.statements[0];
+        if (!statement) {
+            throw new Error('Query has no EVALUATE statement');
+        }
+        const table = this.evaluateTable(statement.expression, { facts: this.facts, row: null });
+        if (statement.orderBy.length > 0) {
+            table.rows = this.sortRows(table.rows, statement.orderBy.map(item => ({ expression: item.expression, descending: item.direction === 'DESC' })));
+        }
+        return table;
+    }
+
+    evaluateTable(node, context) {
+        if (node.type === 'Parenthesized') return this.evaluateTable(node.expression, context);
+        if (node.type === 'TableRef' || node.type === 'Identifier') return this.tableResult(node.name, context);
+        if (node.type !== 'FunctionCall') {
+            throw new Error(`The mock model cannot evaluate ${node.type} as a table`);
+        }
+
+        const args = node.arguments;
+        switch (node.name) {
+            case 'TOPN': {
+                const count = this.evaluateScalar(args[0], context);
+                const table = this.evaluateTable(args[1], context);
+                const order = [];
+                for (let i = 2; i < args.length; i += 2) {
+                    const direction = args[i + 1] ? this.directionOf(args[i + 1]) : 'DESC';
+                    order.push({ expression: args[i], descending: direction === 'DESC' });
+                }
+                const rows = order.length > 0 ? this.sortRows(table.rows, order) : table.rows;
+                return { columns: table.columns, rows: rows.slice(0, count) };
+            }
+            case 'FILTER': {
+                const table = this.evaluateTable(args[0], context);
+                return { columns: table.columns, rows: table.rows.filter(row => this.evaluateScalar(args[1], { ...context, row })) };
+            }
+            case 'VALUES':
+            case 'DISTINCT': {
+                if (args[0].type !== 'ColumnRef') return this.evaluateTable(args[0], context);
+                return this.groupBy([args[0]], [], context.facts.length > 0 ? context.facts : [], context);
+            }
+            case 'ROW': {
+                const row = {};
+                const columns = [];
+                for (let i = 0; i + 1 < args.length; i += 2) {
+                    const name = `[${this.evaluateScalar(args[i], context)}]`;
+                    row[name] = this.evaluateScalar(args[i + 1], context);
+                    columns.push({ name, dataType: MockDAXEvaluator.dataTypeOf(row[name]) });
+                }
+                return { columns, rows: [row] };
+            }
+            case 'SUMMARIZECOLUMNS':
+            case 'SUMMARIZE': {
+                const rest = node.name === 'SUMMARIZE' ? args.slice(1) : args;
+                const groupColumns = rest.filter(arg => arg.type === 'ColumnRef' && arg.table);
+                const filters = node.name === 'SUMMARIZECOLUMNS'
+                    ? rest.filter(arg => arg.type === 'FunctionCall' && ['FILTER', 'TREATAS', 'KEEPFILTERS'].includes(arg.name))
+                    : [];
+                if (filters.length > 0) {
+                    throw new Error('The mock model does not support filter tables in SUMMARIZECOLUMNS - use CALCULATETABLE or FILTER instead');
+                }
+                const extensions = [];
+                const firstName = rest.findIndex(arg => arg.type === 'StringLiteral');
+                if (firstName !== -1) {
+                    for (let i = firstName; i + 1 < rest.length; i += 2) {
+                        extensions.push({ name: `[${rest[i].value}]`, expression: rest[i + 1] });
+                    }
+                }
+                return this.groupBy(groupColumns, extensions, context.facts, context);
+            }
+            case 'ADDCOLUMNS': {
+                const table = this.evaluateTable(args[0], context);
+                const columns = [...table.columns];
+                const rows = table.rows.map(row => ({ ...row }));
+                for (let i = 1; i + 1 < args.length; i += 2) {
+                    const name = `[${this.evaluateScalar(args[i], context)}]`;
+                    rows.forEach(row => {
+                        row[name] = this.evaluateScalar(args[i + 1], { facts: this.factsForRow(row, context.facts), row });
+                    });
+                    columns.push({ name, dataType: MockDAXEvaluator.dataTypeOf(rows.length > 0 ? rows[0][name] : null) });
+                }
+                return { columns, rows };
+            }
+            case 'CALCULATETABLE': {
+                const facts = this.applyFilters(args.slice(1), context);
+                return this.evaluateTable(args[0], { facts, row: null });
+            }
+            default:
+                throw new Error(`The mock model does not support ${node.name}() as a table expression`);
+        }
+    }
+
+    tableResult(name, context) {
+        const table = this.tables[name.toLowerCase()];
+        if (!table) {
+            throw new Error(`Cannot find table '${name}'`);
+        }
+        // Dimension rows are restricted to the ones that still have facts when the context is filtered
+        let rows = table.rows;
+        const factTable = this.model.factTable;
+        if (table.name === factTable) {
+            rows = context.facts.map(fact => this.qualifyOnly(factTable, fact));
+        } else if (context.facts !== this.facts) {
+            rows = rows.filter(row => context.facts.some(fact => Object.keys(row).every(key => MockDAXEvaluator.sameValue(fact[key], row[key]))));
+        }
+        return {
+            columns: table.columns.map(col => ({ name: `${table.name}[${col.name}]`, dataType: col.dataType })),
+            rows
+        };
+    }
+
+    qualifyOnly(tableName, row) {
+        const result = {};
+        Object.keys(row).filter(key => key.startsWith(`${tableName}[`)).forEach(key => {
+            result[key] = row[key];
+        });
+        return result;
+    }
+
+    groupBy(groupColumns, extensions, facts, context) {
+        const columns = groupColumns.map(col => ({ name: this.columnKey(col), dataType: this.columnDataType(col) }));
+        const groups = new Map();
+
+        facts.forEach(fact => {
+            const values = columns.map(col => fact[col.name]);
+            const key = JSON.stringify(values);
+            if (!groups.has(key)) groups.set(key, { values, facts: [] });
+            groups.get(key).facts.push(fact);
+        });
+
+        let rows = [...groups.values()].map(group => {
+            const row = {};
+            columns.forEach((col, i) => { row[col.name] = group.values[i]; });
+            extensions.forEach(ext => {
+                row[ext.name] = this.evaluateScalar(ext.expression, { ...context, facts: group.facts, row: null });
+            });
+            return row;
+        });
+
+        // Like SUMMARIZECOLUMNS, drop rows where every measure is blank
+        if (extensions.length > 0) {
+            rows = rows.filter(row => extensions.some(ext => row[ext.name] !== null && row[ext.name] !== undefined));
+        }
+
+        extensions.forEach(ext => {
+            const sample = rows.find(row => row[ext.name] !== null);
+            columns.push({ name: ext.name, dataType: MockDAXEvaluator.dataTypeOf(sample ? sample[ext.name] : null) });
+        });
+        return { columns, rows };
+    }
+
+    evaluateScalar(node, context) {
+        switch (node.type) {
+            case 'NumberLiteral':
+                return Number(node.value);
+            case 'StringLiteral':
+                return node.value;
+            case 'Parenthesized':
+                return this.evaluateScalar(node.expression, context);
+            case 'ColumnRef':
+                if (node.table) return this.columnValue(node, context);
+                // [Name] is a column added by ROW/ADDCOLUMNS/SUMMARIZECOLUMNS when the row has it, a measure otherwise
+                if (context.row && `[${node.name}]` in context.row) return context.row[`[${node.name}]`];
+                return this.evaluateMeasure(node.name, context);
+            case 'Identifier': {
+                const upper = node.name.toUpperCase();
+                if (upper === 'TRUE') return true;
+                if (upper === 'FALSE') return false;
+                if (upper === 'BLANK') return null;
+                throw new Error(`The mock model cannot resolve ${node.name}`);
+            }
+            case 'UnaryExpression': {
+                const value = this.evaluateScalar(node.argument, context);
+                return node.operator === 'NOT' ? !value : (node.operator === '-' ? -value : value);
+            }
+            case 'BinaryExpression':
+                return this.evaluateBinary(node, context);
+            case 'FunctionCall':
+                return this.evaluateFunction(node, context);
+            default:
+                throw new Error(`The mock model cannot evaluate ${node.type}`);
+        }
+    }
+
+    evaluateBinary(node, context) {
+        const left = this.evaluateScalar(node.left, context);
+        const right = this.evaluateScalar(node.right, context);
+        const number = value => (value === null ? 0 : Number(value instanceof Date ? value.getTime() : value));
+        switch (node.operator.toUpperCase()) {
+            case '+': return number(left) + number(right);
+            case '-': return number(left) - number(right);
+            case '*': return number(left) * number(right);
+            case '/': return number(right) === 0 ? null : number(left) / number(right);
+            case '^': return Math.pow(number(left), number(right));
+            case '&': return `${left === null ? '' : left}${right === null ? '' : right}`;
+            case '=':
+            case '==': return MockDAXEvaluator.sameValue(left, right);
+            case '<>': return !MockDAXEvaluator.sameValue(left, right);
+            case '<': return number(left) < number(right);
+            case '<=': return number(left) <= number(right);
+            case '>': return number(left) > number(right);
+            case '>=': return number(left) >= number(right);
+            case '&&':
+            case 'AND': return Boolean(left) && Boolean(right);
+            case '||':
+            case 'OR': return Boolean(left) || Boolean(right);
+            default:
+                throw new Error(`The mock model does not support the ${node.operator} operator`);
+        }
+    }
+
+    evaluateFunction(node, context) {
+        const args = node.arguments;
+        const aggregate = (columnNode, reducer) => {
+            const key = this.columnKey(columnNode);
+            const values = context.facts.map(fact => fact[key]).filter(value => value !== null && value !== undefined);
+            return values.length === 0 ? null : reducer(values);
+        };
+
+        switch (node.name) {
+            case 'SUM': return aggregate(args[0], values => values.reduce((sum, value) => sum + value, 0));
+            case 'AVERAGE': return aggregate(args[0], values => values.reduce((sum, value) => sum + value, 0) / values.length);
+            case 'MIN': return aggregate(args[0], values => values.reduce((min, value) => (value < min ? value : min)));
+            case 'MAX': return aggregate(args[0], values => values.reduce((max, value) => (value > max ? value : max)));
+            case 'COUNT': return aggregate(args[0], values => values.length);
+            case 'DISTINCTCOUNT': return aggregate(args[0], values => new Set(values.map(value => (value instanceof Date ? value.getTime() : value))).size);
+            case 'COUNTROWS': {
+                const rows = this.evaluateTable(args[0], context).rows.length;
+                return rows === 0 ? null : rows;
+            }
+            case 'SUMX':
+            case 'AVERAGEX': {
+                const table = this.evaluateTable(args[0], context);
+                const values = table.rows.map(row => this.evaluateScalar(args[1], { facts: this.factsForRow(row, context.facts), row }))
+                    .filter(value => value !== null);
+                if (values.length === 0) return null;
+                const sum = values.reduce((total, value) => total + value, 0);
+                return node.name === 'SUMX' ? sum : sum / values.length;
+            }
+            case 'DIVIDE': {
+                const numerator = this.evaluateScalar(args[0], context);
+                const denominator = this.evaluateScalar(args[1], context);
+                if (!denominator) return args[2] ? this.evaluateScalar(args[2], context) : null;
+                return numerator === null ? null : numerator / denominator;
+            }
+            case 'CALCULATE':
+                return this.evaluateScalar(args[0], { facts: this.applyFilters(args.slice(1), context), row: null });
+            case 'IF': {
+                const condition = this.evaluateScalar(args[0], context);
+                if (condition) return this.evaluateScalar(args[1], context);
+                return args[2] ? this.evaluateScalar(args[2], context) : null;
+            }
+            case 'BLANK': return null;
+            case 'ROUND': {
+                const factor = Math.pow(10, args[1] ? this.evaluateScalar(args[1], context) : 0);
+                const value = this.evaluateScalar(args[0], context);
+                return value === null ? null : Math.round(value * factor) / factor;
+            }
+            default:
+                throw new Error(`The mock model does not support ${node.name}()`);
+        }
+    }
+
+    /**
+     * Applies CALCULATE filter arguments: boolean conditions on columns and ALL(...)
+     */
+    applyFilters(filterNodes, context) {
+        let facts = context.facts;
+        filterNodes.forEach(filter => {
+            if (filter.type === 'FunctionCall' && ['ALL', 'REMOVEFILTERS'].includes(filter.name)) {
+                facts = this.facts;
+            } else if (filter.type === 'BinaryExpression' || filter.type === 'UnaryExpression' || filter.type === 'Parenthesized') {
+                facts = facts.filter(fact => this.evaluateScalar(filter, { facts: [fact], row: fact }));
+            } else {
+                throw new Error('The mock model only supports column conditions and ALL() as CALCULATE filters');
+            }
+        });
+        return facts;
+    }
+
+    evaluateMeasure(name, context) {
+        const measure = this.measures[name.toLowerCase()];
+        if (!measure) {
+            throw new Error(`Cannot find measure [${name}]`);
+        }
+        // Context transition: inside a row context the measure sees the facts of that row
+        const facts = context.row ? this.factsForRow(context.row, context.facts) : context.facts;
+        return this.evaluateScalar(measure.expression, { facts, row: null });
+    }
+
+    factsForRow(row, facts) {
+        const keys = Object.keys(row).filter(key => !key.startsWith('['));
+        return facts.filter(fact => keys.every(key => !(key in fact) || MockDAXEvaluator.sameValue(fact[key], row[key])));
+    }
+
+    columnValue(node, context) {
+        const key = this.columnKey(node);
+        if (context.row && key in context.row) return context.row[key];
+        if (context.facts.length === 1 && key in context.facts[0]) return context.facts[0][key];
+        throw new Error(`A single value for column ${key} cannot be determined`);
+    }
+
+    columnKey(node) {
+        if (node.type !== 'ColumnRef' || !node.table) {
+            throw new Error('Expected a fully qualified column such as Sales[Amount]');
+        }
+        const table = this.tables[node.table.toLowerCase()];
+        const column = table && table.columns.find(col => col.name.toLowerCase() === node.name.toLowerCase());
+        if (!column) {
+            throw new Error(`Cannot find column ${node.table}[${node.name}]`);
+        }
+        return `${table.name}[${column.name}]`;
+    }
+
+    columnDataType(node) {
+        const table = this.tables[node.table.toLowerCase()];
+        return table.columns.find(col => `${table.name}[${col.name}]` === this.columnKey(node)).dataType;
+    }
+
+    directionOf(node) {
+        if (node.type === 'Identifier') return node.name.toUpperCase() === 'ASC' ? 'ASC' : 'DESC';
+        return this.evaluateScalar(node, { facts: [], row: null }) ? 'ASC' : 'DESC';
+    }
+
+    sortRows(rows, order) {
+        const keyed = rows.map(row => ({
+            row,
+            keys: order.map(item => this.evaluateScalar(item.expression, { facts: this.factsForRow(row, this.facts), row }))
+        }));
+        keyed.sort((a, b) => {
+            for (let i = 0; i < order.length; i++) {
+                const x = a.keys[i];
+                const y = b.keys[i];
+                if (MockDAXEvaluator.sameValue(x, y)) continue;
+                const less = x === null || (y !== null && x < y);
+                return (less ? -1 : 1) * (order[i].descending ? -1 : 1);
+            }
+            return 0;
+        });
+        return keyed.map(item => item.row);
+    }
+
+    static sameValue(a, b) {
+        if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+        return a === b;
+    }
+
+    static dataTypeOf(value) {
+        if (value instanceof Date) return 'DateTime';
+        if (typeof value === 'boolean') return 'Boolean';
+        if (typeof value === 'number') return Number.isInteger(value) ? 'Int64' : 'Double';
+        return 'String';
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MockXMLAConnection;
+}
+
+// Also expose to window object for browser environments
+if (typeof window !== 'undefined') {
+    window.MockXMLAConnection = MockXMLAConnection;
+}
@@ -0,0 +1,268 @@
+/**
+ * Model Search Index
+ * Local, embedding-free search over the objects of a semantic model: tables,
+ * columns, measures and display folders. Names, descriptions, display folders and
+ * DAX expressions are ranked with BM25 (names weigh most); business synonyms
+ * ("revenue" finds Sales Amount) and trigram matching of misspelled or partial
+ * words widen the query. Used by the sidebar search box and to pick the objects
+ * described to the LLM.
+ */
+
+const searchConfig = typeof module !== 'undefined' && module.exports ? require('./config') : window.CONFIG;
+
+// Words that never identify a model object
+const SEARCH_STOP_WORDS = new Set([
+    'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'how', 'in', 'is', 'it', 'of', 'on', 'or',
+    'the', 'to', 'was', 'what', 'which', 'with', 'show', 'me', 'my', 'per', 'all', 'each'
+]);
+
+class ModelSearchIndex {
+    /**
+     * Indexes the objects of a semantic model
+     * @param {Object} model - Semantic model metadata {tables, measures} from getSemanticModelMetadata()
+     */
+    constructor(model) {
+        this.k1 = searchConfig.SEARCH.BM25_K1;
+        this.b = searchConfig.SEARCH.BM25_B;
+        this.fieldWeights = searchConfig.SEARCH.FIELD_WEIGHTS;
+
+        this.documents = [];
+        this.postings = new Map(); // term -> [{doc, tf}]
+        this.trigrams = new Map(); // trigram -> Set of terms
+        this.synonyms = ModelSearchIndex.buildSynonyms(searchConfig.SEARCH.SYNONYMS);
+
+        this.build(model || {});
+    }
+
+    /**
+     * Splits text into lower-case words; camelCase and snake_case names are split too,
+     * plurals are reduced to the singular. Also used by ModelContextBuilder to rank objects.
+     * @param {string} text - The text
+     * @param {Set<string>} extraStopWords - Words to drop on top of the search stop words (optional)
+     * @returns {Array<string>} Terms
+     */
+    static tokenize(text, extraStopWords = null) {
+        return (text || '')
+            .replace(/([\p{Ll}\p{N}])(\p{Lu})/gu, '$1 $2')
+            .toLowerCase()
+            .split(/[^\p{L}\p{N}]+/u)
+            .filter(word => word.length > 1 && !SEARCH_STOP_WORDS.has(word) && !(extraStopWords && extraStopWords.has(word)))
+            .map(word => (word.length > 3 && word.endsWith('s') && !word.endsWith('ss') ? word.slice(0, -1) : word));
+    }
+
+    /**
+     * Trigrams of a term, padded so that word starts and ends count
+     */
+    static trigramsOf(term) {
+        const padded = ` ${term} `;
+        const result = new Set();
+        for (let i = 0; i < padded.length - 2; i++) {
+            result.add(padded.slice(i, i + 3));
+        }
+        return result;
+    }
+
+    /**
+     * Maps each synonym term to the other terms of its groups
+     */
+    static buildSynonyms(groups) {
+        const synonyms = new Map();
+        (groups || []).forEach(group => {
+            const terms = group.map(word => ModelSearchIndex.tokenize(word)[0]).filter(Boolean);
+            terms.forEach(term => {
+                if (!synonyms.has(term)) synonyms.set(term, new Set());
+                terms.filter(other => other !== term).forEach(other => synonyms.get(term).add(other));
+            });
+        });
+        return synonyms;
+    }
+
+    /**
+     * Number of indexed objects
+     */
+    get size() {
+        return this.documents.length;
+    }
+
+    build(model) {
+        const folders = new Map();
+        const addFolder = (folder, table) => {
+            if (!folder) return;
+            const key = `${table || ''}\u0000${folder}`;
+            if (!folders.has(key)) folders.set(key, { name: folder, table: table || null });
+        };
+
+        (model.tables || []).forEach(table => {
+            this.addDocument('table', table.name, table.name, table, {
+                name: table.name,
+                description: table.description,
+                expression: table.isCalculated ? table.expression : null
+            });
+
+            (table.columns || []).forEach(col => {
+                this.addDocument('column', col.name, table.name, col, {
+                    name: col.name,
+                    table: table.name,
+                    folder: col.displayFolder,
+                    description: col.description,
+                    expression: col.expression
+                });
+                addFolder(col.displayFolder, table.name);
+            });
+        });
+
+        (model.measures || []).forEach(measure => {
+            this.addDocument('measure', measure.name, measure.table || null, measure, {
+                name: measure.name,
+                table: measure.table,
+                folder: measure.displayFolder,
+                description: measure.description,
+                expression: measure.expression
+            });
+            addFolder(measure.displayFolder, measure.table);
+        });
+
+        folders.forEach(folder => {
+            this.addDocument('folder', folder.name, folder.table, folder, {
+                name: folder.name,
+                table: folder.table
+            });
+        });
+
+        this.averageLength = this.documents.length > 0
+            ? this.documents.reduce((total, doc) => total + doc.length, 0) / this.documents.length
+            : 1;
+    }
+
+    addDocument(type, name, table, item, fields) {
+        const index = this.documents.length;
+        const frequencies = new Map();
+        let length = 0;
+
+        // Each occurrence counts with the weight of its field (BM25F-style)
+        Object.keys(fields).forEach(field => {
+            const weight = this.fieldWeights[field] || 1;
+            ModelSearchIndex.tokenize(fields[field]).forEach(term => {
+                frequencies.set(term, (frequencies.get(term) || 0) + weight);
+                length += weight;
+            });
+        });
+
+        frequencies.forEach((tf, term) => {
+            if (!this.postings.has(term)) {
+                this.postings.set(term, []);
+                ModelSearchIndex.trigramsOf(term).forEach(trigram => {
+                    if (!this.trigrams.has(trigram)) this.trigrams.set(trigram, new Set());
+                    this.trigrams.get(trigram).add(term);
+                });
+            }
+            this.postings.get(term).push({ doc: index, tf });
+        });
+
+        this.documents.push({ type, name, table, item, length: length || 1 });
+    }
+
+    /**
+     * Indexed terms that look like a word missing from the index: same prefix, or
+     * trigram similarity (Jaccard) above the configured threshold
+     * @returns {Map<string, number>} term -> similarity (0-1)
+     */
+    similarTerms(word) {
+        const matches = new Map();
+        if (word.length < 3) return matches;
+
+        const wordTrigrams = ModelSearchIndex.trigramsOf(word);
+        const shared = new Map();
+        wordTrigrams.forEach(trigram => {
+            (this.trigrams.get(trigram) || []).forEach(term => shared.set(term, (shared.get(term) || 0) + 1));
+        });
+
+        shared.forEach((count, term) => {
+            if (term.startsWith(word)) {
+                matches.set(term, 0.8);
+                return;
+            }
+            const similarity = count / (wordTrigrams.size + ModelSearchIndex.trigramsOf(term).size - count);
+            if (similarity >= searchConfig.SEARCH.TRIGRAM_SIMILARITY) {
+                matches.set(term, similarity);
+            }
+        });
+        return matches;
+    }
+
+    /**
+     * Expands a query into weighted terms: its own words, their synonyms and,
+     * for words that are not indexed, similar indexed terms
+     * @returns {Map<string, number>} term -> weight
+     */
+    expandQuery(query) {
+        const terms = new Map();
+        const add = (term, weight) => {
+            if (weight > (terms.get(term) || 0)) terms.set(term, weight);
+        };
+
+        ModelSearchIndex.tokenize(query).forEach(word => {
+            const variants = new Map([[word, 1]]);
+            if (!this.postings.has(word)) {
+                this.similarTerms(word).forEach((similarity, term) => variants.set(term, similarity));
+            }
+            variants.forEach((weight, term) => {
+                add(term, weight);
+                (this.synonyms.get(term) || []).forEach(synonym => add(synonym, weight * searchConfig.SEARCH.SYNONYM_WEIGHT));
+            });
+        });
+        return terms;
+    }
+
+    /**
+     * Searches the model objects
+     * @param {string} query - Search text or question
+     * @param {Object} options
+     * @param {number} options.limit - Maximum number of results (0 for all; default from CONFIG.SEARCH)
+     * @param {Array<string>} options.types - Object types to return ('table', 'column', 'measure', 'folder')
+     * @returns {Array<Object>} [{type, name, table, score, item}] sorted by score, highest first
+     */
+    search(query, options = {}) {
+        const limit = options.limit === undefined ? searchConfig.SEARCH.RESULT_LIMIT : options.limit;
+        const types = options.types ? new Set(options.types) : null;
+        const documentCount = this.documents.length;
+        const scores = new Map();
+
+        this.expandQuery(query).forEach((weight, term) => {
+            const postings = this.postings.get(term);
+            if (!postings) return;
+
+            const idf = Math.log(1 + (documentCount - postings.length + 0.5) / (postings.length + 0.5));
+            postings.forEach(({ doc, tf }) => {
+                const length = this.documents[doc].length;
+                const saturation = tf * (this.k1 + 1) / (tf + this.k1 * (1 - this.b + this.b * length / this.averageLength));
+                scores.set(doc, (scores.get(doc) || 0) + weight * idf * saturation);
+            });
+        });
+
+        // The full name written in the query is the strongest hint
+        const lowerQuery = (query || '').toLowerCase();
+        const results = [];
+        scores.forEach((score, doc) => {
+            const document = this.documents[doc];
+            if (types && !types.has(document.type)) return;
+            const lowerName = document.name.toLowerCase();
+            const bonus = lowerName.length > 2 && lowerQuery.includes(lowerName) ? 1.5 : 1;
+            results.push({ type: document.type, name: document.name, table: document.table, score: score * bonus, item: document.item, index: doc });
+        });
+
+        results.sort((a, b) => (b.score - a.score) || (a.index - b.index));
+        return (limit > 0 ? results.slice(0, limit) : results)
+            .map(({ type, name, table, score, item }) => ({ type, name, table, score, item }));
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ModelSearchIndex;
+}
+
+// Also expose to window object for browser environments
+if (typeof window !== 'undefined') {
+    window.ModelSearchIndex = ModelSearchIndex;
+}
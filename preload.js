@@ -4,9 +4,26 @@ const { contextBridge, ipcRenderer } = require('electron');
 // the ipcRenderer without exposing the entire object
 contextBridge.exposeInMainWorld('electronAPI', {
   onConnectionInfo: (callback) => ipcRenderer.on('connection-info', callback),
-  xmlaRequest: (endpoint, soapBody) => ipcRenderer.invoke('xmla-request', { endpoint, soapBody }),
+  xmlaRequest: (connection, soapBody, options = {}) => ipcRenderer.invoke('xmla-request', { connection, soapBody, requestId: options.requestId, timeout: options.timeout, profile: options.profile, queryPlan: options.queryPlan }),
+  cancelQuery: (requestId) => ipcRenderer.invoke('cancel-query', { requestId }),
+  discoverInstances: () => ipcRenderer.invoke('instances-discover'),
   whisperTranscribe: (audioData) => ipcRenderer.invoke('whisper-transcribe', { audioData }),
   onMainLog: (callback) => ipcRenderer.on('main-log', callback),
+  saveFile: (defaultPath, filters, data) => ipcRenderer.invoke('save-file', { defaultPath, filters, data }),
+  getApiTokenStatus: (provider, url) => ipcRenderer.invoke('credentials-status', { provider, url }),
+  setApiToken: (provider, url, token) => ipcRenderer.invoke('credentials-set', { provider, url, token }),
+  deleteApiToken: (provider) => ipcRenderer.invoke('credentials-delete', { provider }),
+  setConnectionSecret: (connectionId, secret) => ipcRenderer.invoke('connection-secret-set', { connectionId, secret }),
+  deleteConnectionSecret: (connectionId) => ipcRenderer.invoke('connection-secret-delete', { connectionId }),
+  llmRequest: (request) => ipcRenderer.invoke('llm-request', request),
+  llmAbort: (requestId) => ipcRenderer.invoke('llm-abort', { requestId }),
+  onLLMResponse: (callback) => ipcRenderer.on('llm-response', callback),
+  listSessions: (modelKey) => ipcRenderer.invoke('sessions-list', { modelKey }),
+  searchSessions: (modelKey, query) => ipcRenderer.invoke('sessions-search', { modelKey, query }),
+  loadSession: (modelKey, id) => ipcRenderer.invoke('sessions-load', { modelKey, id }),
+  saveSession: (modelKey, session) => ipcRenderer.invoke('sessions-save', { modelKey, session }),
+  renameSession: (modelKey, id, title) => ipcRenderer.invoke('sessions-rename', { modelKey, id, title }),
+  deleteSession: (modelKey, id) => ipcRenderer.invoke('sessions-delete', { modelKey, id }),
   openExternal: async (url) => {
     console.log('[Preload] openExternal called with URL:', url);
     try {
@@ -0,0 +1,99 @@
+/**
+ * Query Plan
+ * Reads the logical and physical query plans of a query from its DAX Query Plan
+ * trace events. The engine writes a plan as one operator per line, indented with
+ * tabs by its depth in the operator tree, e.g.
+ *     AddColumns: RelLogOp DependOnCols()() 0-1 RequiredCols(0, 1)('Product'[Category], ''[Sales])
+ *         Scan_Vertipaq: RelLogOp DependOnCols()() 0-0 RequiredCols(0)('Product'[Category])
+ * Physical plan operators also report the rows they produce (#Records=...).
+ */
+
+// Analysis Services trace event class and subclasses of the DAX Query Plan event
+const QUERY_PLAN_EVENT_CLASS = 112;
+const QUERY_PLAN_SUBCLASSES = {
+    logical: { id: 1, name: 'DAXVertiPaqLogicalPlan' },
+    physical: { id: 2, name: 'DAXVertiPaqPhysicalPlan' }
+};
+
+class QueryPlan {
+    /**
+     * Parses the text of a plan into its operators, in plan order
+     * @param {string} text - Plan text from the trace
+     * @returns {Array<Object>} [{depth, operator, details, records (physical plans, else null)}]
+     */
+    static parse(text) {
+        return String(text || '')
+            .split(/\r?\n/)
+            .filter(line => line.trim())
+            .map(line => {
+                const indent = line.match(/^[\t ]*/)[0];
+                const depth = (indent.match(/\t/g) || []).length + Math.floor(indent.replace(/\t/g, '').length / 4);
+                const content = line.trim();
+                const separator = content.match(/^(.*?):\s(.*)$/);
+                const records = content.match(/#Records=(\d+)/);
+                return {
+                    depth,
+                    operator: separator ? separator[1] : content,
+                    details: separator ? separator[2] : '',
+                    records: records ? parseInt(records[1], 10) : null
+                };
+            });
+    }
+
+    /**
+     * Picks the plans out of the trace events of a query; if a plan was written more
+     * than once the last one counts
+     * @param {Array<Object>} events - Trace events {eventClass, eventSubclass, textData}
+     *   (PascalCase field names and event names are accepted too)
+     * @returns {Object|null} {logical: {text, operators}, physical: {text, operators}}, null if no plan was recorded
+     */
+    static fromEvents(events) {
+        const plans = { logical: null, physical: null };
+        (events || []).forEach(event => {
+            const eventClass = event.eventClass !== undefined ? event.eventClass : event.EventClass;
+            if (Number(eventClass) !== QUERY_PLAN_EVENT_CLASS && eventClass !== 'DAXQueryPlan') return;
+
+            const subclass = event.eventSubclass !== undefined ? event.eventSubclass : event.EventSubclass;
+            const kind = Object.keys(QUERY_PLAN_SUBCLASSES).find(key =>
+                Number(subclass) === QUERY_PLAN_SUBCLASSES[key].id || subclass === QUERY_PLAN_SUBCLASSES[key].name);
+            if (!kind) return;
+
+            const text = String(event.textData || event.TextData || '').replace(/\s+$/, '');
+            plans[kind] = { text, operators: QueryPlan.parse(text) };
+        });
+        return plans.logical || plans.physical ? plans : null;
+    }
+
+    /**
+     * Plan text for a prompt: two spaces per level, cut off after maxLength characters
+     * @param {Object} plan - {operators} from fromEvents()
+     * @param {number} maxLength - Maximum length of the text
+     * @returns {string} The indented plan
+     */
+    static toText(plan, maxLength) {
+        if (!plan) return '(not recorded)';
+        const lines = [];
+        let length = 0;
+        for (let i = 0; i < plan.operators.length; i++) {
+            const op = plan.operators[i];
+            const line = `${'  '.repeat(op.depth)}${op.operator}${op.details ? `: ${op.details}` : ''}`;
+            if (maxLength && length + line.length > maxLength) {
+                lines.push(`... (${plan.operators.length - i} more operators)`);
+                break;
+            }
+            lines.push(line);
+            length += line.length + 1;
+        }
+        return lines.join('\n');
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QueryPlan;
+}
+
+// Also expose to window object for browser environments
+if (typeof window !== 'undefined') {
+    window.QueryPlan = QueryPlan;
+}
@@ -1,36 +1,327 @@
 // Global state
 let connectionInfo = { server: '', database: '' };
-let semanticModel = { tables: [], measures: [], relationships: [], sampleData: {} };
+let semanticModel = { tables: [], measures: [], relationships: [], roles: [], sampleData: {} };
 let chatHistory = [];
 let xmlaConnection = null;
 let connectionMonitorInterval = null;
+let activeChatRequest = null; // AbortController of the running assistant request
+let modelSearchIndex = null; // ModelSearchIndex over the loaded model objects
+let chatTranscript = []; // Messages shown in the chat ({role, content, time, query, result, ...}), saved with the conversation
+let currentSession = null; // {id, title, createdAt} of the open conversation; null until it is first saved
+let apiTokenStored = false; // Whether the main process holds an API token for the selected provider (the renderer never sees it)
+let apiTokenSaving = Promise.resolve(); // Settles when the last token change has reached the main process
+let discoveredInstances = []; // Models open in Power BI Desktop, from the last discovery
+const llmResponseStreams = new Map(); // requestId -> stream controller of an LLM response body arriving over IPC
 
 /**
  * Loads user settings from localStorage
- * Populates API URL, token, and model name fields
+ * Populates provider, API URL, model name, max query steps, context budget and network fields
+ * (the API token is kept by the main process, see initApiToken)
  */
 function loadSettings() {
     const CONFIG = typeof module !== 'undefined' && module.exports ? require('./config') : window.CONFIG;
-    document.getElementById('apiUrl').value = localStorage.getItem('apiUrl') || CONFIG.API.DEFAULT_URL;
-    document.getElementById('apiToken').value = localStorage.getItem('apiToken') || '';
-    document.getElementById('modelName').value = localStorage.getItem('modelName') || CONFIG.API.DEFAULT_MODEL;
+    const providerSelect = document.getElementById('llmProvider');
+    providerSelect.innerHTML = LLMProviders.list()
+        .map(provider => `<option value="${provider.id}">${provider.label}</option>`)
+        .join('');
+    providerSelect.value = localStorage.getItem('llmProvider') || CONFIG.API.DEFAULT_PROVIDER;
+    providerSelect.dataset.previous = providerSelect.value;
+
+    const provider = getProviderInfo(providerSelect.value);
+    document.getElementById('apiUrl').value = localStorage.getItem('apiUrl') || provider.defaultUrl;
+    document.getElementById('modelName').value = localStorage.getItem('modelName') || provider.defaultModel;
+    updateProviderFields(provider);
+    document.getElementById('maxToolSteps').value = localStorage.getItem('maxToolSteps') || CONFIG.AGENT.MAX_STEPS;
+    document.getElementById('contextBudget').value = localStorage.getItem('contextBudget') || CONFIG.CONTEXT.TOKEN_BUDGET;
+    document.getElementById('proxyServer').value = localStorage.getItem('proxyServer') || '';
+    document.getElementById('caCertificates').value = localStorage.getItem('caCertificates') || '';
+    document.getElementById('requestTimeout').value = localStorage.getItem('requestTimeout') || CONFIG.API.NETWORK.TIMEOUT_SECONDS;
 }
 
 /**
  * Saves user settings to localStorage
- * Persists API URL, token, and model name
+ * Persists provider, API URL, model name, max query steps, context budget and network settings
  */
 function saveSettings() {
+    localStorage.setItem('llmProvider', document.getElementById('llmProvider').value);
     localStorage.setItem('apiUrl', document.getElementById('apiUrl').value);
-    localStorage.setItem('apiToken', document.getElementById('apiToken').value);
     localStorage.setItem('modelName', document.getElementById('modelName').value);
+    localStorage.setItem('maxToolSteps', document.getElementById('maxToolSteps').value);
+    localStorage.setItem('contextBudget', document.getElementById('contextBudget').value);
+    localStorage.setItem('proxyServer', document.getElementById('proxyServer').value.trim());
+    localStorage.setItem('caCertificates', document.getElementById('caCertificates').value.trim());
+    localStorage.setItem('requestTimeout', document.getElementById('requestTimeout').value);
+}
+
+/**
+ * Looks up a provider from LLMProviders.list()
+ * @param {string} id - Provider id
+ * @returns {Object} Provider info {id, label, defaultUrl, urlPlaceholder, defaultModel, requiresUrl, requiresToken}
+ */
+function getProviderInfo(id) {
+    const providers = LLMProviders.list();
+    return providers.find(provider => provider.id === id) || providers[0];
+}
+
+/**
+ * Adjusts the API fields to a provider (placeholders, fields it does not use)
+ * @param {Object} provider - Provider info
+ */
+function updateProviderFields(provider) {
+    const apiUrl = document.getElementById('apiUrl');
+    const apiToken = document.getElementById('apiToken');
+    apiUrl.placeholder = provider.urlPlaceholder || 'Not needed';
+    apiUrl.disabled = !provider.requiresUrl;
+    if (!provider.requiresToken) {
+        apiToken.placeholder = 'Not needed';
+    } else {
+        apiToken.placeholder = apiTokenStored ? '•••••••• saved securely (type to replace)' : 'Your API token';
+    }
+    apiToken.disabled = !provider.requiresToken;
+    document.getElementById('clearApiToken').disabled = !apiTokenStored;
+    document.getElementById('modelName').placeholder = provider.defaultModel;
+}
+
+/**
+ * Switches the LLM provider
+ * URL and model name follow the new provider unless the user changed them;
+ * the mock provider loads the mock semantic model when no model is connected
+ */
+function changeProvider() {
+    const providerSelect = document.getElementById('llmProvider');
+    const previous = getProviderInfo(providerSelect.dataset.previous);
+    const provider = getProviderInfo(providerSelect.value);
+    providerSelect.dataset.previous = provider.id;
+
+    const apiUrl = document.getElementById('apiUrl');
+    const modelName = document.getElementById('modelName');
+    if (!apiUrl.value || apiUrl.value === previous.defaultUrl) apiUrl.value = provider.defaultUrl;
+    if (!modelName.value || modelName.value === previous.defaultModel) modelName.value = provider.defaultModel;
+
+    updateProviderFields(provider);
+    saveSettings();
+    refreshApiTokenStatus();
+
+    if (provider.id === 'mock' && !xmlaConnection) {
+        connectToSemanticModel(MockXMLAConnection.connectionInfo());
+    }
+}
+
+/**
+ * Creates the adapter for the provider chosen in the settings panel
+ * Requests go through the main process, which adds the API token
+ * @returns {LLMProvider} The provider
+ */
+function getSelectedProvider() {
+    return LLMProviders.create(document.getElementById('llmProvider').value, {
+        apiUrl: document.getElementById('apiUrl').value,
+        modelName: document.getElementById('modelName').value,
+        hasToken: apiTokenStored,
+        sendRequest: window.electronAPI ? sendLLMRequest : undefined
+    });
+}
+
+/**
+ * Moves a token saved by earlier versions from localStorage to the main process
+ * (as the token of the selected provider), then reads whether a token is stored
+ */
+async function initApiToken() {
+    if (!window.electronAPI) return;
+
+    const legacyToken = localStorage.getItem('apiToken');
+    if (legacyToken) {
+        try {
+            await window.electronAPI.setApiToken(document.getElementById('llmProvider').value, document.getElementById('apiUrl').value, legacyToken);
+            localStorage.removeItem('apiToken');
+            console.log('[Settings] Moved the API token to secure storage');
+        } catch (error) {
+            console.error('[Settings] Could not move the API token to secure storage:', error);
+        }
+    }
+
+    const status = await refreshApiTokenStatus();
+    if (status && !status.encryptionAvailable) {
+        console.warn('[Settings] Secure storage is not available - the API token cannot be saved');
+    }
+}
+
+/**
+ * Reads whether the main process holds a token for the selected provider and API URL
+ * (a token entered for another URL origin is deleted there)
+ * @returns {Promise<Object|null>} {stored, encryptionAvailable}, null if the status could not be read
+ */
+async function refreshApiTokenStatus() {
+    if (!window.electronAPI) return null;
+
+    let status = null;
+    try {
+        status = await window.electronAPI.getApiTokenStatus(document.getElementById('llmProvider').value, document.getElementById('apiUrl').value);
+        apiTokenStored = status.stored;
+    } catch (error) {
+        console.error('[Settings] Could not read the API token status:', error);
+    }
+    updateProviderFields(getProviderInfo(document.getElementById('llmProvider').value));
+    return status;
+}
+
+/**
+ * Hands the token typed in the settings panel to the main process and clears the field
+ * The token is stored for the selected provider and the origin of its API URL
+ * @returns {Promise<void>} Settles when the token is stored (also kept in apiTokenSaving)
+ */
+function storeApiToken() {
+    const apiToken = document.getElementById('apiToken');
+    const token = apiToken.value.trim();
+    apiToken.value = '';
+    if (!token || !window.electronAPI) return apiTokenSaving;
+
+    const provider = document.getElementById('llmProvider').value;
+    const url = document.getElementById('apiUrl').value;
+    apiTokenSaving = (async () => {
+        try {
+            const status = await window.electronAPI.setApiToken(provider, url, token);
+            apiTokenStored = status.stored;
+        } catch (error) {
+            console.error('[Settings] Failed to save the API token:', error);
+            addMessage('error', `Failed to save the API token: ${error.message}`);
+        }
+        updateProviderFields(getProviderInfo(document.getElementById('llmProvider').value));
+    })();
+    return apiTokenSaving;
+}
+
+/**
+ * Deletes the stored API token of the selected provider
+ */
+async function clearApiToken() {
+    if (!window.electronAPI) return;
+
+    try {
+        const status = await window.electronAPI.deleteApiToken(document.getElementById('llmProvider').value);
+        apiTokenStored = status.stored;
+    } catch (error) {
+        console.error('[Settings] Failed to delete the API token:', error);
+    }
+    updateProviderFields(getProviderInfo(document.getElementById('llmProvider').value));
+}
+
+/**
+ * Sends an LLM request through the main process (which adds the API token)
+ * The body streams back as 'llm-response' events into a fetch Response
+ * @param {Object} request - {provider, url, method, headers, body, signal}
+ * @returns {Promise<Response>} The response
+ */
+async function sendLLMRequest(request) {
+    const requestId = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    const abortError = () => {
+        const error = new Error('The request was aborted');
+        error.name = 'AbortError';
+        return error;
+    };
+    if (request.signal && request.signal.aborted) throw abortError();
+
+    // Chunks can arrive before the status, so the stream exists from the start
+    const body = new ReadableStream({
+        start(controller) {
+            llmResponseStreams.set(requestId, controller);
+        },
+        cancel() {
+            llmResponseStreams.delete(requestId);
+            window.electronAPI.llmAbort(requestId);
+        }
+    });
+    const abort = () => window.electronAPI.llmAbort(requestId);
+    if (request.signal) request.signal.addEventListener('abort', abort, { once: true });
+
+    try {
+        const head = await window.electronAPI.llmRequest({
+            requestId,
+            provider: request.provider,
+            url: request.url,
+            method: request.method,
+            headers: request.headers,
+            body: request.body,
+            network: getNetworkSettings()
+        });
+        const hasBody = ![101, 204, 205, 304].includes(head.status);
+        return new Response(hasBody ? body : null, { status: head.status, statusText: head.statusText, headers: head.headers });
+    } catch (error) {
+        llmResponseStreams.delete(requestId);
+        if (request.signal) request.signal.removeEventListener('abort', abort);
+        if (request.signal && request.signal.aborted) throw abortError();
+        // Strip Electron's "Error invoking remote method" prefix
+        throw new Error(error.message.replace(/^Error invoking remote method '[^']+': (\w*Error: )?/, ''));
+    }
+}
+
+// Response bodies of LLM requests, sent by the main process
+if (window.electronAPI) {
+    window.electronAPI.onLLMResponse((event, message) => {
+        const controller = llmResponseStreams.get(message.requestId);
+        if (!controller) return;
+
+        if (message.type === 'chunk') {
+            controller.enqueue(message.chunk);
+            return;
+        }
+        llmResponseStreams.delete(message.requestId);
+        if (message.type === 'end') {
+            controller.close();
+        } else {
+            const error = new Error(message.message);
+            if (message.aborted) error.name = 'AbortError';
+            controller.error(error);
+        }
+    });
+}
+
+/**
+ * Reads the network settings the main process applies to LLM requests
+ * @returns {Object} {proxy, caFile, timeoutSeconds}
+ */
+function getNetworkSettings() {
+    const timeout = parseInt(document.getElementById('requestTimeout').value, 10);
+    return {
+        proxy: document.getElementById('proxyServer').value.trim(),
+        caFile: document.getElementById('caCertificates').value.trim(),
+        timeoutSeconds: isNaN(timeout) || timeout <= 0 ? window.CONFIG.API.NETWORK.TIMEOUT_SECONDS : timeout
+    };
+}
+
+/**
+ * Reads the context budget setting
+ * @returns {number} Token budget for the model description in the system prompt
+ */
+function getContextBudget() {
+    const budget = parseInt(document.getElementById('contextBudget').value, 10);
+    return isNaN(budget) || budget <= 0 ? window.CONFIG.CONTEXT.TOKEN_BUDGET : budget;
+}
+
+/**
+ * Reads the max query steps setting
+ * @returns {number} Model round-trips allowed to call tools (0 disables tool calling)
+ */
+function getMaxToolSteps() {
+    const steps = parseInt(document.getElementById('maxToolSteps').value, 10);
+    return isNaN(steps) || steps < 0 ? window.CONFIG.AGENT.MAX_STEPS : steps;
 }
 
 // Listen for connection info from main process
 if (window.electronAPI) {
-    window.electronAPI.onConnectionInfo((event, info) => {
+    window.electronAPI.onConnectionInfo(async (event, info) => {
         connectionInfo = info;
         updateConnectionUI(info);
+
+        if (!info.server) {
+            // Started standalone: connect to the model open in Power BI Desktop if there is just one
+            const instances = await refreshModelPicker();
+            if (instances.length === 1) {
+                switchSemanticModel(instances[0]);
+                return;
+            }
+        } else {
+            refreshModelPicker();
+        }
         connectToSemanticModel(info);
     });
 
@@ -44,11 +335,13 @@ if (window.electronAPI) {
 
 /**
  * Updates the connection status UI
- * @param {Object} info - Connection information {server, database}
+ * @param {Object} info - Connection information {server, database, title}
  */
 function updateConnectionUI(info) {
     document.getElementById('serverInfo').textContent = info.server || 'Not connected';
-    document.getElementById('databaseInfo').textContent = info.database || 'N/A';
+    const databaseInfo = document.getElementById('databaseInfo');
+    databaseInfo.textContent = info.title || info.database || 'N/A';
+    databaseInfo.title = info.title ? info.database : '';
 
     const statusBadge = document.getElementById('statusBadge');
     if (info.server && info.database) {
@@ -107,8 +400,17 @@ function stopConnectionMonitor() {
  * @param {Object} info - Connection information {server, database}
  */
 async function connectToSemanticModel(info) {
+    // Without Power BI, the mock provider works against the mock semantic model
+    if ((!info.server || !info.database) && document.getElementById('llmProvider').value === 'mock') {
+        info = MockXMLAConnection.connectionInfo();
+        connectionInfo = info;
+        updateConnectionUI(info);
+    }
+
     if (!info.server || !info.database) {
-        showError('No Power BI connection available. Run this tool from Power BI Desktop.');
+        showError(discoveredInstances.length > 1
+            ? 'Several models are open in Power BI Desktop. Choose one in the model list at the top.'
+            : 'No Power BI connection available. Open a report in Power BI Desktop and choose it in the model list at the top, run this tool from Power BI Desktop, or connect to a published semantic model with 🔌 Connections.');
         return;
     }
 
@@ -116,9 +418,14 @@ async function connectToSemanticModel(info) {
         // Fetch metadata from the semantic model
         const metadata = await fetchSemanticModelMetadata(info);
         semanticModel = metadata;
+        modelSearchIndex = new ModelSearchIndex(metadata);
+        console.log(`[Search] Indexed ${modelSearchIndex.size} model objects`);
 
         // Update UI
         displayMetadata(metadata);
+        filterMetadata();
+        populateRoleSelector(metadata.roles || []);
+        renderMeasureSandbox();
 
         const statusBadge = document.getElementById('statusBadge');
         statusBadge.textContent = 'Connected';
@@ -126,6 +433,9 @@ async function connectToSemanticModel(info) {
 
         // Start monitoring the connection
         startConnectionMonitor();
+
+        // Offer the conversations saved for this model
+        offerPreviousSessions();
     } catch (error) {
         console.error('[Renderer] Failed to connect:', error);
 
@@ -151,16 +461,111 @@ async function connectToSemanticModel(info) {
     }
 }
 
+/**
+ * Looks for models open in Power BI Desktop and lists them in the model picker
+ * @returns {Promise<Array<Object>>} The models found [{server, port, database, title}]
+ */
+async function refreshModelPicker() {
+    if (!window.electronAPI) return [];
+
+    const refreshButton = document.getElementById('refreshModelsButton');
+    refreshButton.disabled = true;
+    try {
+        discoveredInstances = await window.electronAPI.discoverInstances();
+    } catch (error) {
+        console.error('[Discovery] Failed to look for open models:', error);
+        discoveredInstances = [];
+    } finally {
+        refreshButton.disabled = false;
+    }
+    renderModelPicker();
+    return discoveredInstances;
+}
+
+/**
+ * Fills the model picker with the last discovery and the saved connections,
+ * and selects the connected model
+ */
+function renderModelPicker() {
+    const picker = document.getElementById('modelPicker');
+    const connections = getSavedConnections();
+    const placeholder = discoveredInstances.length > 0 || connections.length > 0 ? 'Switch model...' : 'No open models found';
+
+    let options = `<option value="">${placeholder}</option>`;
+    if (discoveredInstances.length > 0) {
+        options += '<optgroup label="Power BI Desktop">' + discoveredInstances
+            .map((instance, index) => `<option value="instance:${index}">${escapeHtml(instance.title || instance.database)} (port ${instance.port})</option>`)
+            .join('') + '</optgroup>';
+    }
+    if (connections.length > 0) {
+        options += '<optgroup label="Saved connections">' + connections
+            .map(connection => `<option value="saved:${escapeHtml(connection.id)}">${escapeHtml(connection.name)}</option>`)
+            .join('') + '</optgroup>';
+    }
+    picker.innerHTML = options;
+
+    const current = discoveredInstances.findIndex(instance =>
+        instance.server === connectionInfo.server && instance.database === connectionInfo.database);
+    if (connectionInfo.connectionId && connections.some(connection => connection.id === connectionInfo.connectionId)) {
+        picker.value = `saved:${connectionInfo.connectionId}`;
+    } else {
+        picker.value = current === -1 ? '' : `instance:${current}`;
+    }
+}
+
+/**
+ * Switches to another model (open in Power BI Desktop or a saved connection): a new
+ * conversation starts, the XMLA connection is rebuilt and the metadata reloaded
+ * @param {Object} instance - Model from refreshModelPicker() {server, database, title}, or a saved
+ *   connection's {server, database, title, authentication, tenantId, clientId, connectionId}
+ */
+async function switchSemanticModel(instance) {
+    if (activeChatRequest) {
+        renderModelPicker();
+        return;
+    }
+
+    const picker = document.getElementById('modelPicker');
+    picker.disabled = true;
+    stopConnectionMonitor();
+    resetChat();
+    xmlaConnection = null;
+    modelSearchIndex = null;
+    semanticModel = { tables: [], measures: [], relationships: [], roles: [], sampleData: {} };
+    document.getElementById('metadataSearch').value = '';
+    renderMeasureSandbox();
+
+    connectionInfo = {
+        server: instance.server,
+        database: instance.database,
+        title: instance.title,
+        authentication: instance.authentication,
+        tenantId: instance.tenantId,
+        clientId: instance.clientId,
+        connectionId: instance.connectionId
+    };
+    console.log(`[Discovery] Switching to ${instance.title || instance.database} on ${instance.server}`);
+    updateConnectionUI(connectionInfo);
+    refreshSessionList();
+
+    try {
+        await connectToSemanticModel(connectionInfo);
+    } finally {
+        picker.disabled = false;
+        renderModelPicker();
+    }
+}
+
 /**
  * Fetches semantic model metadata using XMLA/SOAP
- * @param {Object} info - Connection information {server, database}
+ * @param {Object} info - Connection information {server, database, authentication, ...}
  * @returns {Promise<Object>} Metadata including tables, measures, and relationships
  * @throws {Error} If the connection or metadata fetch fails
  */
 async function fetchSemanticModelMetadata(info) {
     try {
-        // Create XMLA connection
-        xmlaConnection = new XMLAConnection(info.server, info.database);
+        // Create XMLA connection (or the in-memory mock model)
+        xmlaConnection = info.mock ? new MockXMLAConnection() : new XMLAConnection(info.server, info.database, info);
 
         // Get config for sample data settings
         const CONFIG = typeof window !== 'undefined' && window.CONFIG ? window.CONFIG : null;
@@ -203,11 +608,14 @@ function displayMetadata(metadata) {
         metadata.tables.forEach(table => {
             const item = document.createElement('li');
             item.className = 'metadata-item';
+            if (table.isHidden) item.classList.add('hidden-object');
             const columnCount = table.columns ? table.columns.length : 0;
+            const kind = table.calculationGroup ? 'calculation group' : (table.isCalculated ? 'calculated table' : `${columnCount} columns`);
             item.innerHTML = `
-                <span class="metadata-item-name">${table.name}</span>
-                <span class="metadata-item-type">${columnCount} columns</span>
+                <span class="metadata-item-name">${escapeHtml(table.name)}</span>
+                <span class="metadata-item-type">${escapeHtml(kind)}</span>
             `;
+            item.title = describeTable(table);
             tablesList.appendChild(item);
         });
 
@@ -230,10 +638,17 @@ function displayMetadata(metadata) {
         metadata.measures.forEach(measure => {
             const item = document.createElement('li');
             item.className = 'metadata-item';
+            if (measure.isHidden) item.classList.add('hidden-object');
+            const location = measure.displayFolder ? `${measure.table || ''} / ${measure.displayFolder}` : (measure.table || '');
             item.innerHTML = `
-                <span class="metadata-item-name">${measure.name}</span>
-                <span class="metadata-item-type">${measure.table || ''}</span>
+                <span class="metadata-item-name">${escapeHtml(measure.name)}</span>
+                <span class="metadata-item-type">${escapeHtml(location)}</span>
             `;
+            item.title = [
+                measure.description,
+                measure.expression,
+                measure.formatString ? `Format: ${measure.formatString}` : null
+            ].filter(Boolean).join('\n\n');
             measuresList.appendChild(item);
         });
 
@@ -241,6 +656,68 @@ function displayMetadata(metadata) {
         container.appendChild(measuresSection);
     }
 
+    // Calculation groups section
+    const calculationGroupTables = (metadata.tables || []).filter(table => table.calculationGroup);
+    if (calculationGroupTables.length > 0) {
+        const calculationGroupsSection = createCollapsibleSection(
+            'calculation-groups',
+            '🧮 Calculation Groups',
+            calculationGroupTables.length,
+            false
+        );
+
+        const calculationGroupsList = document.createElement('ul');
+        calculationGroupsList.className = 'metadata-list';
+
+        calculationGroupTables.forEach(table => {
+            const item = document.createElement('li');
+            item.className = 'metadata-item';
+            const itemNames = table.calculationGroup.items.map(calcItem => calcItem.name).join(', ');
+            item.innerHTML = `
+                <span class="metadata-item-name">${escapeHtml(table.name)}</span>
+                <span class="metadata-item-type">${escapeHtml(itemNames || 'No items')}</span>
+            `;
+            item.title = table.calculationGroup.items
+                .map(calcItem => `${calcItem.name}:\n${calcItem.expression || ''}`)
+                .join('\n\n');
+            calculationGroupsList.appendChild(item);
+        });
+
+        calculationGroupsSection.querySelector('.metadata-section-content').appendChild(calculationGroupsList);
+        container.appendChild(calculationGroupsSection);
+    }
+
+    // Hierarchies section
+    const hierarchies = [];
+    (metadata.tables || []).forEach(table => {
+        (table.hierarchies || []).forEach(hierarchy => hierarchies.push({ table: table.name, ...hierarchy }));
+    });
+    if (hierarchies.length > 0) {
+        const hierarchiesSection = createCollapsibleSection(
+            'hierarchies',
+            '🗂️ Hierarchies',
+            hierarchies.length,
+            false
+        );
+
+        const hierarchiesList = document.createElement('ul');
+        hierarchiesList.className = 'metadata-list';
+
+        hierarchies.forEach(hierarchy => {
+            const item = document.createElement('li');
+            item.className = 'metadata-item';
+            if (hierarchy.isHidden) item.classList.add('hidden-object');
+            item.innerHTML = `
+                <span class="metadata-item-name">${escapeHtml(`${hierarchy.table}[${hierarchy.name}]`)}</span>
+                <span class="metadata-item-type">${escapeHtml(formatHierarchyLevels(hierarchy))}</span>
+            `;
+            hierarchiesList.appendChild(item);
+        });
+
+        hierarchiesSection.querySelector('.metadata-section-content').appendChild(hierarchiesList);
+        container.appendChild(hierarchiesSection);
+    }
+
     // Relationships section
     if (metadata.relationships && metadata.relationships.length > 0) {
         const relationshipsSection = createCollapsibleSection(
@@ -256,9 +733,11 @@ function displayMetadata(metadata) {
         metadata.relationships.forEach(rel => {
             const item = document.createElement('li');
             item.className = 'metadata-item';
+            if (rel.isActive === false) item.classList.add('hidden-object');
+            const details = describeRelationship(rel);
             item.innerHTML = `
-                <span class="metadata-item-name">${rel.from}</span>
-                <span class="metadata-item-type">→ ${rel.to}</span>
+                <span class="metadata-item-name">${escapeHtml(rel.from)}</span>
+                <span class="metadata-item-type">→ ${escapeHtml(rel.to)}${details ? ` (${escapeHtml(details)})` : ''}</span>
             `;
             relationshipsList.appendChild(item);
         });
@@ -266,6 +745,208 @@ function displayMetadata(metadata) {
         relationshipsSection.querySelector('.metadata-section-content').appendChild(relationshipsList);
         container.appendChild(relationshipsSection);
     }
+
+    // Security roles section
+    if (metadata.roles && metadata.roles.length > 0) {
+        const rolesSection = createCollapsibleSection(
+            'roles',
+            '🔐 Security Roles',
+            metadata.roles.length,
+            false
+        );
+
+        const rolesList = document.createElement('ul');
+        rolesList.className = 'metadata-list';
+
+        metadata.roles.forEach(role => {
+            const item = document.createElement('li');
+            item.className = 'metadata-item';
+            const filteredTables = role.tablePermissions
+                .filter(permission => permission.filterExpression)
+                .map(permission => permission.table);
+            item.innerHTML = `
+                <span class="metadata-item-name">${escapeHtml(role.name)}</span>
+                <span class="metadata-item-type">${escapeHtml(filteredTables.length > 0 ? `Filters: ${filteredTables.join(', ')}` : 'No row filters')}</span>
+            `;
+            item.title = role.tablePermissions
+                .filter(permission => permission.filterExpression)
+                .map(permission => `${permission.table}: ${permission.filterExpression}`)
+                .join('\n');
+            rolesList.appendChild(item);
+        });
+
+        rolesSection.querySelector('.metadata-section-content').appendChild(rolesList);
+        container.appendChild(rolesSection);
+    }
+
+    // Relationships whose tables or columns could not be resolved
+    if (metadata.unresolvedRelationships && metadata.unresolvedRelationships.length > 0) {
+        const unresolvedSection = createCollapsibleSection(
+            'unresolved-relationships',
+            '⚠️ Unresolved Relationships',
+            metadata.unresolvedRelationships.length,
+            false
+        );
+
+        const unresolvedList = document.createElement('ul');
+        unresolvedList.className = 'metadata-list';
+
+        metadata.unresolvedRelationships.forEach(rel => {
+            const item = document.createElement('li');
+            item.className = 'metadata-item';
+            item.innerHTML = `
+                <span class="metadata-item-name">${escapeHtml(rel.from)} → ${escapeHtml(rel.to)}</span>
+                <span class="metadata-item-type">${escapeHtml(rel.reason)}</span>
+            `;
+            unresolvedList.appendChild(item);
+        });
+
+        unresolvedSection.querySelector('.metadata-section-content').appendChild(unresolvedList);
+        container.appendChild(unresolvedSection);
+    }
+}
+
+/**
+ * Shows the model objects matching the sidebar search box instead of the full lists
+ */
+function filterMetadata() {
+    const query = document.getElementById('metadataSearch').value.trim();
+    const container = document.getElementById('metadataContainer');
+    const resultsContainer = document.getElementById('metadataSearchResults');
+
+    if (!query || !modelSearchIndex) {
+        resultsContainer.style.display = 'none';
+        container.style.display = '';
+        return;
+    }
+
+    const icons = { table: '📋', column: '▫️', measure: '📊', folder: '📁' };
+    const results = modelSearchIndex.search(query);
+    resultsContainer.innerHTML = '';
+
+    if (results.length === 0) {
+        resultsContainer.innerHTML = `<div class="metadata-search-empty">No objects match "${escapeHtml(query)}"</div>`;
+    } else {
+        const list = document.createElement('ul');
+        list.className = 'metadata-list';
+        results.forEach(result => {
+            const item = document.createElement('li');
+            item.className = 'metadata-item';
+            if (result.item.isHidden) item.classList.add('hidden-object');
+
+            let name = result.name;
+            if (result.type === 'column') name = `${result.table}[${result.name}]`;
+            if (result.type === 'measure') name = `[${result.name}]`;
+            const location = result.type === 'table' ? 'table' : `${result.type}${result.table ? ` in ${result.table}` : ''}`;
+
+            item.innerHTML = `
+                <span class="metadata-item-name">${icons[result.type]} ${escapeHtml(name)}</span>
+                <span class="metadata-item-type">${escapeHtml(location)}</span>
+            `;
+            item.title = [
+                result.item.description,
+                result.item.expression,
+                result.item.displayFolder ? `Folder: ${result.item.displayFolder}` : null
+            ].filter(Boolean).join('\n\n');
+            list.appendChild(item);
+        });
+        resultsContainer.appendChild(list);
+    }
+
+    container.style.display = 'none';
+    resultsContainer.style.display = '';
+}
+
+/**
+ * Fills the "View as Role" selector with the model's security roles
+ * Keeps the current selection if the role still exists
+ * @param {Array<Object>} roles - Security roles from the metadata
+ */
+function populateRoleSelector(roles) {
+    const select = document.getElementById('viewAsRole');
+    const current = select.value;
+
+    while (select.options.length > 1) {
+        select.remove(1);
+    }
+
+    roles.forEach(role => {
+        const option = document.createElement('option');
+        option.value = role.name;
+        option.textContent = role.name;
+        select.appendChild(option);
+    });
+
+    select.value = roles.some(role => role.name === current) ? current : '';
+}
+
+/**
+ * Returns the security role DAX queries should run as, or null for full access
+ * @returns {string|null} The selected role name
+ */
+function getSelectedRole() {
+    const select = document.getElementById('viewAsRole');
+    return select && select.value ? select.value : null;
+}
+
+/**
+ * Formats the drill path of a hierarchy, e.g. "Year › Quarter › Month"
+ * @param {Object} hierarchy - Hierarchy metadata
+ * @returns {string} Level names in ordinal order
+ */
+function formatHierarchyLevels(hierarchy) {
+    return (hierarchy.levels || []).map(level => level.name).join(' › ');
+}
+
+/**
+ * Summarizes a relationship's cardinality, filter direction and state
+ * @param {Object} rel - Relationship metadata
+ * @returns {string} e.g. "Many-to-One, single direction, inactive"
+ */
+function describeRelationship(rel) {
+    const details = [];
+    if (rel.cardinality) details.push(rel.cardinality);
+    if (rel.crossFilteringBehavior === 'BothDirections') {
+        details.push('both directions');
+    } else if (rel.crossFilteringBehavior === 'OneDirection') {
+        details.push('single direction');
+    }
+    if (rel.securityFilteringBehavior === 'BothDirections') details.push('bidirectional RLS');
+    if (rel.relyOnReferentialIntegrity) details.push('assumes referential integrity');
+    if (rel.isActive === false) details.push('inactive');
+    return details.join(', ');
+}
+
+/**
+ * Builds the tooltip text for a table: description plus one line per column
+ * @param {Object} table - Table metadata
+ * @returns {string} Tooltip text
+ */
+function describeTable(table) {
+    const lines = [];
+    if (table.description) lines.push(table.description, '');
+    (table.columns || []).forEach(col => {
+        lines.push(`${col.name}${col.dataType ? ` (${col.dataType})` : ''}${col.isHidden ? ' [hidden]' : ''}`);
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Formats a column for the system prompt, e.g. "Order Date (DateTime, hidden, format: dd/mm/yyyy)"
+ * @param {Object|string} col - Column metadata
+ * @returns {string} Column description
+ */
+function formatColumnForPrompt(col) {
+    if (typeof col === 'string') return col;
+    const details = [];
+    if (col.dataType) details.push(col.dataType);
+    if (col.type === 'Calculated') details.push('calculated');
+    if (col.isHidden) details.push('hidden');
+    if (col.formatString) details.push(`format: ${col.formatString}`);
+    if (col.sortByColumn) details.push(`sorted by ${col.sortByColumn}`);
+    if (col.dataCategory) details.push(`category: ${col.dataCategory}`);
+    const name = col.name || col.displayName;
+    return details.length > 0 ? `${name} (${details.join(', ')})` : name;
 }
 
 /**
@@ -352,16 +1033,59 @@ function showError(message) {
 
 // Chat functionality
 document.getElementById('sendButton').addEventListener('click', sendMessage);
+document.getElementById('stopButton').addEventListener('click', stopAssistantRequest);
 document.getElementById('chatInput').addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
         sendMessage();
     }
 });
 
+// Model search
+document.getElementById('metadataSearch').addEventListener('input', filterMetadata);
+
+// Measure sandbox
+document.getElementById('sandboxMeasure').addEventListener('change', resetMeasureSandbox);
+document.getElementById('sandboxReset').addEventListener('click', resetMeasureSandbox);
+document.getElementById('sandboxRun').addEventListener('click', runMeasureSandbox);
+document.getElementById('sandboxSuggest').addEventListener('click', suggestMeasureEdit);
+
+// Model picker
+document.getElementById('modelPicker').addEventListener('change', (event) => {
+    const [kind, key] = event.target.value.split(/:(.*)/);
+    if (kind === 'instance' && discoveredInstances[key]) {
+        switchSemanticModel(discoveredInstances[key]);
+    } else if (kind === 'saved') {
+        const connection = getSavedConnections().find(item => item.id === key);
+        if (connection) connectSavedConnection(connection);
+    }
+});
+document.getElementById('refreshModelsButton').addEventListener('click', refreshModelPicker);
+
+// Connection manager
+document.getElementById('connectionsButton').addEventListener('click', openConnectionsModal);
+document.getElementById('closeConnectionsModal').addEventListener('click', closeConnectionsModal);
+document.getElementById('connectionsModal').addEventListener('click', (event) => {
+    if (event.target.id === 'connectionsModal') closeConnectionsModal();
+});
+document.getElementById('connectionAuthentication').addEventListener('change', updateAuthenticationFields);
+document.getElementById('clearConnectionForm').addEventListener('click', () => fillConnectionForm(null));
+document.getElementById('connectionForm').addEventListener('submit', (event) => {
+    event.preventDefault();
+    saveConnectionForm();
+});
+document.getElementById('saveAndConnect').addEventListener('click', async () => {
+    const connection = await saveConnectionForm();
+    if (connection) connectSavedConnection(connection);
+});
+
 // Save settings when changed
-['apiUrl', 'apiToken', 'modelName'].forEach(id => {
+document.getElementById('llmProvider').addEventListener('change', changeProvider);
+['apiUrl', 'modelName', 'maxToolSteps', 'contextBudget', 'proxyServer', 'caCertificates', 'requestTimeout'].forEach(id => {
     document.getElementById(id).addEventListener('change', saveSettings);
 });
+document.getElementById('apiUrl').addEventListener('change', refreshApiTokenStatus);
+document.getElementById('apiToken').addEventListener('change', storeApiToken);
+document.getElementById('clearApiToken').addEventListener('click', clearApiToken);
 
 // Speech-to-text functionality (Whisper.NET only)
 let isRecording = false;
@@ -528,103 +1252,865 @@ document.getElementById('micButton').addEventListener('click', async () => {
 
 /**
  * Executes a DAX query against the semantic model
+ * Runs as the role chosen in "View as Role" unless options.role is given
  * @param {string} daxQuery - The DAX query to execute
- * @returns {Promise<Array>} Query results
+ * @param {Object} options - Optional {role, timeout (seconds), signal (cancels the query), profile (server timings),
+ *   queryPlan (logical and physical query plans)}
+ * @returns {Promise<Object>} Query results
  * @throws {Error} If not connected or query fails
  */
-async function executeDAXQuery(daxQuery) {
+async function executeDAXQuery(daxQuery, options = {}) {
     if (!xmlaConnection) {
         throw new Error('Not connected to semantic model');
     }
 
-    const results = await xmlaConnection.executeDAX(daxQuery);
+    const role = options.role !== undefined ? options.role : getSelectedRole();
+    const results = await xmlaConnection.executeDAX(daxQuery, {
+        role,
+        timeout: options.timeout,
+        signal: options.signal,
+        profile: options.profile,
+        queryPlan: options.queryPlan
+    });
     return results;
 }
 
 /**
- * Sends a message to the AI assistant or executes a DAX query
- * Handles both chat messages and DAX query execution
+ * Splits the text after "DAX:" into the query and its options
+ * Leading options: "timeout=<seconds>" sets the command timeout of this query,
+ * "profile" records its server timings
+ * @param {string} text - Text after "DAX:", e.g. "profile timeout=120 EVALUATE Sales"
+ * @returns {Object} {query, timeout (seconds, or null for the default), profile}
  */
-async function sendMessage() {
-    const input = document.getElementById('chatInput');
-    const message = input.value.trim();
-
-    if (!message) return;
+function parseDAXCommand(text) {
+    const command = { query: text, timeout: null, profile: false };
+    for (;;) {
+        const match = command.query.match(/^(?:timeout\s*=\s*(\d+)|(profile))\s+/i);
+        if (!match) break;
+        if (match[1]) command.timeout = parseInt(match[1], 10) || null;
+        if (match[2]) command.profile = true;
+        command.query = command.query.slice(match[0].length).trim();
+    }
+    return command;
+}
 
-    // Clear input
-    input.value = '';
+/**
+ * Looks up the model format string for a result column
+ * "Table[Column]" resolves to the column, "[Name]" to a measure (or a column) with that name
+ * @param {string} columnName - Result column name
+ * @returns {string|null} The format string, if any
+ */
+function resolveFormatString(columnName) {
+    const qualified = columnName.match(/^'?(.*?)'?\[(.+)\]$/);
+    const tableName = qualified ? qualified[1] : '';
+    const objectName = qualified ? qualified[2] : columnName;
+
+    if (tableName) {
+        const table = semanticModel.tables.find(t => t.name === tableName);
+        const column = table && (table.columns || []).find(col => col.name === objectName);
+        if (column) return column.formatString || null;
+    }
 
-    // Add user message to chat
-    addMessage('user', message);
+    const measure = semanticModel.measures.find(m => m.name === objectName);
+    if (measure) return measure.formatString || null;
 
-    // Check if this is a DAX query command
-    if (message.toUpperCase().startsWith('DAX:') || message.toUpperCase().startsWith('EXECUTE:')) {
-        const daxQuery = message.substring(message.indexOf(':') + 1).trim();
+    for (const table of semanticModel.tables) {
+        const column = (table.columns || []).find(col => col.name === objectName);
+        if (column && column.formatString) return column.formatString;
+    }
+    return null;
+}
 
-        // Disable send button
-        const sendButton = document.getElementById('sendButton');
-        sendButton.disabled = true;
-        sendButton.textContent = 'Executing...';
+/**
+ * Renders a DAX result as an interactive grid inside a chat message
+ * @param {HTMLElement} messageDiv - The assistant message element
+ * @param {Object} result - Result of executeDAX() {columns, rows, ...}
+ * @returns {ResultsGrid} The grid
+ */
+function appendResultsGrid(messageDiv, result) {
+    const CONFIG = window.CONFIG;
+    const grid = new ResultsGrid({
+        columns: result.columns,
+        rows: result.rows,
+        formatStrings: result.columns.map(col => resolveFormatString(col.name)),
+        maxRows: CONFIG ? CONFIG.QUERY.MAX_DAX_RESULT_ROWS : null
+    });
 
-        try {
-            const result = await executeDAXQuery(daxQuery);
-
-            // Handle both old format (array) and new format (object)
-            const results = result.data || result;
-            const warnings = result.warnings || [];
-            const rowCount = result.rowCount || results.length;
-
-            // Format and display results
-            let resultText = `**Query Results** (${rowCount} rows):\n\n`;
-
-            // Show warnings if any
-            if (warnings.length > 0) {
-                resultText += '**⚠️ Warnings:**\n';
-                warnings.forEach(warning => {
-                    resultText += `- ${warning}\n`;
-                });
-                resultText += '\n';
-            }
+    if (messageDiv.transcriptEntry) {
+        messageDiv.transcriptEntry.result = result;
+    }
 
-            if (results.length > 0) {
-                // Show first 100 rows in the UI to prevent browser freeze
-                const displayRows = results.slice(0, 100);
-                resultText += '```json\n' + JSON.stringify(displayRows, null, 2) + '\n```';
-                if (results.length > 100) {
-                    resultText += `\n_Showing first 100 of ${results.length} rows_`;
-                }
-            } else {
-                resultText += 'No results returned.';
-            }
+    const content = messageDiv.querySelector('.message-content');
+    content.appendChild(createExportToolbar(result, grid.formatStrings));
+    content.appendChild(grid.element);
+    grid.renderVisibleRows();
 
-            addMessage('assistant', resultText);
-        } catch (error) {
+    const chatMessages = document.getElementById('chatMessages');
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+    return grid;
+}
+
+/**
+ * Shows the server timings of a profiled query in a collapsible panel under its result:
+ * FE/SE split, and every storage-engine query with its duration and xmSQL
+ * @param {HTMLElement} messageDiv - The assistant message element
+ * @param {Object} timings - Result of ServerTimings.analyze()
+ */
+function appendServerTimings(messageDiv, timings) {
+    if (messageDiv.transcriptEntry) {
+        messageDiv.transcriptEntry.serverTimings = timings;
+    }
+
+    const panel = document.createElement('details');
+    panel.className = 'server-timings';
+
+    const summary = document.createElement('summary');
+    summary.textContent = `⏱ Server timings: ${ServerTimings.describe(timings)}`;
+    panel.appendChild(summary);
+
+    // Share of the total spent in the formula and storage engine
+    const total = timings.totalDuration || 1;
+    const bar = document.createElement('div');
+    bar.className = 'server-timings-bar';
+    [['fe', timings.formulaEngineDuration, 'Formula engine'], ['se', timings.storageEngineDuration, 'Storage engine']].forEach(([kind, duration, label]) => {
+        const part = document.createElement('span');
+        part.className = `server-timings-${kind}`;
+        part.style.width = `${duration / total * 100}%`;
+        part.title = `${label}: ${duration.toLocaleString()} ms`;
+        bar.appendChild(part);
+    });
+    panel.appendChild(bar);
+
+    const stats = document.createElement('p');
+    stats.className = 'server-timings-stats';
+    stats.textContent = `SE CPU ${timings.storageEngineCpu.toLocaleString()} ms` +
+        (timings.storageEngineDuration > 0 ? ` · parallelism ×${(timings.storageEngineCpu / timings.storageEngineDuration).toFixed(1)}` : '') +
+        (timings.complete ? '' : ' · incomplete trace (the QueryEnd event was not recorded)');
+    panel.appendChild(stats);
+
+    if (timings.queries.length > 0) {
+        const kindLabels = { scan: 'Scan', cache: 'Cache', directQuery: 'DirectQuery' };
+        const table = document.createElement('table');
+        table.className = 'server-timings-table';
+        const header = table.createTHead().insertRow();
+        ['#', 'Type', 'Start (ms)', 'Duration (ms)', 'CPU (ms)', 'Rows', 'KB', 'Query'].forEach(text => {
+            const cell = document.createElement('th');
+            cell.textContent = text;
+            header.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        timings.queries.forEach((query, index) => {
+            const row = body.insertRow();
+            row.className = `server-timings-${query.kind}`;
+            [
+                index + 1,
+                kindLabels[query.kind] || query.kind,
+                query.startOffset !== null ? query.startOffset.toLocaleString() : '',
+                query.kind === 'cache' ? '' : query.duration.toLocaleString(),
+                query.kind === 'cache' ? '' : query.cpuTime.toLocaleString(),
+                query.rows !== null ? query.rows.toLocaleString() : '',
+                query.bytes !== null ? Math.ceil(query.bytes / 1024).toLocaleString() : ''
+            ].forEach(value => {
+                row.insertCell().textContent = value;
+            });
+            const code = document.createElement('pre');
+            code.textContent = query.text;
+            row.insertCell().appendChild(code);
+        });
+        panel.appendChild(table);
+    }
+
+    messageDiv.querySelector('.message-content').appendChild(panel);
+    const chatMessages = document.getElementById('chatMessages');
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+/**
+ * Creates the CSV / Excel / clipboard export buttons for a query result
+ * Exports always use the full result set
+ * @param {Object} result - Result of executeDAX() {columns, rows, ...}
+ * @param {Array<string|null>} formatStrings - Format string per column
+ * @returns {HTMLElement} The toolbar element
+ */
+function createExportToolbar(result, formatStrings) {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'results-export-toolbar';
+
+    const status = document.createElement('span');
+    status.className = 'results-export-status';
+
+    const addButton = (label, title, action) => {
+        const button = document.createElement('button');
+        button.className = 'results-export-button';
+        button.textContent = label;
+        button.title = title;
+        button.addEventListener('click', async () => {
+            button.disabled = true;
+            try {
+                status.textContent = await action();
+            } catch (error) {
+                console.error('[Export] Failed:', error);
+                status.textContent = `Export failed: ${error.message}`;
+            } finally {
+                button.disabled = false;
+            }
+        });
+        toolbar.appendChild(button);
+    };
+
+    const baseName = `query-results-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-')}`;
+
+    addButton('⬇ CSV', 'Save all rows as CSV', async () => {
+        // BOM so Excel opens the UTF-8 file with the right encoding
+        const csv = '\uFEFF' + ResultExport.toCSV(result.columns, result.rows);
+        return saveExportFile(`${baseName}.csv`, [{ name: 'CSV', extensions: ['csv'] }], csv);
+    });
+
+    addButton('⬇ Excel', 'Save all rows as an Excel workbook', async () => {
+        const xlsx = ResultExport.toXLSX(result.columns, result.rows, { formatStrings });
+        return saveExportFile(`${baseName}.xlsx`, [{ name: 'Excel Workbook', extensions: ['xlsx'] }], xlsx);
+    });
+
+    addButton('📋 Copy', 'Copy all rows as tab-separated text (paste into Excel)', async () => {
+        await navigator.clipboard.writeText(ResultExport.toTSV(result.columns, result.rows));
+        return `Copied ${result.rows.length} rows`;
+    });
+
+    toolbar.appendChild(status);
+    return toolbar;
+}
+
+/**
+ * Saves an export through the main-process save dialog
+ * @param {string} defaultPath - Suggested file name
+ * @param {Array<Object>} filters - Dialog file filters
+ * @param {string|Uint8Array} data - File contents
+ * @returns {Promise<string>} Status text for the toolbar
+ */
+async function saveExportFile(defaultPath, filters, data) {
+    if (!window.electronAPI || !window.electronAPI.saveFile) {
+        throw new Error('Saving files requires the Electron app');
+    }
+    const saved = await window.electronAPI.saveFile(defaultPath, filters, data);
+    if (saved.canceled) return '';
+    return `Saved to ${saved.filePath}`;
+}
+
+/**
+ * Formats a date as local ISO 8601 without a time zone, like Power BI shows it
+ * Midnight values are shown as dates only
+ * @param {Date} date - The date value
+ * @returns {string} e.g. "2024-03-01" or "2024-03-01T13:45:00"
+ */
+function formatLocalDate(date) {
+    const pad = n => String(n).padStart(2, '0');
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    if (date.getHours() === 0 && date.getMinutes() === 0 && date.getSeconds() === 0) {
+        return day;
+    }
+    return `${day}T${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Serializes result rows as JSON, keeping numbers/booleans/nulls and writing dates in local time
+ * (JSON.stringify alone would shift dates to UTC)
+ * @param {Array<Object>} rows - Row objects
+ * @returns {string} Pretty-printed JSON
+ */
+function stringifyRows(rows) {
+    return JSON.stringify(rows, function (key, value) {
+        const original = this[key];
+        return original instanceof Date ? formatLocalDate(original) : value;
+    }, 2);
+}
+
+/**
+ * Sends a message to the AI assistant, executes a DAX query or explains one
+ * Handles chat messages, DAX: (EXECUTE:), EXPLAIN: and COMPARE: commands
+ */
+async function sendMessage() {
+    const input = document.getElementById('chatInput');
+    const message = input.value.trim();
+
+    // One request at a time - Enter still fires while Send is disabled, and a second request
+    // would replace activeChatRequest, so Stop and the busy checks would lose the first
+    if (!message || activeChatRequest) return;
+
+    // Clear input
+    input.value = '';
+
+    // Add user message to chat
+    addMessage('user', message);
+
+    // EXPLAIN: shows the query plans, then asks the assistant how to make the query faster
+    if (message.toUpperCase().startsWith('EXPLAIN:')) {
+        await explainQuery(message.substring(message.indexOf(':') + 1).trim());
+        return;
+    }
+
+    // COMPARE: runs two queries and shows where their results differ
+    if (message.toUpperCase().startsWith('COMPARE:')) {
+        await runCompareCommand(message.substring(message.indexOf(':') + 1).trim());
+        return;
+    }
+
+    // Check if this is a DAX query command
+    if (message.toUpperCase().startsWith('DAX:') || message.toUpperCase().startsWith('EXECUTE:')) {
+        await runDAXCommand(parseDAXCommand(message.substring(message.indexOf(':') + 1).trim()));
+        return;
+    }
+
+    await askAssistant(message);
+}
+
+/**
+ * Executes a DAX command and shows its result; the stop button cancels the query
+ * @param {Object} command - {query, timeout, profile} from parseDAXCommand()
+ * @param {Object} options - Optional {queryPlan (records the query plans), afterResult ((result) => void;
+ *   adds to the chat before the conversation is saved)}
+ * @returns {Promise<Object|null>} The executeDAX() result, null if the query failed or was cancelled
+ */
+async function runDAXCommand(command, options = {}) {
+    startQueryCommand();
+
+    try {
+        const result = await executeDAXQuery(command.query, {
+            timeout: command.timeout,
+            signal: activeChatRequest.signal,
+            profile: command.profile,
+            queryPlan: options.queryPlan
+        });
+
+        // Handle both old format (array) and new format (object)
+        const results = result.data || result;
+        const warnings = result.warnings || [];
+        const rowCount = result.rowCount || results.length;
+        const cappedStatements = result.cappedStatements || [];
+
+        // Format and display results
+        let resultText = `**Query Results** (${rowCount} rows):\n\n`;
+
+        if (result.role) {
+            resultText += `_Executed as role: ${escapeHtml(result.role)}_\n\n`;
+        }
+
+        // Tell the user when the row limit rewrote their query
+        if (cappedStatements.length > 0) {
+            const limit = cappedStatements[0].maxRows;
+            const statements = cappedStatements
+                .map(statement => statement.implicit ? 'query' : `EVALUATE #${statement.index} (line ${statement.line})`)
+                .join(', ');
+            resultText += `_Row limit of ${limit} applied to: ${statements}_\n\n`;
+        }
+
+        // Show warnings if any
+        if (warnings.length > 0) {
+            resultText += '**⚠️ Warnings:**\n';
+            warnings.forEach(warning => {
+                resultText += `- ${warning}\n`;
+            });
+            resultText += '\n';
+        }
+
+        if (results.length === 0) {
+            resultText += 'No results returned.';
+        }
+
+        const messageDiv = addMessage('assistant', resultText.trimEnd());
+        messageDiv.transcriptEntry.query = result.query;
+
+        // Show all returned rows (up to MAX_DAX_RESULT_ROWS) in an interactive grid
+        if (results.length > 0 && result.columns && result.columns.length > 0) {
+            appendResultsGrid(messageDiv, result);
+        }
+        if (result.queryPlan) {
+            appendQueryPlan(messageDiv, result.queryPlan);
+        }
+        if (result.serverTimings) {
+            appendServerTimings(messageDiv, result.serverTimings);
+        } else if (command.profile) {
+            addMessage('error', 'Server timings are not available for this connection.');
+        }
+        if (options.afterResult) {
+            options.afterResult(result);
+        }
+        return result;
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            addMessage('assistant', '_Query cancelled._');
+        } else {
             console.error('DAX execution error:', error);
             addMessage('error', `Failed to execute DAX query: ${error.message}`);
-        } finally {
-            sendButton.disabled = false;
-            sendButton.textContent = 'Send';
         }
+        return null;
+    } finally {
+        finishQueryCommand();
+    }
+}
+
+/**
+ * Disables the send button while a query command runs; the stop button cancels the query
+ * (through activeChatRequest)
+ */
+function startQueryCommand() {
+    const sendButton = document.getElementById('sendButton');
+    const stopButton = document.getElementById('stopButton');
+    sendButton.disabled = true;
+    sendButton.textContent = 'Executing...';
+    stopButton.textContent = '⏹ Cancel';
+    stopButton.title = 'Cancel the running query';
+    stopButton.style.display = '';
+    activeChatRequest = new AbortController();
+}
+
+/**
+ * Restores the buttons after a query command and saves the conversation
+ */
+function finishQueryCommand() {
+    const sendButton = document.getElementById('sendButton');
+    const stopButton = document.getElementById('stopButton');
+    activeChatRequest = null;
+    stopButton.style.display = 'none';
+    stopButton.textContent = '⏹ Stop';
+    stopButton.title = 'Stop the answer (keeps what has arrived so far)';
+    sendButton.disabled = false;
+    sendButton.textContent = 'Send';
+    saveCurrentSession();
+}
+
+/**
+ * Splits the text after "COMPARE:" into the two queries and the options
+ * Leading options: keys="Col1, Col2" (key columns; inferred if missing), tolerance=<number>
+ * (largest difference of equal numbers), timeout=<seconds>; the queries are separated by |||
+ * @param {string} text - e.g. "keys=Product[Category] tolerance=0.01 EVALUATE ... ||| EVALUATE ..."
+ * @returns {Object} {queries: [first, second], keys, tolerance, timeout}
+ * @throws {Error} If there are not exactly two queries
+ */
+function parseCompareCommand(text) {
+    const command = { queries: [], keys: [], tolerance: null, timeout: null };
+    let rest = text;
+    for (;;) {
+        const match = rest.match(/^(?:keys\s*=\s*(?:"([^"]*)"|(\S+))|tolerance\s*=\s*([\d.eE+-]+)|timeout\s*=\s*(\d+))\s+/i);
+        if (!match) break;
+        if (match[1] !== undefined || match[2] !== undefined) {
+            command.keys = (match[1] !== undefined ? match[1] : match[2]).split(',').map(key => key.trim()).filter(Boolean);
+        }
+        if (match[3] !== undefined) {
+            const tolerance = Number(match[3]);
+            if (isNaN(tolerance) || tolerance < 0) throw new Error(`Invalid tolerance: ${match[3]}`);
+            command.tolerance = tolerance;
+        }
+        if (match[4] !== undefined) command.timeout = parseInt(match[4], 10) || null;
+        rest = rest.slice(match[0].length).trim();
+    }
+
+    command.queries = rest.split('|||').map(query => query.trim());
+    if (command.queries.length !== 2 || !command.queries[0] || !command.queries[1]) {
+        throw new Error('COMPARE needs two queries separated by |||, e.g. COMPARE: EVALUATE ... ||| EVALUATE ...');
+    }
+    return command;
+}
+
+/**
+ * Runs COMPARE: executes both queries, aligns their rows by key columns and shows the
+ * added, removed and changed rows
+ * @param {string} text - Text after "COMPARE:"
+ */
+async function runCompareCommand(text) {
+    let command;
+    try {
+        command = parseCompareCommand(text);
+    } catch (error) {
+        addMessage('error', error.message);
+        return;
+    }
+
+    startQueryCommand();
+    try {
+        const signal = activeChatRequest.signal;
+        const first = await executeDAXQuery(command.queries[0], { timeout: command.timeout, signal });
+        const second = await executeDAXQuery(command.queries[1], { timeout: command.timeout, signal });
+        const diff = ResultDiff.compare(first, second, { keys: command.keys, tolerance: command.tolerance });
+
+        const count = (number, word) => `${number} ${word}${number === 1 ? '' : 's'}`;
+        let resultText = `**Comparison** (${first.rowCount} rows vs. ${second.rowCount} rows)\n\n`;
+        resultText += `_Key columns: ${diff.keys.length > 0 ? diff.keys.join(', ') : '(none - whole rows are matched)'} · tolerance: ${diff.tolerance}_\n\n`;
+        if ((first.cappedStatements || []).length > 0 || (second.cappedStatements || []).length > 0) {
+            resultText += '_The row limit was applied; rows beyond it are not compared._\n\n';
+        }
+        if (diff.onlyInA.length > 0) resultText += `- Columns only in the first result: ${diff.onlyInA.join(', ')}\n`;
+        if (diff.onlyInB.length > 0) resultText += `- Columns only in the second result: ${diff.onlyInB.join(', ')}\n`;
+        resultText += diff.identical
+            ? '✅ Both queries return the same rows.'
+            : `❌ ${count(diff.changed.length, 'changed row')}, ${count(diff.added.length, 'added row')}, ` +
+              `${count(diff.removed.length, 'removed row')}, ${count(diff.unchanged, 'unchanged row')}.`;
+
+        const messageDiv = addMessage('assistant', resultText);
+        messageDiv.transcriptEntry.query = `-- First query\n${first.query}\n\n-- Second query\n${second.query}`;
+        if (diff.added.length + diff.removed.length + diff.changed.length > 0) {
+            appendComparison(messageDiv, toSavedComparison(diff, [...first.columns, ...second.columns]));
+        }
+    } catch (error) {
+        if (error.name === 'AbortError') {
+            addMessage('assistant', '_Query cancelled._');
+        } else {
+            console.error('Compare error:', error);
+            addMessage('error', `Failed to compare the queries: ${error.message}`);
+        }
+    } finally {
+        finishQueryCommand();
+    }
+}
+
+/**
+ * Reduces a diff to the rows shown in the diff table (CONFIG.COMPARE.MAX_DIFF_ROWS)
+ * @param {Object} diff - Result of ResultDiff.compare()
+ * @param {Array<Object>} columns - Columns of both results {name, dataType}
+ * @returns {Object} {columns, keys, valueColumns, rows: [{status, a, b, columns}], truncated}
+ */
+function toSavedComparison(diff, columns) {
+    const rows = [
+        ...diff.changed.map(change => ({ status: 'changed', a: change.a, b: change.b, columns: change.columns })),
+        ...diff.removed.map(row => ({ status: 'removed', a: row, b: null, columns: [] })),
+        ...diff.added.map(row => ({ status: 'added', a: null, b: row, columns: [] }))
+    ];
+    const maxRows = window.CONFIG.COMPARE.MAX_DIFF_ROWS;
+    const shownColumns = [...diff.keys, ...diff.valueColumns];
+    return {
+        columns: shownColumns.map(name => columns.find(col => col.name === name)),
+        keys: diff.keys,
+        valueColumns: diff.valueColumns,
+        rows: rows.slice(0, maxRows),
+        truncated: rows.length > maxRows ? rows.length - maxRows : 0
+    };
+}
+
+/**
+ * Shows the differing rows of a comparison as a table: key columns, then each compared
+ * column with the value of the first result and, if it changed, the value of the second
+ * @param {HTMLElement} messageDiv - The assistant message element
+ * @param {Object} comparison - Result of toSavedComparison()
+ */
+function appendComparison(messageDiv, comparison) {
+    if (messageDiv.transcriptEntry) {
+        messageDiv.transcriptEntry.comparison = comparison;
+    }
+
+    const format = (value, column) => ValueFormatter.format(value, column.dataType, resolveFormatString(column.name));
+    const statusLabels = { changed: '≠ Changed', removed: '− Removed', added: '+ Added' };
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'compare-diff';
+    const table = document.createElement('table');
+    table.className = 'compare-diff-table';
+
+    const header = table.createTHead().insertRow();
+    ['', ...comparison.columns.map(col => col.name)].forEach(name => {
+        const cell = document.createElement('th');
+        cell.textContent = name;
+        header.appendChild(cell);
+    });
+
+    const body = table.createTBody();
+    comparison.rows.forEach(entry => {
+        const row = body.insertRow();
+        row.className = `compare-diff-${entry.status}`;
+        row.insertCell().textContent = statusLabels[entry.status];
+
+        comparison.columns.forEach(column => {
+            const cell = row.insertCell();
+            if (ValueFormatter.isNumericType(column.dataType)) cell.classList.add('numeric');
+            const source = entry.a || entry.b;
+            if (entry.columns.includes(column.name)) {
+                cell.classList.add('compare-diff-changed-cell');
+                cell.textContent = `${format(entry.a[column.name], column)} → ${format(entry.b[column.name], column)}`;
+            } else {
+                cell.textContent = format(source[column.name], column);
+            }
+        });
+    });
+    wrapper.appendChild(table);
+
+    if (comparison.truncated > 0) {
+        const note = document.createElement('p');
+        note.className = 'compare-diff-note';
+        note.textContent = `${comparison.truncated} more differing rows are not shown.`;
+        wrapper.appendChild(note);
+    }
+
+    messageDiv.querySelector('.message-content').appendChild(wrapper);
+    const chatMessages = document.getElementById('chatMessages');
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+/**
+ * Turns a saved comparison back into one for appendComparison() (dates are saved as ISO strings)
+ * @param {Object} saved - Result of toSavedComparison() after saving
+ * @returns {Object} The comparison
+ */
+function restoreSavedComparison(saved) {
+    const dateColumns = saved.columns.filter(col => col.dataType === 'DateTime').map(col => col.name);
+    const revive = row => {
+        if (!row) return row;
+        const values = { ...row };
+        dateColumns.forEach(name => {
+            if (typeof values[name] === 'string') values[name] = new Date(values[name]);
+        });
+        return values;
+    };
+    return { ...saved, rows: saved.rows.map(entry => ({ ...entry, a: revive(entry.a), b: revive(entry.b) })) };
+}
+
+/**
+ * Runs EXPLAIN: captures the logical and physical query plans and the server timings
+ * of a query, then asks the assistant for optimizations, which it can check against
+ * the original with the compare_queries tool
+ * @param {string} text - Text after "EXPLAIN:" (the same options as DAX: are accepted)
+ */
+async function explainQuery(text) {
+    const command = parseDAXCommand(text);
+    const result = await runDAXCommand({ ...command, profile: true }, { queryPlan: true });
+    if (!result) return;
+    if (!result.queryPlan) {
+        addMessage('error', 'Query plans are not available for this connection.');
         return;
     }
 
-    // Disable send button
+    const maxLength = window.CONFIG.EXPLAIN.MAX_PLAN_CHARACTERS;
+    let prompt = 'Suggest optimizations for this DAX query, based on its query plans, server timings and the model.\n\n';
+    prompt += `\`\`\`dax\n${command.query}\n\`\`\`\n\n`;
+    if (result.serverTimings) {
+        prompt += `Server timings: ${ServerTimings.describe(result.serverTimings)}\n\n`;
+    }
+    prompt += `Logical query plan:\n\`\`\`\n${QueryPlan.toText(result.queryPlan.logical, maxLength)}\n\`\`\`\n\n`;
+    prompt += `Physical query plan:\n\`\`\`\n${QueryPlan.toText(result.queryPlan.physical, maxLength)}\n\`\`\`\n\n`;
+    prompt += 'Explain what makes the query slow and propose a rewritten query that returns the same result.';
+    if (getMaxToolSteps() > 0) {
+        prompt += ' Run your rewrite next to the original with the compare_queries tool and report the timings and whether the results match.';
+    }
+
+    await askAssistant(prompt);
+}
+
+/**
+ * Shows the logical and physical query plans as indented operator trees under a result
+ * @param {HTMLElement} messageDiv - The assistant message element
+ * @param {Object} queryPlan - Result of QueryPlan.fromEvents() {logical, physical}
+ */
+function appendQueryPlan(messageDiv, queryPlan) {
+    if (messageDiv.transcriptEntry) {
+        messageDiv.transcriptEntry.queryPlan = queryPlan;
+    }
+
+    const content = messageDiv.querySelector('.message-content');
+    [['logical', 'Logical query plan'], ['physical', 'Physical query plan']].forEach(([kind, title]) => {
+        const plan = queryPlan[kind];
+        if (!plan) return;
+
+        const panel = document.createElement('details');
+        panel.className = 'query-plan';
+        panel.open = kind === 'physical';
+
+        const summary = document.createElement('summary');
+        summary.textContent = `🧭 ${title} (${plan.operators.length} operators)`;
+        panel.appendChild(summary);
+
+        const tree = document.createElement('div');
+        tree.className = 'query-plan-tree';
+        plan.operators.forEach(op => {
+            const node = document.createElement('div');
+            node.className = 'query-plan-node';
+            node.style.paddingLeft = `${op.depth * 16}px`;
+
+            const operator = document.createElement('span');
+            operator.className = 'query-plan-operator';
+            operator.textContent = op.operator;
+            node.appendChild(operator);
+
+            if (op.records !== null) {
+                const records = document.createElement('span');
+                records.className = 'query-plan-records';
+                records.textContent = `${op.records.toLocaleString()} rows`;
+                node.appendChild(records);
+            }
+
+            const details = document.createElement('span');
+            details.className = 'query-plan-details';
+            details.textContent = op.details;
+            node.appendChild(details);
+            tree.appendChild(node);
+        });
+        panel.appendChild(tree);
+        content.appendChild(panel);
+    });
+
+    const chatMessages = document.getElementById('chatMessages');
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+/**
+ * Fills the measure sandbox with the model's measures and grouping columns
+ * Keeps the chosen measure, its edited expression and the chosen columns if they still exist
+ */
+function renderMeasureSandbox() {
+    const measureSelect = document.getElementById('sandboxMeasure');
+    const columnSelect = document.getElementById('sandboxColumns');
+    const current = measureSelect.value;
+    const selectedColumns = [...columnSelect.selectedOptions].map(option => option.value);
+
+    while (measureSelect.options.length > 1) {
+        measureSelect.remove(1);
+    }
+    semanticModel.measures.forEach(measure => {
+        const option = document.createElement('option');
+        option.value = measure.name;
+        option.textContent = `${measure.name} (${measure.table})`;
+        measureSelect.appendChild(option);
+    });
+
+    columnSelect.innerHTML = '';
+    semanticModel.tables.forEach(table => {
+        if (!table.columns || table.columns.length === 0) return;
+        const group = document.createElement('optgroup');
+        group.label = table.name;
+        table.columns.forEach(col => {
+            const option = document.createElement('option');
+            option.value = JSON.stringify({ table: table.name, column: col.name });
+            option.textContent = col.name;
+            option.selected = selectedColumns.includes(option.value);
+            group.appendChild(option);
+        });
+        columnSelect.appendChild(group);
+    });
+
+    if (semanticModel.measures.some(measure => measure.name === current)) {
+        measureSelect.value = current;
+    } else {
+        measureSelect.value = '';
+        document.getElementById('sandboxExpression').value = '';
+    }
+    updateMeasureSandboxButtons();
+}
+
+/**
+ * Returns the measure chosen in the sandbox
+ * @returns {Object|null} The measure metadata {name, table, expression}
+ */
+function getSandboxMeasure() {
+    const name = document.getElementById('sandboxMeasure').value;
+    return semanticModel.measures.find(measure => measure.name === name) || null;
+}
+
+/**
+ * Puts the model's expression of the chosen measure (TMSCHEMA_MEASURES) back into the editor
+ */
+function resetMeasureSandbox() {
+    const measure = getSandboxMeasure();
+    document.getElementById('sandboxExpression').value = measure ? measure.expression || '' : '';
+    updateMeasureSandboxButtons();
+}
+
+/**
+ * Enables the sandbox buttons once a measure is chosen
+ */
+function updateMeasureSandboxButtons() {
+    const disabled = !getSandboxMeasure();
+    ['sandboxRun', 'sandboxSuggest', 'sandboxReset'].forEach(id => {
+        document.getElementById(id).disabled = disabled;
+    });
+}
+
+/**
+ * Runs the sandbox: evaluates the model's measure and the edited expression side by side
+ * over the chosen columns (a query measure; the model is not changed) and tells how many
+ * rows the edit changes
+ */
+async function runMeasureSandbox() {
+    const measure = getSandboxMeasure();
+    if (!measure || activeChatRequest) return;
+
+    const expression = document.getElementById('sandboxExpression').value.trim();
+    const groupBy = [...document.getElementById('sandboxColumns').selectedOptions].map(option => JSON.parse(option.value));
+    let built;
+    try {
+        built = MeasureSandbox.buildQuery({ measure, expression, groupBy, measures: semanticModel.measures });
+    } catch (error) {
+        addMessage('error', error.message);
+        return;
+    }
+
+    const grouping = groupBy.length > 0 ? ` by ${groupBy.map(col => `${col.table}[${col.column}]`).join(', ')}` : '';
+    addMessage('user', `**Measure sandbox:** [${measure.name}]${grouping}, edited:\n\n\`\`\`dax\n${expression}\n\`\`\``);
+
+    // The summary is added before runDAXCommand() saves the conversation
+    await runDAXCommand({ query: built.query, timeout: null, profile: false }, {
+        afterResult: result => {
+            const { changed } = MeasureSandbox.changedRows(result, window.CONFIG.COMPARE.TOLERANCE);
+            const rows = `${result.rows.length} ${result.rows.length === 1 ? 'row' : 'rows'}`;
+            addMessage('assistant', changed.length === 0
+                ? `✅ The edit returns the same values as [${measure.name}] in all ${rows}.`
+                : `❌ The edit changes the value in ${changed.length} of ${rows} (columns Original and Edited).`);
+        }
+    });
+}
+
+/**
+ * Asks the assistant for an edit of the sandbox measure (following the instruction, if any)
+ * and puts the suggested expression into the editor
+ */
+async function suggestMeasureEdit() {
+    const measure = getSandboxMeasure();
+    if (!measure || activeChatRequest) return;
+
+    const instruction = document.getElementById('sandboxInstruction').value.trim();
+    const expression = document.getElementById('sandboxExpression').value.trim();
+    addMessage('user', `**Measure sandbox:** suggest an edit of [${measure.name}]${instruction ? `: ${instruction}` : ''}`);
+
+    let prompt = `Rewrite the DAX expression of the measure [${measure.name}] in table ${measure.table}. `;
+    prompt += instruction || 'Make it faster or easier to read without changing its results.';
+    prompt += `\n\nExpression in the model:\n\`\`\`dax\n${measure.expression || ''}\n\`\`\`\n\n`;
+    if (expression && expression !== (measure.expression || '').trim()) {
+        prompt += `Current edit:\n\`\`\`dax\n${expression}\n\`\`\`\n\n`;
+    }
+    prompt += 'Answer with the new expression first, without the measure name, in a ```dax block, then explain the change in a few sentences.';
+
+    const answer = await askAssistant(prompt);
+    if (answer === null) return;
+    const suggestion = MeasureSandbox.extractExpression(answer);
+    if (suggestion) {
+        document.getElementById('sandboxExpression').value = suggestion;
+    } else {
+        addMessage('error', 'The answer contains no DAX expression to try in the sandbox.');
+    }
+}
+
+/**
+ * Sends a message to the AI assistant, with the model description and the DAX tools
+ * @param {string} message - The question (already shown in the chat)
+ * @returns {Promise<string|null>} The answer (partial if stopped), null if the request failed
+ */
+async function askAssistant(message) {
+    // Disable send button, show stop button
     const sendButton = document.getElementById('sendButton');
+    const stopButton = document.getElementById('stopButton');
     sendButton.disabled = true;
     sendButton.textContent = 'Sending...';
+    stopButton.style.display = '';
+    activeChatRequest = new AbortController();
 
     try {
-        // Save settings
+        // Save settings (a token typed just before sending may still be on its way to the main process)
         saveSettings();
+        await apiTokenSaving;
 
-        // Get settings
-        const apiUrl = document.getElementById('apiUrl').value;
-        const apiToken = document.getElementById('apiToken').value;
-        const modelName = document.getElementById('modelName').value;
+        // Get the provider for the chosen settings
+        const provider = getSelectedProvider();
+        provider.validate();
 
-        if (!apiUrl || !apiToken) {
-            throw new Error('Please configure API URL and Token in the settings panel');
-        }
+        // The assistant can only run its own queries while connected to a model
+        const maxSteps = getMaxToolSteps();
+        const useTools = Boolean(xmlaConnection) && maxSteps > 0;
 
         // Build system message with semantic model context
         let systemContent = 'You are a Power BI semantic model assistant with access to both the model structure and actual data. ';
@@ -632,57 +2118,40 @@ async function sendMessage() {
         if (semanticModel.tables.length > 0 || semanticModel.measures.length > 0) {
             systemContent += 'Here is the semantic model structure and sample data:\n\n';
 
-            // Add tables with sample data
-            if (semanticModel.tables.length > 0) {
-                systemContent += '## Tables:\n';
-                semanticModel.tables.forEach(table => {
-                    systemContent += `- **${table.name}**`;
-                    if (table.description) systemContent += ` - ${table.description}`;
-                    systemContent += `\n`;
-                    if (table.columns && table.columns.length > 0) {
-                        const columnNames = table.columns.map(col => col.name || col.displayName || col).join(', ');
-                        systemContent += `  Columns: ${columnNames}\n`;
-                    }
-
-                    // Add sample data if available
-                    if (semanticModel.sampleData && semanticModel.sampleData[table.name] && semanticModel.sampleData[table.name].length > 0) {
-                        systemContent += `  Sample data (top ${semanticModel.sampleData[table.name].length} rows):\n`;
-                        systemContent += '  ```\n';
-                        systemContent += '  ' + JSON.stringify(semanticModel.sampleData[table.name], null, 2).split('\n').join('\n  ') + '\n';
-                        systemContent += '  ```\n';
-                    }
-                });
-                systemContent += '\n';
-            }
-
-            // Add measures
-            if (semanticModel.measures.length > 0) {
-                systemContent += '## Measures:\n';
-                semanticModel.measures.forEach(measure => {
-                    systemContent += `- **${measure.name}**`;
-                    if (measure.table) systemContent += ` (${measure.table})`;
-                    if (measure.expression) systemContent += `\n  Expression: ${measure.expression}`;
-                    systemContent += '\n';
-                });
-                systemContent += '\n';
-            }
-
-            // Add relationships
-            if (semanticModel.relationships.length > 0) {
-                systemContent += '## Relationships:\n';
-                semanticModel.relationships.forEach(rel => {
-                    systemContent += `- ${rel.from} → ${rel.to}\n`;
-                });
-                systemContent += '\n';
-            }
+            // Describe the objects most relevant to the question, within the token budget
+            const context = new ModelContextBuilder({
+                model: semanticModel,
+                formatColumn: formatColumnForPrompt,
+                describeRelationship,
+                formatHierarchyLevels,
+                stringifyRows,
+                searchIndex: modelSearchIndex
+            }).build({
+                question: message,
+                history: chatHistory,
+                budget: getContextBudget(),
+                selectedRole: getSelectedRole()
+            });
+            systemContent += context.content;
+            console.log(`[Context] ${context.tokens} of ${context.report.budget} tokens: ${context.report.tables.described}/${context.report.tables.total} tables, ${context.report.measures.described}/${context.report.measures.total} measures described`);
+            addContextNote(context.report);
 
             // Add instructions for querying data
             systemContent += '\n## Instructions:\n';
             systemContent += '- You can see sample data above to help answer questions about the data.\n';
             systemContent += '- If the user asks about specific data values, trends, or analysis, use the sample data and structure to provide informed responses.\n';
             systemContent += '- You can help write DAX queries to analyze the data.\n';
-            systemContent += '- When suggesting DAX queries, tell the user they can execute them by typing "DAX: <query>" in the chat.\n';
+            if (useTools) {
+                systemContent += '- Use the execute_dax, get_table_sample and describe_measure tools to query the model yourself and base your answer on the results instead of guessing. Keep queries aggregated; large results are truncated.\n';
+                systemContent += '- If a query fails, read the error, fix the query and try again.\n';
+                systemContent += '- To check that a rewritten query is faster and returns the same result, run it next to the original with compare_queries.\n';
+                systemContent += '- Users can also run queries themselves by typing "DAX: <query>" in the chat.\n';
+            } else {
+                systemContent += '- When suggesting DAX queries, tell the user they can execute them by typing "DAX: <query>" in the chat.\n';
+            }
             systemContent += '- Be specific and reference actual column names and table names from the model.\n';
+            systemContent += '- To show what a security role sees, explain its filter expressions and tell the user to pick the role under "View as Role" in the settings panel before running the DAX query.\n';
+            systemContent += '- Inactive relationships do not filter by default. Use USERELATIONSHIP inside CALCULATE to activate one, and respect each relationship\'s cardinality and filter direction.\n';
             systemContent += '- Sample data shown is limited to a few rows - encourage users to run DAX queries for complete analysis.\n';
         } else {
             systemContent += 'The semantic model is not connected or has no metadata available.';
@@ -695,55 +2164,270 @@ async function sendMessage() {
             { role: 'user', content: message }
         ];
 
-        // Make API call
-        const response = await fetch(apiUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${apiToken}`
-            },
-            body: JSON.stringify({
-                model: modelName,
-                messages: messages
-            })
+        // The answer streams into its own chat bubble
+        const newMessages = [{ role: 'user', content: message }];
+        const answer = await runAssistantTurn(messages, newMessages, {
+            provider,
+            maxSteps: useTools ? maxSteps : 0,
+            signal: activeChatRequest.signal
         });
 
-        if (!response.ok) {
-            const errorText = await response.text();
-            throw new Error(`HTTP ${response.status}: ${errorText}`);
+        // Update chat history (including tool calls, so follow-up questions can refer to earlier results)
+        // A stopped answer is kept as far as it got
+        if (answer.content) {
+            newMessages.push({ role: 'assistant', content: answer.content });
         }
-
-        const data = await response.json();
-
-        // Extract AI response
-        let aiMessage = '';
-        if (data.choices && data.choices[0] && data.choices[0].message) {
-            aiMessage = data.choices[0].message.content;
-        } else {
-            aiMessage = 'Received response but could not parse message.';
-        }
-
-        // Add AI response to chat
-        addMessage('assistant', aiMessage);
-
-        // Update chat history
-        chatHistory.push({ role: 'user', content: message });
-        chatHistory.push({ role: 'assistant', content: aiMessage });
+        chatHistory.push(...newMessages);
+        return answer.content;
 
     } catch (error) {
         console.error('Error sending message:', error);
         addMessage('error', `Error: ${error.message}`);
+        return null;
     } finally {
         // Re-enable send button
+        activeChatRequest = null;
+        stopButton.style.display = 'none';
         sendButton.disabled = false;
         sendButton.textContent = 'Send';
+        saveCurrentSession();
+    }
+}
+
+/**
+ * Tells the user which model objects did not fit into the context budget
+ * Nothing is shown when the whole model fits
+ * @param {Object} report - Report from ModelContextBuilder.build()
+ */
+function addContextNote(report) {
+    const partialTables = report.tables.total - report.tables.described;
+    const partialMeasures = report.measures.total - report.measures.described;
+    const skippedSamples = report.sampleData.total - report.sampleData.included;
+    if (partialTables === 0 && partialMeasures === 0 && skippedSamples === 0) return;
+
+    const note = document.createElement('details');
+    note.className = 'context-note';
+
+    const summary = document.createElement('summary');
+    summary.textContent = `Model too large for the context budget (${report.budget.toLocaleString()} tokens): ` +
+        `described ${report.tables.described} of ${report.tables.total} tables and ` +
+        `${report.measures.described} of ${report.measures.total} measures most relevant to the question`;
+    note.appendChild(summary);
+
+    const addList = (title, names) => {
+        if (names.length === 0) return;
+        const paragraph = document.createElement('p');
+        paragraph.textContent = `${title} (${names.length}): ${names.join(', ')}`;
+        note.appendChild(paragraph);
+    };
+    addList('Tables listed by name only', report.tables.namesOnly);
+    addList('Measures listed by name only', report.measures.namesOnly);
+    addList('Tables left out', report.tables.omitted);
+    addList('Measures left out', report.measures.omitted);
+    if (skippedSamples > 0) {
+        const paragraph = document.createElement('p');
+        paragraph.textContent = `Sample data left out for ${skippedSamples} tables`;
+        note.appendChild(paragraph);
+    }
+
+    const chatMessages = document.getElementById('chatMessages');
+    chatMessages.appendChild(note);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+}
+
+/**
+ * Stops the running assistant request (the partial answer is kept) or cancels
+ * the running DAX query; queries the assistant is running are cancelled as well
+ */
+function stopAssistantRequest() {
+    if (activeChatRequest) {
+        console.log('[Chat] Stopping the running request');
+        activeChatRequest.abort();
+    }
+}
+
+/**
+ * Runs one assistant turn: lets the model call DAX tools until it gives a final answer
+ * Replies stream into assistant chat bubbles, each tool call is shown in the chat and
+ * after maxSteps round-trips the model must answer without tools
+ * @param {Array<Object>} messages - Conversation so far (system prompt, history, user message)
+ * @param {Array<Object>} newMessages - Receives the assistant tool calls and tool results of this turn
+ * @param {Object} settings - {provider (LLMProvider), maxSteps, signal}
+ * @returns {Promise<Object>} {content: final (or partial) answer, stopped: true if aborted}
+ */
+async function runAssistantTurn(messages, newMessages, settings) {
+    const tools = new DAXTools({
+        executeQuery: (query, options = {}) => executeDAXQuery(query, { ...options, signal: settings.signal }),
+        getModel: () => semanticModel,
+        stringifyRows
+    });
+    const conversation = [...messages];
+    let bubble = null;
+
+    // Streams one model reply into a new chat bubble (created on the first token)
+    const streamReply = async request => {
+        bubble = createStreamingBubble();
+        return settings.provider.complete(request, {
+            signal: settings.signal,
+            onDelta: (delta, fullText) => bubble.update(fullText)
+        });
+    };
+
+    try {
+        for (let step = 0; step < settings.maxSteps; step++) {
+            const reply = await streamReply({
+                messages: conversation,
+                tools: DAXTools.definitions()
+            });
+
+            if (!reply.tool_calls || reply.tool_calls.length === 0) {
+                bubble.finish(reply.content || '');
+                return { content: reply.content || '', stopped: false };
+            }
+
+            bubble.finish(reply.content || '');
+            const assistantMessage = { role: 'assistant', content: reply.content || null, tool_calls: reply.tool_calls };
+            conversation.push(assistantMessage);
+            newMessages.push(assistantMessage);
+
+            for (const toolCall of reply.tool_calls) {
+                const name = toolCall.function ? toolCall.function.name : '';
+                let outcome;
+                let args = {};
+                try {
+                    args = DAXTools.parseArguments(toolCall.function && toolCall.function.arguments);
+                    outcome = await tools.execute(name, args);
+                } catch (error) {
+                    outcome = { success: false, content: `Error: ${error.message}`, query: null, result: null };
+                }
+                console.log(`[Agent] Step ${step + 1}: ${name} ${outcome.success ? 'succeeded' : 'failed'}`);
+                addToolCallMessage(name, args, outcome);
+
+                const toolMessage = { role: 'tool', tool_call_id: toolCall.id, content: outcome.content };
+                conversation.push(toolMessage);
+                newMessages.push(toolMessage);
+            }
+        }
+
+        // Out of steps (or tools disabled): ask for an answer with what has been gathered so far
+        const request = { messages: conversation };
+        if (conversation.some(msg => msg.tool_calls)) {
+            request.tools = DAXTools.definitions();
+            request.toolChoice = 'none';
+        }
+        const reply = await streamReply(request);
+        bubble.finish(reply.content || '');
+        return { content: reply.content || '', stopped: false };
+    } catch (error) {
+        if (error.name !== 'AbortError') throw error;
+
+        // Keep whatever had streamed in before the stop
+        const partial = bubble ? bubble.text : '';
+        if (bubble) bubble.finish(partial, true);
+        return { content: partial, stopped: true };
+    }
+}
+
+/**
+ * Creates a chat bubble that renders streamed text
+ * The bubble is only added once text arrives; rendering is batched per animation frame
+ * @returns {Object} {text, update(fullText), finish(fullText, stopped)}
+ */
+function createStreamingBubble() {
+    let messageDiv = null;
+    let pending = false;
+
+    const render = (text, stopped) => {
+        if (!messageDiv) {
+            messageDiv = addMessage('assistant', '');
+            messageDiv.classList.add('streaming');
+        }
+        setMessageContent(messageDiv, text);
+        if (stopped) {
+            messageDiv.transcriptEntry.stopped = true;
+            appendStoppedNote(messageDiv);
+        }
+        const chatMessages = document.getElementById('chatMessages');
+        chatMessages.scrollTop = chatMessages.scrollHeight;
+    };
+
+    const bubble = {
+        text: '',
+        update(fullText) {
+            bubble.text = fullText;
+            if (pending) return;
+            pending = true;
+            requestAnimationFrame(() => {
+                pending = false;
+                if (bubble.done) return;
+                render(bubble.text, false);
+            });
+        },
+        finish(fullText, stopped = false) {
+            bubble.text = fullText;
+            bubble.done = true;
+            if (!fullText && !stopped && !messageDiv) return;
+            render(fullText, stopped);
+            messageDiv.classList.remove('streaming');
+        }
+    };
+    return bubble;
+}
+
+/**
+ * Shows a tool call made by the assistant, with its query and result, in the chat
+ * @param {string} name - Tool name
+ * @param {Object} args - Tool arguments
+ * @param {Object} outcome - Result of DAXTools.execute()
+ */
+function addToolCallMessage(name, args, outcome) {
+    const argumentText = Object.entries(args)
+        .filter(([key]) => !['query', 'original', 'rewritten'].includes(key))
+        .map(([key, value]) => `${key}: ${value}`)
+        .join(', ');
+
+    let text = `**🔧 ${name}**${argumentText ? ` (${escapeHtml(argumentText)})` : ''}\n`;
+    if (outcome.query) {
+        text += `\`\`\`dax\n${escapeHtml(outcome.query)}\n\`\`\`\n`;
+    }
+
+    if (!outcome.success) {
+        text += `❌ ${escapeHtml(outcome.content)}`;
+    } else if (name === 'describe_measure') {
+        text += `\`\`\`\n${escapeHtml(outcome.content)}\n\`\`\``;
+    } else if (outcome.result) {
+        text += `${outcome.result.rowCount} rows returned`;
+        if (outcome.result.warnings && outcome.result.warnings.length > 0) {
+            text += `\n⚠️ ${escapeHtml(outcome.result.warnings.join('; '))}`;
+        }
+    }
+
+    const messageDiv = addMessage('tool', text.trimEnd());
+    messageDiv.transcriptEntry.tool = { name, args, success: outcome.success };
+    messageDiv.transcriptEntry.query = outcome.query || null;
+    const result = outcome.result;
+    if (outcome.success && name !== 'describe_measure' && result && result.rows.length > 0 && result.columns.length > 0) {
+        appendResultsGrid(messageDiv, result);
     }
 }
 
+/**
+ * Escapes text for use inside message HTML
+ * @param {string} text - Raw text
+ * @returns {string} HTML-safe text
+ */
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;');
+}
+
 /**
  * Adds a message to the chat UI
- * @param {string} role - The role of the message sender ('user', 'assistant', or 'error')
+ * @param {string} role - The role of the message sender ('user', 'assistant', 'tool' or 'error')
  * @param {string} content - The message content (supports simple markdown)
+ * @returns {HTMLElement} The message element
  */
 function addMessage(role, content) {
     const chatMessages = document.getElementById('chatMessages');
@@ -753,29 +2437,637 @@ function addMessage(role, content) {
     if (emptyState) {
         emptyState.remove();
     }
+    const sessionOffer = chatMessages.querySelector('.session-offer');
+    if (sessionOffer) {
+        sessionOffer.remove();
+    }
 
     const messageDiv = document.createElement('div');
     messageDiv.className = `message ${role}`;
 
-    const label = role === 'user' ? 'You' : (role === 'assistant' ? 'AI Assistant' : 'Error');
-
-    // Simple markdown-like formatting
-    let formattedContent = content
-        .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>') // Bold
-        .replace(/```(.*?)\n([\s\S]*?)```/g, '<pre><code>$2</code></pre>') // Code blocks
-        .replace(/\n/g, '<br>'); // Line breaks
+    const labels = { user: 'You', assistant: 'AI Assistant', tool: 'AI Assistant - Query' };
+    const label = labels[role] || 'Error';
 
     messageDiv.innerHTML = `
         <div class="message-label">${label}</div>
-        <div class="message-content">${formattedContent}</div>
+        <div class="message-content">${formatMessageContent(content)}</div>
     `;
 
+    // Keep the message for saving the conversation
+    messageDiv.transcriptEntry = { role, content, time: new Date().toISOString() };
+    chatTranscript.push(messageDiv.transcriptEntry);
+
     chatMessages.appendChild(messageDiv);
     chatMessages.scrollTop = chatMessages.scrollHeight;
+    return messageDiv;
+}
+
+/**
+ * Replaces the text of a chat message (used while an answer streams in)
+ * @param {HTMLElement} messageDiv - The message element
+ * @param {string} content - The full message content
+ */
+function setMessageContent(messageDiv, content) {
+    messageDiv.querySelector('.message-content').innerHTML = formatMessageContent(content);
+    if (messageDiv.transcriptEntry) {
+        messageDiv.transcriptEntry.content = content;
+    }
+}
+
+/**
+ * Marks an answer the user stopped
+ * @param {HTMLElement} messageDiv - The answer's message element
+ */
+function appendStoppedNote(messageDiv) {
+    const note = document.createElement('div');
+    note.className = 'message-note';
+    note.textContent = '⏹ Stopped';
+    messageDiv.querySelector('.message-content').appendChild(note);
+}
+
+/**
+ * Converts message text to HTML
+ * @param {string} content - The message content (supports simple markdown)
+ * @returns {string} HTML
+ */
+function formatMessageContent(content) {
+    // Simple markdown-like formatting
+    return content
+        .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>') // Bold
+        .replace(/```(.*?)\n([\s\S]*?)```/g, '<pre><code>$2</code></pre>') // Code blocks
+        .replace(/\n/g, '<br>'); // Line breaks
+}
+
+// Saved connections to Power BI workspaces and Analysis Services servers
+// (kept in localStorage; client secrets are kept encrypted by the main process)
+
+/**
+ * Reads the saved connections
+ * @returns {Array<Object>} [{id, name, server, database, authentication, tenantId, clientId, hasSecret}]
+ */
+function getSavedConnections() {
+    try {
+        return JSON.parse(localStorage.getItem('savedConnections') || '[]');
+    } catch (error) {
+        console.error('[Connections] Saved connections are unreadable:', error);
+        return [];
+    }
+}
+
+function storeSavedConnections(connections) {
+    localStorage.setItem('savedConnections', JSON.stringify(connections));
+    renderModelPicker();
+}
+
+function openConnectionsModal() {
+    renderConnectionsList();
+    fillConnectionForm(null);
+    document.getElementById('connectionsModal').classList.add('show');
+}
+
+function closeConnectionsModal() {
+    document.getElementById('connectionsModal').classList.remove('show');
+}
+
+/**
+ * Lists the saved connections in the connection manager
+ */
+function renderConnectionsList() {
+    const list = document.getElementById('connectionsList');
+    const connections = getSavedConnections();
+    list.innerHTML = '';
+
+    if (connections.length === 0) {
+        list.innerHTML = '<li class="connections-list-empty">No saved connections yet. Add a Power BI workspace or Analysis Services server below.</li>';
+        return;
+    }
+
+    connections.forEach(connection => {
+        const item = document.createElement('li');
+        item.className = 'connection-entry';
+        if (connection.id === connectionInfo.connectionId) item.classList.add('active');
+        item.innerHTML = `
+            <div class="connection-entry-text">
+                <div class="connection-entry-name">${escapeHtml(connection.name)}</div>
+                <div class="connection-entry-detail">${escapeHtml(connection.database)} · ${escapeHtml(connection.server)}</div>
+            </div>
+            <button data-action="connect">Connect</button>
+            <button data-action="edit">Edit</button>
+            <button data-action="delete" title="Delete this connection">✕</button>
+        `;
+        item.querySelector('.connection-entry-detail').title = connection.server;
+        item.querySelector('[data-action="connect"]').addEventListener('click', () => connectSavedConnection(connection));
+        item.querySelector('[data-action="edit"]').addEventListener('click', () => fillConnectionForm(connection));
+        item.querySelector('[data-action="delete"]').addEventListener('click', () => deleteSavedConnection(connection));
+        list.appendChild(item);
+    });
+}
+
+/**
+ * Shows a connection in the form, or empties the form for a new one
+ * @param {Object|null} connection - Saved connection to edit
+ */
+function fillConnectionForm(connection) {
+    const value = (id, text) => {
+        document.getElementById(id).value = text || '';
+    };
+    document.getElementById('connectionFormTitle').textContent = connection ? `Edit "${connection.name}"` : 'New connection';
+    value('connectionId', connection && connection.id);
+    value('connectionName', connection && connection.name);
+    value('connectionServer', connection && connection.server);
+    value('connectionDatabase', connection && connection.database);
+    value('connectionTenantId', connection && connection.tenantId);
+    value('connectionClientId', connection && connection.clientId);
+    value('connectionSecret', '');
+    document.getElementById('connectionSecret').placeholder = connection && connection.hasSecret ? '•••••••• (saved securely)' : 'Client secret';
+    document.getElementById('connectionAuthentication').value = (connection && connection.authentication) || 'interactive';
+    document.getElementById('connectionFormError').textContent = '';
+    updateAuthenticationFields();
+}
+
+/**
+ * Shows the service principal fields only when that sign-in is chosen
+ */
+function updateAuthenticationFields() {
+    const servicePrincipal = document.getElementById('connectionAuthentication').value === 'servicePrincipal';
+    document.getElementById('servicePrincipalFields').style.display = servicePrincipal ? '' : 'none';
+}
+
+/**
+ * Validates and saves the connection in the form; a pasted connection string
+ * fills in the server and database
+ * @returns {Promise<Object|null>} The saved connection, or null if the form is incomplete
+ */
+async function saveConnectionForm() {
+    const field = id => document.getElementById(id).value.trim();
+    const errorElement = document.getElementById('connectionFormError');
+    errorElement.textContent = '';
+
+    const parsed = XMLAConnection.parseConnectionString(field('connectionServer'));
+    const connections = getSavedConnections();
+    const existing = connections.find(item => item.id === field('connectionId'));
+    const connection = {
+        id: existing ? existing.id : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+        name: '',
+        server: parsed.server,
+        database: field('connectionDatabase') || parsed.database,
+        authentication: document.getElementById('connectionAuthentication').value,
+        tenantId: '',
+        clientId: '',
+        hasSecret: false
+    };
+    connection.name = field('connectionName') || connection.database;
+
+    const secret = document.getElementById('connectionSecret').value;
+    if (connection.authentication === 'servicePrincipal') {
+        connection.tenantId = field('connectionTenantId');
+        connection.clientId = field('connectionClientId');
+        connection.hasSecret = Boolean(secret) || Boolean(existing && existing.hasSecret);
+    }
+
+    let problem = null;
+    if (!connection.server) {
+        problem = 'Enter the server, e.g. the workspace connection powerbi://api.powerbi.com/v1.0/myorg/Workspace';
+    } else if (!connection.database) {
+        problem = 'Enter the name of the semantic model (database)';
+    } else if (connection.authentication === 'servicePrincipal' && (!connection.tenantId || !connection.clientId || !connection.hasSecret)) {
+        problem = 'A service principal needs a tenant ID, a client ID and a client secret';
+    }
+    if (problem) {
+        errorElement.textContent = problem;
+        return null;
+    }
+
+    try {
+        if (connection.authentication === 'servicePrincipal' && secret) {
+            await window.electronAPI.setConnectionSecret(connection.id, secret);
+        } else if (connection.authentication !== 'servicePrincipal' && existing && existing.hasSecret) {
+            await window.electronAPI.deleteConnectionSecret(connection.id);
+        }
+    } catch (error) {
+        errorElement.textContent = error.message.replace(/^Error invoking remote method '[^']+': (Error: )?/, '');
+        return null;
+    }
+
+    storeSavedConnections(existing
+        ? connections.map(item => (item.id === connection.id ? connection : item))
+        : [...connections, connection]);
+    console.log(`[Connections] Saved "${connection.name}"`);
+    renderConnectionsList();
+    fillConnectionForm(connection);
+    return connection;
+}
+
+/**
+ * Deletes a saved connection and its client secret
+ * @param {Object} connection - Saved connection
+ */
+async function deleteSavedConnection(connection) {
+    if (!confirm(`Delete the connection "${connection.name}"?`)) return;
+
+    storeSavedConnections(getSavedConnections().filter(item => item.id !== connection.id));
+    if (connection.hasSecret) {
+        try {
+            await window.electronAPI.deleteConnectionSecret(connection.id);
+        } catch (error) {
+            console.error('[Connections] Failed to delete the client secret:', error);
+        }
+    }
+    if (document.getElementById('connectionId').value === connection.id) fillConnectionForm(null);
+    renderConnectionsList();
+}
+
+/**
+ * Connects to a saved connection
+ * @param {Object} connection - Saved connection
+ */
+function connectSavedConnection(connection) {
+    closeConnectionsModal();
+    switchSemanticModel({
+        server: connection.server,
+        database: connection.database,
+        title: connection.name,
+        authentication: connection.authentication,
+        tenantId: connection.tenantId,
+        clientId: connection.clientId,
+        connectionId: connection.id
+    });
+}
+
+// Saved conversations
+const chatEmptyStateHtml = document.getElementById('chatMessages').innerHTML;
+
+/**
+ * Key the conversations are saved under: the model's database ID from Power BI;
+ * for remote servers the workspace is included, as model names repeat across workspaces
+ * @returns {string} Model key
+ */
+function getSessionModelKey() {
+    if (connectionInfo.database && XMLAConnection.isRemoteServer(connectionInfo.server)) {
+        return `${connectionInfo.server}/${connectionInfo.database}`;
+    }
+    return connectionInfo.database || 'standalone';
+}
+
+/**
+ * Saves the open conversation (started on its first message)
+ * Result rows are capped at CONFIG.SESSIONS.MAX_SAVED_ROWS per query
+ */
+async function saveCurrentSession() {
+    if (chatTranscript.length === 0 || !window.electronAPI) return;
+
+    if (!currentSession) {
+        const firstQuestion = chatTranscript.find(entry => entry.role === 'user');
+        const title = (firstQuestion ? firstQuestion.content : 'Conversation').replace(/\s+/g, ' ').trim();
+        const titleLength = window.CONFIG.SESSIONS.TITLE_LENGTH;
+        currentSession = {
+            id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            title: title.length > titleLength ? `${title.slice(0, titleLength - 1)}…` : title,
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    try {
+        await window.electronAPI.saveSession(getSessionModelKey(), {
+            ...currentSession,
+            server: connectionInfo.server,
+            database: connectionInfo.database,
+            history: chatHistory,
+            transcript: chatTranscript.map(entry => (entry.result ? { ...entry, result: toSavedResult(entry.result) } : entry))
+        });
+        refreshSessionList();
+    } catch (error) {
+        console.error('[Sessions] Failed to save conversation:', error);
+    }
+}
+
+/**
+ * Reduces a query result to what is needed to show it again
+ * @param {Object} result - executeDAX() result
+ * @returns {Object} {columns, rows, rowCount, truncated, warnings, query, role}
+ */
+function toSavedResult(result) {
+    const maxRows = window.CONFIG.SESSIONS.MAX_SAVED_ROWS;
+    return {
+        columns: result.columns,
+        rows: result.rows.slice(0, maxRows),
+        rowCount: result.rowCount,
+        truncated: result.truncated || result.rows.length > maxRows,
+        warnings: result.warnings || [],
+        query: result.query || null,
+        role: result.role || null
+    };
 }
 
+/**
+ * Turns a saved result back into a grid result (dates are saved as ISO strings)
+ * @param {Object} saved - Result from toSavedResult()
+ * @returns {Object} Result for appendResultsGrid()
+ */
+function restoreSavedResult(saved) {
+    const dateColumns = saved.columns
+        .map((col, index) => (col.dataType === 'DateTime' ? index : -1))
+        .filter(index => index !== -1);
+    const rows = saved.rows.map(row => {
+        const values = [...row];
+        dateColumns.forEach(index => {
+            if (typeof values[index] === 'string') values[index] = new Date(values[index]);
+        });
+        return values;
+    });
+    return { ...saved, rows };
+}
+
+/**
+ * Empties the chat for a new conversation
+ */
+function resetChat() {
+    document.getElementById('chatMessages').innerHTML = chatEmptyStateHtml;
+    chatHistory = [];
+    chatTranscript = [];
+    currentSession = null;
+}
+
+/**
+ * Starts a new conversation; the current one is already saved
+ */
+function newSession() {
+    if (activeChatRequest) return;
+    resetChat();
+    refreshSessionList();
+}
+
+/**
+ * Reopens a saved conversation: shows its messages and result grids and restores
+ * the chat history the assistant sees
+ * @param {string} id - Session id
+ */
+async function openSession(id) {
+    if (activeChatRequest) return;
+
+    try {
+        const session = await window.electronAPI.loadSession(getSessionModelKey(), id);
+        resetChat();
+
+        (session.transcript || []).forEach(entry => {
+            const messageDiv = addMessage(entry.role, entry.content || '');
+            Object.assign(messageDiv.transcriptEntry, entry);
+            if (entry.result) {
+                appendResultsGrid(messageDiv, restoreSavedResult(entry.result));
+            }
+            if (entry.queryPlan) {
+                appendQueryPlan(messageDiv, entry.queryPlan);
+            }
+            if (entry.comparison) {
+                appendComparison(messageDiv, restoreSavedComparison(entry.comparison));
+            }
+            if (entry.serverTimings) {
+                appendServerTimings(messageDiv, entry.serverTimings);
+            }
+            if (entry.stopped) {
+                appendStoppedNote(messageDiv);
+            }
+        });
+
+        chatHistory = session.history || [];
+        currentSession = { id: session.id, title: session.title, createdAt: session.createdAt };
+        console.log(`[Sessions] Opened "${session.title}" (${chatTranscript.length} messages)`);
+    } catch (error) {
+        console.error('[Sessions] Failed to open conversation:', error);
+        addMessage('error', `Failed to open conversation: ${error.message}`);
+    }
+    refreshSessionList();
+}
+
+/**
+ * Deletes a saved conversation after confirmation
+ * @param {Object} session - Session summary
+ */
+async function deleteSession(session) {
+    if (!confirm(`Delete the conversation "${session.title}"?`)) return;
+
+    try {
+        await window.electronAPI.deleteSession(getSessionModelKey(), session.id);
+        if (currentSession && currentSession.id === session.id && !activeChatRequest) {
+            resetChat();
+        }
+    } catch (error) {
+        console.error('[Sessions] Failed to delete conversation:', error);
+    }
+    refreshSessionList();
+}
+
+/**
+ * Turns a session title into a text field; Enter saves, Escape cancels
+ * @param {HTMLElement} titleSpan - The title element
+ * @param {Object} session - Session summary
+ */
+function startSessionRename(titleSpan, session) {
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'session-rename';
+    input.value = session.title;
+    titleSpan.replaceWith(input);
+    input.focus();
+    input.select();
+
+    let done = false;
+    const finish = async save => {
+        if (done) return;
+        done = true;
+        const title = input.value.trim();
+        if (save && title && title !== session.title) {
+            try {
+                await window.electronAPI.renameSession(getSessionModelKey(), session.id, title);
+                if (currentSession && currentSession.id === session.id) {
+                    currentSession.title = title;
+                }
+            } catch (error) {
+                console.error('[Sessions] Failed to rename conversation:', error);
+            }
+        }
+        refreshSessionList();
+    };
+
+    input.addEventListener('click', e => e.stopPropagation());
+    input.addEventListener('keydown', e => {
+        if (e.key === 'Enter') finish(true);
+        if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+}
+
+/**
+ * Reloads the conversation list, filtered by the search box
+ */
+async function refreshSessionList() {
+    if (!window.electronAPI) return;
+
+    const query = document.getElementById('sessionSearch').value.trim();
+    try {
+        const sessions = query
+            ? await window.electronAPI.searchSessions(getSessionModelKey(), query)
+            : await window.electronAPI.listSessions(getSessionModelKey());
+        renderSessionList(sessions, query);
+    } catch (error) {
+        console.error('[Sessions] Failed to list conversations:', error);
+    }
+}
+
+/**
+ * Shows the saved conversations in the sidebar
+ * @param {Array<Object>} sessions - Session summaries, most recent first
+ * @param {string} query - Active search text
+ */
+function renderSessionList(sessions, query) {
+    const list = document.getElementById('sessionsList');
+    list.innerHTML = '';
+
+    if (sessions.length === 0) {
+        const empty = document.createElement('li');
+        empty.className = 'session-empty';
+        empty.textContent = query ? 'No conversations found' : 'No saved conversations for this model';
+        list.appendChild(empty);
+        return;
+    }
+
+    sessions.forEach(session => {
+        const item = document.createElement('li');
+        item.className = 'session-item';
+        if (currentSession && currentSession.id === session.id) item.classList.add('active');
+
+        const title = document.createElement('span');
+        title.className = 'session-title';
+        title.textContent = session.title;
+
+        const meta = document.createElement('span');
+        meta.className = 'session-meta';
+        meta.textContent = `${new Date(session.updatedAt).toLocaleString()} · ${session.messageCount} question${session.messageCount === 1 ? '' : 's'}`;
+
+        const actions = document.createElement('span');
+        actions.className = 'session-actions';
+        const addAction = (label, tooltip, action) => {
+            const button = document.createElement('button');
+            button.className = 'session-action';
+            button.textContent = label;
+            button.title = tooltip;
+            button.addEventListener('click', e => {
+                e.stopPropagation();
+                action();
+            });
+            actions.appendChild(button);
+        };
+        addAction('✏️', 'Rename', () => startSessionRename(title, session));
+        addAction('🗑️', 'Delete', () => deleteSession(session));
+
+        item.append(title, actions, meta);
+        if (session.snippet) {
+            const snippet = document.createElement('span');
+            snippet.className = 'session-snippet';
+            snippet.textContent = session.snippet;
+            item.appendChild(snippet);
+        }
+        item.addEventListener('click', () => openSession(session.id));
+        list.appendChild(item);
+    });
+}
+
+/**
+ * After connecting, offers to continue one of the conversations saved for the model
+ */
+async function offerPreviousSessions() {
+    if (!window.electronAPI) return;
+
+    document.getElementById('sessionSearch').value = '';
+    let sessions;
+    try {
+        sessions = await window.electronAPI.listSessions(getSessionModelKey());
+    } catch (error) {
+        console.error('[Sessions] Failed to list conversations:', error);
+        return;
+    }
+    renderSessionList(sessions, '');
+    if (sessions.length === 0 || chatTranscript.length > 0) return;
+
+    const offer = document.createElement('div');
+    offer.className = 'session-offer';
+    const text = document.createElement('p');
+    text.textContent = `You have ${sessions.length} saved conversation${sessions.length === 1 ? '' : 's'} about this model. Continue where you left off:`;
+    offer.appendChild(text);
+
+    sessions.slice(0, window.CONFIG.SESSIONS.RECENT_OFFERED).forEach(session => {
+        const button = document.createElement('button');
+        button.className = 'session-offer-button';
+        button.textContent = `💬 ${session.title}`;
+        button.title = `Last updated ${new Date(session.updatedAt).toLocaleString()}`;
+        button.addEventListener('click', () => openSession(session.id));
+        offer.appendChild(button);
+    });
+
+    document.getElementById('chatMessages').appendChild(offer);
+}
+
+/**
+ * Exports the open conversation
+ * @param {string} format - 'markdown', 'html' or 'dax'
+ */
+async function exportConversation(format) {
+    const title = currentSession ? currentSession.title : 'Conversation';
+    const exporter = new ConversationExport({
+        title,
+        database: connectionInfo.database,
+        entries: chatTranscript
+    }, { resolveFormatString });
+
+    const formats = {
+        markdown: { extension: 'md', filter: 'Markdown', build: () => exporter.toMarkdown() },
+        html: { extension: 'html', filter: 'HTML Page', build: () => exporter.toHTML() },
+        dax: { extension: 'dax', filter: 'DAX Script', build: () => exporter.toDaxScript() }
+    };
+    const target = formats[format];
+    const baseName = title.replace(/[\\/:*?"<>|]+/g, '').replace(/\s+/g, '-').slice(0, 60) || 'conversation';
+
+    try {
+        const status = await saveExportFile(`${baseName}.${target.extension}`, [{ name: target.filter, extensions: [target.extension] }], target.build());
+        if (status) console.log(`[Export] ${status}`);
+    } catch (error) {
+        console.error('[Export] Failed:', error);
+        addMessage('error', `Export failed: ${error.message}`);
+    }
+}
+
+/**
+ * Opens or closes the export menu; exporting needs at least one message
+ */
+function toggleExportMenu(event) {
+    event.stopPropagation();
+    const menu = document.getElementById('exportMenu');
+    const opening = menu.style.display === 'none';
+    menu.querySelectorAll('button').forEach(button => {
+        button.disabled = chatTranscript.length === 0;
+    });
+    menu.style.display = opening ? '' : 'none';
+}
+
+// Session list controls
+document.getElementById('newSessionButton').addEventListener('click', newSession);
+document.getElementById('sessionSearch').addEventListener('input', refreshSessionList);
+document.getElementById('exportButton').addEventListener('click', toggleExportMenu);
+document.querySelectorAll('#exportMenu button').forEach(button => {
+    button.addEventListener('click', () => {
+        document.getElementById('exportMenu').style.display = 'none';
+        exportConversation(button.dataset.format);
+    });
+});
+document.addEventListener('click', () => {
+    document.getElementById('exportMenu').style.display = 'none';
+});
+
 // Initialize
 loadSettings();
+initApiToken();
+refreshSessionList();
+renderModelPicker();
 
 // If not connected to Power BI, show message
 if (!window.electronAPI) {
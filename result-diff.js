@@ -0,0 +1,187 @@
+/**
+ * Result Diff
+ * Compares the results of two DAX queries row by row: rows are aligned by key
+ * columns and the other columns common to both results are compared as typed
+ * values, so 1 and 1.0 are equal, dates are compared by time and numbers within
+ * a tolerance. Used by the COMPARE: chat command to check that a rewritten
+ * measure or query returns the same numbers.
+ */
+
+const diffConfig = typeof module !== 'undefined' && module.exports ? require('./config') : window.CONFIG;
+
+const RESULT_DIFF_NUMERIC_TYPES = new Set(['Int64', 'Double', 'Decimal']);
+
+class ResultDiff {
+    /**
+     * Key columns used when none are given: the grouping columns of the query, i.e. the
+     * columns named Table[Column]; if there are none, the columns that are not numeric
+     * @param {Array<Object>} columns - Result columns {name, dataType}
+     * @returns {Array<string>} Names of the key columns (may be empty)
+     */
+    static inferKeyColumns(columns) {
+        const grouping = columns.filter(col => /^'?[^[\]]+?'?\[.+\]$/.test(col.name));
+        if (grouping.length > 0) return grouping.map(col => col.name);
+        return columns.filter(col => !RESULT_DIFF_NUMERIC_TYPES.has(col.dataType)).map(col => col.name);
+    }
+
+    /**
+     * Normalizes a value for matching keys: numbers and dates as numbers, text as is
+     * @param {*} value - Key value
+     * @param {boolean} numericText - Read numeric text as a number, for a key column that is
+     *   text in one result and numeric in the other ("1" and 1); text keys of the same
+     *   type stay exact, so "001" and "01" are different keys
+     * @returns {string} Key part
+     */
+    static keyValue(value, numericText = false) {
+        if (value === null || value === undefined || value === '') return 'blank';
+        if (value instanceof Date) return `n:${value.getTime()}`;
+        if (typeof value === 'boolean') return `b:${value}`;
+        const number = typeof value === 'number' || numericText ? ResultDiff.toNumber(value) : null;
+        return number !== null ? `n:${number}` : `s:${value}`;
+    }
+
+    /**
+     * Reads a number or numeric text as a number
+     * @returns {number|null} The number, null for other values
+     */
+    static toNumber(value) {
+        if (typeof value === 'number') return value;
+        if (typeof value === 'string' && value.trim() !== '' && isFinite(Number(value))) return Number(value);
+        return null;
+    }
+
+    /**
+     * Whether two typed values are equal; numbers may differ by up to the tolerance
+     * @param {*} a - Value of the first result
+     * @param {*} b - Value of the second result
+     * @param {number} tolerance - Largest allowed absolute difference of numbers
+     * @returns {boolean} Whether they are equal
+     */
+    static valuesEqual(a, b, tolerance) {
+        const blank = value => value === null || value === undefined || value === '';
+        if (blank(a) || blank(b)) return blank(a) && blank(b);
+
+        const numberA = ResultDiff.toNumber(a);
+        const numberB = ResultDiff.toNumber(b);
+        if (numberA !== null && numberB !== null) {
+            return Math.abs(numberA - numberB) <= tolerance;
+        }
+
+        if (a instanceof Date || b instanceof Date) {
+            const time = value => (value instanceof Date ? value.getTime() : Date.parse(value));
+            return time(a) === time(b);
+        }
+        return a === b;
+    }
+
+    /**
+     * Compares two results
+     * @param {Object} a - First result {columns, rows} (executeDAX())
+     * @param {Object} b - Second result {columns, rows}
+     * @param {Object} options - {keys (column names; inferred from the first result if empty),
+     *   tolerance (largest allowed difference of numbers; default CONFIG.COMPARE.TOLERANCE)}
+     * @returns {Object} {keys, valueColumns, onlyInA, onlyInB (column names), added (rows of b),
+     *   removed (rows of a), changed [{a, b, columns (names of the differing columns)}], unchanged (count),
+     *   identical}; rows are objects keyed by column name
+     * @throws {Error} If a key column is missing from one of the results
+     */
+    static compare(a, b, options = {}) {
+        const tolerance = options.tolerance !== undefined && options.tolerance !== null
+            ? options.tolerance
+            : diffConfig.COMPARE.TOLERANCE;
+        const namesA = a.columns.map(col => col.name);
+        const namesB = b.columns.map(col => col.name);
+
+        const keys = options.keys && options.keys.length > 0
+            ? options.keys.map(key => ResultDiff.resolveColumn(key, namesA, namesB))
+            : ResultDiff.inferKeyColumns(a.columns).filter(name => namesB.includes(name));
+        const valueColumns = namesA.filter(name => namesB.includes(name) && !keys.includes(name));
+
+        const toObjects = (result, names) => result.rows.map(row => {
+            const object = {};
+            names.forEach((name, index) => {
+                object[name] = row[index];
+            });
+            return object;
+        });
+        const rowsA = toObjects(a, namesA);
+        const rowsB = toObjects(b, namesB);
+
+        // Without key columns every column is part of the key: rows either match or not
+        const matchColumns = keys.length > 0 ? keys : valueColumns;
+        const numericIn = (result, name) => RESULT_DIFF_NUMERIC_TYPES.has((result.columns.find(col => col.name === name) || {}).dataType);
+        const numericText = new Set(matchColumns.filter(name => numericIn(a, name) !== numericIn(b, name)));
+        const rowKey = row => matchColumns.map(name => ResultDiff.keyValue(row[name], numericText.has(name))).join('\u0001');
+
+        // Rows with the same key are matched in order
+        const pending = new Map();
+        rowsB.forEach(row => {
+            const key = rowKey(row);
+            if (!pending.has(key)) pending.set(key, []);
+            pending.get(key).push(row);
+        });
+
+        const removed = [];
+        const changed = [];
+        let unchanged = 0;
+        rowsA.forEach(rowA => {
+            const candidates = pending.get(rowKey(rowA));
+            if (!candidates || candidates.length === 0) {
+                removed.push(rowA);
+                return;
+            }
+            const rowB = candidates.shift();
+            const differing = valueColumns.filter(name => !ResultDiff.valuesEqual(rowA[name], rowB[name], tolerance));
+            if (differing.length > 0) {
+                changed.push({ a: rowA, b: rowB, columns: differing });
+            } else {
+                unchanged++;
+            }
+        });
+        const added = [...pending.values()].flat();
+
+        const onlyInA = namesA.filter(name => !namesB.includes(name));
+        const onlyInB = namesB.filter(name => !namesA.includes(name));
+        return {
+            keys,
+            valueColumns,
+            onlyInA,
+            onlyInB,
+            added,
+            removed,
+            changed,
+            unchanged,
+            tolerance,
+            identical: added.length === 0 && removed.length === 0 && changed.length === 0 &&
+                onlyInA.length === 0 && onlyInB.length === 0
+        };
+    }
+
+    /**
+     * Finds a key column by name in both results; "Category" finds "Product[Category]"
+     * @throws {Error} If the column is not in both results
+     */
+    static resolveColumn(key, namesA, namesB) {
+        const wanted = key.trim();
+        const short = name => name.replace(/^.*\[(.+)\]$/, '$1').toLowerCase();
+        const find = names => names.find(name => name === wanted) ||
+            names.find(name => name.toLowerCase() === wanted.toLowerCase()) ||
+            names.find(name => short(name) === short(wanted));
+
+        const name = find(namesA);
+        if (!name || !namesB.includes(name)) {
+            throw new Error(`Key column ${wanted} is not in both results. Columns: ${[...new Set([...namesA, ...namesB])].join(', ')}`);
+        }
+        return name;
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResultDiff;
+}
+
+// Also expose to window object for browser environments
+if (typeof window !== 'undefined') {
+    window.ResultDiff = ResultDiff;
+}
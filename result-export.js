@@ -0,0 +1,358 @@
+/**
+ * Result Export
+ * Converts typed query results ({columns, rows}) to CSV, TSV and XLSX.
+ * Everything is built locally - the XLSX writer produces a minimal OOXML package
+ * in an uncompressed ZIP container.
+ */
+
+// Excel serial date of 1970-01-01 (days since 1899-12-30)
+const EXCEL_EPOCH_OFFSET = 25569;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+let crc32Table = null;
+
+class ResultExport {
+    /**
+     * Converts a value to plain text for delimited formats
+     * Dates are written in local time as "yyyy-mm-dd" or "yyyy-mm-dd hh:mm:ss", which spreadsheets parse
+     * @param {*} value - Typed value
+     * @returns {string} Plain text ('' for blanks)
+     */
+    static toPlainValue(value) {
+        if (value === null || value === undefined) return '';
+        if (value instanceof Date) {
+            if (isNaN(value.getTime())) return '';
+            const pad = n => String(n).padStart(2, '0');
+            const day = `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+            if (value.getHours() === 0 && value.getMinutes() === 0 && value.getSeconds() === 0) {
+                return day;
+            }
+            return `${day} ${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+        }
+        if (typeof value === 'boolean') return value ? 'TRUE' : 'FALSE';
+        return String(value);
+    }
+
+    /**
+     * Builds RFC 4180 CSV: CRLF line breaks, header row, fields containing
+     * commas, quotes or line breaks are quoted and quotes are doubled
+     * @param {Array<Object>} columns - Column descriptors {name}
+     * @param {Array<Array>} rows - Typed row values
+     * @returns {string} CSV text
+     */
+    static toCSV(columns, rows) {
+        const field = value => {
+            const text = ResultExport.toPlainValue(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [columns.map(col => field(col.name)).join(',')];
+        rows.forEach(row => {
+            lines.push(columns.map((col, index) => field(row[index])).join(','));
+        });
+        return lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Builds tab-separated text for pasting into Excel
+     * Fields containing tabs, quotes or line breaks are quoted the way Excel copies them
+     * @param {Array<Object>} columns - Column descriptors {name}
+     * @param {Array<Array>} rows - Typed row values
+     * @returns {string} TSV text
+     */
+    static toTSV(columns, rows) {
+        const field = value => {
+            const text = ResultExport.toPlainValue(value);
+            return /["\t\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [columns.map(col => field(col.name)).join('\t')];
+        rows.forEach(row => {
+            lines.push(columns.map((col, index) => field(row[index])).join('\t'));
+        });
+        return lines.join('\r\n');
+    }
+
+    /**
+     * Builds an XLSX workbook with one sheet
+     * Numbers, booleans and dates are written as typed cells; numeric columns
+     * keep the model format string as an Excel number format
+     * @param {Array<Object>} columns - Column descriptors {name, dataType}
+     * @param {Array<Array>} rows - Typed row values
+     * @param {Object} options - {sheetName, formatStrings}
+     * @returns {Uint8Array} The .xlsx file contents
+     */
+    static toXLSX(columns, rows, options = {}) {
+        const sheetName = ResultExport.sanitizeSheetName(options.sheetName || 'Query Results');
+        const formatStrings = options.formatStrings || [];
+
+        // Style 0: default, 1: bold header, 2: date, 3: date + time, 4+: custom number formats
+        const customFormats = [];
+        const columnStyles = columns.map((col, index) => {
+            const formatString = formatStrings[index];
+            if (!formatString || !['Int64', 'Double', 'Decimal'].includes(col.dataType)) return 0;
+            let position = customFormats.indexOf(formatString);
+            if (position === -1) {
+                customFormats.push(formatString);
+                position = customFormats.length - 1;
+            }
+            return 4 + position;
+        });
+
+        const sheetRows = [];
+        sheetRows.push(ResultExport.xlsxRow(1, columns.map(col => col.name), () => 1));
+        rows.forEach((row, rowIndex) => {
+            sheetRows.push(ResultExport.xlsxRow(rowIndex + 2, row, (value, columnIndex) => {
+                if (value instanceof Date) {
+                    const hasTime = value.getHours() !== 0 || value.getMinutes() !== 0 || value.getSeconds() !== 0;
+                    return hasTime ? 3 : 2;
+                }
+                return columnStyles[columnIndex];
+            }));
+        });
+
+        const lastCell = `${ResultExport.columnLetter(Math.max(columns.length, 1) - 1)}${rows.length + 1}`;
+        const sheetXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            `<dimension ref="A1:${lastCell}"/>` +
+            '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+            `<sheetData>${sheetRows.join('')}</sheetData>` +
+            (columns.length > 0 ? `<autoFilter ref="A1:${lastCell}"/>` : '') +
+            '</worksheet>';
+
+        const numFmts = customFormats.map((code, index) =>
+            `<numFmt numFmtId="${164 + index}" formatCode="${ResultExport.escapeXml(code)}"/>`).join('');
+        const customXfs = customFormats.map((code, index) =>
+            `<xf numFmtId="${164 + index}" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>`).join('');
+
+        const stylesXml = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+            (customFormats.length > 0 ? `<numFmts count="${customFormats.length}">${numFmts}</numFmts>` : '') +
+            '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+            '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+            '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+            '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+            `<cellXfs count="${4 + customFormats.length}">` +
+            '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+            '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+            '<xf numFmtId="14" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            '<xf numFmtId="22" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>' +
+            customXfs +
+            '</cellXfs>' +
+            '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+            '</styleSheet>';
+
+        const files = [
+            {
+                name: '[Content_Types].xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+                    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                    '</Types>'
+            },
+            {
+                name: '_rels/.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                name: 'xl/workbook.xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+                    `<sheets><sheet name="${ResultExport.escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>` +
+                    (columns.length > 0 ? `<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'${ResultExport.escapeXml(sheetName.replace(/'/g, "''"))}'!$A$1:$${ResultExport.columnLetter(columns.length - 1)}$${rows.length + 1}</definedName></definedNames>` : '') +
+                    '</workbook>'
+            },
+            {
+                name: 'xl/_rels/workbook.xml.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+                    '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>' +
+                    '</Relationships>'
+            },
+            { name: 'xl/worksheets/sheet1.xml', content: sheetXml },
+            { name: 'xl/styles.xml', content: stylesXml }
+        ];
+
+        return ResultExport.buildZip(files);
+    }
+
+    /**
+     * Builds one <row> element
+     * @param {number} rowNumber - 1-based row number
+     * @param {Array} values - Cell values
+     * @param {Function} styleFor - (value, columnIndex) => style index
+     */
+    static xlsxRow(rowNumber, values, styleFor) {
+        const cells = values.map((value, columnIndex) => {
+            if (value === null || value === undefined || value === '') return '';
+            const ref = `${ResultExport.columnLetter(columnIndex)}${rowNumber}`;
+            const style = styleFor(value, columnIndex);
+            const styleAttribute = style ? ` s="${style}"` : '';
+
+            if (value instanceof Date) {
+                if (isNaN(value.getTime())) return '';
+                // Local wall-clock time, as Excel has no time zones
+                const localMs = value.getTime() - value.getTimezoneOffset() * 60000;
+                const serial = localMs / MS_PER_DAY + EXCEL_EPOCH_OFFSET;
+                return `<c r="${ref}"${styleAttribute}><v>${serial}</v></c>`;
+            }
+            if (typeof value === 'number' && isFinite(value)) {
+                return `<c r="${ref}"${styleAttribute}><v>${value}</v></c>`;
+            }
+            if (typeof value === 'boolean') {
+                return `<c r="${ref}"${styleAttribute} t="b"><v>${value ? 1 : 0}</v></c>`;
+            }
+            return `<c r="${ref}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${ResultExport.escapeXml(String(value))}</t></is></c>`;
+        });
+        return `<row r="${rowNumber}">${cells.join('')}</row>`;
+    }
+
+    /**
+     * Converts a 0-based column index to a spreadsheet column letter (0 -> A, 27 -> AB)
+     */
+    static columnLetter(index) {
+        let letters = '';
+        let n = index + 1;
+        while (n > 0) {
+            const remainder = (n - 1) % 26;
+            letters = String.fromCharCode(65 + remainder) + letters;
+            n = Math.floor((n - 1) / 26);
+        }
+        return letters;
+    }
+
+    /**
+     * Excel sheet names: max 31 characters, none of : \ / ? * [ ]
+     */
+    static sanitizeSheetName(name) {
+        const cleaned = String(name).replace(/[:\\/?*[\]]/g, ' ').trim().substring(0, 31);
+        return cleaned || 'Sheet1';
+    }
+
+    /**
+     * Escapes XML special characters and drops characters XML 1.0 does not allow
+     */
+    static escapeXml(text) {
+        return String(text)
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+
+    // ---- ZIP container (stored, no compression) ----
+
+    static crc32(bytes) {
+        if (!crc32Table) {
+            crc32Table = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crc32Table[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < bytes.length; i++) {
+            crc = crc32Table[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    /**
+     * Packs files into a ZIP archive using the "stored" method
+     * @param {Array<Object>} files - {name, content} with string content
+     * @returns {Uint8Array} The archive
+     */
+    static buildZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | Math.floor(now.getSeconds() / 2);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+        const entries = files.map(file => {
+            const name = encoder.encode(file.name);
+            const data = encoder.encode(file.content);
+            return { name, data, crc: ResultExport.crc32(data) };
+        });
+
+        const localSize = entries.reduce((sum, entry) => sum + 30 + entry.name.length + entry.data.length, 0);
+        const centralSize = entries.reduce((sum, entry) => sum + 46 + entry.name.length, 0);
+        const output = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(output.buffer);
+
+        let offset = 0;
+        entries.forEach(entry => {
+            entry.offset = offset;
+            view.setUint32(offset, 0x04034B50, true);
+            view.setUint16(offset + 4, 20, true); // version needed
+            view.setUint16(offset + 6, 0x0800, true); // UTF-8 names
+            view.setUint16(offset + 8, 0, true); // stored
+            view.setUint16(offset + 10, dosTime, true);
+            view.setUint16(offset + 12, dosDate, true);
+            view.setUint32(offset + 14, entry.crc, true);
+            view.setUint32(offset + 18, entry.data.length, true);
+            view.setUint32(offset + 22, entry.data.length, true);
+            view.setUint16(offset + 26, entry.name.length, true);
+            view.setUint16(offset + 28, 0, true);
+            output.set(entry.name, offset + 30);
+            output.set(entry.data, offset + 30 + entry.name.length);
+            offset += 30 + entry.name.length + entry.data.length;
+        });
+
+        const centralStart = offset;
+        entries.forEach(entry => {
+            view.setUint32(offset, 0x02014B50, true);
+            view.setUint16(offset + 4, 20, true); // version made by
+            view.setUint16(offset + 6, 20, true); // version needed
+            view.setUint16(offset + 8, 0x0800, true);
+            view.setUint16(offset + 10, 0, true);
+            view.setUint16(offset + 12, dosTime, true);
+            view.setUint16(offset + 14, dosDate, true);
+            view.setUint32(offset + 16, entry.crc, true);
+            view.setUint32(offset + 20, entry.data.length, true);
+            view.setUint32(offset + 24, entry.data.length, true);
+            view.setUint16(offset + 28, entry.name.length, true);
+            view.setUint16(offset + 30, 0, true); // extra length
+            view.setUint16(offset + 32, 0, true); // comment length
+            view.setUint16(offset + 34, 0, true); // disk number
+            view.setUint16(offset + 36, 0, true); // internal attributes
+            view.setUint32(offset + 38, 0, true); // external attributes
+            view.setUint32(offset + 42, entry.offset, true);
+            output.set(entry.name, offset + 46);
+            offset += 46 + entry.name.length;
+        });
+
+        view.setUint32(offset, 0x06054B50, true);
+        view.setUint16(offset + 4, 0, true);
+        view.setUint16(offset + 6, 0, true);
+        view.setUint16(offset + 8, entries.length, true);
+        view.setUint16(offset + 10, entries.length, true);
+        view.setUint32(offset + 12, offset - centralStart, true);
+        view.setUint32(offset + 16, centralStart, true);
+        view.setUint16(offset + 20, 0, true);
+
+        return output;
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResultExport;
+}
+
+// Also expose to window object for browser environments
+if (typeof window !== 'undefined') {
+    window.ResultExport = ResultExport;
+}
@@ -0,0 +1,268 @@
+/**
+ * Results Grid
+ * Interactive table for DAX query results: column sorting, resizable columns,
+ * virtual scrolling over all rows and format-string aware cell formatting
+ */
+
+const RESULTS_GRID_DEFAULTS = {
+    ROW_HEIGHT: 28, // px - rows are absolutely positioned, so every row has the same height
+    MAX_HEIGHT: 360, // px - viewport height before scrolling
+    OVERSCAN: 8, // extra rows rendered above and below the visible window
+    MIN_COLUMN_WIDTH: 60,
+    MAX_INITIAL_COLUMN_WIDTH: 320
+};
+
+class ResultsGrid {
+    /**
+     * @param {Object} options
+     * @param {Array<Object>} options.columns - Column descriptors {name, dataType}
+     * @param {Array<Array>} options.rows - Typed row values, one array per row
+     * @param {Array<string|null>} options.formatStrings - Format string per column (optional)
+     * @param {number} options.maxRows - Row limit the query ran under, shown in the footer (optional)
+     */
+    constructor(options) {
+        this.columns = options.columns || [];
+        this.rows = options.rows || [];
+        this.formatStrings = options.formatStrings || [];
+        this.maxRows = options.maxRows || null;
+        this.rowHeight = RESULTS_GRID_DEFAULTS.ROW_HEIGHT;
+
+        // Sorting works on an index so the original row order can be restored
+        this.order = this.rows.map((row, index) => index);
+        this.sortColumn = null;
+        this.sortDirection = null;
+
+        this.columnWidths = this.columns.map((col, index) => this.measureInitialWidth(index));
+        this.renderedRange = { first: -1, last: -1 };
+
+        this.element = this.build();
+    }
+
+    /**
+     * Formats the value of a cell
+     * @param {number} rowIndex - Index into this.rows
+     * @param {number} columnIndex - Column index
+     * @returns {string} Display text
+     */
+    formatCell(rowIndex, columnIndex) {
+        const column = this.columns[columnIndex];
+        return ValueFormatter.format(this.rows[rowIndex][columnIndex], column.dataType, this.formatStrings[columnIndex]);
+    }
+
+    /**
+     * Estimates a column width from the header and the first rows
+     */
+    measureInitialWidth(columnIndex) {
+        const sample = this.rows.slice(0, 50);
+        const longest = sample.reduce((max, row, rowIndex) => Math.max(max, this.formatCell(rowIndex, columnIndex).length),
+            this.columns[columnIndex].name.length + 2);
+        const width = longest * 7 + 24;
+        return Math.min(Math.max(width, RESULTS_GRID_DEFAULTS.MIN_COLUMN_WIDTH), RESULTS_GRID_DEFAULTS.MAX_INITIAL_COLUMN_WIDTH);
+    }
+
+    build() {
+        const grid = document.createElement('div');
+        grid.className = 'results-grid';
+
+        this.viewport = document.createElement('div');
+        this.viewport.className = 'results-grid-viewport';
+        this.viewport.style.maxHeight = `${RESULTS_GRID_DEFAULTS.MAX_HEIGHT}px`;
+
+        this.header = this.buildHeader();
+
+        this.body = document.createElement('div');
+        this.body.className = 'results-grid-body';
+        this.body.style.height = `${this.rows.length * this.rowHeight}px`;
+
+        this.viewport.appendChild(this.header);
+        this.viewport.appendChild(this.body);
+        this.viewport.addEventListener('scroll', () => this.renderVisibleRows());
+
+        this.footer = document.createElement('div');
+        this.footer.className = 'results-grid-footer';
+
+        grid.appendChild(this.viewport);
+        grid.appendChild(this.footer);
+
+        this.applyColumnWidths(grid);
+        this.renderVisibleRows();
+        this.updateFooter();
+
+        return grid;
+    }
+
+    buildHeader() {
+        const header = document.createElement('div');
+        header.className = 'results-grid-header results-grid-row-layout';
+
+        this.headerCells = this.columns.map((column, index) => {
+            const cell = document.createElement('div');
+            cell.className = 'results-grid-header-cell';
+            if (ValueFormatter.isNumericType(column.dataType)) cell.classList.add('numeric');
+            cell.title = `${column.name} (${column.dataType})`;
+
+            const label = document.createElement('span');
+            label.className = 'results-grid-header-label';
+            label.textContent = column.name;
+
+            const indicator = document.createElement('span');
+            indicator.className = 'results-grid-sort-indicator';
+
+            const handle = document.createElement('span');
+            handle.className = 'results-grid-resize-handle';
+            handle.addEventListener('mousedown', event => this.startResize(event, index));
+            handle.addEventListener('click', event => event.stopPropagation());
+
+            cell.appendChild(label);
+            cell.appendChild(indicator);
+            cell.appendChild(handle);
+            cell.addEventListener('click', () => this.toggleSort(index));
+
+            header.appendChild(cell);
+            return cell;
+        });
+
+        return header;
+    }
+
+    /**
+     * Applies the column widths to header and rows through a CSS variable
+     */
+    applyColumnWidths(grid = this.element) {
+        const template = this.columnWidths.map(width => `${width}px`).join(' ');
+        const totalWidth = this.columnWidths.reduce((sum, width) => sum + width, 0);
+        grid.style.setProperty('--results-grid-columns', template);
+        this.body.style.width = `${totalWidth}px`;
+        this.header.style.width = `${totalWidth}px`;
+    }
+
+    startResize(event, columnIndex) {
+        event.preventDefault();
+        event.stopPropagation();
+
+        const startX = event.clientX;
+        const startWidth = this.columnWidths[columnIndex];
+
+        const onMove = moveEvent => {
+            const width = Math.max(RESULTS_GRID_DEFAULTS.MIN_COLUMN_WIDTH, startWidth + moveEvent.clientX - startX);
+            this.columnWidths[columnIndex] = width;
+            this.applyColumnWidths();
+        };
+        const onUp = () => {
+            document.removeEventListener('mousemove', onMove);
+            document.removeEventListener('mouseup', onUp);
+        };
+
+        document.addEventListener('mousemove', onMove);
+        document.addEventListener('mouseup', onUp);
+    }
+
+    /**
+     * Cycles a column through ascending, descending and original order
+     */
+    toggleSort(columnIndex) {
+        if (this.sortColumn !== columnIndex) {
+            this.sortColumn = columnIndex;
+            this.sortDirection = 'asc';
+        } else if (this.sortDirection === 'asc') {
+            this.sortDirection = 'desc';
+        } else {
+            this.sortColumn = null;
+            this.sortDirection = null;
+        }
+
+        if (this.sortColumn === null) {
+            this.order = this.rows.map((row, index) => index);
+        } else {
+            const direction = this.sortDirection === 'asc' ? 1 : -1;
+            const index = this.sortColumn;
+            // Stable sort: ties keep their original order
+            this.order = this.rows
+                .map((row, rowIndex) => rowIndex)
+                .sort((a, b) => (ResultsGrid.compareValues(this.rows[a][index], this.rows[b][index]) * direction) || (a - b));
+        }
+
+        this.headerCells.forEach((cell, i) => {
+            const indicator = cell.querySelector('.results-grid-sort-indicator');
+            indicator.textContent = i === this.sortColumn ? (this.sortDirection === 'asc' ? '▲' : '▼') : '';
+        });
+
+        this.renderedRange = { first: -1, last: -1 };
+        this.renderVisibleRows();
+    }
+
+    /**
+     * Compares two typed values; blanks sort first, like Power BI
+     */
+    static compareValues(a, b) {
+        const aBlank = a === null || a === undefined;
+        const bBlank = b === null || b === undefined;
+        if (aBlank || bBlank) return aBlank === bBlank ? 0 : (aBlank ? -1 : 1);
+
+        if (a instanceof Date && b instanceof Date) return a.getTime() - b.getTime();
+        if (typeof a === 'number' && typeof b === 'number') return a - b;
+        if (typeof a === 'boolean' && typeof b === 'boolean') return (a ? 1 : 0) - (b ? 1 : 0);
+        return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+    }
+
+    /**
+     * Renders only the rows inside the scrolled window (plus overscan)
+     */
+    renderVisibleRows() {
+        const viewportHeight = this.viewport.clientHeight || RESULTS_GRID_DEFAULTS.MAX_HEIGHT;
+        const scrollTop = Math.max(0, this.viewport.scrollTop - this.header.offsetHeight);
+        const first = Math.max(0, Math.floor(scrollTop / this.rowHeight) - RESULTS_GRID_DEFAULTS.OVERSCAN);
+        const last = Math.min(this.order.length, Math.ceil((scrollTop + viewportHeight) / this.rowHeight) + RESULTS_GRID_DEFAULTS.OVERSCAN);
+
+        if (first === this.renderedRange.first && last === this.renderedRange.last) {
+            return;
+        }
+        this.renderedRange = { first, last };
+
+        const fragment = document.createDocumentFragment();
+        for (let position = first; position < last; position++) {
+            const rowIndex = this.order[position];
+            const rowElement = document.createElement('div');
+            rowElement.className = `results-grid-row results-grid-row-layout${position % 2 ? ' odd' : ''}`;
+            rowElement.style.top = `${position * this.rowHeight}px`;
+            rowElement.style.height = `${this.rowHeight}px`;
+
+            this.columns.forEach((column, columnIndex) => {
+                const cell = document.createElement('div');
+                cell.className = 'results-grid-cell';
+                if (ValueFormatter.isNumericType(column.dataType)) cell.classList.add('numeric');
+                const value = this.rows[rowIndex][columnIndex];
+                if (value === null || value === undefined) cell.classList.add('blank');
+                cell.textContent = this.formatCell(rowIndex, columnIndex);
+                rowElement.appendChild(cell);
+            });
+
+            fragment.appendChild(rowElement);
+        }
+
+        this.body.innerHTML = '';
+        this.body.appendChild(fragment);
+    }
+
+    updateFooter() {
+        const count = this.rows.length;
+        let text = `${count.toLocaleString()} ${count === 1 ? 'row' : 'rows'}`;
+        if (this.columns.length > 0) {
+            text += ` × ${this.columns.length} ${this.columns.length === 1 ? 'column' : 'columns'}`;
+        }
+        if (this.maxRows && count >= this.maxRows) {
+            text += ` (row limit of ${this.maxRows.toLocaleString()} reached)`;
+        }
+        this.footer.textContent = text;
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ResultsGrid;
+}
+
+// Also expose to window object for browser environments
+if (typeof window !== 'undefined') {
+    window.ResultsGrid = ResultsGrid;
+}
@@ -0,0 +1,202 @@
+/**
+ * Server Timings
+ * Turns the trace events recorded while profiling a query into server timings like
+ * DAX Studio's: the total duration split into formula-engine (FE) and storage-engine
+ * (SE) time, the storage-engine queries with their xmSQL, and cache hits. Works on
+ * plain event arrays, so recorded traces can be replayed without a server.
+ *
+ * Events look like the bridge returns them:
+ * {eventClass, eventSubclass, startTime, endTime, currentTime, duration, cpuTime, textData}
+ * Event classes may be IDs (83) or names ('VertiPaqSEQueryEnd'); PascalCase field
+ * names (EventClass, CPUTime, ...) as in DAX Studio exports are accepted as well.
+ */
+
+// Analysis Services trace event classes
+const TRACE_EVENT_CLASSES = {
+    QueryEnd: 10,
+    VertiPaqSEQueryEnd: 83,
+    VertiPaqSEQueryCacheMatch: 85,
+    DirectQueryEnd: 99
+};
+
+// Subclass of the VertiPaq events the engine runs for itself (hidden like in DAX Studio)
+const TRACE_INTERNAL_SUBCLASS = 10;
+
+// Query the bridge runs until the trace delivers events (PingQuery in ServerTimingsTrace.cs)
+const TRACE_PING_QUERY = 'EVALUATE { 1 }';
+
+class ServerTimings {
+    /**
+     * Brings a recorded event into one shape
+     * @param {Object} raw - Trace event
+     * @returns {Object} {eventClass (ID), internal, startTime, endTime (ms since epoch or null), duration, cpuTime, text}
+     */
+    static normalizeEvent(raw) {
+        const field = (...names) => {
+            const name = names.find(key => raw[key] !== undefined && raw[key] !== null);
+            return name ? raw[name] : null;
+        };
+        const time = value => {
+            if (value === null) return null;
+            const ms = value instanceof Date ? value.getTime() : Date.parse(value);
+            return isNaN(ms) ? null : ms;
+        };
+
+        const eventClass = field('eventClass', 'EventClass');
+        const subclass = field('eventSubclass', 'EventSubclass');
+        return {
+            eventClass: typeof eventClass === 'string' && isNaN(Number(eventClass))
+                ? TRACE_EVENT_CLASSES[eventClass.replace(/\s+/g, '')] || null
+                : Number(eventClass),
+            internal: Number(subclass) === TRACE_INTERNAL_SUBCLASS || /internal/i.test(String(subclass || '')),
+            startTime: time(field('startTime', 'StartTime')),
+            endTime: time(field('endTime', 'EndTime', 'currentTime', 'CurrentTime')),
+            duration: Number(field('duration', 'Duration')) || 0,
+            cpuTime: Number(field('cpuTime', 'CPUTime', 'CpuTime')) || 0,
+            text: String(field('textData', 'TextData') || '')
+        };
+    }
+
+    /**
+     * Makes xmSQL readable: drops the SET DC_KIND line and the lineage IDs of
+     * older engines ("[Sales (12)]"), and reads the estimated size line
+     * @param {string} text - xmSQL from the trace
+     * @returns {Object} {text, rows, bytes} (rows and bytes are null when not reported)
+     */
+    static cleanXmSQL(text) {
+        let rows = null;
+        let bytes = null;
+        const cleaned = text
+            .replace(/\[Estimated size \(volume, marshalling bytes\):\s*(\d+),\s*(\d+)\]/i, (match, volume, size) => {
+                rows = parseInt(volume, 10);
+                bytes = parseInt(size, 10);
+                return '';
+            })
+            .replace(/^\s*SET DC_KIND\s*=\s*"[^"]*"\s*;\s*$/gim, '')
+            .replace(/ \(\d+\)(?=\])/g, '')
+            .trim();
+        return { text: cleaned, rows, bytes };
+    }
+
+    /**
+     * Length of the union of time intervals: storage-engine queries run in
+     * parallel, so their durations cannot simply be added
+     * @param {Array<Array<number>>} intervals - [start, end] pairs in ms
+     * @returns {number} Covered time in ms
+     */
+    static coveredTime(intervals) {
+        const sorted = intervals.filter(([start, end]) => end > start).sort((a, b) => a[0] - b[0]);
+        let covered = 0;
+        let currentStart = null;
+        let currentEnd = null;
+        sorted.forEach(([start, end]) => {
+            if (currentEnd === null || start > currentEnd) {
+                if (currentEnd !== null) covered += currentEnd - currentStart;
+                currentStart = start;
+                currentEnd = end;
+            } else {
+                currentEnd = Math.max(currentEnd, end);
+            }
+        });
+        if (currentEnd !== null) covered += currentEnd - currentStart;
+        return covered;
+    }
+
+    /**
+     * Computes the server timings of a profiled query
+     * @param {Array<Object>} events - Recorded trace events
+     * @returns {Object} {totalDuration, formulaEngineDuration, storageEngineDuration, storageEngineCpu,
+     *   storageEngineQueries, cacheHits, complete (QueryEnd was recorded), queries: [{kind ('scan',
+     *   'cache' or 'directQuery'), startOffset, duration, cpuTime, rows, bytes, text}]}
+     *   Times are in milliseconds
+     */
+    static analyze(events) {
+        // Events of a ping that arrived late do not belong to the profiled query, which ends last
+        const normalized = (events || [])
+            .map(raw => ServerTimings.normalizeEvent(raw))
+            .filter(event => event.text.replace(/\s+/g, ' ').trim().toUpperCase() !== TRACE_PING_QUERY);
+        const queryEnds = normalized.filter(event => event.eventClass === TRACE_EVENT_CLASSES.QueryEnd);
+        const queryEnd = queryEnds.length > 0 ? queryEnds[queryEnds.length - 1] : null;
+
+        const kinds = {
+            [TRACE_EVENT_CLASSES.VertiPaqSEQueryEnd]: 'scan',
+            [TRACE_EVENT_CLASSES.VertiPaqSEQueryCacheMatch]: 'cache',
+            [TRACE_EVENT_CLASSES.DirectQueryEnd]: 'directQuery'
+        };
+        const seEvents = normalized.filter(event => kinds[event.eventClass] && !event.internal);
+
+        // Times are relative to the start of the query
+        const starts = normalized.map(event => event.startTime).filter(time => time !== null);
+        const origin = queryEnd && queryEnd.startTime !== null
+            ? queryEnd.startTime
+            : (starts.length > 0 ? Math.min(...starts) : null);
+
+        const queries = seEvents
+            .map(event => {
+                const kind = kinds[event.eventClass];
+                const xmSQL = ServerTimings.cleanXmSQL(event.text);
+                const start = event.startTime !== null ? event.startTime : event.endTime;
+                return {
+                    kind,
+                    startOffset: origin !== null && start !== null ? Math.max(start - origin, 0) : null,
+                    duration: kind === 'cache' ? 0 : event.duration,
+                    cpuTime: event.cpuTime,
+                    rows: xmSQL.rows,
+                    bytes: xmSQL.bytes,
+                    text: xmSQL.text,
+                    interval: event.startTime !== null && event.endTime !== null ? [event.startTime, event.endTime] : null
+                };
+            })
+            .sort((a, b) => (a.startOffset || 0) - (b.startOffset || 0));
+
+        const executed = queries.filter(query => query.kind !== 'cache');
+        const storageEngineDuration = executed.every(query => query.interval)
+            ? ServerTimings.coveredTime(executed.map(query => query.interval))
+            : executed.reduce((sum, query) => sum + query.duration, 0);
+
+        let totalDuration;
+        if (queryEnd) {
+            totalDuration = queryEnd.duration;
+        } else {
+            const ends = normalized.map(event => event.endTime).filter(time => time !== null);
+            totalDuration = origin !== null && ends.length > 0 ? Math.max(...ends) - origin : storageEngineDuration;
+        }
+
+        return {
+            totalDuration,
+            formulaEngineDuration: Math.max(totalDuration - storageEngineDuration, 0),
+            storageEngineDuration: Math.min(storageEngineDuration, totalDuration),
+            storageEngineCpu: executed.reduce((sum, query) => sum + query.cpuTime, 0),
+            storageEngineQueries: executed.length,
+            cacheHits: queries.length - executed.length,
+            complete: Boolean(queryEnd),
+            queries: queries.map(({ interval, ...query }) => query)
+        };
+    }
+
+    /**
+     * One-line summary, e.g. "Total 120 ms · FE 30 ms (25%) · SE 90 ms (75%) · 3 SE queries · 1 cache hit"
+     * @param {Object} timings - Result of analyze()
+     * @returns {string} The summary
+     */
+    static describe(timings) {
+        const share = value => (timings.totalDuration > 0 ? Math.round(value / timings.totalDuration * 100) : 0);
+        return [
+            `Total ${timings.totalDuration.toLocaleString()} ms`,
+            `FE ${timings.formulaEngineDuration.toLocaleString()} ms (${share(timings.formulaEngineDuration)}%)`,
+            `SE ${timings.storageEngineDuration.toLocaleString()} ms (${share(timings.storageEngineDuration)}%)`,
+            `${timings.storageEngineQueries} SE ${timings.storageEngineQueries === 1 ? 'query' : 'queries'}`,
+            `${timings.cacheHits} cache ${timings.cacheHits === 1 ? 'hit' : 'hits'}`
+        ].join(' · ');
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ServerTimings;
+}
+
+// Also expose to window object for browser environments
+if (typeof window !== 'undefined') {
+    window.ServerTimings = ServerTimings;
+}
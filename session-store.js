@@ -0,0 +1,181 @@
+/**
+ * Session Store
+ * Saves chat conversations to disk in the main process, one JSON file per
+ * conversation, grouped in a folder per semantic model (the database ID that
+ * Power BI passes on the command line).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class SessionStore {
+    /**
+     * @param {string} directory - Folder the conversations are stored in (created when needed)
+     */
+    constructor(directory) {
+        this.directory = directory;
+        this.writes = new Map(); // file -> promise of the last write, so writes to a file never overlap
+    }
+
+    /**
+     * Folder of a model's conversations; the key is reduced to characters that are safe in file names
+     */
+    modelDirectory(modelKey) {
+        const safeKey = String(modelKey || 'standalone').replace(/[^A-Za-z0-9_.-]/g, '_').replace(/^\.+/, '_');
+        return path.join(this.directory, safeKey);
+    }
+
+    sessionFile(modelKey, id) {
+        if (!/^[A-Za-z0-9-]+$/.test(String(id || ''))) {
+            throw new Error(`Invalid session id: ${id}`);
+        }
+        return path.join(this.modelDirectory(modelKey), `${id}.json`);
+    }
+
+    /**
+     * Short description of a conversation for the session list
+     */
+    static summarize(session) {
+        return {
+            id: session.id,
+            title: session.title,
+            createdAt: session.createdAt,
+            updatedAt: session.updatedAt,
+            messageCount: (session.transcript || []).filter(entry => entry.role === 'user').length
+        };
+    }
+
+    /**
+     * Reads all conversations of a model; unreadable files are skipped
+     * @returns {Promise<Array<Object>>} Sessions, most recently updated first
+     */
+    async readAll(modelKey) {
+        const directory = this.modelDirectory(modelKey);
+        let files;
+        try {
+            files = await fs.promises.readdir(directory);
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+
+        const sessions = [];
+        for (const file of files.filter(name => name.endsWith('.json'))) {
+            try {
+                sessions.push(JSON.parse(await fs.promises.readFile(path.join(directory, file), 'utf8')));
+            } catch (error) {
+                console.error('[Sessions] Skipping unreadable file:', file, error.message);
+            }
+        }
+        return sessions.sort((a, b) => String(b.updatedAt).localeCompare(String(a.updatedAt)));
+    }
+
+    /**
+     * Lists the conversations of a model
+     * @param {string} modelKey - Database ID of the model
+     * @returns {Promise<Array<Object>>} [{id, title, createdAt, updatedAt, messageCount}], most recent first
+     */
+    async list(modelKey) {
+        const sessions = await this.readAll(modelKey);
+        return sessions.map(SessionStore.summarize);
+    }
+
+    /**
+     * Searches the titles and messages of a model's conversations
+     * @param {string} modelKey - Database ID of the model
+     * @param {string} query - Text to look for (case-insensitive)
+     * @returns {Promise<Array<Object>>} Matching summaries with a `snippet` of the first matching message
+     */
+    async search(modelKey, query) {
+        const needle = String(query || '').trim().toLowerCase();
+        const sessions = await this.readAll(modelKey);
+        if (!needle) return sessions.map(SessionStore.summarize);
+
+        const matches = [];
+        sessions.forEach(session => {
+            const titleMatch = String(session.title || '').toLowerCase().includes(needle);
+            const entry = (session.transcript || []).find(item => String(item.content || '').toLowerCase().includes(needle));
+            if (!titleMatch && !entry) return;
+
+            const summary = SessionStore.summarize(session);
+            if (entry) {
+                const content = String(entry.content);
+                const start = Math.max(content.toLowerCase().indexOf(needle) - 30, 0);
+                summary.snippet = (start > 0 ? '…' : '') + content.substr(start, 100).replace(/\s+/g, ' ');
+            }
+            matches.push(summary);
+        });
+        return matches;
+    }
+
+    /**
+     * Reads one conversation
+     * @returns {Promise<Object>} The saved session
+     * @throws {Error} If the conversation does not exist
+     */
+    async load(modelKey, id) {
+        try {
+            return JSON.parse(await fs.promises.readFile(this.sessionFile(modelKey, id), 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') throw new Error('Conversation not found - it may have been deleted');
+            throw error;
+        }
+    }
+
+    /**
+     * Creates or replaces a conversation
+     * @param {string} modelKey - Database ID of the model
+     * @param {Object} session - {id, title, createdAt, transcript, history, ...}
+     * @returns {Promise<Object>} Summary of the saved session
+     */
+    async save(modelKey, session) {
+        const saved = { ...session, modelKey, updatedAt: new Date().toISOString() };
+        if (!saved.createdAt) saved.createdAt = saved.updatedAt;
+        await this.write(this.sessionFile(modelKey, session.id), JSON.stringify(saved));
+        return SessionStore.summarize(saved);
+    }
+
+    /**
+     * Changes the title of a conversation
+     * @returns {Promise<Object>} Summary of the renamed session
+     */
+    async rename(modelKey, id, title) {
+        const session = await this.load(modelKey, id);
+        session.title = String(title || '').trim() || session.title;
+        await this.write(this.sessionFile(modelKey, id), JSON.stringify(session));
+        return SessionStore.summarize(session);
+    }
+
+    /**
+     * Deletes a conversation; deleting one that no longer exists is not an error
+     */
+    async remove(modelKey, id) {
+        const file = this.sessionFile(modelKey, id);
+        await (this.writes.get(file) || Promise.resolve());
+        try {
+            await fs.promises.unlink(file);
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+    }
+
+    /**
+     * Writes through a temporary file so a crash never leaves half a conversation behind
+     */
+    write(file, contents) {
+        const previous = this.writes.get(file) || Promise.resolve();
+        const next = previous.catch(() => {}).then(async () => {
+            await fs.promises.mkdir(path.dirname(file), { recursive: true });
+            const temporaryFile = `${file}.tmp`;
+            await fs.promises.writeFile(temporaryFile, contents, 'utf8');
+            await fs.promises.rename(temporaryFile, file);
+        });
+        this.writes.set(file, next);
+        return next;
+    }
+}
+
+// Export for Node.js environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionStore;
+}
@@ -0,0 +1,82 @@
+/**
+ * Offline chat flow: the mock provider answers a question about the mock model by
+ * calling a DAX tool, the tool runs against MockXMLAConnection and the provider
+ * answers from the tool result - the round trip renderer.js runs for every question.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { LLMProviders } = require('../llm-providers');
+const MockXMLAConnection = require('../mock-semantic-model');
+const DAXTools = require('../dax-tools');
+
+// The "## Tables:" / "## Measures:" sections of the system prompt the mock provider reads
+async function buildSystemPrompt(connection) {
+    const model = await connection.getSemanticModelMetadata({ fetchSampleData: true, maxSampleRows: 3 });
+    const content = [
+        'You are a Power BI semantic model assistant.',
+        '## Tables:',
+        ...model.tables.map(table => `- **${table.name}**`),
+        '## Measures:',
+        ...model.measures.map(measure => `- **${measure.name}**: ${measure.expression}`)
+    ].join('\n');
+    return { model, content };
+}
+
+test('a question about a measure runs describe_measure and is answered from its result', async () => {
+    const connection = new MockXMLAConnection();
+    const provider = LLMProviders.create('mock', {});
+    const question = 'How is Total Sales calculated?';
+    const system = await buildSystemPrompt(connection);
+    const tools = new DAXTools({
+        executeQuery: (query, options = {}) => connection.executeDAX(query, options),
+        getModel: () => system.model
+    });
+
+    const conversation = [
+        { role: 'system', content: system.content },
+        { role: 'user', content: question }
+    ];
+    const first = await provider.complete({ messages: conversation, tools: DAXTools.definitions() });
+    assert.strictEqual(first.tool_calls.length, 1);
+    assert.strictEqual(first.tool_calls[0].function.name, 'describe_measure');
+
+    const toolCall = first.tool_calls[0];
+    const outcome = await tools.execute(toolCall.function.name, DAXTools.parseArguments(toolCall.function.arguments));
+    assert.ok(outcome.success, outcome.content);
+    assert.match(outcome.content, /SUM\(Sales\[Amount\]\)/);
+
+    conversation.push({ role: 'assistant', content: null, tool_calls: first.tool_calls });
+    conversation.push({ role: 'tool', tool_call_id: toolCall.id, content: outcome.content });
+    const streamed = [];
+    const answer = await provider.complete(
+        { messages: conversation, tools: DAXTools.definitions() },
+        { onDelta: (delta, fullText) => streamed.push(fullText) }
+    );
+
+    assert.ok(!answer.tool_calls);
+    assert.match(answer.content, /^Mock answer based on 1 tool result/);
+    assert.strictEqual(streamed[streamed.length - 1], answer.content);
+});
+
+test('a question about a table samples it with get_table_sample', async () => {
+    const connection = new MockXMLAConnection();
+    const provider = LLMProviders.create('mock', {});
+    const question = 'What is in the Product table?';
+    const system = await buildSystemPrompt(connection);
+    const tools = new DAXTools({
+        executeQuery: (query, options = {}) => connection.executeDAX(query, options),
+        getModel: () => system.model
+    });
+
+    const reply = await provider.complete({
+        messages: [{ role: 'system', content: system.content }, { role: 'user', content: question }],
+        tools: DAXTools.definitions()
+    });
+    const toolCall = reply.tool_calls[0];
+    assert.strictEqual(toolCall.function.name, 'get_table_sample');
+
+    const outcome = await tools.execute(toolCall.function.name, DAXTools.parseArguments(toolCall.function.arguments));
+    assert.ok(outcome.success, outcome.content);
+    assert.ok(outcome.result.rows.length > 0);
+});
@@ -0,0 +1,20 @@
+/**
+ * Ranking words of the model context, taken from the search index's tokenizer
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ModelContextBuilder = require('../context-builder');
+const ModelSearchIndex = require('../model-search-index');
+
+test('question words are the search index terms without the question stop words', () => {
+    const question = 'Which tables does this model use for SalesAmount by Customers?';
+    assert.deepStrictEqual(ModelContextBuilder.words(question), ['use', 'sale', 'amount', 'customer']);
+    // Stop words are dropped before plurals are reduced, so "this" does not become "thi"
+    assert.deepStrictEqual(ModelContextBuilder.words('this'), []);
+});
+
+test('names outside the Latin alphabet are split into words too', () => {
+    assert.deepStrictEqual(ModelSearchIndex.tokenize('Umsatz (Größe) 売上 Продажи'), ['umsatz', 'größe', '売上', 'продажи']);
+    assert.deepStrictEqual(ModelContextBuilder.words('Umsatz je Größe'), ['umsatz', 'je', 'größe']);
+});
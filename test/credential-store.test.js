@@ -0,0 +1,49 @@
+/**
+ * Encrypted secrets of the main process, with a stand-in for Electron's safeStorage
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CredentialStore = require('../credential-store');
+
+// Reversible stand-in: the file must never contain the plain value
+const safeStorage = {
+    isEncryptionAvailable: () => true,
+    encryptString: value => Buffer.from([...value].reverse().join(''), 'utf8'),
+    decryptString: buffer => [...buffer.toString('utf8')].reverse().join('')
+};
+
+function createStore(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'pbi-credentials-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return new CredentialStore(path.join(directory, 'credentials.json'), safeStorage);
+}
+
+test('a scoped secret is returned for its own scope only', async t => {
+    const store = createStore(t);
+    await store.setScoped('apiToken:openai', 'https://api.openai.com', 'sk-openai');
+    await store.setScoped('apiToken:anthropic', 'https://api.anthropic.com', 'sk-anthropic');
+
+    assert.strictEqual(await store.getScoped('apiToken:openai', 'https://api.openai.com'), 'sk-openai');
+    assert.strictEqual(await store.getScoped('apiToken:anthropic', 'https://api.anthropic.com'), 'sk-anthropic');
+    assert.ok(!fs.readFileSync(store.filePath, 'utf8').includes('sk-openai'));
+});
+
+test('a scoped secret read for another scope is deleted', async t => {
+    const store = createStore(t);
+    await store.setScoped('apiToken:openai', 'https://api.openai.com', 'sk-openai');
+
+    assert.strictEqual(await store.getScoped('apiToken:openai', 'https://proxy.example.com'), '');
+    assert.strictEqual(await store.has('apiToken:openai'), false);
+    assert.strictEqual(await store.getScoped('apiToken:openai', 'https://api.openai.com'), '');
+});
+
+test('an empty value deletes a scoped secret', async t => {
+    const store = createStore(t);
+    await store.setScoped('apiToken:openai', 'https://api.openai.com', 'sk-openai');
+    await store.setScoped('apiToken:openai', 'https://api.openai.com', '');
+    assert.strictEqual(await store.has('apiToken:openai'), false);
+});
@@ -0,0 +1,122 @@
+/**
+ * DAX lexer and parser, and the validator rules that run on its syntax tree
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { DAXLexer, DAXParser, DAXSyntaxError } = require('../dax-parser');
+const DAXValidator = require('../dax-validator');
+
+const tokenize = text => new DAXLexer(text).tokenize().map(token => [token.type, token.value]);
+
+test('strings, quoted table names and bracketed names keep doubled delimiters as one character', () => {
+    assert.deepStrictEqual(tokenize(`"say ""hi""" 'Sales ''24'[Net]]Amount] 3.5 1e3`), [
+        ['string', 'say "hi"'],
+        ['table', "Sales '24"],
+        ['column', 'Net]Amount'],
+        ['number', 3.5],
+        ['number', 1000],
+        ['eof', '']
+    ]);
+});
+
+test('multi-character operators are read before their prefixes', () => {
+    assert.deepStrictEqual(tokenize('a <= b <> c && d || e => f == g').filter(([type]) => type === 'operator'),
+        [['operator', '<='], ['operator', '<>'], ['operator', '&&'], ['operator', '||'], ['operator', '=>'], ['operator', '==']]);
+});
+
+test('the three comment styles are skipped', () => {
+    const text = [
+        '// line comment EVALUATE',
+        "-- dash comment 'Sales'",
+        '/* block',
+        '   comment [x] */ EVALUATE /* inline */ Sales -- trailing'
+    ].join('\n');
+    assert.deepStrictEqual(tokenize(text), [['identifier', 'EVALUATE'], ['identifier', 'Sales'], ['eof', '']]);
+});
+
+test('tokens carry 1-based line and column positions', () => {
+    const tokens = new DAXLexer("EVALUATE\n  'Sales'[Amount]").tokenize();
+    assert.deepStrictEqual(tokens.map(token => [token.start.line, token.start.column]), [[1, 1], [2, 3], [2, 10], [2, 18]]);
+    assert.strictEqual(tokens[1].text, "'Sales'");
+});
+
+test('a query with DEFINE, VAR, MEASURE, ORDER BY and START AT', () => {
+    const ast = DAXParser.parse([
+        'DEFINE',
+        '    VAR MinYear = 2020',
+        "    MEASURE 'Sales'[Total] = SUM('Sales'[Amount])",
+        'EVALUATE',
+        "    SUMMARIZECOLUMNS('Date'[Year], \"Total\", [Total])",
+        "ORDER BY 'Date'[Year] DESC, [Total]",
+        'START AT 2024'
+    ].join('\n'));
+
+    assert.strictEqual(ast.type, 'Query');
+    assert.deepStrictEqual(ast.definitions.map(def => def.type), ['VarDefinition', 'MeasureDefinition']);
+    assert.strictEqual(ast.definitions[1].table, 'Sales');
+    assert.strictEqual(ast.definitions[1].name, 'Total');
+    assert.strictEqual(ast.definitions[1].expression.name, 'SUM');
+
+    const [statement] = ast.statements;
+    assert.strictEqual(statement.implicit, false);
+    assert.strictEqual(statement.expression.type, 'FunctionCall');
+    assert.deepStrictEqual(statement.expression.arguments.map(arg => arg.type), ['ColumnRef', 'StringLiteral', 'ColumnRef']);
+    assert.deepStrictEqual(statement.orderBy.map(item => [item.expression.name, item.direction]), [['Year', 'DESC'], ['Total', 'ASC']]);
+    assert.deepStrictEqual(statement.startAt.map(value => value.value), [2024]);
+    assert.deepStrictEqual([statement.start.line, statement.start.column], [4, 1]);
+});
+
+test('a bare table expression becomes an implicit EVALUATE', () => {
+    const ast = DAXParser.parse("FILTER(Sales, Sales[Qty] > 1 && NOT Sales[Returned])");
+    const [statement] = ast.statements;
+    assert.strictEqual(statement.implicit, true);
+    const condition = statement.expression.arguments[1];
+    assert.strictEqual(condition.operator, '&&');
+    assert.strictEqual(condition.left.operator, '>');
+    assert.strictEqual(condition.right.type, 'UnaryExpression');
+});
+
+test('VAR ... RETURN blocks, skipped arguments and table constructors', () => {
+    const ast = DAXParser.parse('EVALUATE VAR t = { (1, "a"), (2, "b") } RETURN ADDCOLUMNS(t, "Rank", RANKX(t, [Value1], , DESC))');
+    const block = ast.statements[0].expression;
+    assert.strictEqual(block.type, 'VarBlock');
+    assert.strictEqual(block.variables[0].expression.type, 'TableConstructor');
+    assert.deepStrictEqual(block.variables[0].expression.rows.map(row => row.type), ['Tuple', 'Tuple']);
+    const rankx = block.body.arguments[2];
+    assert.deepStrictEqual(rankx.arguments.map(arg => arg.type), ['Identifier', 'ColumnRef', 'EmptyArgument', 'Identifier']);
+});
+
+test('syntax errors report the line and column where they were found', () => {
+    const unterminated = () => DAXParser.parse('EVALUATE\n  FILTER(Sales, Sales[Name] = "Bike)');
+    assert.throws(unterminated, error => {
+        assert.ok(error instanceof DAXSyntaxError);
+        assert.strictEqual(error.reason, 'Unterminated string literal');
+        assert.deepStrictEqual([error.line, error.column], [2, 31]);
+        return true;
+    });
+
+    assert.throws(() => DAXParser.parse('EVALUATE Sales\nSTART AT 1'), /Line 2, column 1: START AT requires an ORDER BY clause/);
+    assert.throws(() => DAXParser.parse('EVALUATE SUM(Sales[Amount]'), /Line 1, column 27: Expected '\)' but found end of query/);
+    assert.throws(() => DAXParser.parse('/* open'), /Line 1, column 1: Unterminated block comment/);
+});
+
+test('the validator does not see FROM or WHERE in names and strings', () => {
+    const validator = new DAXValidator({});
+    const quiet = validator.validate(`EVALUATE FILTER('Sales', 'Sales'[Ship From] = "WHERE FROM")`);
+    assert.ok(quiet.isValid);
+    assert.deepStrictEqual(quiet.warnings.filter(warning => /SQL keyword/.test(warning)), []);
+
+    const sql = validator.validate('EVALUATE Sales\n-- comment\nWHERE');
+    assert.ok(sql.warnings.some(warning => warning === "Found SQL keyword 'WHERE' at line 3, column 1. Make sure you're using DAX syntax, not SQL."));
+});
+
+test('the validator reports a UNION nested in UNION, not two UNIONs side by side', () => {
+    const validator = new DAXValidator({ DANGEROUS_FUNCTIONS: ['UNION'] });
+    const nested = validator.validate("EVALUATE UNION(FILTER('A', 'A'[x] > 1), UNION('B', 'C'))");
+    assert.deepStrictEqual(nested.warnings.filter(warning => /Nested UNION/.test(warning)),
+        ['Nested UNION function detected at line 1, column 41. This may be slow on large datasets.']);
+
+    const sideBySide = validator.validate("EVALUATE UNION('A', 'B')\nEVALUATE UNION('C', 'D')");
+    assert.deepStrictEqual(sideBySide.warnings.filter(warning => /Nested/.test(warning)), []);
+});
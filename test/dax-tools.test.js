@@ -0,0 +1,43 @@
+/**
+ * compare_queries against the mock model: timings and the COMPARE: result diff
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const MockXMLAConnection = require('../mock-semantic-model');
+const DAXTools = require('../dax-tools');
+
+function createTools() {
+    const connection = new MockXMLAConnection();
+    return new DAXTools({
+        executeQuery: (query, options = {}) => connection.executeDAX(query, options),
+        getModel: () => ({ tables: [], measures: [] }),
+        warmupRuns: 0
+    });
+}
+
+test('compare_queries accepts a rewrite that returns the same rows in another order', async () => {
+    const outcome = await createTools().execute('compare_queries', {
+        original: 'EVALUATE SUMMARIZECOLUMNS(\'Product\'[Category], "Sales", [Total Sales]) ORDER BY \'Product\'[Category]',
+        rewritten: 'EVALUATE SUMMARIZECOLUMNS(\'Product\'[Category], "Sales", SUM(Sales[Amount])) ORDER BY \'Product\'[Category] DESC'
+    });
+    assert.ok(outcome.success, outcome.content);
+    assert.match(outcome.content, /^Results: identical \(rows matched by Product\[Category\]/m);
+});
+
+test('compare_queries reports changed rows by key, like COMPARE:', async () => {
+    const outcome = await createTools().execute('compare_queries', {
+        original: 'EVALUATE SUMMARIZECOLUMNS(\'Product\'[Category], "Sales", [Total Sales])',
+        rewritten: 'EVALUATE SUMMARIZECOLUMNS(\'Product\'[Category], "Sales", [Total Sales] * 2)'
+    });
+    assert.match(outcome.content, /^Results: DIFFERENT - 2 changed rows, 0 added rows, 0 removed rows \(rows matched by Product\[Category\]\)/m);
+    assert.match(outcome.content, /first change at Product\[Category\]="Bikes": \[Sales\] 25800 vs\. 51600/);
+});
+
+test('compare_queries reports renamed columns', async () => {
+    const outcome = await createTools().execute('compare_queries', {
+        original: 'EVALUATE SUMMARIZECOLUMNS(\'Product\'[Category], "Sales", [Total Sales])',
+        rewritten: 'EVALUATE SUMMARIZECOLUMNS(\'Product\'[Category], "Amount", [Total Sales])'
+    });
+    assert.match(outcome.content, /columns only in the original: \[Sales\]; columns only in the rewritten: \[Amount\]/);
+});
@@ -0,0 +1,39 @@
+/**
+ * Row limit the validator adds to EVALUATE statements
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const DAXValidator = require('../dax-validator');
+
+const validator = new DAXValidator({ MAX_DAX_RESULT_ROWS: 100 });
+
+test('an EVALUATE statement is wrapped in TOPN with its ORDER BY', () => {
+    const result = validator.validate("EVALUATE 'Product' ORDER BY 'Product'[Name] DESC");
+    assert.ok(result.isValid);
+    assert.strictEqual(result.modifiedQuery, "EVALUATE TOPN(100, 'Product', 'Product'[Name], DESC) ORDER BY 'Product'[Name] DESC");
+    assert.strictEqual(result.cappedStatements.length, 1);
+});
+
+test('a statement with START AT is capped after its START AT values', () => {
+    const result = validator.validate("EVALUATE 'Sales' ORDER BY 'Sales'[Date] START AT \"1900-01-01\"");
+    assert.ok(result.isValid);
+    assert.strictEqual(result.modified, true);
+    assert.strictEqual(result.modifiedQuery,
+        "EVALUATE TOPN(100, FILTER('Sales', 'Sales'[Date] >= \"1900-01-01\"), 'Sales'[Date], ASC) ORDER BY 'Sales'[Date] START AT \"1900-01-01\"");
+    assert.strictEqual(result.cappedStatements.length, 1);
+});
+
+test('START AT values compare against the ORDER BY columns in order and direction', () => {
+    const result = validator.validate("EVALUATE 'Product' ORDER BY 'Product'[Category], 'Product'[Price] DESC, 'Product'[Name] START AT \"Bikes\", 500");
+    assert.strictEqual(result.modifiedQuery,
+        "EVALUATE TOPN(100, FILTER('Product', ('Product'[Category] > \"Bikes\") || ('Product'[Category] = \"Bikes\" && 'Product'[Price] <= 500)), " +
+        "'Product'[Category], ASC, 'Product'[Price], DESC, 'Product'[Name], ASC) " +
+        "ORDER BY 'Product'[Category], 'Product'[Price] DESC, 'Product'[Name] START AT \"Bikes\", 500");
+});
+
+test('every statement of a multi-statement query is capped', () => {
+    const result = validator.validate("EVALUATE 'Product' ORDER BY 'Product'[Name] START AT \"M\"\nEVALUATE 'Sales'");
+    assert.deepStrictEqual(result.cappedStatements.map(statement => statement.index), [1, 2]);
+    assert.match(result.modifiedQuery, /START AT "M"\nEVALUATE TOPN\(100, 'Sales'\)$/);
+});
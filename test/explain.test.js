@@ -0,0 +1,53 @@
+/**
+ * EXPLAIN: against the mock model - the query runs with profile and queryPlan, the plans
+ * and timings go into the prompt, and the assistant checks its rewrite with compare_queries
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { LLMProviders } = require('../llm-providers');
+const MockXMLAConnection = require('../mock-semantic-model');
+const DAXTools = require('../dax-tools');
+const QueryPlan = require('../query-plan');
+const ServerTimings = require('../server-timings');
+
+const QUERY = 'EVALUATE SUMMARIZECOLUMNS(\'Product\'[Category], "Total Sales", [Total Sales])';
+
+test('a query run for EXPLAIN returns its query plans and server timings', async () => {
+    const connection = new MockXMLAConnection();
+    const result = await connection.executeDAX(QUERY, { profile: true, queryPlan: true });
+
+    assert.ok(result.queryPlan, 'the query plans are returned');
+    assert.strictEqual(result.queryPlan.logical.operators[0].operator, 'GroupSemiJoin');
+    assert.ok(result.queryPlan.physical.operators.some(op => op.records === 2));
+    assert.strictEqual(result.serverTimings.complete, true);
+    assert.strictEqual(result.rows.length, 2);
+});
+
+test('the EXPLAIN prompt makes the assistant compare its rewrite with the original', async () => {
+    const connection = new MockXMLAConnection();
+    const result = await connection.executeDAX(QUERY, { profile: true, queryPlan: true });
+
+    // The prompt explainQuery() in renderer.js builds
+    let prompt = 'Suggest optimizations for this DAX query, based on its query plans, server timings and the model.\n\n';
+    prompt += `\`\`\`dax\n${QUERY}\n\`\`\`\n\n`;
+    prompt += `Server timings: ${ServerTimings.describe(result.serverTimings)}\n\n`;
+    prompt += `Logical query plan:\n\`\`\`\n${QueryPlan.toText(result.queryPlan.logical, 6000)}\n\`\`\`\n\n`;
+    prompt += `Physical query plan:\n\`\`\`\n${QueryPlan.toText(result.queryPlan.physical, 6000)}\n\`\`\``;
+
+    const reply = await LLMProviders.create('mock', {}).complete({
+        messages: [{ role: 'system', content: '' }, { role: 'user', content: prompt }],
+        tools: DAXTools.definitions()
+    });
+    const toolCall = reply.tool_calls[0];
+    assert.strictEqual(toolCall.function.name, 'compare_queries');
+
+    const tools = new DAXTools({
+        executeQuery: (query, options = {}) => connection.executeDAX(query, options),
+        getModel: () => ({ tables: [], measures: [] }),
+        warmupRuns: 0
+    });
+    const outcome = await tools.execute('compare_queries', DAXTools.parseArguments(toolCall.function.arguments));
+    assert.ok(outcome.success, outcome.content);
+    assert.match(outcome.content, /^Results: identical/m);
+});
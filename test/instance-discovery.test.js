@@ -0,0 +1,95 @@
+/**
+ * Discovery of the models open in Power BI Desktop, against a temporary workspace
+ * folder with an AnalysisServicesWorkspace_<id> folder (Data/msmdsrv.port.txt)
+ * per running instance
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const InstanceDiscovery = require('../instance-discovery');
+
+/**
+ * Creates a workspace folder with a port file
+ * @param {string} root - Folder holding the workspaces
+ * @param {string} name - Workspace folder name
+ * @param {Buffer} portFile - Contents of msmdsrv.port.txt
+ * @param {Date} modifiedAt - Modification time of the port file
+ */
+function createWorkspace(root, name, portFile, modifiedAt) {
+    const dataDirectory = path.join(root, name, 'Data');
+    fs.mkdirSync(dataDirectory, { recursive: true });
+    const file = path.join(dataDirectory, 'msmdsrv.port.txt');
+    fs.writeFileSync(file, portFile);
+    fs.utimesSync(file, modifiedAt, modifiedAt);
+}
+
+test('discover() lists the databases of the running instances', async t => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pbi-workspaces-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    // msmdsrv writes the port as UTF-16 without a byte order mark
+    createWorkspace(root, 'AnalysisServicesWorkspace_sales', Buffer.from('54321', 'utf16le'), new Date('2024-03-02T10:00:00Z'));
+    createWorkspace(root, 'AnalysisServicesWorkspace_finance', Buffer.from('54322\r\n', 'utf8'), new Date('2024-03-01T10:00:00Z'));
+    // Left behind by a Power BI Desktop session that crashed
+    createWorkspace(root, 'AnalysisServicesWorkspace_crashed', Buffer.from('54323', 'utf16le'), new Date('2024-03-03T10:00:00Z'));
+    // Failing instance: the port is open but the catalog query fails
+    createWorkspace(root, 'AnalysisServicesWorkspace_broken', Buffer.from('54324', 'utf16le'), new Date('2024-02-28T10:00:00Z'));
+    fs.mkdirSync(path.join(root, 'NotAWorkspace'));
+
+    const queried = [];
+    const discovery = new InstanceDiscovery({
+        workspaceDirectories: [root, path.join(root, 'missing')],
+        isPortOpen: async port => port !== 54323,
+        readWindowTitles: async () => [{
+            commandLine: `"msmdsrv.exe" -s "${path.join(root, 'AnalysisServicesWorkspace_sales', 'Data')}"`,
+            title: 'Sales Report - Power BI Desktop'
+        }],
+        runQuery: async (server, query) => {
+            queried.push(server);
+            assert.match(query, /DBSCHEMA_CATALOGS/);
+            if (server === 'localhost:54324') throw new Error('Connection refused');
+            const databases = { 'localhost:54321': ['a1b2c3'], 'localhost:54322': ['d4e5f6'] }[server];
+            return {
+                columns: [{ name: 'CATALOG_NAME' }, { name: 'DATE_MODIFIED' }],
+                rows: databases.map(name => [name, '2024-03-01T10:00:00'])
+            };
+        }
+    });
+
+    const instances = await discovery.discover();
+
+    assert.deepStrictEqual(instances.map(instance => ({ server: instance.server, database: instance.database, title: instance.title })), [
+        { server: 'localhost:54321', database: 'a1b2c3', title: 'Sales Report' },
+        { server: 'localhost:54322', database: 'd4e5f6', title: '' }
+    ]);
+    assert.strictEqual(instances[0].workspace, path.join(root, 'AnalysisServicesWorkspace_sales'));
+    assert.strictEqual(instances[0].modifiedAt, '2024-03-02T10:00:00.000Z');
+    // The stale instance is never queried
+    assert.ok(!queried.includes('localhost:54323'));
+    assert.ok(queried.includes('localhost:54324'));
+});
+
+test('discover() returns nothing when no instance is running', async t => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'pbi-workspaces-'));
+    t.after(() => fs.rmSync(root, { recursive: true, force: true }));
+    createWorkspace(root, 'AnalysisServicesWorkspace_crashed', Buffer.from('54323', 'utf16le'), new Date());
+
+    const discovery = new InstanceDiscovery({
+        workspaceDirectories: [root],
+        isPortOpen: async () => false,
+        readWindowTitles: async () => assert.fail('window titles are not needed'),
+        runQuery: async () => assert.fail('no instance should be queried')
+    });
+    assert.deepStrictEqual(await discovery.discover(), []);
+});
+
+test('parsePortFile() reads UTF-16 and UTF-8 port files', () => {
+    assert.strictEqual(InstanceDiscovery.parsePortFile(Buffer.from('61234', 'utf16le')), 61234);
+    assert.strictEqual(InstanceDiscovery.parsePortFile(Buffer.from('\uFEFF61234', 'utf16le')), 61234);
+    assert.strictEqual(InstanceDiscovery.parsePortFile(Buffer.from('61234\n', 'utf8')), 61234);
+    assert.strictEqual(InstanceDiscovery.parsePortFile(Buffer.from('', 'utf8')), null);
+    assert.strictEqual(InstanceDiscovery.parsePortFile(Buffer.from('70000', 'utf8')), null);
+});
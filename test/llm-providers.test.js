@@ -0,0 +1,58 @@
+/**
+ * Request bodies of the provider adapters built from a conversation history
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { LLMProviders, AnthropicProvider } = require('../llm-providers');
+
+// A tool call whose arguments the model wrote as broken JSON, then the tool error it got back
+const historyWithMalformedArguments = [
+    { role: 'system', content: 'You are a Power BI semantic model assistant.' },
+    { role: 'user', content: 'Total Sales by category?' },
+    {
+        role: 'assistant',
+        content: null,
+        tool_calls: [{ id: 'call_1', type: 'function', function: { name: 'execute_dax', arguments: '{"query": "EVALUATE' } }]
+    },
+    { role: 'tool', tool_call_id: 'call_1', content: 'Error: Invalid tool arguments: Unexpected end of JSON input' },
+    { role: 'user', content: 'Try again' }
+];
+
+test('Anthropic messages keep a tool call with malformed arguments as empty input', () => {
+    const messages = AnthropicProvider.toAnthropicMessages(historyWithMalformedArguments);
+    const toolUse = messages.flatMap(msg => (Array.isArray(msg.content) ? msg.content : []))
+        .find(block => block.type === 'tool_use');
+    assert.deepStrictEqual(toolUse.input, {});
+});
+
+test('Ollama requests keep a tool call with malformed arguments as empty arguments', () => {
+    const provider = LLMProviders.create('ollama', { modelName: 'llama3.1' });
+    const body = provider.buildBody({ messages: historyWithMalformedArguments });
+    const call = body.messages.find(msg => msg.tool_calls).tool_calls[0];
+    assert.deepStrictEqual(call.function.arguments, {});
+});
+
+test('valid tool arguments are passed on as objects', () => {
+    const history = historyWithMalformedArguments.map(msg => (msg.tool_calls
+        ? { ...msg, tool_calls: [{ ...msg.tool_calls[0], function: { name: 'execute_dax', arguments: '{"query": "EVALUATE Product"}' } }] }
+        : msg));
+    const toolUse = AnthropicProvider.toAnthropicMessages(history)
+        .flatMap(msg => (Array.isArray(msg.content) ? msg.content : []))
+        .find(block => block.type === 'tool_use');
+    assert.deepStrictEqual(toolUse.input, { query: 'EVALUATE Product' });
+});
+
+test('a stored token is only attached for providers that need one', () => {
+    assert.deepStrictEqual(LLMProviders.authHeaders('openai', 'sk-1'), { 'Authorization': 'Bearer sk-1' });
+    assert.deepStrictEqual(LLMProviders.authHeaders('anthropic', 'sk-1'), { 'x-api-key': 'sk-1' });
+    assert.deepStrictEqual(LLMProviders.authHeaders('ollama', 'sk-1'), {});
+    assert.deepStrictEqual(LLMProviders.authHeaders('mock', 'sk-1'), {});
+});
+
+test('tokens are kept per provider and URL origin', () => {
+    assert.notStrictEqual(LLMProviders.tokenName('openai'), LLMProviders.tokenName('anthropic'));
+    assert.strictEqual(LLMProviders.urlOrigin('https://api.openai.com/v1/chat/completions'), 'https://api.openai.com');
+    assert.strictEqual(LLMProviders.urlOrigin('http://localhost:11434/api/chat'), 'http://localhost:11434');
+    assert.strictEqual(LLMProviders.urlOrigin('not a url'), '');
+});
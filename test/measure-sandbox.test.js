@@ -0,0 +1,48 @@
+/**
+ * Measure sandbox queries against the mock model
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const MockXMLAConnection = require('../mock-semantic-model');
+const MeasureSandbox = require('../measure-sandbox');
+
+const totalSales = { name: 'Total Sales', table: 'Sales', expression: 'SUM(Sales[Amount])' };
+
+test('the edited measure runs next to the original over the grouping columns', async () => {
+    const { query, editedName } = MeasureSandbox.buildQuery({
+        measure: totalSales,
+        expression: 'Total Sales = SUM(Sales[Amount]) * 2',
+        groupBy: [{ table: 'Product', column: 'Category' }],
+        measures: [totalSales, { name: 'Total Sales (edited)' }]
+    });
+    assert.strictEqual(editedName, 'Total Sales (edited 2)');
+    assert.strictEqual(query, [
+        'DEFINE',
+        "    MEASURE 'Sales'[Total Sales (edited 2)] =",
+        '        SUM(Sales[Amount]) * 2',
+        'EVALUATE',
+        "    SUMMARIZECOLUMNS('Product'[Category], \"Original\", [Total Sales], \"Edited\", [Total Sales (edited 2)])",
+        "ORDER BY 'Product'[Category]"
+    ].join('\n'));
+
+    const result = await new MockXMLAConnection().executeDAX(query);
+    assert.deepStrictEqual(result.rows, [['Accessories', 636, 1272], ['Bikes', 25800, 51600]]);
+    assert.deepStrictEqual(MeasureSandbox.changedRows(result, 0.000001).changed, [0, 1]);
+});
+
+test('an unchanged expression changes no rows', async () => {
+    const { query } = MeasureSandbox.buildQuery({ measure: totalSales, expression: totalSales.expression, groupBy: [], measures: [totalSales] });
+    const result = await new MockXMLAConnection().executeDAX(query);
+    assert.strictEqual(result.rows.length, 1);
+    assert.deepStrictEqual(MeasureSandbox.changedRows(result, 0.000001).changed, []);
+});
+
+test('definitions are stripped from typed and suggested expressions, comparisons are not', () => {
+    assert.strictEqual(MeasureSandbox.stripDefinition('[Total Sales] := SUM(x)'), 'SUM(x)');
+    assert.strictEqual(MeasureSandbox.stripDefinition("MEASURE 'Sales'[Total Sales] = SUM(x)"), 'SUM(x)');
+    assert.strictEqual(MeasureSandbox.stripDefinition('[Flag] = 1'), '[Flag] = 1');
+    assert.strictEqual(MeasureSandbox.stripDefinition('VAR a = 1 RETURN a'), 'VAR a = 1 RETURN a');
+    assert.strictEqual(MeasureSandbox.extractExpression('Try this:\n```dax\nCALCULATE([Total Sales])\n```\nIt is faster.'), 'CALCULATE([Total Sales])');
+    assert.strictEqual(MeasureSandbox.extractExpression('No code here'), null);
+});
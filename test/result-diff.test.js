@@ -0,0 +1,49 @@
+/**
+ * Row-by-row comparison of two query results (COMPARE: and compare_queries)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ResultDiff = require('../result-diff');
+
+const columns = (...names) => names.map(name => ({ name, dataType: name.startsWith('[') ? 'Double' : 'String' }));
+
+test('rows are matched by the grouping columns, numbers within the tolerance', () => {
+    const a = { columns: columns('Product[Category]', '[Sales]'), rows: [['Bikes', 100], ['Accessories', 20], ['Clothing', 5]] };
+    const b = { columns: columns('Product[Category]', '[Sales]'), rows: [['Accessories', 20.0000001], ['Bikes', 110], ['Components', 7]] };
+    const diff = ResultDiff.compare(a, b);
+
+    assert.deepStrictEqual(diff.keys, ['Product[Category]']);
+    assert.strictEqual(diff.unchanged, 1);
+    assert.deepStrictEqual(diff.changed.map(change => [change.a['Product[Category]'], change.columns]), [['Bikes', ['[Sales]']]]);
+    assert.deepStrictEqual(diff.removed.map(row => row['Product[Category]']), ['Clothing']);
+    assert.deepStrictEqual(diff.added.map(row => row['Product[Category]']), ['Components']);
+    assert.strictEqual(diff.identical, false);
+});
+
+test('numeric text keys match number keys when the key column is text in one result only', () => {
+    assert.strictEqual(ResultDiff.keyValue('1', true), ResultDiff.keyValue(1));
+    assert.strictEqual(ResultDiff.keyValue(' 2.50 ', true), ResultDiff.keyValue(2.5));
+    assert.notStrictEqual(ResultDiff.keyValue('Bikes', true), ResultDiff.keyValue(1));
+    assert.notStrictEqual(ResultDiff.keyValue('1'), ResultDiff.keyValue(1));
+    assert.strictEqual(ResultDiff.valuesEqual('1', 1, 0), true);
+
+    const a = { columns: [{ name: 'Date[Year]', dataType: 'String' }, { name: '[Sales]', dataType: 'Double' }], rows: [['2024', 10]] };
+    const b = { columns: [{ name: 'Date[Year]', dataType: 'Int64' }, { name: '[Sales]', dataType: 'Double' }], rows: [[2024, 10]] };
+    assert.strictEqual(ResultDiff.compare(a, b).identical, true);
+});
+
+test('text keys of the same type are matched exactly', () => {
+    const a = { columns: columns('Product[Code]', '[Sales]'), rows: [['001', 10], ['01', 20]] };
+    const b = { columns: columns('Product[Code]', '[Sales]'), rows: [['01', 20], ['001', 10]] };
+    const diff = ResultDiff.compare(a, b);
+    assert.strictEqual(diff.identical, true);
+    assert.strictEqual(diff.unchanged, 2);
+    assert.deepStrictEqual(diff.changed, []);
+});
+
+test('a key column missing from one result is an error', () => {
+    const a = { columns: columns('Product[Category]', '[Sales]'), rows: [] };
+    const b = { columns: columns('Product[Color]', '[Sales]'), rows: [] };
+    assert.throws(() => ResultDiff.compare(a, b, { keys: ['Category'] }), /Key column Category is not in both results/);
+});
@@ -0,0 +1,102 @@
+/**
+ * Server timings computed from recorded trace events (test/fixtures/server-timings)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ServerTimings = require('../server-timings');
+
+const bridgeTrace = require('./fixtures/server-timings/bridge-trace.json');
+const incompleteTrace = require('./fixtures/server-timings/incomplete-trace.json');
+const daxStudioExport = require('./fixtures/server-timings/dax-studio-export.json');
+
+test('analyze() splits a bridge trace into FE and SE time', () => {
+    const timings = ServerTimings.analyze(bridgeTrace);
+
+    // The late QueryEnd of the ping query (1 ms) is not the profiled query's
+    assert.strictEqual(timings.complete, true);
+    assert.strictEqual(timings.totalDuration, 50);
+    // Parallel SE queries count once: 405-430 and 435-440
+    assert.strictEqual(timings.storageEngineDuration, 30);
+    assert.strictEqual(timings.formulaEngineDuration, 20);
+    assert.strictEqual(timings.storageEngineCpu, 47);
+    assert.strictEqual(timings.storageEngineQueries, 3);
+    assert.strictEqual(timings.cacheHits, 1);
+
+    // Internal VertiPaq queries are hidden; the rest in start order, relative to the query start
+    assert.deepStrictEqual(timings.queries.map(query => [query.kind, query.startOffset, query.duration]), [
+        ['scan', 5, 20],
+        ['scan', 15, 15],
+        ['cache', 32, 0],
+        ['scan', 35, 5]
+    ]);
+    assert.strictEqual(timings.queries[0].rows, 5);
+    assert.strictEqual(timings.queries[0].bytes, 80);
+    assert.match(timings.queries[0].text, /^SELECT\n    'Product'\[Category\],/);
+});
+
+test('analyze() estimates the total from the events when QueryEnd is missing', () => {
+    const timings = ServerTimings.analyze(incompleteTrace);
+
+    assert.strictEqual(timings.complete, false);
+    // From the first start (.100) to the last event (.125)
+    assert.strictEqual(timings.totalDuration, 25);
+    assert.strictEqual(timings.storageEngineDuration, 20);
+    assert.strictEqual(timings.formulaEngineDuration, 5);
+    assert.strictEqual(timings.storageEngineQueries, 2);
+    assert.strictEqual(timings.cacheHits, 1);
+    assert.strictEqual(timings.queries[0].rows, null);
+});
+
+test('analyze() reads DAX Studio exports with PascalCase fields and event names', () => {
+    const timings = ServerTimings.analyze(daxStudioExport);
+
+    assert.strictEqual(timings.complete, true);
+    assert.strictEqual(timings.totalDuration, 40);
+    assert.strictEqual(timings.storageEngineDuration, 25);
+    assert.strictEqual(timings.formulaEngineDuration, 15);
+    assert.strictEqual(timings.storageEngineCpu, 12);
+    assert.strictEqual(timings.storageEngineQueries, 2);
+    assert.strictEqual(timings.cacheHits, 1);
+    assert.deepStrictEqual(timings.queries.map(query => query.kind), ['scan', 'directQuery', 'cache']);
+});
+
+test('analyze() of no events is empty', () => {
+    const timings = ServerTimings.analyze([]);
+    assert.strictEqual(timings.totalDuration, 0);
+    assert.strictEqual(timings.storageEngineQueries, 0);
+    assert.strictEqual(timings.complete, false);
+    assert.deepStrictEqual(timings.queries, []);
+});
+
+test('coveredTime() counts overlapping intervals once', () => {
+    assert.strictEqual(ServerTimings.coveredTime([]), 0);
+    assert.strictEqual(ServerTimings.coveredTime([[0, 10]]), 10);
+    assert.strictEqual(ServerTimings.coveredTime([[0, 10], [5, 15]]), 15);
+    assert.strictEqual(ServerTimings.coveredTime([[20, 30], [0, 10], [2, 4]]), 20);
+    assert.strictEqual(ServerTimings.coveredTime([[0, 10], [10, 20]]), 20);
+    // Empty and reversed intervals are ignored
+    assert.strictEqual(ServerTimings.coveredTime([[5, 5], [9, 3], [0, 1]]), 1);
+});
+
+test('cleanXmSQL() drops DC_KIND and lineage IDs and reads the estimated size', () => {
+    const cleaned = ServerTimings.cleanXmSQL(bridgeTrace.find(event => event.eventClass === 83).textData);
+    assert.strictEqual(cleaned.rows, 5);
+    assert.strictEqual(cleaned.bytes, 80);
+    assert.strictEqual(cleaned.text, [
+        'SELECT',
+        "    'Product'[Category],",
+        "    SUM ( 'Sales'[Amount] )",
+        "FROM 'Sales'",
+        "    LEFT OUTER JOIN 'Product'",
+        "        ON 'Sales'[Product Key]='Product'[Product Key];"
+    ].join('\n'));
+
+    const withoutSize = ServerTimings.cleanXmSQL("SELECT 'Product'[Category] FROM 'Product';");
+    assert.deepStrictEqual(withoutSize, { text: "SELECT 'Product'[Category] FROM 'Product';", rows: null, bytes: null });
+});
+
+test('describe() summarizes the timings', () => {
+    assert.strictEqual(ServerTimings.describe(ServerTimings.analyze(bridgeTrace)),
+        'Total 50 ms · FE 20 ms (40%) · SE 30 ms (60%) · 3 SE queries · 1 cache hit');
+});
@@ -0,0 +1,19 @@
+/**
+ * Number formats of the result grid (format strings of measures and columns)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert');
+const ValueFormatter = require('../value-formatter');
+
+test('a negative number in a one-section format gets its minus before the literals', () => {
+    assert.strictEqual(ValueFormatter.format(-1234.5, 'Double', '\\$#,0.00'), '-$1,234.50');
+    assert.strictEqual(ValueFormatter.format(1234.5, 'Double', '\\$#,0.00'), '$1,234.50');
+    assert.strictEqual(ValueFormatter.format(-3, 'Int64', '#,0 "units"'), '-3 units');
+    assert.strictEqual(ValueFormatter.format(-0.25, 'Double', '0.0%'), '-25.0%');
+});
+
+test('a negative section is used as written, without a minus', () => {
+    assert.strictEqual(ValueFormatter.format(-1234.5, 'Double', '\\$#,0.00;(\\$#,0.00)'), '($1,234.50)');
+    assert.strictEqual(ValueFormatter.format(0, 'Double', '0;-0;"zero"'), 'zero');
+});
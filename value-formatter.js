@@ -0,0 +1,285 @@
+/**
+ * Value Formatter
+ * Formats typed query values using Power BI / Excel style format strings
+ * (e.g. "#,0.00", "0.0%", "\$#,0;(\$#,0)", "dd/mm/yyyy", "Short Date")
+ */
+
+// Named numeric formats supported by FORMAT() and measure format strings
+const NAMED_NUMBER_FORMATS = {
+    'general number': null,
+    'currency': '\\$#,0.00;(\\$#,0.00)',
+    'fixed': '0.00',
+    'standard': '#,0.00',
+    'percent': '0.00%',
+    'scientific': '0.00E+00'
+};
+
+const NAMED_BOOLEAN_FORMATS = {
+    'yes/no': ['Yes', 'No'],
+    'true/false': ['True', 'False'],
+    'on/off': ['On', 'Off']
+};
+
+// Named date/time formats mapped to Intl.DateTimeFormat options
+const NAMED_DATE_FORMATS = {
+    'general date': null,
+    'long date': { dateStyle: 'full' },
+    'medium date': { dateStyle: 'medium' },
+    'short date': { dateStyle: 'short' },
+    'long time': { timeStyle: 'medium' },
+    'medium time': { timeStyle: 'short' },
+    'short time': { hour: '2-digit', minute: '2-digit', hour12: false }
+};
+
+const NUMERIC_TYPES = ['Int64', 'Double', 'Decimal'];
+
+class ValueFormatter {
+    /**
+     * Formats a single value for display
+     * @param {*} value - The typed value (number, string, boolean, Date or null)
+     * @param {string} dataType - Column data type (Int64, Double, Decimal, DateTime, Boolean, String, ...)
+     * @param {string} formatString - Optional format string from the model
+     * @returns {string} The formatted value ('' for blanks)
+     */
+    static format(value, dataType, formatString) {
+        if (value === null || value === undefined) return '';
+
+        try {
+            if (value instanceof Date) {
+                return ValueFormatter.formatDate(value, formatString);
+            }
+            if (typeof value === 'boolean') {
+                return ValueFormatter.formatBoolean(value, formatString);
+            }
+            if (typeof value === 'number' || (NUMERIC_TYPES.includes(dataType) && value !== '' && !isNaN(Number(value)))) {
+                return ValueFormatter.formatNumber(Number(value), dataType, formatString);
+            }
+        } catch (error) {
+            console.warn(`[Formatter] Could not apply format string '${formatString}':`, error.message);
+        }
+
+        return String(value);
+    }
+
+    /**
+     * Checks whether values of a data type are numeric (right-aligned, numerically sorted)
+     * @param {string} dataType - Column data type
+     * @returns {boolean} True for Int64, Double and Decimal
+     */
+    static isNumericType(dataType) {
+        return NUMERIC_TYPES.includes(dataType);
+    }
+
+    static formatBoolean(value, formatString) {
+        const named = formatString ? NAMED_BOOLEAN_FORMATS[formatString.toLowerCase()] : null;
+        if (named) return value ? named[0] : named[1];
+        return value ? 'TRUE' : 'FALSE';
+    }
+
+    // ---- Numbers ----
+
+    static formatNumber(value, dataType, formatString) {
+        if (!isFinite(value)) return String(value);
+
+        let pattern = formatString ? formatString.trim() : '';
+        const named = pattern.toLowerCase();
+        if (Object.prototype.hasOwnProperty.call(NAMED_NUMBER_FORMATS, named)) {
+            pattern = NAMED_NUMBER_FORMATS[named] || '';
+        }
+
+        if (!pattern) {
+            const maximumFractionDigits = dataType === 'Int64' ? 0 : 4;
+            return value.toLocaleString(undefined, { maximumFractionDigits });
+        }
+
+        // Sections: positive;negative;zero
+        const sections = ValueFormatter.splitSections(pattern);
+        if (value < 0 && sections.length > 1 && sections[1] !== '') {
+            return ValueFormatter.applyNumberSection(Math.abs(value), sections[1]);
+        }
+        if (value === 0 && sections.length > 2 && sections[2] !== '') {
+            return ValueFormatter.applyNumberSection(value, sections[2]);
+        }
+
+        // Without a negative section the minus goes before the whole section, literals included ("-$1,234.50")
+        if (value < 0) {
+            return `-${ValueFormatter.applyNumberSection(Math.abs(value), sections[0])}`;
+        }
+        return ValueFormatter.applyNumberSection(value, sections[0]);
+    }
+
+    /**
+     * Splits a format string on ';' outside quotes and escapes
+     */
+    static splitSections(pattern) {
+        const sections = [''];
+        for (let i = 0; i < pattern.length; i++) {
+            const ch = pattern[i];
+            if (ch === '\\' && i + 1 < pattern.length) {
+                sections[sections.length - 1] += ch + pattern[++i];
+            } else if (ch === '"') {
+                const end = pattern.indexOf('"', i + 1);
+                const stop = end === -1 ? pattern.length : end;
+                sections[sections.length - 1] += pattern.substring(i, stop + 1);
+                i = stop;
+            } else if (ch === ';') {
+                sections.push('');
+            } else {
+                sections[sections.length - 1] += ch;
+            }
+        }
+        return sections;
+    }
+
+    static applyNumberSection(value, section) {
+        const parts = []; // literal strings and one {digits} placeholder
+        let digits = null;
+        let percent = false;
+
+        for (let i = 0; i < section.length; i++) {
+            const ch = section[i];
+
+            if (ch === '\\' && i + 1 < section.length) {
+                parts.push(section[++i]);
+            } else if (ch === '"') {
+                const end = section.indexOf('"', i + 1);
+                const stop = end === -1 ? section.length : end;
+                parts.push(section.substring(i + 1, stop));
+                i = stop;
+            } else if (ch === '%') {
+                percent = true;
+                parts.push('%');
+            } else if (digits === null && /[0#.,]/.test(ch)) {
+                // Collect the digit placeholder run (including an exponent like E+00)
+                let run = '';
+                while (i < section.length && /[0#.,]/.test(section[i])) {
+                    run += section[i++];
+                }
+                const exponent = section.substring(i).match(/^[eE][+-]0+/);
+                if (exponent) {
+                    run += exponent[0];
+                    i += exponent[0].length;
+                }
+                i--;
+                digits = { run };
+                parts.push(digits);
+            } else {
+                parts.push(ch);
+            }
+        }
+
+        if (!digits) {
+            return parts.join('');
+        }
+
+        let number = percent ? value * 100 : value;
+        const run = digits.run;
+
+        const exponentMatch = run.match(/[eE]([+-])(0+)$/);
+        const mantissa = exponentMatch ? run.substring(0, run.length - exponentMatch[0].length) : run;
+        const dot = mantissa.indexOf('.');
+        let integerPart = dot === -1 ? mantissa : mantissa.substring(0, dot);
+        const fractionPart = dot === -1 ? '' : mantissa.substring(dot + 1).replace(/,/g, '');
+
+        // Trailing commas scale by 1000 each ("#,0," shows thousands)
+        while (integerPart.endsWith(',')) {
+            number /= 1000;
+            integerPart = integerPart.substring(0, integerPart.length - 1);
+        }
+
+        const minimumFractionDigits = (fractionPart.match(/0/g) || []).length;
+        const maximumFractionDigits = fractionPart.length;
+
+        let text;
+        if (exponentMatch) {
+            const [coefficient, exponent] = number.toExponential(maximumFractionDigits).split('e');
+            const exponentValue = Math.abs(parseInt(exponent, 10));
+            const sign = exponent.startsWith('-') ? '-' : (exponentMatch[1] === '+' ? '+' : '');
+            text = `${coefficient}${run.includes('e') ? 'e' : 'E'}${sign}${String(exponentValue).padStart(exponentMatch[2].length, '0')}`;
+        } else {
+            text = number.toLocaleString(undefined, {
+                minimumFractionDigits,
+                maximumFractionDigits,
+                minimumIntegerDigits: Math.max(1, (integerPart.match(/0/g) || []).length),
+                useGrouping: integerPart.includes(',')
+            });
+        }
+
+        return parts.map(part => (part === digits ? text : part)).join('');
+    }
+
+    // ---- Dates ----
+
+    static formatDate(date, formatString) {
+        if (isNaN(date.getTime())) return '';
+
+        const pattern = formatString ? formatString.trim() : '';
+        const named = pattern.toLowerCase();
+
+        if (!pattern || named === 'general date') {
+            const isMidnight = date.getHours() === 0 && date.getMinutes() === 0 && date.getSeconds() === 0;
+            return isMidnight ? date.toLocaleDateString() : date.toLocaleString();
+        }
+        if (NAMED_DATE_FORMATS[named]) {
+            return new Intl.DateTimeFormat(undefined, NAMED_DATE_FORMATS[named]).format(date);
+        }
+
+        const tokens = pattern.match(/"[^"]*"|\\.|yyyy|yy|mmmm|mmm|mm|m|dddd|ddd|dd|d|hh|h|nn|n|ss|s|am\/pm|a\/p|./gi) || [];
+        const hasAmPm = tokens.some(token => /^(am\/pm|a\/p)$/i.test(token));
+        const pad = n => String(n).padStart(2, '0');
+        const monthName = style => new Intl.DateTimeFormat(undefined, { month: style }).format(date);
+        const dayName = style => new Intl.DateTimeFormat(undefined, { weekday: style }).format(date);
+        const hours = hasAmPm ? (date.getHours() % 12 || 12) : date.getHours();
+
+        // "m"/"mm" means minutes right after an hour token or right before a seconds token
+        const isMinutes = index => {
+            for (let i = index - 1; i >= 0; i--) {
+                if (/^[a-z]/i.test(tokens[i]) && !/^(am\/pm|a\/p)$/i.test(tokens[i])) {
+                    if (/^h+$/i.test(tokens[i])) return true;
+                    break;
+                }
+            }
+            for (let i = index + 1; i < tokens.length; i++) {
+                if (/^[a-z]/i.test(tokens[i])) return /^s+$/i.test(tokens[i]);
+            }
+            return false;
+        };
+
+        return tokens.map((token, index) => {
+            const lower = token.toLowerCase();
+            if (token.startsWith('"')) return token.substring(1, token.length - 1);
+            if (token.startsWith('\\')) return token.substring(1);
+            switch (lower) {
+                case 'yyyy': return String(date.getFullYear());
+                case 'yy': return pad(date.getFullYear() % 100);
+                case 'mmmm': return monthName('long');
+                case 'mmm': return monthName('short');
+                case 'mm': return isMinutes(index) ? pad(date.getMinutes()) : pad(date.getMonth() + 1);
+                case 'm': return isMinutes(index) ? String(date.getMinutes()) : String(date.getMonth() + 1);
+                case 'dddd': return dayName('long');
+                case 'ddd': return dayName('short');
+                case 'dd': return pad(date.getDate());
+                case 'd': return String(date.getDate());
+                case 'hh': return pad(hours);
+                case 'h': return String(hours);
+                case 'nn': return pad(date.getMinutes());
+                case 'n': return String(date.getMinutes());
+                case 'ss': return pad(date.getSeconds());
+                case 's': return String(date.getSeconds());
+                case 'am/pm': return date.getHours() < 12 ? (token === 'AM/PM' ? 'AM' : 'am') : (token === 'AM/PM' ? 'PM' : 'pm');
+                case 'a/p': return date.getHours() < 12 ? 'a' : 'p';
+                default: return token;
+            }
+        }).join('');
+    }
+}
+
+// Export for both Node.js and browser environments
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ValueFormatter;
+}
+
+// Also expose to window object for browser environments
+if (typeof window !== 'undefined') {
+    window.ValueFormatter = ValueFormatter;
+}
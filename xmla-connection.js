@@ -1,12 +1,109 @@
 // XMLA Connection Module for Power BI Semantic Models
 // This module handles SOAP/XMLA requests to Analysis Services
 
+// Trace analysis: required in Node.js, loaded via <script> in the browser
+const xmlaTraceModules = typeof module !== 'undefined' && module.exports
+    ? { ServerTimings: require('./server-timings'), QueryPlan: require('./query-plan') }
+    : window;
+
+// Tabular Object Model (TOM) enum values as returned by the TMSCHEMA_* DMVs
+const TOM_ENUMS = {
+    DataType: {
+        1: 'Automatic',
+        2: 'String',
+        6: 'Int64',
+        8: 'Double',
+        9: 'DateTime',
+        10: 'Decimal',
+        11: 'Boolean',
+        17: 'Binary',
+        19: 'Unknown',
+        20: 'Variant'
+    },
+    ModelPermission: {
+        1: 'None',
+        2: 'Read',
+        3: 'ReadRefresh',
+        4: 'Refresh',
+        5: 'Administrator'
+    },
+    ColumnType: {
+        1: 'Data',
+        2: 'Calculated',
+        3: 'RowNumber',
+        4: 'CalculatedTableColumn'
+    },
+    RelationshipEndCardinality: {
+        0: 'None',
+        1: 'One',
+        2: 'Many'
+    },
+    CrossFilteringBehavior: {
+        1: 'OneDirection',
+        2: 'BothDirections',
+        3: 'Automatic'
+    },
+    SecurityFilteringBehavior: {
+        1: 'OneDirection',
+        2: 'BothDirections',
+        3: 'None'
+    },
+    PartitionSourceType: {
+        1: 'Query',
+        2: 'Calculated',
+        3: 'None',
+        4: 'M',
+        5: 'Entity',
+        6: 'PolicyRange',
+        7: 'CalculationGroup',
+        8: 'Inferred',
+        9: 'Parquet'
+    },
+    AggregateFunction: {
+        1: 'Default',
+        2: 'None',
+        3: 'Sum',
+        4: 'Min',
+        5: 'Max',
+        6: 'Count',
+        7: 'Average',
+        8: 'DistinctCount'
+    }
+};
+
+// Servers reached over the network with Azure AD sign-in: Power BI / Fabric workspaces,
+// Azure Analysis Services (and its link:// aliases), or an HTTP(S) msmdpump endpoint
+const REMOTE_SERVER_PATTERN = /^(powerbi|asazure|link|https?):\/\//i;
+
+// Connection string keywords naming the server and the database
+const CONNECTION_STRING_KEYS = {
+    server: ['data source', 'server', 'location'],
+    database: ['initial catalog', 'catalog', 'database']
+};
+
 class XMLAConnection {
-    constructor(server, database) {
+    /**
+     * @param {string} server - Data source: localhost:port, a workspace URL such as
+     *   powerbi://api.powerbi.com/v1.0/myorg/Sales, or asazure://region.asazure.windows.net/server
+     * @param {string} database - Database (for Power BI workspaces: the semantic model name)
+     * @param {Object} options - Sign-in for remote servers
+     * @param {string} options.authentication - 'windows', 'interactive' or 'servicePrincipal'
+     * @param {string} options.tenantId - Azure AD tenant of the service principal
+     * @param {string} options.clientId - Application (client) ID of the service principal
+     * @param {string} options.connectionId - Saved connection whose secret the main process adds
+     */
+    constructor(server, database, options = {}) {
         this.server = server;
         this.database = database;
+        this.connection = {
+            server,
+            authentication: options.authentication || (XMLAConnection.isRemoteServer(server) ? 'interactive' : 'windows'),
+            tenantId: options.tenantId || '',
+            clientId: options.clientId || '',
+            connectionId: options.connectionId || ''
+        };
 
-        // Construct XMLA endpoint
+        // Construct XMLA endpoint (only used outside Electron)
         // If server already includes protocol, use it as-is
         if (server.startsWith('http://') || server.startsWith('https://')) {
             this.xmlaEndpoint = `${server}/xmla`;
@@ -28,6 +125,45 @@ class XMLAConnection {
         this.lastSuccessfulQuery = null;
     }
 
+    /**
+     * Whether a data source is a remote server (signed in with Azure AD) rather than a local instance
+     * @param {string} server - Data source
+     * @returns {boolean} True for powerbi://, asazure://, link:// and http(s):// data sources
+     */
+    static isRemoteServer(server) {
+        return REMOTE_SERVER_PATTERN.test(String(server || '').trim());
+    }
+
+    /**
+     * Reads the server and database from a connection string, e.g. as copied from the
+     * Power BI workspace settings ("Data Source=powerbi://...;Initial Catalog=Sales");
+     * text without "=" is taken as the server itself
+     * @param {string} text - Connection string or server
+     * @returns {Object} {server, database}
+     */
+    static parseConnectionString(text) {
+        const value = String(text || '').trim();
+        if (!value.includes('=')) return { server: value, database: '' };
+
+        const settings = {};
+        const pattern = /\s*([^=;]+?)\s*=\s*("(?:[^"]|"")*"|'(?:[^']|'')*'|[^;]*)\s*(;|$)/g;
+        let match;
+        while ((match = pattern.exec(value)) !== null && match[0]) {
+            let setting = match[2];
+            const quote = setting[0];
+            if ((quote === '"' || quote === "'") && setting.endsWith(quote)) {
+                setting = setting.slice(1, -1).split(quote + quote).join(quote);
+            }
+            settings[match[1].toLowerCase()] = setting.trim();
+        }
+
+        const find = keys => {
+            const key = keys.find(name => settings[name]);
+            return key ? settings[key] : '';
+        };
+        return { server: find(CONNECTION_STRING_KEYS.server), database: find(CONNECTION_STRING_KEYS.database) };
+    }
+
     // Test the connection with a simple query
     async testConnection() {
         try {
@@ -54,10 +190,48 @@ class XMLAConnection {
         };
     }
 
-    // Execute a DMV (Dynamic Management View) query
-    async executeDMVQuery(query) {
-        const soapRequest = this.buildExecuteRequest(query);
-        const result = await this.sendSOAPRequest(soapRequest);
+    // Every query gets a request ID, so that it can be cancelled while it runs
+    static createRequestId() {
+        return `q-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    // Execute a query and return the typed tabular result {columns, rows, rowCount}
+    // options.role / options.effectiveUserName run the query under row-level security,
+    // options.timeout sets the command timeout in seconds, options.signal cancels the
+    // running query when it is aborted, options.requestId names the query (generated if missing),
+    // options.profile / options.queryPlan add the trace events (server timings, query plans) to the result (trace)
+    async executeQuery(query, options = {}) {
+        const soapRequest = this.buildExecuteRequest(query, options);
+        const requestOptions = {
+            requestId: options.requestId || XMLAConnection.createRequestId(),
+            timeout: options.timeout || null,
+            profile: Boolean(options.profile),
+            queryPlan: Boolean(options.queryPlan)
+        };
+
+        const signal = options.signal;
+        const cancelledError = () => {
+            const error = new Error('Query cancelled');
+            error.name = 'AbortError';
+            return error;
+        };
+        if (signal && signal.aborted) throw cancelledError();
+
+        const onAbort = () => {
+            this.cancelQuery(requestOptions.requestId)
+                .catch(error => console.warn('[XMLA] Cancel failed:', error.message));
+        };
+        if (signal) signal.addEventListener('abort', onAbort, { once: true });
+
+        let result;
+        try {
+            result = await this.sendSOAPRequest(soapRequest, requestOptions);
+        } catch (error) {
+            if (signal && signal.aborted) throw cancelledError();
+            throw error;
+        } finally {
+            if (signal) signal.removeEventListener('abort', onAbort);
+        }
 
         // Mark connection as successful
         this.isConnected = true;
@@ -66,8 +240,43 @@ class XMLAConnection {
         return result;
     }
 
+    // Cancel a running query by its request ID
+    async cancelQuery(requestId) {
+        if (window.electronAPI && window.electronAPI.cancelQuery) {
+            return window.electronAPI.cancelQuery(requestId);
+        }
+        return { success: false, running: false };
+    }
+
+    // Execute a DMV (Dynamic Management View) query
+    // Returns one object per row, keyed by column name
+    async executeDMVQuery(query, options = {}) {
+        const result = await this.executeQuery(query, options);
+        return this.toRowObjects(result);
+    }
+
+    // Convert a tabular result {columns, rows} into an array of row objects
+    toRowObjects(result) {
+        const names = result.columns.map(col => col.name);
+        return result.rows.map(row => {
+            const rowData = {};
+            names.forEach((name, index) => {
+                rowData[name] = row[index];
+            });
+            return rowData;
+        });
+    }
+
     // Build SOAP Execute request for DMV queries
-    buildExecuteRequest(query) {
+    buildExecuteRequest(query, options = {}) {
+        let securityProperties = '';
+        if (options.role) {
+            securityProperties += `\n          <Roles>${this.escapeXml(options.role)}</Roles>`;
+        }
+        if (options.effectiveUserName) {
+            securityProperties += `\n          <EffectiveUserName>${this.escapeXml(options.effectiveUserName)}</EffectiveUserName>`;
+        }
+
         return `<?xml version="1.0" encoding="UTF-8"?>
 <soap:Envelope xmlns:soap="http://schemas.xmlsoap.org/soap/envelope/"
                xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
@@ -80,7 +289,7 @@ class XMLAConnection {
       <Properties>
         <PropertyList>
           <Catalog>${this.escapeXml(this.database)}</Catalog>
-          <Format>Tabular</Format>
+          <Format>Tabular</Format>${securityProperties}
         </PropertyList>
       </Properties>
     </Execute>
@@ -118,15 +327,16 @@ class XMLAConnection {
     }
 
     // Send SOAP request to XMLA endpoint
-    async sendSOAPRequest(soapBody) {
+    // requestOptions: {requestId, timeout, profile, queryPlan} (only used by the Electron bridge)
+    async sendSOAPRequest(soapBody, requestOptions = {}) {
         try {
             // Check if we're in Electron environment with IPC available
             if (window.electronAPI && window.electronAPI.xmlaRequest) {
                 // Use IPC to send request via main process (avoids CORS issues)
-                const result = await window.electronAPI.xmlaRequest(this.xmlaEndpoint, soapBody);
+                const result = await window.electronAPI.xmlaRequest(this.connection, soapBody, requestOptions);
 
                 if (result.success) {
-                    return this.parseXMLResponse(result.data);
+                    return result.data;
                 } else {
                     throw new Error('XMLA request failed');
                 }
@@ -146,7 +356,7 @@ class XMLAConnection {
                 }
 
                 const xmlText = await response.text();
-                return this.parseXMLResponse(xmlText);
+                return this.rowObjectsToTabularResult(this.parseXMLResponse(xmlText));
             }
         } catch (error) {
             console.error('XMLA request error:', error);
@@ -154,7 +364,7 @@ class XMLAConnection {
         }
     }
 
-    // Parse XML response to JSON
+    // Parse XML response to JSON (browser fallback only - all values are strings)
     parseXMLResponse(xmlText) {
         const parser = new DOMParser();
         const xmlDoc = parser.parseFromString(xmlText, 'text/xml');
@@ -181,6 +391,22 @@ class XMLAConnection {
         return result;
     }
 
+    // Wrap untyped row objects (XML fallback) in the tabular result shape
+    rowObjectsToTabularResult(rowObjects) {
+        const names = [];
+        rowObjects.forEach(row => {
+            Object.keys(row).forEach(name => {
+                if (!names.includes(name)) names.push(name);
+            });
+        });
+
+        return {
+            columns: names.map(name => ({ name, dataType: 'String' })),
+            rows: rowObjects.map(row => names.map(name => (name in row ? row[name] : null))),
+            rowCount: rowObjects.length
+        };
+    }
+
     // Escape XML special characters
     escapeXml(unsafe) {
         // For browser environments, load the utility function
@@ -207,6 +433,32 @@ class XMLAConnection {
             .replace(/'/g, '&apos;');
     }
 
+    // Decode a TOM enum value (DMV values may arrive as numbers or numeric strings)
+    decodeEnum(enumName, value) {
+        if (value === null || value === undefined || value === '') return null;
+        const names = TOM_ENUMS[enumName] || {};
+        return names[parseInt(value, 10)] || `Unknown (${value})`;
+    }
+
+    // Resolve a column data type, falling back to the inferred type for 'Automatic'
+    decodeDataType(explicitType, inferredType) {
+        const explicit = this.decodeEnum('DataType', explicitType);
+        if (explicit && explicit !== 'Automatic') return explicit;
+        return this.decodeEnum('DataType', inferredType) || explicit;
+    }
+
+    // Parse a DMV boolean (true/false or "true"/"false")
+    parseBoolean(value) {
+        return value === true || String(value).toLowerCase() === 'true';
+    }
+
+    // Normalize optional DMV text properties: empty values become null
+    optionalString(value) {
+        if (value === null || value === undefined) return null;
+        const text = String(value);
+        return text.length > 0 ? text : null;
+    }
+
     // Get all tables in the model
     async getTables() {
         const query = `
@@ -234,26 +486,66 @@ class XMLAConnection {
         return await this.executeDMVQuery(query);
     }
 
-    // Get all relationships
-    async getRelationships() {
+    // Run a DMV query that is not available in every Power BI version
+    // Returns an empty result instead of failing the whole metadata load
+    async getOptionalSchemaRowset(rowsetName, description) {
         try {
-            // Try to fetch relationships - column names may vary by Power BI version
             const query = `
-                SELECT
-                    [Name] as RelationshipName,
-                    [FromTableID],
-                    [FromColumnID],
-                    [ToTableID],
-                    [ToColumnID]
-                FROM $SYSTEM.TMSCHEMA_RELATIONSHIPS
+                SELECT *
+                FROM $SYSTEM.${rowsetName}
             `;
             return await this.executeDMVQuery(query);
         } catch (error) {
-            console.warn('Failed to fetch relationships (may not be supported in this Power BI version):', error.message);
+            console.warn(`Failed to fetch ${description} (may not be supported in this Power BI version):`, error.message);
             return [];
         }
     }
 
+    // Get all relationships
+    async getRelationships() {
+        return await this.getOptionalSchemaRowset('TMSCHEMA_RELATIONSHIPS', 'relationships');
+    }
+
+    // Get all partitions (used to detect calculated tables)
+    async getPartitions() {
+        return await this.getOptionalSchemaRowset('TMSCHEMA_PARTITIONS', 'partitions');
+    }
+
+    // Get all calculation groups
+    async getCalculationGroups() {
+        return await this.getOptionalSchemaRowset('TMSCHEMA_CALCULATION_GROUPS', 'calculation groups');
+    }
+
+    // Get all calculation items
+    async getCalculationItems() {
+        return await this.getOptionalSchemaRowset('TMSCHEMA_CALCULATION_ITEMS', 'calculation items');
+    }
+
+    // Get all user hierarchies
+    async getHierarchies() {
+        return await this.getOptionalSchemaRowset('TMSCHEMA_HIERARCHIES', 'hierarchies');
+    }
+
+    // Get all hierarchy levels
+    async getLevels() {
+        return await this.getOptionalSchemaRowset('TMSCHEMA_LEVELS', 'hierarchy levels');
+    }
+
+    // Get all security roles
+    async getRoles() {
+        return await this.getOptionalSchemaRowset('TMSCHEMA_ROLES', 'security roles');
+    }
+
+    // Get all table permissions (row-level security filters)
+    async getTablePermissions() {
+        return await this.getOptionalSchemaRowset('TMSCHEMA_TABLE_PERMISSIONS', 'table permissions');
+    }
+
+    // Get all role memberships
+    async getRoleMemberships() {
+        return await this.getOptionalSchemaRowset('TMSCHEMA_ROLE_MEMBERSHIPS', 'role memberships');
+    }
+
     // Get sample data for a specific table
     async getSampleData(tableName, maxRows = 3) {
         try {
@@ -267,9 +559,18 @@ class XMLAConnection {
     }
 
     // Execute DAX query and return results
-    async executeDAX(daxQuery) {
+    // Returns {columns, rows, data, rowCount, warnings, ...}: typed columns and rows as
+    // returned by the bridge, plus the same rows as objects keyed by column name
+    // options.role runs the query as a security role (comma-separated for several roles),
+    // options.effectiveUserName impersonates a user, options.timeout (seconds) and
+    // options.signal are passed on to executeQuery()
+    // options.profile records server timings: the result then has serverTimings (see
+    // ServerTimings.analyze()) with FE/SE time, SE queries, cache hits and xmSQL
+    // options.queryPlan records the logical and physical query plans (queryPlan, see QueryPlan.fromEvents())
+    async executeDAX(daxQuery, options = {}) {
         let finalQuery = daxQuery;
         let warnings = [];
+        let cappedStatements = [];
 
         // Validate the query if validator is available
         if (this.daxValidator) {
@@ -280,18 +581,42 @@ class XMLAConnection {
             }
 
             warnings = validation.warnings;
+            cappedStatements = validation.cappedStatements || [];
             finalQuery = validation.modified ? validation.modifiedQuery : daxQuery;
 
             // Sanitize the query
             finalQuery = this.daxValidator.sanitize(finalQuery);
         }
 
-        // Add EVALUATE if not present
-        if (!/^\s*EVALUATE/i.test(finalQuery)) {
+        // Add EVALUATE if not present (DEFINE queries already contain their EVALUATE statements)
+        if (!/^\s*(EVALUATE|DEFINE)\b/i.test(finalQuery)) {
             finalQuery = `EVALUATE ${finalQuery}`;
         }
 
-        const results = await this.executeDMVQuery(finalQuery);
+        const securityOptions = {
+            role: options.role || null,
+            effectiveUserName: options.effectiveUserName || null
+        };
+        const requestId = options.requestId || XMLAConnection.createRequestId();
+        const tabular = await this.executeQuery(finalQuery, {
+            ...securityOptions,
+            requestId,
+            timeout: options.timeout,
+            signal: options.signal,
+            profile: options.profile,
+            queryPlan: options.queryPlan
+        });
+        const results = this.toRowObjects(tabular);
+
+        // Server timings of a profiled query
+        let serverTimings = null;
+        if (options.profile && tabular.trace) {
+            serverTimings = xmlaTraceModules.ServerTimings.analyze(tabular.trace);
+        }
+        let queryPlan = null;
+        if (options.queryPlan && tabular.trace) {
+            queryPlan = xmlaTraceModules.QueryPlan.fromEvents(tabular.trace);
+        }
 
         // Validate results if validator is available
         if (this.daxValidator) {
@@ -299,11 +624,20 @@ class XMLAConnection {
             warnings = [...warnings, ...resultValidation.warnings];
         }
 
-        // Return results with any warnings
+        // Return results with any warnings and the statements the row limit was applied to
         return {
+            columns: tabular.columns,
+            rows: tabular.rows,
             data: results,
             warnings: warnings,
-            rowCount: results.length
+            rowCount: tabular.rows.length,
+            cappedStatements: cappedStatements,
+            query: finalQuery,
+            role: securityOptions.role,
+            effectiveUserName: securityOptions.effectiveUserName,
+            requestId: requestId,
+            serverTimings: serverTimings,
+            queryPlan: queryPlan
         };
     }
 
@@ -315,11 +649,32 @@ class XMLAConnection {
 
         try {
             // Fetch all metadata in parallel
-            const [tablesResult, columnsResult, measuresResult, relationshipsResult] = await Promise.all([
+            const [
+                tablesResult,
+                columnsResult,
+                measuresResult,
+                relationshipsResult,
+                partitionsResult,
+                calculationGroupsResult,
+                calculationItemsResult,
+                hierarchiesResult,
+                levelsResult,
+                rolesResult,
+                tablePermissionsResult,
+                roleMembershipsResult
+            ] = await Promise.all([
                 this.getTables().catch(() => []),
                 this.getColumns().catch(() => []),
                 this.getMeasures().catch(() => []),
-                this.getRelationships().catch(() => [])
+                this.getRelationships().catch(() => []),
+                this.getPartitions().catch(() => []),
+                this.getCalculationGroups().catch(() => []),
+                this.getCalculationItems().catch(() => []),
+                this.getHierarchies().catch(() => []),
+                this.getLevels().catch(() => []),
+                this.getRoles().catch(() => []),
+                this.getTablePermissions().catch(() => []),
+                this.getRoleMemberships().catch(() => [])
             ]);
 
             // First, create maps of IDs to names
@@ -349,22 +704,94 @@ class XMLAConnection {
                 const tableId = col.TableID;
                 const tableName = tableIdToName[tableId];
                 const columnName = col.ExplicitName || col.InferredName;
+                const columnType = this.decodeEnum('ColumnType', col.Type);
 
-                if (tableName && columnName) {
+                // Skip the internal RowNumber column every table carries
+                if (tableName && columnName && columnType !== 'RowNumber') {
                     if (!columnsByTable[tableName]) {
                         columnsByTable[tableName] = [];
                     }
                     columnsByTable[tableName].push({
-                        name: columnName
+                        name: columnName,
+                        type: columnType,
+                        dataType: this.decodeDataType(col.ExplicitDataType, col.InferredDataType),
+                        isHidden: this.parseBoolean(col.IsHidden),
+                        formatString: this.optionalString(col.FormatString),
+                        description: this.optionalString(col.Description),
+                        dataCategory: this.optionalString(col.DataCategory),
+                        displayFolder: this.optionalString(col.DisplayFolder),
+                        summarizeBy: this.decodeEnum('AggregateFunction', col.SummarizeBy),
+                        sortByColumn: columnIdToName[col.SortByColumnID] || null,
+                        expression: columnType === 'Calculated' ? this.optionalString(col.Expression) : null
                     });
                 }
             });
 
+            // Calculated tables: partitions with a calculated (DAX) source
+            const calculatedTableExpressions = {};
+            partitionsResult.forEach(partition => {
+                if (this.decodeEnum('PartitionSourceType', partition.Type) === 'Calculated') {
+                    calculatedTableExpressions[partition.TableID] = this.optionalString(partition.QueryDefinition) || '';
+                }
+            });
+
+            // Calculation groups with their items in ordinal order
+            const calculationGroupsByTableId = {};
+            calculationGroupsResult.forEach(group => {
+                const items = calculationItemsResult
+                    .filter(item => item.CalculationGroupID === group.ID)
+                    .map(item => ({
+                        name: item.Name,
+                        expression: this.optionalString(item.Expression),
+                        description: this.optionalString(item.Description),
+                        ordinal: parseInt(item.Ordinal, 10) || 0
+                    }))
+                    .sort((a, b) => a.ordinal - b.ordinal);
+
+                calculationGroupsByTableId[group.TableID] = {
+                    precedence: parseInt(group.Precedence, 10) || 0,
+                    description: this.optionalString(group.Description),
+                    items
+                };
+            });
+
+            // User hierarchies with their levels in ordinal order
+            const hierarchiesByTableId = {};
+            hierarchiesResult.forEach(hierarchy => {
+                const levels = levelsResult
+                    .filter(level => level.HierarchyID === hierarchy.ID)
+                    .map(level => ({
+                        name: level.Name,
+                        column: columnIdToName[level.ColumnID] || null,
+                        ordinal: parseInt(level.Ordinal, 10) || 0
+                    }))
+                    .sort((a, b) => a.ordinal - b.ordinal);
+
+                if (!hierarchiesByTableId[hierarchy.TableID]) {
+                    hierarchiesByTableId[hierarchy.TableID] = [];
+                }
+                hierarchiesByTableId[hierarchy.TableID].push({
+                    name: hierarchy.Name,
+                    description: this.optionalString(hierarchy.Description),
+                    displayFolder: this.optionalString(hierarchy.DisplayFolder),
+                    isHidden: this.parseBoolean(hierarchy.IsHidden),
+                    levels
+                });
+            });
+
             // Build tables array
             const tables = tablesResult.map(table => {
                 const tableName = table.Name || table.ExplicitName || table.InferredName;
+                const isCalculated = Object.prototype.hasOwnProperty.call(calculatedTableExpressions, table.ID);
                 return {
                     name: tableName,
+                    description: this.optionalString(table.Description),
+                    isHidden: this.parseBoolean(table.IsHidden),
+                    dataCategory: this.optionalString(table.DataCategory),
+                    isCalculated,
+                    expression: isCalculated ? calculatedTableExpressions[table.ID] || null : null,
+                    calculationGroup: calculationGroupsByTableId[table.ID] || null,
+                    hierarchies: hierarchiesByTableId[table.ID] || [],
                     columns: columnsByTable[tableName] || []
                 };
             });
@@ -372,22 +799,86 @@ class XMLAConnection {
             // Build measures array
             const measures = measuresResult.map(measure => ({
                 name: measure.Name || measure.ExplicitName || measure.InferredName,
-                table: tableIdToName[measure.TableID]
+                table: tableIdToName[measure.TableID],
+                expression: this.optionalString(measure.Expression),
+                displayFolder: this.optionalString(measure.DisplayFolder),
+                formatString: this.optionalString(measure.FormatString),
+                description: this.optionalString(measure.Description),
+                dataType: this.decodeEnum('DataType', measure.DataType),
+                isHidden: this.parseBoolean(measure.IsHidden)
             }));
 
-            // Build relationships array
-            const relationships = relationshipsResult.map(rel => {
-                const fromTable = tableIdToName[rel.FromTableID] || 'Unknown';
-                const toTable = tableIdToName[rel.ToTableID] || 'Unknown';
-                const fromColumn = columnIdToName[rel.FromColumnID] || 'Unknown';
-                const toColumn = columnIdToName[rel.ToColumnID] || 'Unknown';
+            // Build relationships array, keeping the ones whose ends cannot be resolved separately
+            const relationships = [];
+            const unresolvedRelationships = [];
+
+            relationshipsResult.forEach(rel => {
+                const name = rel.Name || rel.RelationshipName || '';
+                const fromTable = tableIdToName[rel.FromTableID];
+                const toTable = tableIdToName[rel.ToTableID];
+                const fromColumn = columnIdToName[rel.FromColumnID];
+                const toColumn = columnIdToName[rel.ToColumnID];
+
+                if (!fromTable || !toTable || !fromColumn || !toColumn) {
+                    const missing = [
+                        fromTable ? null : `from table ${rel.FromTableID}`,
+                        fromColumn ? null : `from column ${rel.FromColumnID}`,
+                        toTable ? null : `to table ${rel.ToTableID}`,
+                        toColumn ? null : `to column ${rel.ToColumnID}`
+                    ].filter(Boolean);
+
+                    unresolvedRelationships.push({
+                        id: rel.ID || null,
+                        name,
+                        from: `${fromTable || 'Unknown'}[${fromColumn || 'Unknown'}]`,
+                        to: `${toTable || 'Unknown'}[${toColumn || 'Unknown'}]`,
+                        reason: `Could not resolve ${missing.join(', ')}`
+                    });
+                    return;
+                }
 
-                return {
-                    name: rel.RelationshipName || '',
+                const fromCardinality = this.decodeEnum('RelationshipEndCardinality', rel.FromCardinality);
+                const toCardinality = this.decodeEnum('RelationshipEndCardinality', rel.ToCardinality);
+
+                relationships.push({
+                    name,
                     from: `${fromTable}[${fromColumn}]`,
-                    to: `${toTable}[${toColumn}]`
-                };
-            }).filter(rel => !rel.from.includes('Unknown') && !rel.to.includes('Unknown'));
+                    to: `${toTable}[${toColumn}]`,
+                    fromTable,
+                    fromColumn,
+                    toTable,
+                    toColumn,
+                    // IsActive is missing on very old versions - relationships are active by default
+                    isActive: rel.IsActive === undefined ? true : this.parseBoolean(rel.IsActive),
+                    fromCardinality,
+                    toCardinality,
+                    cardinality: fromCardinality && toCardinality ? `${fromCardinality}-to-${toCardinality}` : null,
+                    crossFilteringBehavior: this.decodeEnum('CrossFilteringBehavior', rel.CrossFilteringBehavior),
+                    securityFilteringBehavior: this.decodeEnum('SecurityFilteringBehavior', rel.SecurityFilteringBehavior),
+                    relyOnReferentialIntegrity: this.parseBoolean(rel.RelyOnReferentialIntegrity)
+                });
+            });
+
+            if (unresolvedRelationships.length > 0) {
+                console.warn(`[XMLA] ${unresolvedRelationships.length} relationship(s) could not be resolved:`, unresolvedRelationships);
+            }
+
+            // Build security roles with their row-level filters and members
+            const roles = rolesResult.map(role => ({
+                name: role.Name,
+                description: this.optionalString(role.Description),
+                modelPermission: this.decodeEnum('ModelPermission', role.ModelPermission),
+                tablePermissions: tablePermissionsResult
+                    .filter(permission => permission.RoleID === role.ID)
+                    .map(permission => ({
+                        table: tableIdToName[permission.TableID] || 'Unknown',
+                        filterExpression: this.optionalString(permission.FilterExpression)
+                    })),
+                members: roleMembershipsResult
+                    .filter(membership => membership.RoleID === role.ID)
+                    .map(membership => membership.MemberName)
+                    .filter(Boolean)
+            }));
 
             // Fetch sample data for each table if requested
             const sampleData = {};
@@ -424,12 +915,21 @@ class XMLAConnection {
                 tables,
                 measures,
                 relationships,
+                unresolvedRelationships,
+                roles,
                 sampleData,
                 summary: {
                     tableCount: tables.length,
                     measureCount: measures.length,
                     relationshipCount: relationships.length,
-                    totalColumns: columnsResult.length,
+                    inactiveRelationshipCount: relationships.filter(rel => !rel.isActive).length,
+                    unresolvedRelationshipCount: unresolvedRelationships.length,
+                    totalColumns: tables.reduce((count, table) => count + table.columns.length, 0),
+                    calculatedColumnCount: tables.reduce((count, table) => count + table.columns.filter(col => col.type === 'Calculated').length, 0),
+                    calculatedTableCount: tables.filter(table => table.isCalculated).length,
+                    calculationGroupCount: tables.filter(table => table.calculationGroup).length,
+                    hierarchyCount: tables.reduce((count, table) => count + table.hierarchies.length, 0),
+                    roleCount: roles.length,
                     tablesWithSampleData: Object.keys(sampleData).length
                 }
             };
@@ -444,3 +944,8 @@ class XMLAConnection {
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = XMLAConnection;
 }
+
+// Also expose to window object for browser environments
+if (typeof window !== 'undefined') {
+    window.XMLAConnection = XMLAConnection;
+}